@@ -8,6 +8,7 @@ const { processBatch, validateBatchConfig } = require('../controllers/batchProce
 const { validateFile } = require('../validators/fileValidator');
 const { logger } = require('../output/logger');
 const { isValidCompressionLevel } = require('../utils/helpers');
+const { RESIZE_KERNELS, CHROMA_SUBSAMPLING } = require('../utils/constants');
 
 async function main() {
   console.log(chalk.cyan.bold('\n📄 PDF Compression Tool\n'));
@@ -23,6 +24,17 @@ async function main() {
     .option('-d, --output-dir <dir>', 'Output directory for batch processing')
     .option('-r, --recursive', 'Recursively search for PDFs in subdirectories')
     .option('--overwrite', 'Overwrite existing output files')
+    .option('--grayscale', 'Convert all images and colors to grayscale (archival copies)')
+    .option('--mrc', 'Split scanned pages into a sharp text layer and a low-resolution background')
+    .option('--ssim-floor <value>', 'Search each photo\'s JPEG quality for the smallest size keeping this SSIM (0-1)')
+    .option('--kernel <name>', `Resampling kernel for downscaled images: ${RESIZE_KERNELS.join(', ')}`)
+    .option('--chroma <subsampling>', 'JPEG chroma subsampling: 4:2:0 (smaller) or 4:4:4 (drawings, colored text)')
+    .option('--quant-table <n>', 'mozjpeg quantization table, 0-8')
+    .option('--no-trellis', 'Turn off mozjpeg trellis quantization')
+    .option('--sharpen <sigma>', 'Sharpen images after downscaling with this unsharp sigma (0 for none)')
+    .option('--near-duplicates <bits>', 'Merge near-identical images whose perceptual hashes differ in at most this many bits (0-64) and whose pixels match')
+    .option('--concurrency <n>', 'Number of images encoded at once, and of worker threads for the JavaScript codecs (default: one per CPU core)')
+    .option('--memory-limit <mb>', 'Megabytes of image data held in memory while encoding (default: 512)')
     .parse(process.argv);
 
   const options = program.opts();
@@ -63,7 +75,9 @@ async function runInteractiveMode() {
   logger.info('Compression Configuration:');
   logger.info(`  Input:  ${chalk.yellow(config.inputFile)}`);
   logger.info(`  Level:  ${chalk.yellow(config.compressionLevel)}`);
-  logger.info(`  Output: ${chalk.yellow(config.outputFile)}\n`);
+  logger.info(`  Output: ${chalk.yellow(config.outputFile)}`);
+  logger.info(`  Gray:   ${chalk.yellow(config.grayscale ? 'Yes' : 'No')}`);
+  logger.info(`  MRC:    ${chalk.yellow(config.mrc ? 'Yes' : 'No')}\n`);
 
   // Perform compression
   await compressPDF(config);
@@ -73,7 +87,14 @@ async function runSingleFileMode(options) {
   const config = {
     inputFile: options.file,
     compressionLevel: options.level.toLowerCase(),
-    outputFile: options.output || options.file.replace('.pdf', '_compressed.pdf')
+    outputFile: options.output || options.file.replace('.pdf', '_compressed.pdf'),
+    grayscale: options.grayscale || false,
+    mrc: options.mrc || false,
+    ssimFloor: parseSsimFloor(options.ssimFloor),
+    nearDuplicateThreshold: parseNearDuplicateThreshold(options.nearDuplicates),
+    concurrency: parsePositiveInteger(options.concurrency, 'concurrency'),
+    memoryLimit: parsePositiveInteger(options.memoryLimit, 'memory limit'),
+    encoderOptions: parseEncoderOptions(options)
   };
 
   // Validate compression level
@@ -91,7 +112,9 @@ async function runSingleFileMode(options) {
   logger.info('Compression Configuration:');
   logger.info(`  Input:  ${chalk.yellow(config.inputFile)}`);
   logger.info(`  Level:  ${chalk.yellow(config.compressionLevel)}`);
-  logger.info(`  Output: ${chalk.yellow(config.outputFile)}\n`);
+  logger.info(`  Output: ${chalk.yellow(config.outputFile)}`);
+  logger.info(`  Gray:   ${chalk.yellow(config.grayscale ? 'Yes' : 'No')}`);
+  logger.info(`  MRC:    ${chalk.yellow(config.mrc ? 'Yes' : 'No')}\n`);
 
   // Perform compression
   await compressPDF(config);
@@ -107,7 +130,14 @@ async function runBatchMode(options) {
     compressionLevel: options.level.toLowerCase(),
     outputDir: options.outputDir,
     recursive: options.recursive || false,
-    overwrite: options.overwrite || false
+    overwrite: options.overwrite || false,
+    grayscale: options.grayscale || false,
+    mrc: options.mrc || false,
+    ssimFloor: parseSsimFloor(options.ssimFloor),
+    nearDuplicateThreshold: parseNearDuplicateThreshold(options.nearDuplicates),
+    concurrency: parsePositiveInteger(options.concurrency, 'concurrency'),
+    memoryLimit: parsePositiveInteger(options.memoryLimit, 'memory limit'),
+    encoderOptions: parseEncoderOptions(options)
   };
 
   // Validate compression level
@@ -124,12 +154,98 @@ async function runBatchMode(options) {
   logger.info(`  Level:     ${chalk.yellow(config.compressionLevel)}`);
   logger.info(`  Output:    ${chalk.yellow(config.outputDir || '(same directory)')}`);
   logger.info(`  Recursive: ${chalk.yellow(config.recursive ? 'Yes' : 'No')}`);
-  logger.info(`  Overwrite: ${chalk.yellow(config.overwrite ? 'Yes' : 'No')}\n`);
+  logger.info(`  Overwrite: ${chalk.yellow(config.overwrite ? 'Yes' : 'No')}`);
+  logger.info(`  Grayscale: ${chalk.yellow(config.grayscale ? 'Yes' : 'No')}`);
+  logger.info(`  MRC:       ${chalk.yellow(config.mrc ? 'Yes' : 'No')}\n`);
 
   // Perform batch processing
   await processBatch(config);
 }
 
+/**
+ * Parse the --ssim-floor option (undefined when not given)
+ */
+function parseSsimFloor(value) {
+  if (value === undefined) return undefined;
+
+  const floor = Number(value);
+  if (!(floor > 0 && floor <= 1)) {
+    throw new Error(`Invalid SSIM floor: ${value}. Use a number between 0 and 1`);
+  }
+  return floor;
+}
+
+/**
+ * Parse the --near-duplicates option (undefined when not given)
+ */
+function parseNearDuplicateThreshold(value) {
+  if (value === undefined) return undefined;
+
+  const bits = Number(value);
+  if (!Number.isInteger(bits) || bits < 0 || bits > 64) {
+    throw new Error(`Invalid near-duplicate threshold: ${value}. Use a whole number of bits from 0 to 64`);
+  }
+  return bits;
+}
+
+/**
+ * Image encoder overrides (resampling kernel, chroma subsampling, mozjpeg
+ * tuning, post-sharpen), holding only the options given
+ */
+function parseEncoderOptions(options) {
+  const overrides = {};
+
+  if (options.kernel !== undefined) {
+    if (!RESIZE_KERNELS.includes(options.kernel)) {
+      throw new Error(`Invalid kernel: ${options.kernel}. Use: ${RESIZE_KERNELS.join(', ')}`);
+    }
+    overrides.resizeKernel = options.kernel;
+  }
+
+  if (options.chroma !== undefined) {
+    if (!CHROMA_SUBSAMPLING.includes(options.chroma)) {
+      throw new Error(`Invalid chroma subsampling: ${options.chroma}. Use: ${CHROMA_SUBSAMPLING.join(' or ')}`);
+    }
+    overrides.chromaSubsampling = options.chroma;
+  }
+
+  if (options.quantTable !== undefined) {
+    const table = Number(options.quantTable);
+    if (!Number.isInteger(table) || table < 0 || table > 8) {
+      throw new Error(`Invalid quantization table: ${options.quantTable}. Use a whole number from 0 to 8`);
+    }
+    overrides.jpegQuantTable = table;
+  }
+
+  // Commander sets trellis to true unless --no-trellis is given
+  if (options.trellis === false) {
+    overrides.jpegTrellis = false;
+  }
+
+  if (options.sharpen !== undefined) {
+    const sigma = Number(options.sharpen);
+    if (!(sigma >= 0 && sigma <= 10)) {
+      throw new Error(`Invalid sharpen sigma: ${options.sharpen}. Use a number from 0 to 10`);
+    }
+    overrides.postSharpen = sigma;
+  }
+
+  return overrides;
+}
+
+/**
+ * Parse a positive whole-number option (undefined when not given)
+ */
+function parsePositiveInteger(value, label) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${label}: ${value}. Use a whole number of at least 1`);
+  }
+  return number;
+}
+
 // Handle unhandled rejections
 process.on('unhandledRejection', (error) => {
   logger.error(`Unhandled error: ${error.message}`);
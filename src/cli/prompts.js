@@ -73,6 +73,18 @@ async function promptForOptions() {
         return path.resolve(input);
       }
     },
+    {
+      type: 'confirm',
+      name: 'grayscale',
+      message: 'Convert to grayscale (archival copy)?',
+      default: false
+    },
+    {
+      type: 'confirm',
+      name: 'mrc',
+      message: 'Split scanned pages into text and background layers (MRC)?',
+      default: false
+    },
     {
       type: 'confirm',
       name: 'confirm',
@@ -88,7 +100,9 @@ async function promptForOptions() {
   return {
     inputFile: answers.inputFile,
     compressionLevel: answers.compressionLevel,
-    outputFile: answers.outputFile
+    outputFile: answers.outputFile,
+    grayscale: answers.grayscale,
+    mrc: answers.mrc
   };
 }
 
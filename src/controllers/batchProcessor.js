@@ -17,7 +17,14 @@ async function processBatch(config) {
     compressionLevel,
     outputDir,
     recursive = false,
-    overwrite = false
+    overwrite = false,
+    grayscale = false,
+    mrc = false,
+    ssimFloor,
+    nearDuplicateThreshold,
+    concurrency,
+    memoryLimit,
+    encoderOptions
   } = config;
 
   const results = {
@@ -55,6 +62,7 @@ async function processBatch(config) {
         compressionLevel,
         outputDir,
         overwrite,
+        { grayscale, mrc, ssimFloor, nearDuplicateThreshold, concurrency, memoryLimit, encoderOptions },
         i + 1,
         files.length
       );
@@ -114,6 +122,7 @@ async function processSingleFile(
   compressionLevel,
   outputDir,
   overwrite,
+  overrides,
   current,
   total
 ) {
@@ -152,7 +161,8 @@ async function processSingleFile(
     const compressionResult = await compressPDF({
       inputFile,
       compressionLevel,
-      outputFile
+      outputFile,
+      ...overrides
     });
 
     // Get compressed size
@@ -6,14 +6,53 @@ const { logger } = require('../output/logger');
 const { generateReport } = require('../output/reportGenerator');
 
 async function compressPDF(config) {
-  const { inputFile, compressionLevel, outputFile } = config;
+  const {
+    inputFile,
+    compressionLevel,
+    outputFile,
+    grayscale,
+    mrc,
+    ssimFloor,
+    nearDuplicateThreshold,
+    concurrency,
+    memoryLimit,
+    encoderOptions
+  } = config;
 
   // Validate compression level
   if (!COMPRESSION_LEVELS[compressionLevel]) {
     throw new Error(`Invalid compression level: ${compressionLevel}`);
   }
 
-  const settings = COMPRESSION_LEVELS[compressionLevel];
+  const settings = {
+    ...COMPRESSION_LEVELS[compressionLevel],
+    // Whole-document grayscale is opt-in on any level
+    grayscale: Boolean(grayscale) || COMPRESSION_LEVELS[compressionLevel].grayscale,
+    // So is MRC for scanned pages
+    mrc: Boolean(mrc) || COMPRESSION_LEVELS[compressionLevel].mrc
+  };
+
+  // An explicit SSIM floor turns the perceptual quality search on
+  if (ssimFloor !== undefined) {
+    settings.perceptualTarget = true;
+    settings.ssimFloor = ssimFloor;
+  }
+
+  if (nearDuplicateThreshold !== undefined) {
+    settings.nearDuplicateThreshold = nearDuplicateThreshold;
+  }
+
+  // Kernel, chroma subsampling, mozjpeg tuning and post-sharpen given on
+  // the command line replace the level's
+  Object.assign(settings, encoderOptions);
+
+  if (concurrency !== undefined) {
+    settings.imageConcurrency = concurrency;
+  }
+
+  if (memoryLimit !== undefined) {
+    settings.imageMemoryLimit = memoryLimit * 1024 * 1024;
+  }
 
   // Get original file size
   const originalSize = fs.statSync(inputFile).size;
@@ -44,10 +83,15 @@ async function compressPDF(config) {
       compressionLevel: settings.name,
       processingTime: result.processingTime,
       pageCount: result.pageCount,
+      fallback: result.fallback,
       imageStats: result.imageStats,
       streamStats: result.streamStats,
       fontStats: result.fontStats,
-      metadataStats: result.metadataStats
+      metadataStats: result.metadataStats,
+      inlineImageStats: result.inlineImageStats,
+      grayscaleStats: result.grayscaleStats,
+      deduplicationStats: result.deduplicationStats,
+      garbageStats: result.garbageStats
     });
 
     console.log(report);
@@ -10,10 +10,15 @@ function generateReport(data) {
     compressionLevel,
     processingTime,
     pageCount,
+    fallback,
     imageStats,
     streamStats,
     fontStats,
-    metadataStats
+    metadataStats,
+    inlineImageStats,
+    grayscaleStats,
+    deduplicationStats,
+    garbageStats
   } = data;
 
   const savedBytes = originalSize - compressedSize;
@@ -38,25 +43,113 @@ ${chalk.bold('Overall Statistics:')}
   Time:        ${processingTime.toFixed(2)}s
 `;
 
+  // The full pass would have grown the file
+  if (fallback === 'lossless') {
+    report += `\n${chalk.yellow('⚠ Full compression made the file larger: only lossless stream optimization was applied')}\n`;
+  } else if (fallback === 'original') {
+    report += `\n${chalk.yellow('⚠ Compression could not make the file smaller: the output is a copy of the input')}\n`;
+  }
+
   // Add detailed statistics if available
-  if (imageStats || streamStats || fontStats || metadataStats) {
+  if (imageStats || streamStats || fontStats || metadataStats || inlineImageStats || grayscaleStats || deduplicationStats || garbageStats) {
     report += `\n${chalk.bold('Optimization Details:')}`;
 
     if (imageStats && imageStats.imagesProcessed > 0) {
       report += `\n  ${chalk.cyan('Images:')} ${imageStats.imagesProcessed} processed`;
+      const lossless = (imageStats.images || []).filter(image => image.encoder === 'FlateDecode').length;
+      if (lossless > 0) {
+        report += `, ${lossless} kept lossless (line art/screenshots)`;
+      }
+      if (imageStats.bilevelImages > 0) {
+        report += `, ${imageStats.bilevelImages} as black & white (CCITT G4)`;
+      }
+      if (imageStats.mrcImages > 0) {
+        report += `, ${imageStats.mrcImages} scanned pages split into text and background layers (MRC)`;
+      }
+      if (imageStats.imagesCropped > 0) {
+        report += `, ${imageStats.imagesCropped} cropped to their visible area`;
+      }
+      if (imageStats.jpegsOptimized > 0) {
+        report += `, ${imageStats.jpegsOptimized} JPEGs optimized losslessly`;
+      }
+      const searched = (imageStats.qualityMetrics || []).filter(metrics => metrics.jpegQuality !== undefined);
+      if (searched.length > 0) {
+        const qualities = searched.map(metrics => metrics.jpegQuality);
+        report += `, ${searched.length} tuned to an SSIM floor (JPEG quality ${Math.min(...qualities)}-${Math.max(...qualities)})`;
+      }
+      if (imageStats.grayscaleImages > 0) {
+        report += `, ${imageStats.grayscaleImages} converted to grayscale`;
+      }
+
+      if (imageStats.imagesKeptOriginal > 0) {
+        report += `, ${imageStats.imagesKeptOriginal} kept (re-encoding did not shrink them)`;
+      }
+
+      const unsupported = Object.entries(imageStats.unsupportedFilters || {});
+      if (unsupported.length > 0) {
+        const kept = unsupported.map(([filter, count]) => `${count} ${filter}`).join(', ');
+        report += ` (kept as is: ${kept})`;
+      }
+    }
+
+    const nearDuplicates = (imageStats && imageStats.nearDuplicates) || [];
+    if (nearDuplicates.length > 0) {
+      const merged = nearDuplicates.reduce((sum, group) => sum + group.merged.length, 0);
+      report += `\n  ${chalk.cyan('Near-duplicate images:')} ${merged} merged into ${nearDuplicates.length} shared images`;
+      for (const group of nearDuplicates) {
+        report += `\n    ${group.merged.join(', ')} → ${group.kept} (hash distance ${group.distance})`;
+      }
+    }
+
+    if (inlineImageStats && inlineImageStats.inlineImagesFound > 0) {
+      report += `\n  ${chalk.cyan('Inline images:')} ${inlineImageStats.inlineImagesFound} found`;
+      if (inlineImageStats.imagesPromoted > 0) {
+        report += `, ${inlineImageStats.imagesPromoted} moved to ${inlineImageStats.xObjectsCreated} shared XObjects`;
+      }
+      if (inlineImageStats.imagesRecompressed > 0) {
+        report += `, ${inlineImageStats.imagesRecompressed} recompressed in place`;
+      }
     }
 
     if (streamStats && streamStats.streamsProcessed > 0) {
       report += `\n  ${chalk.cyan('Streams:')} ${streamStats.streamsProcessed} optimized`;
+      const streamBytesSaved = streamStats.originalStreamSize - streamStats.compressedStreamSize;
+      if (streamBytesSaved > 0) {
+        report += ` (${logger.formatBytes(streamBytesSaved)} saved)`;
+      }
+      if (streamStats.streamsPassedThrough > 0) {
+        report += `, ${streamStats.streamsPassedThrough} kept in an unsupported filter`;
+      }
+    }
+
+    if (grayscaleStats && grayscaleStats.colorsConverted > 0) {
+      report += `\n  ${chalk.cyan('Colors:')} ${grayscaleStats.colorsConverted} converted to gray in ${grayscaleStats.streamsConverted} streams`;
+    }
+
+    // Grayscale mode: what could not be converted
+    const keptInColor = [imageStats?.keptInColor, grayscaleStats?.keptInColor]
+      .flatMap(kept => Object.entries(kept || {}));
+    if (keptInColor.length > 0) {
+      const kept = keptInColor.map(([what, count]) => `${what} (${count})`).join(', ');
+      report += `\n  ${chalk.yellow('⚠ Left in color:')} ${kept}`;
     }
 
     if (fontStats && fontStats.fontsProcessed > 0) {
       report += `\n  ${chalk.cyan('Fonts:')} ${fontStats.fontsProcessed} processed`;
-      if (fontStats.glyphsRemoved > 0) {
-        report += ` (${fontStats.glyphsRemoved} glyphs removed)`;
+      if (fontStats.fontsSubset > 0) {
+        const fontBytesSaved = fontStats.originalFontSize - fontStats.subsetFontSize;
+        report += `, ${fontStats.fontsSubset} subset (${fontStats.glyphsRemoved} glyphs removed, ${logger.formatBytes(fontBytesSaved)} saved)`;
       }
     }
 
+    if (deduplicationStats && deduplicationStats.duplicatesFound > 0) {
+      report += `\n  ${chalk.cyan('Duplicates:')} ${deduplicationStats.duplicatesFound} objects merged (${logger.formatBytes(deduplicationStats.spaceSaved)} saved)`;
+    }
+
+    if (garbageStats && garbageStats.objectsRemoved > 0) {
+      report += `\n  ${chalk.cyan('Unused objects:')} ${garbageStats.objectsRemoved} removed (${logger.formatBytes(garbageStats.bytesRemoved)})`;
+    }
+
     if (metadataStats && metadataStats.metadataRemoved > 0) {
       report += `\n  ${chalk.cyan('Metadata:')} ${metadataStats.fieldsCleared} fields cleared`;
     }
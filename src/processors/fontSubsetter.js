@@ -1,8 +1,46 @@
-const { PDFName, PDFDict, PDFArray } = require('pdf-lib');
+const crypto = require('crypto');
+const pako = require('pako');
+const { PDFName, PDFDict, PDFArray, PDFNumber, PDFRawStream, PDFRef, PDFString } = require('pdf-lib');
 const fontkit = require('fontkit');
+const { decodeStreamData } = require('../utils/streamFilters');
+const { readTables, readCmapSubtables, buildSymbolicCmap, writeFont } = require('../utils/sfnt');
+const { getEncoding, glyphNameToUnicode } = require('../utils/pdfEncodings');
+const { parseCff, getGlyphIdsByName, getGlyphIdsByCid, getBuiltInEncoding, subsetCff } = require('../utils/cff');
+const { parseType1, subsetType1 } = require('../utils/type1');
+const { walkText } = require('./resourceWalker');
+
+// Fonts already subset carry a tag of six capitals and a plus sign
+const SUBSET_TAG = /^[A-Z]{6}\+/;
+
+// Type 0 encodings whose two-byte codes are the CIDs themselves
+const IDENTITY_ENCODINGS = new Set(['/Identity-H', '/Identity-V']);
+
+const FONT_FILE_KEYS = ['FontFile', 'FontFile2', 'FontFile3'];
+
+// FontFile3 programs in Compact Font Format, bare or in an OpenType font
+const CFF_SUBTYPES = new Set(['/Type1C', '/CIDFontType0C']);
+
+// sfnt version of OpenType fonts with CFF outlines ('OTTO')
+const OPENTYPE_CFF_VERSION = 0x4f54544f;
+
+// FontDescriptor /Flags bits
+const FLAG_SYMBOLIC = 4;
+const FLAG_NONSYMBOLIC = 32;
+
+// Entries per beginbfchar block, the most a CMap allows
+const BFCHAR_BLOCK_SIZE = 100;
 
 /**
  * Perform font subsetting on a PDF document
+ *
+ * The codes each font shows are collected from every content stream; the
+ * embedded TrueType, CFF (Type1C, CIDFontType0C, OpenType) and Type 1
+ * programs of fonts not yet subset are then cut down to the glyphs of those
+ * codes, and their dictionaries updated to match.
+ * Fonts whose program is shared with another font, that form fields may
+ * type with, or that a content stream which cannot be read may show, keep
+ * their full program.
+ *
  * @param {PDFDocument} pdfDoc - The PDF document
  * @param {Object} settings - Compression settings
  * @returns {Object} - Font subsetting statistics
@@ -10,6 +48,7 @@ const fontkit = require('fontkit');
 async function subsetFonts(pdfDoc, settings) {
   const stats = {
     fontsProcessed: 0,
+    fontsSubset: 0,
     originalFontSize: 0,
     subsetFontSize: 0,
     glyphsRemoved: 0
@@ -21,30 +60,14 @@ async function subsetFonts(pdfDoc, settings) {
   }
 
   try {
-    // Get all pages
-    const pages = pdfDoc.getPages();
-    const usedGlyphs = new Map(); // Map of font -> Set of used glyphs
-
-    // First pass: collect used glyphs from all pages
-    for (const page of pages) {
-      collectUsedGlyphs(page, usedGlyphs);
-    }
+    const usedCodes = collectUsedCodes(pdfDoc);
+    const fixedPrograms = findFixedFontPrograms(pdfDoc, usedCodes);
 
-    // Second pass: subset fonts based on used glyphs
-    const context = pdfDoc.context;
-    const indirectObjects = context.indirectObjects;
-
-    for (const [ref, object] of indirectObjects.entries()) {
+    for (const [font, codes] of usedCodes) {
       try {
-        if (object && typeof object === 'object' && object.dict) {
-          const type = object.dict.get(PDFName.of('Type'));
-
-          if (type?.toString() === '/Font') {
-            await subsetFont(object, usedGlyphs, stats);
-          }
-        }
+        await subsetFont(pdfDoc, font, codes, fixedPrograms, stats);
       } catch (error) {
-        console.warn(`Warning: Failed to subset font: ${error.message}`);
+        console.warn(`Warning: Failed to subset font ${font.get(PDFName.of('BaseFont'))}: ${error.message}`);
         // Continue with next font
       }
     }
@@ -56,235 +79,685 @@ async function subsetFonts(pdfDoc, settings) {
 }
 
 /**
- * Collect used glyphs from a page
+ * Collect the character codes each font shows, per font dictionary. Codes
+ * of Type 0 fonts are two-byte CIDs for Identity encodings; other CMaps are
+ * not read, and their fonts get a null set. So do the fonts an unreadable
+ * content stream may use, whose codes are unknown.
  */
-function collectUsedGlyphs(page, usedGlyphs) {
-  try {
-    const pageDict = page.node;
-    const resources = pageDict.lookup(PDFName.of('Resources'));
+function collectUsedCodes(pdfDoc) {
+  const usedCodes = new Map();
+  const unknown = new Set();
+
+  walkText(pdfDoc, (font, bytes) => {
+    if (!usedCodes.has(font)) {
+      const subtype = font.get(PDFName.of('Subtype'))?.toString();
+      const encoding = font.get(PDFName.of('Encoding'))?.toString();
+      usedCodes.set(font, subtype !== '/Type0' || IDENTITY_ENCODINGS.has(encoding) ? new Set() : null);
+    }
+
+    const codes = usedCodes.get(font);
+    if (!codes) return;
+
+    if (font.get(PDFName.of('Subtype'))?.toString() === '/Type0') {
+      for (let i = 0; i + 1 < bytes.length; i += 2) codes.add(bytes.charCodeAt(i) * 256 + bytes.charCodeAt(i + 1));
+    } else {
+      for (let i = 0; i < bytes.length; i++) codes.add(bytes.charCodeAt(i));
+    }
+  }, resources => collectReachableFonts(pdfDoc.context, resources, unknown));
+
+  for (const font of unknown) usedCodes.set(font, null);
+  return usedCodes;
+}
 
-    if (!resources) return;
+/**
+ * Add to `fonts` every font dictionary a content stream with these
+ * resources may show text with: its own, those set through graphics states,
+ * and those of the forms, patterns, soft masks and Type 3 glyphs it reaches
+ */
+function collectReachableFonts(context, resources, fonts, visited = new Set()) {
+  if (!(resources instanceof PDFDict) || visited.has(resources)) return;
+  visited.add(resources);
+
+  const nested = [];
+
+  const fontDict = resources.lookup(PDFName.of('Font'));
+  if (fontDict instanceof PDFDict) {
+    for (const value of fontDict.values()) {
+      const font = context.lookup(value);
+      if (!(font instanceof PDFDict)) continue;
+      fonts.add(font);
+      nested.push(font.lookup(PDFName.of('Resources')));
+    }
+  }
 
-    // Get font resources
-    const fonts = resources.lookup(PDFName.of('Font'));
-    if (!fonts) return;
+  const extGStates = resources.lookup(PDFName.of('ExtGState'));
+  if (extGStates instanceof PDFDict) {
+    for (const value of extGStates.values()) {
+      const extGState = context.lookup(value);
+      if (!(extGState instanceof PDFDict)) continue;
 
-    // Get content streams to analyze text usage
-    const contents = pageDict.lookup(PDFName.of('Contents'));
-    if (!contents) return;
+      const fontEntry = extGState.lookup(PDFName.of('Font'));
+      if (fontEntry instanceof PDFArray && fontEntry.lookup(0) instanceof PDFDict) fonts.add(fontEntry.lookup(0));
 
-    // Parse content stream to find used characters
-    // This is a simplified version - full implementation would parse PDF operators
-    const contentData = getContentData(contents);
-    if (contentData) {
-      analyzeTextUsage(contentData, fonts, usedGlyphs);
+      const softMask = extGState.lookup(PDFName.of('SMask'));
+      const group = softMask instanceof PDFDict ? softMask.lookup(PDFName.of('G')) : null;
+      if (group instanceof PDFRawStream) nested.push(group.dict.lookup(PDFName.of('Resources')));
     }
+  }
 
-  } catch (error) {
-    console.warn(`Warning: Failed to collect glyphs from page: ${error.message}`);
+  for (const category of ['XObject', 'Pattern']) {
+    const entries = resources.lookup(PDFName.of(category));
+    if (!(entries instanceof PDFDict)) continue;
+    for (const value of entries.values()) {
+      const stream = context.lookup(value);
+      if (stream instanceof PDFRawStream) nested.push(stream.dict.lookup(PDFName.of('Resources')));
+    }
   }
+
+  for (const child of nested) collectReachableFonts(context, child, fonts, visited);
 }
 
 /**
- * Get content data from content stream(s)
+ * Font programs that must stay whole: those shared by several font
+ * dictionaries (each showing its own codes) and those of the AcroForm
+ * default resources, which viewers may type any text with
  */
-function getContentData(contents) {
-  try {
-    if (!contents) return null;
+function findFixedFontPrograms(pdfDoc, usedCodes) {
+  const context = pdfDoc.context;
+  const fonts = new Set(usedCodes.keys());
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFDict && object.get(PDFName.of('Type'))?.toString() === '/Font') fonts.add(object);
+  }
 
-    // Contents can be a single stream or an array of streams
-    if (contents.contents) {
-      return contents.contents;
-    }
+  const users = new Map();
+  for (const font of fonts) {
+    // CIDFonts are counted through their Type 0 parents
+    const subtype = font.get(PDFName.of('Subtype'))?.toString();
+    if (subtype === '/CIDFontType0' || subtype === '/CIDFontType2') continue;
 
-    return null;
-  } catch (error) {
-    return null;
+    const program = getFontProgram(context, font);
+    if (program) users.set(program.ref, (users.get(program.ref) || 0) + 1);
+  }
+
+  const fixed = new Set(Array.from(users).filter(([, count]) => count > 1).map(([ref]) => ref));
+
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+  const formFonts = acroForm instanceof PDFDict ? acroForm.lookup(PDFName.of('DR'))?.lookup?.(PDFName.of('Font')) : null;
+  if (formFonts instanceof PDFDict) {
+    for (const value of formFonts.values()) {
+      const font = context.lookup(value);
+      const program = font instanceof PDFDict ? getFontProgram(context, font) : null;
+      if (program) fixed.add(program.ref);
+    }
   }
+
+  return fixed;
 }
 
 /**
- * Analyze text usage in content stream
+ * Locate the embedded program of a font (of its descendant for Type 0)
+ *
+ * @returns {Object|null} - { cidFont, descriptor, key, ref, stream }, cidFont
+ *          being null for simple fonts
  */
-function analyzeTextUsage(contentData, fonts, usedGlyphs) {
-  try {
-    // Convert to string for analysis
-    const content = contentData.toString('latin1');
-
-    // Track current font being used
-    let currentFont = null;
-
-    // Look for font selection: /F1 12 Tf
-    const fontSelectRegex = /\/(F\d+)\s+[\d.]+\s+Tf/g;
-    let fontMatch;
-
-    // Build a map of font usage positions
-    const fontUsage = [];
-    while ((fontMatch = fontSelectRegex.exec(content)) !== null) {
-      fontUsage.push({
-        font: fontMatch[1],
-        position: fontMatch.index
-      });
-    }
+function getFontProgram(context, font) {
+  let cidFont = null;
+  if (font.get(PDFName.of('Subtype'))?.toString() === '/Type0') {
+    const descendants = font.lookup(PDFName.of('DescendantFonts'));
+    cidFont = descendants instanceof PDFArray ? context.lookup(descendants.get(0)) : null;
+    if (!(cidFont instanceof PDFDict)) return null;
+  }
 
-    // Sort by position
-    fontUsage.sort((a, b) => a.position - b.position);
-
-    // Look for text showing operators: Tj, TJ, ', "
-    const textRegex = /\((.*?)\)\s*(?:Tj|'|")|<(.*?)>\s*(?:Tj|TJ)/g;
-    let match;
-
-    while ((match = textRegex.exec(content)) !== null) {
-      const text = match[1] || match[2];
-      const position = match.index;
-
-      if (text) {
-        // Find which font is active at this position
-        let activeFont = 'global';
-        for (let i = fontUsage.length - 1; i >= 0; i--) {
-          if (fontUsage[i].position < position) {
-            activeFont = fontUsage[i].font;
-            break;
-          }
-        }
+  const descriptor = (cidFont || font).lookup(PDFName.of('FontDescriptor'));
+  if (!(descriptor instanceof PDFDict)) return null;
 
-        // Add each character to the used glyphs set for this font
-        if (!usedGlyphs.has(activeFont)) {
-          usedGlyphs.set(activeFont, new Set());
-        }
+  for (const key of FONT_FILE_KEYS) {
+    const ref = descriptor.get(PDFName.of(key));
+    const stream = context.lookup(ref);
+    if (ref instanceof PDFRef && stream instanceof PDFRawStream) {
+      return { cidFont, descriptor, key, ref, stream };
+    }
+  }
+  return null;
+}
 
-        for (const char of text) {
-          usedGlyphs.get(activeFont).add(char.charCodeAt(0));
-        }
+/**
+ * Subset an individual font
+ */
+async function subsetFont(pdfDoc, font, codes, fixedPrograms, stats) {
+  const context = pdfDoc.context;
+  const program = getFontProgram(context, font);
+
+  // No descriptor or no embedded program: a standard or system font
+  if (!program) return;
+
+  stats.fontsProcessed++;
+
+  const owner = program.cidFont || font;
+  const baseFont = owner.get(PDFName.of('BaseFont'))?.decodeText?.() || '';
+  if (!codes || fixedPrograms.has(program.ref) || SUBSET_TAG.test(baseFont)) return;
+
+  let subset = null;
+  if (program.key === 'FontFile2') {
+    subset = program.cidFont
+      ? subsetCidTrueType(context, font, program, codes)
+      : subsetSimpleTrueType(context, font, program, codes);
+  } else if (program.key === 'FontFile3') {
+    subset = subsetCffFont(context, font, program, codes);
+  } else if (!program.cidFont) {
+    subset = subsetType1Font(context, font, program, codes);
+  }
+  if (!subset) return;
+
+  // Subsetting pays for itself unless the font was tiny already
+  const compressed = pako.deflate(subset.data, { level: 9 });
+  if (compressed.length >= program.stream.contents.length) return;
+
+  stats.fontsSubset++;
+  stats.originalFontSize += program.stream.contents.length;
+  stats.subsetFontSize += compressed.length;
+  stats.glyphsRemoved += subset.glyphsRemoved;
+
+  const dict = program.stream.dict.clone(context);
+  for (const key of ['Filter', 'DecodeParms', 'Length', 'DL', 'Length1', 'Length2', 'Length3']) dict.delete(PDFName.of(key));
+  dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  for (const [key, value] of Object.entries(subset.lengths)) dict.set(PDFName.of(key), PDFNumber.of(value));
+  context.assign(program.ref, PDFRawStream.of(dict, compressed));
+
+  subset.apply();
+
+  // The tag names this subset, so another one is not mistaken for it
+  const tag = makeSubsetTag(subset.data);
+  const tagged = PDFName.of(`${tag}+${baseFont}`);
+  owner.set(PDFName.of('BaseFont'), tagged);
+  program.descriptor.set(PDFName.of('FontName'), tagged);
+  if (program.cidFont) {
+    const type0Name = font.get(PDFName.of('BaseFont'))?.decodeText?.();
+    if (type0Name && !SUBSET_TAG.test(type0Name)) font.set(PDFName.of('BaseFont'), PDFName.of(`${tag}+${type0Name}`));
+  }
+}
 
-        // Also add to global set
-        if (!usedGlyphs.has('global')) {
-          usedGlyphs.set('global', new Set());
-        }
-        for (const char of text) {
-          usedGlyphs.get('global').add(char.charCodeAt(0));
+/**
+ * Subset a CIDFontType2 font shown through an Identity encoding: the used
+ * CIDs' glyphs are renumbered from 1 and a /CIDToGIDMap stream maps the CIDs
+ * to them; /W and /CIDSet drop the CIDs not shown
+ *
+ * @returns {Object|null} - { data, lengths, glyphsRemoved, apply() }
+ */
+function subsetCidTrueType(context, font, program, cids) {
+  const data = decodeStreamData(program.stream);
+  const fontProgram = fontkit.create(Buffer.from(data));
+  if (!fontProgram.directory.tables.glyf) return null;
+
+  const cidToGid = readCidToGidMap(context, program.cidFont);
+  if (!cidToGid) return null;
+
+  const sortedCids = Array.from(cids).sort((a, b) => a - b);
+  const subset = fontProgram.createSubset();
+  const newGids = new Map();
+  for (const cid of sortedCids) {
+    const gid = cidToGid(cid);
+    newGids.set(cid, gid > 0 && gid < fontProgram.numGlyphs ? subset.includeGlyph(gid) : 0);
+  }
+
+  // fontkit leaves the table checksums unset
+  const encoded = writeFont(readTables(subset.encode()));
+  const unicodes = font.has(PDFName.of('ToUnicode')) ? null : getGlyphUnicodes(fontProgram);
+
+  return {
+    data: encoded,
+    lengths: program.key === 'FontFile2' ? { Length1: encoded.length } : {},
+    glyphsRemoved: fontProgram.numGlyphs - subset.glyphs.length,
+    apply() {
+      const { cidFont } = program;
+
+      const map = new Uint8Array((sortedCids[sortedCids.length - 1] + 1) * 2);
+      for (const [cid, gid] of newGids) {
+        map[cid * 2] = gid >> 8;
+        map[cid * 2 + 1] = gid & 0xff;
+      }
+      cidFont.set(PDFName.of('CIDToGIDMap'), context.register(context.flateStream(map)));
+      trimCidFont(context, program, sortedCids);
+
+      // The subset has no cmap left to read the text back from
+      if (unicodes) {
+        const entries = new Map();
+        for (const cid of sortedCids) {
+          const unicode = unicodes.get(cidToGid(cid));
+          if (unicode !== undefined) entries.set(cid, unicode);
         }
+        if (entries.size > 0) font.set(PDFName.of('ToUnicode'), buildToUnicode(context, entries, 2));
       }
     }
-
-  } catch (error) {
-    console.warn(`Warning: Failed to analyze text usage: ${error.message}`);
-  }
+  };
 }
 
 /**
- * Subset an individual font
+ * Subset a simple TrueType font: each used code's glyph is found the way a
+ * viewer would (PDF 32000-1:2008, 9.6.6.4), and the subset gets a cmap mapping
+ * the codes straight to the new glyphs, so the font becomes symbolic with
+ * no /Encoding; /Widths is trimmed to the codes shown
+ *
+ * @returns {Object|null} - { data, lengths, glyphsRemoved, apply() }
  */
-async function subsetFont(fontObject, usedGlyphs, stats) {
-  try {
-    const fontDict = fontObject.dict || fontObject;
+function subsetSimpleTrueType(context, font, program, codes) {
+  const data = decodeStreamData(program.stream);
+  const fontProgram = fontkit.create(Buffer.from(data));
+  if (!fontProgram.directory.tables.glyf) return null;
+
+  const { descriptor } = program;
+  const flags = descriptor.lookup(PDFName.of('Flags'))?.asNumber?.() || 0;
+  const names = getEncodingNames(font, flags & FLAG_SYMBOLIC ? null : getEncoding('StandardEncoding'));
+  const findGlyph = createSimpleGlyphFinder(fontProgram, readTables(data), names, (flags & FLAG_SYMBOLIC) !== 0);
+
+  const sortedCodes = Array.from(codes).sort((a, b) => a - b);
+  const subset = fontProgram.createSubset();
+  const glyphs = new Map();
+  const originalGids = new Map();
+  for (const code of sortedCodes) {
+    const gid = findGlyph(code);
+    originalGids.set(code, gid);
+    glyphs.set(code, gid > 0 && gid < fontProgram.numGlyphs ? subset.includeGlyph(gid) : 0);
+  }
 
-    // Get font type - use get() for dict access
-    const subtype = fontDict.get ? fontDict.get(PDFName.of('Subtype'))?.toString() : fontDict.lookup(PDFName.of('Subtype'))?.toString();
-    const baseFont = fontDict.get ? fontDict.get(PDFName.of('BaseFont'))?.toString() : fontDict.lookup(PDFName.of('BaseFont'))?.toString();
+  const tables = readTables(subset.encode());
+  tables.set('cmap', buildSymbolicCmap(glyphs));
+  const encoded = writeFont(tables);
+
+  let unicodes = null;
+  if (!font.has(PDFName.of('ToUnicode'))) {
+    unicodes = new Map();
+    let glyphUnicodes;
+    for (const code of sortedCodes) {
+      let unicode = names?.[code] ? glyphNameToUnicode(names[code]) : null;
+      if (unicode === null) {
+        glyphUnicodes = glyphUnicodes || getGlyphUnicodes(fontProgram);
+        unicode = glyphUnicodes.get(originalGids.get(code));
+      }
+      if (unicode !== null && unicode !== undefined) unicodes.set(code, unicode);
+    }
+  }
 
-    // Get font descriptor
-    const fontDescriptor = fontDict.get ? fontDict.get(PDFName.of('FontDescriptor')) : fontDict.lookup(PDFName.of('FontDescriptor'));
-    if (!fontDescriptor) {
-      // No descriptor, likely a standard font - can't subset
-      return;
+  return {
+    data: encoded,
+    lengths: program.key === 'FontFile2' ? { Length1: encoded.length } : {},
+    glyphsRemoved: fontProgram.numGlyphs - subset.glyphs.length,
+    apply() {
+      trimWidths(context, font, sortedCodes);
+      descriptor.set(PDFName.of('Flags'), PDFNumber.of((flags | FLAG_SYMBOLIC) & ~FLAG_NONSYMBOLIC));
+      font.delete(PDFName.of('Encoding'));
+
+      if (unicodes && unicodes.size > 0) {
+        font.set(PDFName.of('ToUnicode'), buildToUnicode(context, unicodes, 1));
+      }
     }
+  };
+}
 
-    // For fontDescriptor, it's looked up so use get() or lookup()
-    const fontDescDict = fontDescriptor.dict || fontDescriptor;
+/**
+ * Subset a CFF program (FontFile3). A bare Type1C or CIDFontType0C program
+ * is rebuilt with just the used glyphs; in an OpenType font, whose other
+ * tables index the glyphs, the unused ones are emptied instead, as they are
+ * in a name-keyed program whose CIDs are glyph ids. Simple fonts find their
+ * glyphs by name, through /Encoding and the program's own encoding, CIDFonts
+ * by CID; /Widths or /W, /CIDSet and /CharSet are trimmed to match.
+ *
+ * @returns {Object|null} - { data, lengths, glyphsRemoved, apply() }
+ */
+function subsetCffFont(context, font, program, codes) {
+  const subtype = program.stream.dict.get(PDFName.of('Subtype'))?.toString();
+  const data = decodeStreamData(program.stream);
+
+  let tables = null;
+  if (subtype === '/OpenType') {
+    tables = readTables(data);
+    if (tables.has('glyf')) {
+      return program.cidFont
+        ? subsetCidTrueType(context, font, program, codes)
+        : subsetSimpleTrueType(context, font, program, codes);
+    }
+    if (!tables.has('CFF ')) return null;
+  } else if (!CFF_SUBTYPES.has(subtype)) {
+    return null;
+  }
 
-    // Get font file
-    const hasFile2 = fontDescDict.get ? fontDescDict.get(PDFName.of('FontFile2')) : fontDescDict.lookup(PDFName.of('FontFile2'));
-    const hasFile3 = fontDescDict.get ? fontDescDict.get(PDFName.of('FontFile3')) : fontDescDict.lookup(PDFName.of('FontFile3'));
-    const hasFile = fontDescDict.get ? fontDescDict.get(PDFName.of('FontFile')) : fontDescDict.lookup(PDFName.of('FontFile'));
+  const cff = parseCff(tables ? tables.get('CFF ') : data);
+  const sortedCodes = Array.from(codes).sort((a, b) => a - b);
+  const gids = new Set();
+  let glyphNames = null;
 
-    const fontFileKey = hasFile2 ? 'FontFile2' : hasFile3 ? 'FontFile3' : hasFile ? 'FontFile' : null;
+  if (program.cidFont) {
+    const byCid = getGlyphIdsByCid(cff);
+    for (const cid of sortedCodes) {
+      const gid = cff.isCidKeyed ? byCid.get(cid) : cid;
+      if (gid !== undefined) gids.add(gid);
+    }
+  } else {
+    const byName = getGlyphIdsByName(cff);
+    const builtIn = getBuiltInEncoding(cff);
+    const names = getEncodingNames(font, builtIn);
+    for (const code of sortedCodes) {
+      for (const name of [names?.[code], builtIn?.[code]]) {
+        if (byName.has(name)) gids.add(byName.get(name));
+      }
+    }
 
-    if (!fontFileKey) {
-      // No font file embedded, likely using system fonts
-      return;
+    // An OpenType font may be read through its cmap instead
+    if (tables) {
+      const flags = program.descriptor.lookup(PDFName.of('Flags'))?.asNumber?.() || 0;
+      const findGlyph = createSimpleGlyphFinder(fontkit.create(Buffer.from(data)), tables, names, (flags & FLAG_SYMBOLIC) !== 0);
+      for (const code of sortedCodes) gids.add(findGlyph(code));
     }
+    glyphNames = new Map(Array.from(byName, ([name, gid]) => [gid, name]));
+  }
 
-    const fontFile = fontDescDict.get ? fontDescDict.get(PDFName.of(fontFileKey)) : fontDescDict.lookup(PDFName.of(fontFileKey));
-    if (!fontFile || !fontFile.contents) return;
+  const subset = subsetCff(cff, gids, { renumber: !tables && (!program.cidFont || cff.isCidKeyed) });
+  let encoded = subset.data;
+  if (tables) {
+    tables.set('CFF ', subset.data);
+    encoded = writeFont(tables, OPENTYPE_CFF_VERSION);
+  }
 
-    let fontData;
-    try {
-      fontData = typeof fontFile.contents === 'function' ? fontFile.contents() : fontFile.contents;
-    } catch (e) {
-      return;
+  return {
+    data: encoded,
+    lengths: {},
+    glyphsRemoved: cff.charStrings.length - subset.glyphs.length,
+    apply() {
+      if (program.cidFont) {
+        trimCidFont(context, program, sortedCodes);
+      } else {
+        trimWidths(context, font, sortedCodes);
+        setCharSet(program.descriptor, subset.glyphs.map(gid => glyphNames.get(gid)));
+      }
     }
+  };
+}
+
+/**
+ * Subset a simple font's Type 1 program (FontFile): the glyphs its codes
+ * name through /Encoding and the program's own encoding are kept, the
+ * others dropped from its CharStrings; /Widths and /CharSet are trimmed
+ *
+ * @returns {Object} - { data, lengths, glyphsRemoved, apply() }
+ */
+function subsetType1Font(context, font, program, codes) {
+  const dict = program.stream.dict;
+  const type1 = parseType1(decodeStreamData(program.stream), {
+    length1: dict.lookup(PDFName.of('Length1'))?.asNumber?.(),
+    length2: dict.lookup(PDFName.of('Length2'))?.asNumber?.()
+  });
+
+  const sortedCodes = Array.from(codes).sort((a, b) => a - b);
+  const names = getEncodingNames(font, type1.builtInEncoding);
+  const used = new Set();
+  for (const code of sortedCodes) {
+    for (const name of [names?.[code], type1.builtInEncoding?.[code]]) {
+      if (name) used.add(name);
+    }
+  }
 
-    if (!fontData || fontData.length === 0) return;
+  const subset = subsetType1(type1, used);
 
-    const originalSize = fontData.length;
-    stats.originalFontSize += originalSize;
-    stats.fontsProcessed++;
+  return {
+    data: subset.data,
+    lengths: { Length1: subset.length1, Length2: subset.length2, Length3: subset.length3 },
+    glyphsRemoved: type1.glyphs.size - subset.glyphs.length,
+    apply() {
+      trimWidths(context, font, sortedCodes);
+      setCharSet(program.descriptor, subset.glyphs);
+    }
+  };
+}
 
-    // Try to parse the font with fontkit
-    try {
-      const font = fontkit.create(Buffer.from(fontData));
+/**
+ * The glyph names a simple font's codes select: its /Encoding's base
+ * encoding with /Differences applied, `defaultNames` (the font program's
+ * own encoding, or StandardEncoding) where it names none; null when neither
+ * gives any names
+ */
+function getEncodingNames(font, defaultNames) {
+  const encoding = font.lookup(PDFName.of('Encoding'));
+  let names = null;
+  let differences = null;
+
+  if (encoding instanceof PDFName) {
+    names = getEncoding(encoding.decodeText());
+  } else if (encoding instanceof PDFDict) {
+    const base = encoding.lookup(PDFName.of('BaseEncoding'));
+    names = base instanceof PDFName ? getEncoding(base.decodeText()) : null;
+    differences = encoding.lookup(PDFName.of('Differences'));
+  }
 
-      // Get the number of glyphs in the font
-      const totalGlyphs = font.numGlyphs;
+  if (!names && defaultNames) names = defaultNames.slice();
 
-      // Count used glyphs (simplified - using global set)
-      const globalGlyphs = usedGlyphs.get('global') || new Set();
-      const usedCharCodes = Array.from(globalGlyphs);
+  if (differences instanceof PDFArray) {
+    names = names || new Array(256).fill(null);
+    let code = 0;
+    for (const item of differences.asArray()) {
+      if (item instanceof PDFNumber) {
+        code = item.asNumber();
+      } else if (item instanceof PDFName && code < 256) {
+        names[code++] = item.decodeText();
+      }
+    }
+  }
 
-      // Map character codes to glyph IDs
-      const usedGlyphIds = new Set();
-      usedGlyphIds.add(0); // Always include .notdef glyph
+  return names;
+}
 
-      for (const charCode of usedCharCodes) {
-        try {
-          const glyphId = font.glyphForCodePoint(charCode);
-          if (glyphId && glyphId.id) {
-            usedGlyphIds.add(glyphId.id);
-          }
-        } catch (e) {
-          // Glyph not found, skip
+/**
+ * Map a simple TrueType font's codes to glyphs: through the glyph name and
+ * a (3,1) Unicode or (1,0) Mac Roman cmap, or the font's own glyph names, or
+ * straight through a (3,0) or (1,0) cmap; symbolic fonts try the latter first
+ */
+function createSimpleGlyphFinder(fontProgram, tables, names, symbolic) {
+  const subtables = tables.has('cmap') ? readCmapSubtables(tables.get('cmap')) : [];
+  const findCmap = (platformID, encodingID) => subtables.find(table =>
+    table.platformID === platformID && table.encodingID === encodingID)?.lookup;
+  const unicodeCmap = findCmap(3, 1);
+  const symbolCmap = findCmap(3, 0);
+  const macCmap = findCmap(1, 0);
+  const macRoman = getEncoding('MacRomanEncoding');
+
+  let postNames = null;
+  const getPostNames = () => {
+    if (!postNames) {
+      postNames = new Map();
+      if (tables.has('post')) {
+        for (let gid = fontProgram.numGlyphs - 1; gid > 0; gid--) {
+          const name = fontProgram.getGlyph(gid).name;
+          if (name) postNames.set(name, gid);
         }
       }
+    }
+    return postNames;
+  };
+
+  const byName = code => {
+    const name = names?.[code];
+    if (!name) return 0;
+
+    const unicode = glyphNameToUnicode(name);
+    if (unicodeCmap && unicode !== null && unicodeCmap(unicode)) return unicodeCmap(unicode);
+    if (macCmap && macRoman.includes(name) && macCmap(macRoman.indexOf(name))) return macCmap(macRoman.indexOf(name));
+    return getPostNames().get(name) || 0;
+  };
+
+  const byCode = code => (symbolCmap && (symbolCmap(0xf000 + code) || symbolCmap(code))) ||
+    (macCmap && macCmap(code)) || 0;
 
-      // Real subsetting with fontkit is complex and requires:
-      // 1. Creating a subset of the font
-      // 2. Re-encoding it
-      // 3. Updating all the font tables
-      // This is beyond basic implementation, but we can provide accurate statistics
+  return code => (symbolic ? byCode(code) || byName(code) : byName(code) || byCode(code));
+}
+
+/**
+ * Read a CIDFont's /CIDToGIDMap as a function, or null when unreadable
+ */
+function readCidToGidMap(context, cidFont) {
+  const entry = cidFont.lookup(PDFName.of('CIDToGIDMap'));
+  if (entry === undefined || entry?.toString() === '/Identity') return cid => cid;
+  if (!(entry instanceof PDFRawStream)) return null;
+
+  const map = decodeStreamData(entry);
+  return cid => (cid * 2 + 1 < map.length ? map[cid * 2] * 256 + map[cid * 2 + 1] : 0);
+}
+
+/**
+ * Trim a simple font's /Widths, /FirstChar and /LastChar to the range of
+ * the (sorted) codes shown
+ */
+function trimWidths(context, font, sortedCodes) {
+  const widths = font.lookup(PDFName.of('Widths'));
+  const firstChar = font.lookup(PDFName.of('FirstChar'))?.asNumber?.();
+  if (!(widths instanceof PDFArray) || firstChar === undefined) return;
+
+  const first = Math.max(firstChar, sortedCodes[0]);
+  const last = Math.min(firstChar + widths.size() - 1, sortedCodes[sortedCodes.length - 1]);
+  if (first > last) return;
+
+  const trimmed = [];
+  for (let code = first; code <= last; code++) trimmed.push(widths.get(code - firstChar));
+  font.set(PDFName.of('Widths'), context.obj(trimmed));
+  font.set(PDFName.of('FirstChar'), PDFNumber.of(first));
+  font.set(PDFName.of('LastChar'), PDFNumber.of(last));
+}
 
-      const usedGlyphCount = usedGlyphIds.size;
-      const glyphsRemoved = totalGlyphs - usedGlyphCount;
+/**
+ * Trim a CIDFont's /W and its descriptor's /CIDSet to the (sorted) CIDs shown
+ */
+function trimCidFont(context, program, sortedCids) {
+  const { cidFont, descriptor } = program;
+
+  const widths = readCidWidths(context, cidFont);
+  const kept = sortedCids.filter(cid => widths.has(cid));
+  if (kept.length > 0) {
+    cidFont.set(PDFName.of('W'), context.obj(buildCidWidths(kept, widths)));
+  } else {
+    cidFont.delete(PDFName.of('W'));
+  }
 
-      // Estimate subset size based on glyph ratio
-      const glyphRatio = usedGlyphCount / totalGlyphs;
-      const estimatedSubsetSize = Math.round(originalSize * Math.max(0.2, glyphRatio)); // Minimum 20% due to font tables overhead
+  if (descriptor.has(PDFName.of('CIDSet'))) {
+    const bits = new Uint8Array((sortedCids[sortedCids.length - 1] >> 3) + 1);
+    for (const cid of [0, ...sortedCids]) bits[cid >> 3] |= 0x80 >> (cid & 7);
+    descriptor.set(PDFName.of('CIDSet'), context.register(context.flateStream(bits)));
+  }
+}
 
-      stats.subsetFontSize += estimatedSubsetSize;
-      stats.glyphsRemoved += glyphsRemoved;
+/**
+ * Rewrite a descriptor's /CharSet, where it has one, as the glyphs kept
+ */
+function setCharSet(descriptor, glyphNames) {
+  if (!descriptor.has(PDFName.of('CharSet'))) return;
+  const names = glyphNames.filter(name => name && name !== '.notdef');
+  descriptor.set(PDFName.of('CharSet'), PDFString.of(names.map(name => `/${name}`).join('')));
+}
 
-      console.log(`Font ${baseFont}: ${totalGlyphs} total glyphs, ${usedGlyphCount} used, ${glyphsRemoved} could be removed`);
+/**
+ * Read a CIDFont's /W array into CID -> width
+ */
+function readCidWidths(context, cidFont) {
+  const widths = new Map();
+  const array = cidFont.lookup(PDFName.of('W'));
+  if (!(array instanceof PDFArray)) return widths;
+
+  const items = array.asArray().map(item => context.lookup(item));
+  for (let i = 0; i < items.length;) {
+    const first = items[i]?.asNumber?.();
+    if (first === undefined) break;
+
+    if (items[i + 1] instanceof PDFArray) {
+      items[i + 1].asArray().forEach((width, index) => widths.set(first + index, context.lookup(width).asNumber()));
+      i += 2;
+    } else {
+      const last = items[i + 1]?.asNumber?.();
+      const width = items[i + 2]?.asNumber?.();
+      if (last === undefined || width === undefined) break;
+      for (let cid = first; cid <= last; cid++) widths.set(cid, width);
+      i += 3;
+    }
+  }
 
-    } catch (fontError) {
-      // Could not parse font, use conservative estimate
-      console.warn(`Could not parse font ${baseFont}: ${fontError.message}`);
+  return widths;
+}
 
-      // Conservative estimate: keep most of the font
-      stats.subsetFontSize += Math.round(originalSize * 0.7);
+/**
+ * Write widths for the given (sorted) CIDs in /W form: runs of consecutive
+ * CIDs as `first [w1 w2 ...]`
+ */
+function buildCidWidths(cids, widths) {
+  const array = [];
+  let run = null;
+  cids.forEach((cid, index) => {
+    if (index > 0 && cid === cids[index - 1] + 1) {
+      run.push(widths.get(cid));
+    } else {
+      run = [widths.get(cid)];
+      array.push(cid, run);
     }
+  });
+  return array;
+}
 
+/**
+ * Unicode value of each glyph reached from the font's Unicode cmap (the
+ * lowest code point where several reach one glyph)
+ */
+function getGlyphUnicodes(fontProgram) {
+  const unicodes = new Map();
+  try {
+    for (const codePoint of fontProgram.characterSet.sort((a, b) => a - b)) {
+      const gid = fontProgram.glyphForCodePoint(codePoint).id;
+      if (gid > 0 && !unicodes.has(gid)) unicodes.set(gid, codePoint);
+    }
   } catch (error) {
-    console.warn(`Failed to subset font: ${error.message}`);
+    // No usable cmap: no text to recover
   }
+  return unicodes;
+}
+
+/**
+ * Register a ToUnicode CMap for codes of `codeLength` bytes
+ */
+function buildToUnicode(context, unicodes, codeLength) {
+  const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+  const toUtf16 = codePoint => Array.from(String.fromCodePoint(codePoint))
+    .map(char => Array.from({ length: char.length }, (_, i) => hex(char.charCodeAt(i), 4)).join('')).join('');
+
+  const entries = Array.from(unicodes).sort(([a], [b]) => a - b);
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += BFCHAR_BLOCK_SIZE) {
+    const block = entries.slice(i, i + BFCHAR_BLOCK_SIZE);
+    blocks.push(`${block.length} beginbfchar\n` +
+      block.map(([code, unicode]) => `<${hex(code, codeLength * 2)}> <${toUtf16(unicode)}>`).join('\n') +
+      '\nendbfchar');
+  }
+
+  const cmap = [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    `<${'00'.repeat(codeLength)}> <${'FF'.repeat(codeLength)}>`,
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+
+  return context.register(context.flateStream(cmap));
 }
 
 /**
- * Check if a character is used in the document
+ * Six capitals derived from the subset program, so the same subset always
+ * gets the same tag
  */
-function isGlyphUsed(charCode, usedGlyphs, fontName) {
-  const fontGlyphs = usedGlyphs.get(fontName) || usedGlyphs.get('global');
-  if (!fontGlyphs) return false;
-  return fontGlyphs.has(charCode);
+function makeSubsetTag(data) {
+  const digest = crypto.createHash('sha1').update(data).digest();
+  return Array.from(digest.subarray(0, 6), byte => String.fromCharCode(65 + (byte % 26))).join('');
 }
 
 /**
@@ -309,7 +782,5 @@ function getFontInfo(fontObject) {
 
 module.exports = {
   subsetFonts,
-  collectUsedGlyphs,
-  analyzeTextUsage,
   getFontInfo
 };
@@ -0,0 +1,362 @@
+const { PDFDict, PDFName, PDFRawStream, PDFRef } = require('pdf-lib');
+const { parseContentStream } = require('../utils/contentStream');
+const { decodeStreamData } = require('../utils/streamFilters');
+const { resolveColorSpace, getColorFamily } = require('../utils/colorSpaces');
+const { rgbToGray, cmykToGray } = require('../utils/grayscale');
+const { getPageContentRefs, isFormOrTilingPattern } = require('./resourceWalker');
+const { convertInlineImageToGray } = require('./inlineImages');
+
+// Color spaces whose colors are rewritten as gray, by number of components
+const CONVERTIBLE_FAMILIES = ['DeviceRGB', 'DeviceCMYK', 'CalRGB', 'ICCBased'];
+
+// Dictionary entries describing the old encoding, dropped when rewriting
+const ENCODING_KEYS = ['Filter', 'DecodeParms', 'Length', 'DL'];
+
+/**
+ * Convert the color operators of every content stream to gray: page
+ * contents, Form XObjects (annotation appearances included) and tiling
+ * patterns, and the inline images they draw. Image XObjects are converted
+ * by the image compressor; shadings keep their colors, and so do Separation,
+ * DeviceN, Indexed and Lab colors and inline images whose data cannot be
+ * decoded here (JPEGs the inline image step could not move to XObjects).
+ * Each use of those is counted in `keptInColor`.
+ *
+ * A form drawn with `Do` is converted from its caller's color spaces, which
+ * colors it sets without selecting a space of its own are in.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @returns {Object} - Conversion statistics
+ */
+async function convertToGrayscale(pdfDoc) {
+  const stats = {
+    streamsConverted: 0,
+    colorsConverted: 0,
+    keptInColor: {} // What was left in color -> number of uses
+  };
+
+  try {
+    const context = pdfDoc.context;
+    const job = { context, stats, converted: new Map() }; // ref -> { inherited, inheritsColors }
+
+    // A page's content streams are one stream split in parts: the current
+    // color space carries over from one part to the next
+    const pages = pdfDoc.getPages();
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+      try {
+        const pageDict = pages[pageIndex].node;
+        const resources = pageDict.Resources();
+        const state = createColorState();
+
+        for (const ref of getPageContentRefs(pageDict)) {
+          if (job.converted.has(ref)) continue;
+          job.converted.set(ref, {});
+          convertStream(job, ref, resources, state);
+        }
+      } catch (error) {
+        console.warn(`Warning: Failed to convert page ${pageIndex + 1} to grayscale: ${error.message}`);
+      }
+    }
+
+    // Forms no page draws (annotation appearances) and patterns start from
+    // the initial state; forms that another form or pattern lists come after
+    // them, as those may draw them first
+    const streams = [];
+    const listed = new Set();
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFRawStream) || !isFormOrTilingPattern(object)) continue;
+      streams.push([ref, object]);
+
+      const xObjects = object.dict.lookup(PDFName.of('Resources'))?.lookup(PDFName.of('XObject'));
+      if (xObjects instanceof PDFDict) {
+        for (const value of xObjects.values()) listed.add(value);
+      }
+    }
+    streams.sort(([a], [b]) => listed.has(a) - listed.has(b));
+
+    for (const [ref, object] of streams) {
+      if (job.converted.has(ref)) continue;
+      job.converted.set(ref, {});
+
+      try {
+        convertStream(job, ref, object.dict.lookup(PDFName.of('Resources')), createColorState());
+      } catch (error) {
+        console.warn(`Warning: Failed to convert ${ref.toString()} to grayscale: ${error.message}`);
+      }
+    }
+
+    return stats;
+  } catch (error) {
+    throw new Error(`Grayscale conversion failed: ${error.message}`);
+  }
+}
+
+/**
+ * Rewrite the color operators of one content stream, replacing the stream
+ * when anything changed, and convert the forms it draws
+ * @returns {Object|null} - Result of convertContentColors
+ */
+function convertStream(job, ref, resources, state) {
+  const { context, stats } = job;
+  const stream = context.lookup(ref);
+  if (!(stream instanceof PDFRawStream)) return null;
+
+  const content = Buffer.from(decodeStreamData(stream)).toString('latin1');
+  const result = convertContentColors(
+    content,
+    name => getColorSpaceComponents(name, resources, context),
+    state,
+    (name, callerState) => convertDrawnForm(job, resources, name, callerState),
+    operation => {
+      const kept = describeKeptColor(operation, resources, context);
+      if (kept) stats.keptInColor[kept] = (stats.keptInColor[kept] || 0) + 1;
+    }
+  );
+  if (result.converted === 0) return result;
+
+  const replacement = context.flateStream(Buffer.from(result.content, 'latin1'));
+  for (const [key, value] of stream.dict.entries()) {
+    if (!ENCODING_KEYS.includes(key.decodeText())) replacement.dict.set(key, value);
+  }
+  context.assign(ref, replacement);
+
+  stats.streamsConverted++;
+  stats.colorsConverted += result.converted;
+  return result;
+}
+
+/**
+ * Convert a Form XObject drawn with `Do` from its caller's color spaces
+ */
+function convertDrawnForm(job, resources, name, callerState) {
+  const xObjects = resources?.lookup(PDFName.of('XObject'));
+  const ref = xObjects instanceof PDFDict ? xObjects.get(PDFName.of(name)) : null;
+  const form = ref instanceof PDFRef ? job.context.lookup(ref) : null;
+  if (!(form instanceof PDFRawStream) || form.dict.lookup(PDFName.of('Subtype'))?.toString() !== '/Form') return;
+
+  // A form is rewritten once: drawn again from other color spaces, the
+  // colors it inherits only suit the first caller
+  const inherited = `${callerState.fill}/${callerState.stroke}`;
+  const previous = job.converted.get(ref);
+  if (previous) {
+    if (previous.inheritsColors && previous.inherited !== inherited) {
+      console.warn(`Warning: Form ${ref.toString()} inherits colors from different color spaces, converted for the first`);
+    }
+    return;
+  }
+
+  // Recorded before converting, so a form that draws itself stops here
+  const record = { inherited, inheritsColors: false };
+  job.converted.set(ref, record);
+
+  try {
+    const state = { ...createColorState(), fill: callerState.fill, stroke: callerState.stroke };
+    const result = convertStream(job, ref, form.dict.lookup(PDFName.of('Resources')) || resources, state);
+    record.inheritsColors = Boolean(result?.inheritsColors);
+  } catch (error) {
+    console.warn(`Warning: Failed to convert ${ref.toString()} to grayscale: ${error.message}`);
+  }
+}
+
+/**
+ * Fresh graphics state: both colors start in DeviceGray. `fillSet` and
+ * `strokeSet` tell whether the stream selected the space itself
+ */
+function createColorState() {
+  return { fill: null, stroke: null, fillSet: false, strokeSet: false, stack: [] };
+}
+
+/**
+ * Replace RGB and CMYK colors in a content stream with their gray level
+ *
+ * `rg`/`RG` and `k`/`K` become `g`/`G`; `cs`/`CS` selecting a convertible
+ * space become `/DeviceGray cs`, and the `sc`/`scn` colors set in it a
+ * single gray value. Inline images in such spaces are stored as gray.
+ *
+ * @param {string} content - Decoded content stream (latin1)
+ * @param {Function} getComponents - Maps a color space name to 3 or 4 when
+ *        its colors are to be converted, or null
+ * @param {Object} [state] - Color state carried over from a previous stream,
+ *        or inherited from the caller of a form
+ * @param {Function} [drawForm] - Called with the XObject name and the
+ *        current state at each `Do`
+ * @param {Function} [keepColor] - Called with each operation that may paint
+ *        in color and is left as it is: `cs`/`CS` selecting a space that is
+ *        not converted, `scn`/`SCN` selecting a pattern, `sh`, and inline
+ *        images kept as they are
+ * @returns {Object} - { content, converted, inheritsColors } with the
+ *          number of operators rewritten, and whether a color was set in a
+ *          space the stream did not select
+ */
+function convertContentColors(content, getComponents, state = createColorState(), drawForm = null, keepColor = null) {
+  const operations = parseContentStream(content);
+  let output = '';
+  let last = 0;
+  let converted = 0;
+  let inheritsColors = false;
+
+  const replace = (operation, text) => {
+    output += content.slice(last, operation.start) + text;
+    last = operation.end;
+    converted++;
+  };
+
+  for (const operation of operations) {
+    const { operator, operands } = operation;
+
+    switch (operator) {
+      case 'q':
+        state.stack.push({ fill: state.fill, stroke: state.stroke, fillSet: state.fillSet, strokeSet: state.strokeSet });
+        break;
+
+      case 'Q':
+        if (state.stack.length > 0) Object.assign(state, state.stack.pop());
+        break;
+
+      case 'rg':
+      case 'RG':
+        if (isColor(operands, 3)) {
+          replace(operation, `${formatGray(rgbToGray(...operands))} ${operator === 'rg' ? 'g' : 'G'}`);
+        }
+        break;
+
+      case 'k':
+      case 'K':
+        if (isColor(operands, 4)) {
+          replace(operation, `${formatGray(cmykToGray(...operands))} ${operator === 'k' ? 'g' : 'G'}`);
+        }
+        break;
+
+      case 'cs':
+      case 'CS': {
+        const name = operands[0]?.name;
+        const components = name === undefined ? null : getComponents(name);
+        const target = operator === 'cs' ? 'fill' : 'stroke';
+        state[target] = components;
+        state[`${target}Set`] = true;
+        if (components) replace(operation, `/DeviceGray ${operator}`);
+        else if (keepColor && name !== undefined) keepColor(operation);
+        break;
+      }
+
+      case 'sc':
+      case 'scn':
+      case 'SC':
+      case 'SCN': {
+        const target = operator.startsWith('s') ? 'fill' : 'stroke';
+        if (!state[`${target}Set`]) inheritsColors = true;
+
+        const components = state[target];
+        if (components && isColor(operands, components)) {
+          const gray = components === 3 ? rgbToGray(...operands) : cmykToGray(...operands);
+          replace(operation, `${formatGray(gray)} ${operator}`);
+        } else if (keepColor && operands[operands.length - 1]?.name !== undefined) {
+          keepColor(operation);
+        }
+        break;
+      }
+
+      case 'BI': {
+        const text = convertInlineImageToGray(operation.image, getComponents);
+        if (text !== null) replace(operation, text);
+        else if (keepColor) keepColor(operation);
+        break;
+      }
+
+      case 'sh':
+        if (keepColor && operands[0]?.name !== undefined) keepColor(operation);
+        break;
+
+      case 'Do':
+        if (drawForm && operands[0]?.name !== undefined) drawForm(operands[0].name, state);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return { content: output + content.slice(last), converted, inheritsColors };
+}
+
+function isColor(operands, components) {
+  return operands.length === components && operands.every(value => typeof value === 'number');
+}
+
+function formatGray(value) {
+  return String(Number(Math.min(1, Math.max(0, value)).toFixed(4)));
+}
+
+/**
+ * Number of components of a color space selected by name, when its colors
+ * are to be converted to gray
+ */
+function getColorSpaceComponents(name, resources, context) {
+  let colorSpace = null;
+
+  if (['DeviceRGB', 'DeviceCMYK'].includes(name)) {
+    colorSpace = resolveColorSpace(PDFName.of(name), context);
+  } else {
+    const entry = resources?.lookup(PDFName.of('ColorSpace'))?.get(PDFName.of(name));
+    if (entry) colorSpace = resolveColorSpace(entry, context);
+  }
+
+  if (!colorSpace || !CONVERTIBLE_FAMILIES.includes(colorSpace.family)) return null;
+  return [3, 4].includes(colorSpace.components) ? colorSpace.components : null;
+}
+
+/**
+ * What an operation convertContentColors left as it is paints in color
+ * (reported as e.g. "Separation colors"), or null when it paints in gray
+ */
+function describeKeptColor({ operator, operands, image }, resources, context) {
+  switch (operator) {
+    case 'cs':
+    case 'CS': {
+      // Patterns are counted where they are set: tiling ones are converted
+      const family = getNamedColorFamily(operands[0].name, resources, context);
+      return family && family !== 'Pattern' ? `${family} colors` : null;
+    }
+
+    case 'sh':
+      return isColorShading(context.lookup(getResource(resources, 'Shading', operands[0].name)), context) ? 'shadings' : null;
+
+    case 'BI': {
+      const colorSpace = image.dict.CS ?? image.dict.ColorSpace;
+      if ((image.dict.IM ?? image.dict.ImageMask) === true || colorSpace === undefined) return null;
+
+      // An Indexed space is written out in full: [/I base hival lookup]
+      const name = Array.isArray(colorSpace) ? colorSpace[1]?.name : colorSpace.name;
+      return name !== undefined && getNamedColorFamily(name, resources, context) ? 'inline images' : null;
+    }
+
+    default: {
+      // `scn`/`SCN` selecting a pattern: only shading patterns stay in color
+      const pattern = context.lookup(getResource(resources, 'Pattern', operands[operands.length - 1].name));
+      const dict = pattern instanceof PDFRawStream ? pattern.dict : pattern;
+      if (!(dict instanceof PDFDict) || dict.lookup(PDFName.of('PatternType'))?.asNumber?.() !== 2) return null;
+      return isColorShading(dict.lookup(PDFName.of('Shading')), context) ? 'shadings' : null;
+    }
+  }
+}
+
+function getResource(resources, category, name) {
+  return resources?.lookup(PDFName.of(category))?.get(PDFName.of(name));
+}
+
+/**
+ * Family of a color space selected by name when its colors are not all gray
+ */
+function getNamedColorFamily(name, resources, context) {
+  return getColorFamily(getResource(resources, 'ColorSpace', name) || PDFName.of(name), context);
+}
+
+function isColorShading(shading, context) {
+  const dict = shading instanceof PDFRawStream ? shading.dict : shading;
+  const colorSpace = dict instanceof PDFDict ? dict.get(PDFName.of('ColorSpace')) : undefined;
+  return Boolean(colorSpace && getColorFamily(colorSpace, context));
+}
+
+module.exports = {
+  convertToGrayscale,
+  convertContentColors
+};
@@ -1,13 +1,88 @@
 const sharp = require('sharp');
-const { PDFDocument, PDFImage, PDFName, PDFRawStream } = require('pdf-lib');
+const { PDFArray, PDFName, PDFRawStream, PDFHexString, JpegEmbedder } = require('pdf-lib');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const pako = require('pako');
-const { calculateQualityMetrics } = require('../utils/qualityMetrics');
+const {
+  calculateQualityMetrics,
+  computeSSIM,
+  determineQualityRating,
+  getQualityInterpretation
+} = require('../utils/qualityMetrics');
+const { collectImagePlacements, mergePlacements, getEffectivePPI } = require('./imagePlacement');
+const { getFilterChain, isDecodableFilter } = require('../utils/streamFilters');
+const { resolveColorSpace, getColorFamily } = require('../utils/colorSpaces');
+const { readJpegInfo, decoderAppliesColorTransform } = require('../utils/jpegInfo');
+const { encodeCmykTiff } = require('../utils/tiffWriter');
+const { measureBilevelRatio } = require('../utils/bilevel');
+const { measureNeutralRatio } = require('../utils/grayscale');
+const { meetsSavingsMargin } = require('../utils/helpers');
+const { runTaskPool } = require('../utils/taskPool');
+const { createCodecPool, runCodec } = require('../utils/codecPool');
+const { serializeOperand } = require('../utils/contentStream');
+const { rewriteXObjectReferences } = require('../utils/objectGraph');
+const {
+  THUMBNAIL_WIDTH,
+  THUMBNAIL_HEIGHT,
+  fingerprintImage,
+  groupNearDuplicates,
+  isPixelMatch
+} = require('../utils/perceptualHash');
+
+// Resolution assumed for images whose placement on the page is unknown
+const ASSUMED_IMAGE_PPI = 300;
+
+// Longest side of the copy used to decide whether an image is bilevel
+const BILEVEL_SAMPLE_SIZE = 512;
+
+// Longest side of the copy used to decide whether a color image is gray
+const GRAY_SAMPLE_SIZE = 256;
+// Share of neutral pixels (within the level's tolerance) for a gray image;
+// the rest leaves room for compression noise at edges
+const GRAY_MIN_NEUTRAL_RATIO = 0.995;
+
+// Longest side of the copy used to classify an image's content
+const CLASSIFIER_SAMPLE_SIZE = 256;
+
+// MRC: images displayed at least this large (half a Letter page, in square
+// points) and this dense are treated as scanned pages
+const MRC_MIN_AREA = 612 * 792 / 2;
+const MRC_MIN_PPI = 150;
+// Share of a page's pixels in the text mask for MRC to be worth it: below,
+// there is no text to keep sharp; above, the page is mostly dark
+const MRC_MIN_MASK_RATIO = 0.002;
+const MRC_MAX_MASK_RATIO = 0.3;
+
+// Images whose visible part (inside clipping paths, form bounding boxes and
+// the page crop box) covers at most this share of them are cropped to it...
+const CROP_MAX_VISIBLE_RATIO = 0.8;
+// ...keeping this many output pixels around it, so resampling sees the same
+// neighbours along the edges
+const CROP_MARGIN_PIXELS = 4;
+
+// Memory an image needs while it is encoded, per pixel: the decoded samples
+// (up to 4 channels) plus the copies Sharp resizes and encodes from
+const ESTIMATED_BYTES_PER_PIXEL = 12;
+
+// PDF filter written for each compressImageBuffer/compressBilevelImage format
+const ENCODER_FILTERS = {
+  jpeg: 'DCTDecode',
+  flate: 'FlateDecode',
+  ccitt: 'CCITTFaxDecode',
+  mrc: 'DCTDecode', // The background; the text mask is CCITT, its colors Flate
+  'jpeg-optimized': 'DCTDecode'
+};
 
 /**
  * Extract and compress images from a PDF document
+ *
+ * Runs in three phases: every image's dictionary is read and checked in
+ * document order, the images are then decoded and encoded on a bounded pool
+ * (Sharp pipelines run on libuv's thread pool and the JavaScript codecs on
+ * worker threads, so several images use several cores), and the results are
+ * written back in document order. Only the last
+ * phase touches the document, so the output does not depend on which image
+ * finishes first.
  * @param {PDFDocument} pdfDoc - The PDF document
  * @param {Object} settings - Compression settings
  * @returns {Object} - Compression statistics
@@ -17,183 +92,608 @@ async function compressImages(pdfDoc, settings) {
     imagesProcessed: 0,
     originalImagesSize: 0,
     compressedImagesSize: 0,
+    softMasksProcessed: 0,
+    bilevelImages: 0,
+    grayscaleImages: 0,
+    mrcImages: 0, // Scanned pages split into text and background layers
+    imagesCropped: 0, // Cut down to the part their clip shows
+    jpegsOptimized: 0, // JPEGs re-encoded losslessly (same coefficients)
+    imagesKeptOriginal: 0, // Re-encoded but not smaller by the savings margin
+    nearDuplicates: [], // { kept, merged, distance } per group of near-duplicate images merged
+    unsupportedFilters: {},
+    keptInColor: {}, // Why color images stayed in color in grayscale mode -> count
+    images: [],
     qualityMetrics: []
   };
 
+  // One image at a time needs no worker threads
+  const concurrency = settings.imageConcurrency || os.cpus().length;
+  const codecs = concurrency > 1 ? createCodecPool(concurrency) : null;
+
   try {
-    // Get all pages
-    const pages = pdfDoc.getPages();
+    const context = pdfDoc.context;
 
-    // Process each page
-    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
-      const page = pages[pageIndex];
+    // Every image reachable from the document's content streams (pages,
+    // forms, annotations, patterns), with the size it is displayed at
+    const placements = collectImagePlacements(pdfDoc);
 
-      // Get page resources
-      const pageDict = page.node;
-      const resources = pageDict.lookup(PDFName.of('Resources'));
+    // Near-duplicates (the same logo at several resolutions or encodings)
+    // become one image before anything is compressed
+    if (settings.nearDuplicateThreshold != null) {
+      await mergeNearDuplicateImages(pdfDoc, placements, settings, stats, codecs);
+    }
 
-      if (!resources) continue;
+    // Phase 1: decide what to do with each image. Images shared by several
+    // pages or forms are compressed once, keyed by ref
+    const jobs = [];
+    for (const [ref, placement] of placements) {
+      try {
+        const xObject = context.lookup(ref);
 
-      // Get XObject resources (which contain images)
-      const xObjects = resources.lookup(PDFName.of('XObject'));
+        stats.imagesProcessed++;
 
-      if (!xObjects) continue;
+        const job = planImage(xObject, ref, placement, settings, stats);
+        if (job) jobs.push(job);
+      } catch (error) {
+        console.warn(`Warning: Failed to process image ${ref.toString()}: ${error.message}`);
+        // Continue with next image
+      }
+    }
 
-      // Get all XObject entries
-      const xObjectEntries = Array.from(xObjects.dict.entries());
-      const imagesToReplace = [];
+    // Phases 2 and 3: encode side by side, write back one at a time
+    await runTaskPool(jobs, job => encodeImage(job, settings, codecs), {
+      concurrency,
+      memoryLimit: settings.imageMemoryLimit || Infinity,
+      estimateMemory: job => job.width * job.height * ESTIMATED_BYTES_PER_PIXEL,
+      onResult: (job, result) => applyImage(pdfDoc, job, result, settings, stats)
+    });
 
-      // First pass: extract and compress all images
-      for (const [name, ref] of xObjectEntries) {
-        try {
-          const xObject = xObjects.lookup(name);
+    return stats;
+  } catch (error) {
+    throw new Error(`Image compression failed: ${error.message}`);
+  } finally {
+    if (codecs) await codecs.close();
+  }
+}
 
-          // xObject is already the looked-up object, check if it has a dict property (stream) or is a dict
-          const objectDict = xObject?.dict || xObject;
-          if (!objectDict) continue;
+/**
+ * Merge near-duplicate images: every XObject resource naming a duplicate is
+ * pointed at the copy with the most pixels (the lossless or least compressed
+ * one on a tie), which takes over the duplicates' placements, so it is
+ * compressed for the largest size any of them is shown at. Copies whose
+ * fingerprints match are only merged once their pixels, compared at the
+ * smaller one's size, match as well. `placements` is updated.
+ */
+async function mergeNearDuplicateImages(pdfDoc, placements, settings, stats, codecs = null) {
+  const context = pdfDoc.context;
+  const candidates = [];
 
-          // Check if it's an image
-          const subtype = objectDict.get ? objectDict.get(PDFName.of('Subtype')) : objectDict.lookup(PDFName.of('Subtype'));
-          if (subtype?.toString() !== '/Image') continue;
+  for (const [ref, placement] of placements) {
+    const xObject = context.lookup(ref);
 
-          stats.imagesProcessed++;
+    // Masks would have to match as well
+    if (['SMask', 'Mask', 'SMaskInData'].some(key => xObject.dict.has(PDFName.of(key)))) continue;
 
-          // Extract and compress the image
-          const result = await compressXObjectImage(pdfDoc, xObject, ref, page, name, settings, stats);
+    try {
+      const imageData = await extractImageData(xObject, codecs);
+      if (!imageData) continue;
 
-          if (result) {
-            imagesToReplace.push(result);
-          }
-        } catch (error) {
-          console.warn(`Warning: Failed to process image on page ${pageIndex + 1}: ${error.message}`);
-          // Continue with next image
-        }
-      }
+      const thumbnail = await loadSharpImage(imageData)
+        .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'fill' })
+        .toColourspace(getSharpColorSpace(imageData.channels))
+        .raw()
+        .toBuffer();
 
-      // Second pass: replace images in the XObject dictionary
-      // Note: pdf-lib makes direct replacement difficult, so we update the reference
-      for (const replacement of imagesToReplace) {
-        try {
-          const { embeddedImage, xObjectName } = replacement;
+      candidates.push({
+        ref,
+        placement,
+        fingerprint: fingerprintImage(thumbnail, imageData.channels, imageData.width, imageData.height),
+        width: imageData.width,
+        height: imageData.height,
+        channels: imageData.channels,
+        pixels: imageData.width * imageData.height,
+        lossless: !imageData.isJpeg,
+        size: xObject.contents.length
+      });
+    } catch (error) {
+      console.warn(`Warning: Could not fingerprint image ${ref.toString()}: ${error.message}`);
+    }
+  }
 
-          // Get the embedded image reference
-          const imageRef = embeddedImage.ref;
+  const groups = groupNearDuplicates(candidates.map(({ fingerprint }) => fingerprint), settings.nearDuplicateThreshold);
+  const replacements = new Map();
 
-          // Update the XObject dictionary to point to the new image
-          xObjects.dict.set(xObjectName, imageRef);
-        } catch (error) {
-          console.warn(`Warning: Failed to replace image ${replacement.xObjectName}: ${error.message}`);
-        }
-      }
+  for (const { members, distance } of groups) {
+    const images = members.map(index => candidates[index]);
+    const kept = images.reduce((best, image) => (compareImageQuality(image, best) > 0 ? image : best));
+
+    const merged = [];
+    for (const image of images) {
+      if (image !== kept && await isSameImage(context, kept, image, codecs)) merged.push(image);
     }
+    if (merged.length === 0) continue;
 
-    return stats;
-  } catch (error) {
-    throw new Error(`Image compression failed: ${error.message}`);
+    for (const image of merged) {
+      replacements.set(image.ref, kept.ref);
+      mergePlacements(kept.placement, image.placement);
+      placements.delete(image.ref);
+    }
+
+    stats.nearDuplicates.push({
+      kept: kept.ref.toString(),
+      merged: merged.map(image => image.ref.toString()),
+      distance
+    });
   }
+
+  if (replacements.size === 0) return;
+
+  // Copies used otherwise as well (as a mask, say) stay for those uses; the
+  // others are dropped with the unreferenced objects
+  rewriteXObjectReferences(context, ref => replacements.get(ref) || ref);
 }
 
 /**
- * Compress an individual XObject image
+ * Compare two candidate near-duplicates pixel by pixel, both decoded at full
+ * resolution and brought to the smaller one's size
  */
-async function compressXObjectImage(pdfDoc, xObject, xObjectRef, page, xObjectName, settings, stats) {
+async function isSameImage(context, a, b, codecs) {
+  const width = Math.min(a.width, b.width);
+  const height = Math.min(a.height, b.height);
+
   try {
-    // xObject is already looked up - access its dict or use it directly
-    const objectDict = xObject?.dict || xObject;
-    if (!objectDict) return null;
+    const samples = [];
+    for (const candidate of [a, b]) {
+      const imageData = await extractImageData(context.lookup(candidate.ref), codecs);
+      if (!imageData) return false;
 
-    // Get image properties - use get() for dict access
-    const widthObj = objectDict.get ? objectDict.get(PDFName.of('Width')) : objectDict.lookup(PDFName.of('Width'));
-    const heightObj = objectDict.get ? objectDict.get(PDFName.of('Height')) : objectDict.lookup(PDFName.of('Height'));
+      samples.push(await loadSharpImage(imageData)
+        .resize(width, height, { fit: 'fill' })
+        .toColourspace(getSharpColorSpace(imageData.channels))
+        .raw()
+        .toBuffer({ resolveWithObject: true }));
+    }
 
-    const width = widthObj?.asNumber ? widthObj.asNumber() : (typeof widthObj === 'number' ? widthObj : null);
-    const height = heightObj?.asNumber ? heightObj.asNumber() : (typeof heightObj === 'number' ? heightObj : null);
+    const [first, second] = samples;
+    if (first.info.channels !== second.info.channels) return false;
+    return isPixelMatch(first.data, second.data, width, height, first.info.channels);
+  } catch (error) {
+    console.warn(`Warning: Could not compare images ${a.ref.toString()} and ${b.ref.toString()}: ${error.message}`);
+    return false;
+  }
+}
 
-    if (!width || !height) return null;
+/**
+ * Order near-duplicates by how much they preserve: resolution first, then
+ * lossless over JPEG, then size
+ */
+function compareImageQuality(a, b) {
+  if (a.pixels !== b.pixels) return a.pixels - b.pixels;
+  if (a.lossless !== b.lossless) return a.lossless ? 1 : -1;
+  return a.size - b.size;
+}
 
-    // Calculate target dimensions based on DPI setting
-    const targetDPI = settings.imageDPI;
-    const scaleFactor = Math.min(1, targetDPI / 300);
-    const targetWidth = Math.round(width * scaleFactor);
-    const targetHeight = Math.round(height * scaleFactor);
+/**
+ * Read an image's dictionary and work out its target size
+ * @returns {Object|null} - The job for the encoder, or null when the image
+ *          is kept as is (already accounted for in `stats`)
+ */
+function planImage(xObject, xObjectRef, placement, settings, stats) {
+  // xObject is already looked up - access its dict or use it directly
+  const objectDict = xObject?.dict || xObject;
+  if (!objectDict) return null;
 
-    // Get original size for statistics
-    const lengthObj = objectDict.get ? objectDict.get(PDFName.of('Length')) : objectDict.lookup(PDFName.of('Length'));
-    const originalSize = lengthObj?.asNumber ? lengthObj.asNumber() : 0;
-    stats.originalImagesSize += originalSize;
+  // Get image properties - use get() for dict access
+  const widthObj = objectDict.get ? objectDict.get(PDFName.of('Width')) : objectDict.lookup(PDFName.of('Width'));
+  const heightObj = objectDict.get ? objectDict.get(PDFName.of('Height')) : objectDict.lookup(PDFName.of('Height'));
 
-    // Skip if image is already small or no compression needed
-    if (width <= targetWidth && height <= targetHeight && originalSize < 10000) {
-      stats.compressedImagesSize += originalSize;
-      return null;
-    }
+  const width = widthObj?.asNumber ? widthObj.asNumber() : (typeof widthObj === 'number' ? widthObj : null);
+  const height = heightObj?.asNumber ? heightObj.asNumber() : (typeof heightObj === 'number' ? heightObj : null);
+
+  if (!width || !height) return null;
+
+  // Calculate target dimensions from the resolution the image is actually
+  // displayed at; only images above the level's DPI are downsampled
+  const targetDPI = settings.imageDPI;
+  const effectivePPI = getEffectivePPI(placement, width, height);
+  const ppi = effectivePPI || ASSUMED_IMAGE_PPI;
+  const scaleFactor = ppi > targetDPI ? targetDPI / ppi : 1;
+
+  // Images mostly hidden by a clip or the crop box keep only the part shown;
+  // an explicit mask covers the whole image, and a drawing that could not be
+  // followed may show any part, so those stay whole
+  const crop = settings.imageCropping && !placement.unknown && !objectDict.has(PDFName.of('Mask'))
+    ? getCropRect(placement.visible, width, height, scaleFactor)
+    : null;
+  const targetWidth = Math.max(1, Math.round((crop ? crop.width : width) * scaleFactor));
+  const targetHeight = Math.max(1, Math.round((crop ? crop.height : height) * scaleFactor));
+
+  // Per-image record, updated when the image gets replaced
+  const imageInfo = {
+    ref: xObjectRef.toString(),
+    name: placement.name.toString(),
+    width,
+    height,
+    ppi: effectivePPI ? Math.round(effectivePPI) : null,
+    newWidth: width,
+    newHeight: height,
+    newPpi: effectivePPI ? Math.round(effectivePPI) : null,
+    imageClass: null,
+    grayscale: false, // Color image stored as gray
+    encoder: null // PDF filter of the replacement, null while unchanged
+  };
+  stats.images.push(imageInfo);
+
+  // Get original size for statistics (/Length may be an indirect object)
+  const lengthObj = objectDict.lookup(PDFName.of('Length'));
+  const originalSize = xObject.contents ? xObject.contents.length : (lengthObj?.asNumber ? lengthObj.asNumber() : 0);
+  stats.originalImagesSize += originalSize;
+
+  // Images in a codec we cannot read (JBIG2, JPX, CCITT) are kept as is
+  const unsupported = getFilterChain(objectDict)
+    .find(({ name }) => !isDecodableFilter(name) && name !== 'DCTDecode');
+  if (unsupported) {
+    stats.unsupportedFilters[unsupported.name] = (stats.unsupportedFilters[unsupported.name] || 0) + 1;
+    if (settings.grayscale && getImageColorFamily(objectDict)) countKeptInColor(stats, `${unsupported.name} images`);
+    stats.compressedImagesSize += originalSize;
+    return null;
+  }
+
+  // Skip if image is already small or no compression needed (the grayscale
+  // mode still has to convert it)
+  if (!settings.grayscale && width <= targetWidth && height <= targetHeight && originalSize < 10000) {
+    stats.compressedImagesSize += originalSize;
+    return null;
+  }
+
+  // Color-key masks match exact sample values, which lossy re-encoding
+  // would shift, and in-band JPX alpha cannot be carried over: keep as is
+  const mask = objectDict.lookup(PDFName.of('Mask'));
+  const smaskInData = objectDict.lookup(PDFName.of('SMaskInData'));
+  if (mask instanceof PDFArray || (smaskInData?.asNumber && smaskInData.asNumber() !== 0)) {
+    if (settings.grayscale && getImageColorFamily(objectDict)) countKeptInColor(stats, 'images with a color-key mask');
+    stats.compressedImagesSize += originalSize;
+    return null;
+  }
+
+  // Objects are resolved here, before any image is written back, so the
+  // encoders only ever see the original document
+  const smask = objectDict.lookup(PDFName.of('SMask'));
+
+  return {
+    xObject,
+    xObjectRef,
+    objectDict,
+    smask: smask instanceof PDFRawStream ? smask : null,
+    name: placement.name,
+    placement,
+    width,
+    height,
+    ppi,
+    effectivePPI,
+    targetWidth,
+    targetHeight,
+    crop,
+    originalSize,
+    imageInfo
+  };
+}
+
+/**
+ * Pixel rectangle to crop an image to: the visible part of its unit square
+ * plus a margin, or null when not enough of it is hidden
+ * @returns {Object|null} - { left, top, width, height, sourceWidth,
+ *          sourceHeight } with the top row first, as the samples are stored
+ */
+function getCropRect(visible, width, height, scaleFactor) {
+  if (!visible) return null;
+
+  const margin = Math.ceil(CROP_MARGIN_PIXELS / scaleFactor);
+
+  // The unit square runs bottom to top, image rows top to bottom
+  const left = Math.max(0, Math.floor(visible[0] * width) - margin);
+  const right = Math.min(width, Math.ceil(visible[2] * width) + margin);
+  const top = Math.max(0, Math.floor((1 - visible[3]) * height) - margin);
+  const bottom = Math.min(height, Math.ceil((1 - visible[1]) * height) + margin);
+
+  if ((right - left) * (bottom - top) > width * height * CROP_MAX_VISIBLE_RATIO) return null;
+
+  return { left, top, width: right - left, height: bottom - top, sourceWidth: width, sourceHeight: height };
+}
+
+/**
+ * Decode and re-encode one image without touching the document
+ * @returns {Object|null} - { imageData, compressedData, imageClass, toGray,
+ *          metrics, softMask }, { keptOriginal: true } when the new encoding
+ *          does not save enough, or null when the image cannot be compressed
+ */
+async function encodeImage(job, settings, codecs = null) {
+  const { ppi, targetWidth, targetHeight, originalSize } = job;
 
+  try {
     // Step 1: Extract image data
-    const imageData = await extractImageData(xObject);
+    let imageData = await extractImageData(job.xObject, codecs);
 
     if (!imageData) {
       console.warn(`Could not extract image data, skipping compression`);
-      stats.compressedImagesSize += originalSize;
       return null;
     }
 
-    // Step 2: Compress with Sharp
-    const compressedData = await compressImageBuffer(imageData, settings);
+    // Step 1.25: Cut out the part of the image that can be seen
+    if (job.crop) {
+      imageData = await cropImageData(imageData, job.crop);
+    }
+    const { width, height } = imageData;
+
+    // Step 1.5: Color images that look gray (scanned memos, black-and-white
+    // photos) are stored as gray; the grayscale mode converts every image
+    const toGray = imageData.channels >= 3 && (settings.grayscale ||
+      (settings.grayscaleDetection && await isNearGrayImage(imageData, settings.grayscaleTolerance)));
+    const imageSettings = toGray ? { ...settings, grayscale: true } : settings;
+
+    // Step 1.75: JPEGs that need no downsampling or color conversion keep
+    // their coefficients: only the entropy coding is redone
+    let compressedData = null;
+    let imageClass = null;
+    if (settings.losslessJpeg && imageData.isJpeg && !toGray &&
+        width <= targetWidth && height <= targetHeight &&
+        (imageData.channels !== 4 || settings.cmykOutput === 'cmyk')) {
+      const optimized = await runCodec(codecs, 'optimizeJpeg', imageData.buffer, { progressive: settings.losslessJpeg === 'progressive' });
+      if (optimized) {
+        compressedData = { buffer: Buffer.from(optimized), format: 'jpeg-optimized', width, height };
+      }
+    }
+
+    // Step 2: Compress effectively black-and-white images (scans) as CCITT
+    // Group 4, at a resolution that keeps text legible, everything else with Sharp
+    if (!compressedData && settings.bilevelCompression) {
+      const bilevelScale = ppi > settings.bilevelDPI ? settings.bilevelDPI / ppi : 1;
+      compressedData = await compressBilevelImage(imageData, imageSettings, {
+        width: Math.max(1, Math.round(width * bilevelScale)),
+        height: Math.max(1, Math.round(height * bilevelScale))
+      }, codecs);
+      if (compressedData) imageClass = 'bilevel';
+    }
+
+    // Step 2.1: Scanned pages mixing text and pictures are split into a
+    // sharp text layer and a low-resolution background (MRC)
+    if (!compressedData && settings.mrc && isMrcCandidate(job, imageData)) {
+      compressedData = await compressMrcImage(imageData, imageSettings, ppi, codecs);
+      if (compressedData) imageClass = 'mrc';
+    }
+
+    if (!compressedData) {
+      // Photos go through the lossy encoder; charts, diagrams and screenshots
+      // are kept lossless (Flate), where JPEG would ring around sharp edges
+      imageClass = settings.imageClassification
+        ? (await classifyImageData(imageData, codecs)).imageClass
+        : 'photo';
+
+      const encoderSettings = imageClass === 'photo'
+        ? imageSettings
+        : { ...imageSettings, imageFormat: 'flate' };
 
-    if (!compressedData || !compressedData.buffer) {
+      const targetSize = { width: targetWidth, height: targetHeight };
+      const lossyJpeg = imageClass === 'photo' && (encoderSettings.imageFormat || 'jpeg') === 'jpeg';
+
+      // Perceptual target: the lowest quality that keeps the SSIM floor,
+      // instead of the level's fixed quality
+      if (lossyJpeg && settings.perceptualTarget) {
+        compressedData = await searchJpegQuality(imageData, encoderSettings, targetSize);
+      }
+
+      if (!compressedData) {
+        compressedData = await compressImageBuffer(imageData, encoderSettings, targetSize, codecs);
+      }
+    }
+
+    if (!compressedData || (!compressedData.buffer && !compressedData.mrc)) {
       console.warn(`Compression failed, skipping`);
-      stats.compressedImagesSize += originalSize;
       return null;
     }
 
-    // Step 2.5: Calculate quality metrics (if enabled)
-    if (settings.calculateQualityMetrics) {
+    // Step 2.25: Never grow an image: keep the original unless the new
+    // encoding saves at least the level's margin, or is the gray version the
+    // grayscale mode asked for
+    if (!(settings.grayscale && toGray) && !meetsSavingsMargin(originalSize, getEncodedSize(compressedData), settings.savingsMargin)) {
+      return { keptOriginal: true, imageClass };
+    }
+
+    // Step 2.5: Calculate quality metrics (if enabled; Sharp cannot read
+    // CCITT or bare Flate data, and the latter is lossless anyway). The
+    // quality search has measured its result already
+    let metrics = null;
+    if (settings.calculateQualityMetrics && !compressedData.search &&
+        !['ccitt', 'flate', 'mrc', 'jpeg-optimized'].includes(compressedData.format)) {
       try {
-        const metrics = await calculateQualityMetrics(
+        metrics = await calculateQualityMetrics(
           compressedData.originalBuffer,
           compressedData.buffer
         );
-        stats.qualityMetrics.push({
-          imageName: xObjectName.toString(),
-          ...metrics
-        });
       } catch (error) {
         console.warn(`Quality metrics calculation skipped: ${error.message}`);
       }
     }
 
-    // Step 3: Embed compressed image
-    const embeddedImage = await embedCompressedImage(pdfDoc, compressedData);
+    // Step 2.75: Bring the soft mask to the new size (before touching the
+    // image, so a failure here leaves the original in place). An optimized
+    // JPEG keeps its size, and its soft mask
+    const softMask = job.smask && compressedData.format !== 'jpeg-optimized'
+      ? await resampleSoftMask(job.smask, compressedData.width, compressedData.height, job.crop, codecs)
+      : null;
+
+    return { imageData, compressedData, imageClass, toGray, metrics, softMask };
+  } catch (error) {
+    console.warn(`Failed to compress image: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write an encoded image back under its original object number, so every
+ * page, form and annotation that uses it sees the new version (MRC and crop
+ * forms are new objects, which the XObject resources are pointed at)
+ */
+async function applyImage(pdfDoc, job, result, settings, stats) {
+  const { objectDict, imageInfo, originalSize, width } = job;
+
+  if (result?.imageClass) imageInfo.imageClass = result.imageClass;
+  if (result?.imageClass === 'bilevel') stats.bilevelImages++;
+
+  if (!result || result.keptOriginal) {
+    if (result?.keptOriginal) stats.imagesKeptOriginal++;
+    if (!result && settings.grayscale) countUnconvertedImage(objectDict, stats);
+    stats.compressedImagesSize += originalSize;
+    return;
+  }
+
+  const { imageData, compressedData, toGray, metrics } = result;
+
+  try {
+    if (metrics) {
+      stats.qualityMetrics.push({
+        imageName: job.name.toString(),
+        ...metrics
+      });
+    }
+
+    const softMask = result.softMask ? registerSoftMask(pdfDoc, result.softMask) : null;
 
-    if (!embeddedImage) {
+    // Step 3: Replace the original image object with the compressed one (a
+    // form stacking the layers, for MRC)
+    let imageRef;
+    if (compressedData.format === 'mrc') {
+      imageRef = await embedMrcImage(pdfDoc, compressedData, job.xObjectRef, imageData);
+    } else if (compressedData.format === 'jpeg-optimized') {
+      imageRef = embedOptimizedJpeg(pdfDoc, compressedData, job.xObjectRef, objectDict);
+    } else {
+      imageRef = await embedCompressedImage(pdfDoc, compressedData, job.xObjectRef);
+    }
+
+    if (!imageRef) {
       console.warn(`Could not embed compressed image, skipping`);
       stats.compressedImagesSize += originalSize;
-      return null;
+      return;
+    }
+
+    const newDict = pdfDoc.context.lookup(imageRef).dict;
+    if (compressedData.format === 'mrc') {
+      preserveImageAttributes(objectDict, newDict, FORM_PRESERVED_KEYS);
+      stats.mrcImages++;
+    } else if (compressedData.format === 'jpeg-optimized') {
+      stats.jpegsOptimized++;
+    } else {
+      preserveImageAttributes(objectDict, newDict);
+      carryOverColorSpace(pdfDoc, newDict, imageData);
+
+      // A CMYK JPEG with an Adobe marker stores inverted samples (the way
+      // libvips and Photoshop write them), which readers undo through /Decode
+      const outputInfo = readJpegInfo(compressedData.buffer);
+      if (outputInfo && outputInfo.components === 4) {
+        if (outputInfo.adobe) {
+          newDict.set(PDFName.of('Decode'), pdfDoc.context.obj([1, 0, 1, 0, 1, 0, 1, 0]));
+        } else {
+          newDict.delete(PDFName.of('Decode'));
+        }
+      }
+    }
+
+    if (softMask) {
+      newDict.set(PDFName.of('SMask'), softMask.ref);
+      stats.softMasksProcessed++;
     }
 
     // Track compressed size
-    stats.compressedImagesSize += compressedData.buffer.length;
+    stats.compressedImagesSize += getEncodedSize(compressedData) + (softMask ? softMask.size : 0);
 
-    // Return the embedded image and reference info for replacement
-    return {
-      embeddedImage,
-      xObjectName,
-      originalWidth: width,
-      originalHeight: height,
-      newWidth: compressedData.width,
-      newHeight: compressedData.height
-    };
+    if (compressedData.search) {
+      const { ssim } = compressedData.search;
+      stats.qualityMetrics.push({
+        imageName: job.name.toString(),
+        psnr: null,
+        quality: determineQualityRating(null, ssim),
+        interpretation: getQualityInterpretation(null, ssim),
+        ...compressedData.search
+      });
+    }
+
+    if (toGray) {
+      stats.grayscaleImages++;
+      imageInfo.grayscale = true;
+    }
+
+    if (job.crop) {
+      wrapCroppedImage(pdfDoc, imageRef, job.crop);
+      stats.imagesCropped++;
+    }
 
+    imageInfo.encoder = ENCODER_FILTERS[compressedData.format] || null;
+    imageInfo.newWidth = compressedData.width;
+    imageInfo.newHeight = compressedData.height;
+    if (job.effectivePPI) {
+      const sourceWidth = job.crop ? job.crop.width : width;
+      imageInfo.newPpi = Math.round(job.effectivePPI * compressedData.width / sourceWidth);
+    }
   } catch (error) {
     console.warn(`Failed to compress image: ${error.message}`);
-    return null;
+    if (settings.grayscale) countUnconvertedImage(objectDict, stats);
+  }
+}
+
+/**
+ * Color space family of an image in color, or null for gray and stencil
+ * mask images ('unknown' when the data carries its own, as JPX data can)
+ */
+function getImageColorFamily(objectDict) {
+  if (objectDict.lookup(PDFName.of('ImageMask'))?.asBoolean?.()) return null;
+  const colorSpace = objectDict.get(PDFName.of('ColorSpace'));
+  return colorSpace ? getColorFamily(colorSpace, objectDict.context) : 'unknown';
+}
+
+/**
+ * Count a color image the grayscale mode could not convert, by what kept it
+ * in color: a color space the decoder does not read, or a failed re-encoding
+ */
+function countUnconvertedImage(objectDict, stats) {
+  const family = getImageColorFamily(objectDict);
+  if (!family) return;
+  countKeptInColor(stats, ['Separation', 'DeviceN'].includes(family) ? `${family} images` : 'images that could not be re-encoded');
+}
+
+function countKeptInColor(stats, reason) {
+  stats.keptInColor[reason] = (stats.keptInColor[reason] || 0) + 1;
+}
+
+/**
+ * Bytes written for a compressed image (all layers, for MRC)
+ */
+function getEncodedSize(compressedData) {
+  return compressedData.size ?? compressedData.buffer.length;
+}
+
+/**
+ * Calibrated and ICC-based spaces carry over as long as the encoder kept the
+ * number of components (as a palette's base for /Indexed output); the
+ * encoders only write device spaces
+ */
+function carryOverColorSpace(pdfDoc, newDict, imageData) {
+  if (!imageData.outputColorSpace) return;
+
+  const newColorSpace = resolveColorSpace(newDict.get(PDFName.of('ColorSpace')), pdfDoc.context);
+  if (newColorSpace && newColorSpace.components === imageData.channels) {
+    newDict.set(PDFName.of('ColorSpace'), imageData.outputColorSpace);
+  } else if (newColorSpace?.family === 'Indexed' && newColorSpace.base.components === imageData.channels) {
+    newDict.lookup(PDFName.of('ColorSpace'), PDFArray).set(1, imageData.outputColorSpace);
   }
 }
 
 /**
  * Extract image from PDF and save to temporary file
+ * @param {PDFRawStream} xObject - Image XObject
+ * @param {Object} [codecs] - Codec pool (see utils/codecPool) decoding the
+ *        samples; they are decoded on this thread without one
  */
-async function extractImageData(xObject) {
+async function extractImageData(xObject, codecs = null) {
   try {
     // xObject is already looked up - access its dict or use it directly
     const objectDict = xObject?.dict || xObject;
@@ -204,7 +704,7 @@ async function extractImageData(xObject) {
     const heightObj = objectDict.get ? objectDict.get(PDFName.of('Height')) : objectDict.lookup(PDFName.of('Height'));
     const colorSpace = objectDict.get ? objectDict.get(PDFName.of('ColorSpace')) : objectDict.lookup(PDFName.of('ColorSpace'));
     const bitsObj = objectDict.get ? objectDict.get(PDFName.of('BitsPerComponent')) : objectDict.lookup(PDFName.of('BitsPerComponent'));
-    const filter = objectDict.get ? objectDict.get(PDFName.of('Filter')) : objectDict.lookup(PDFName.of('Filter'));
+    const decode = objectDict.lookup(PDFName.of('Decode'));
 
     const width = widthObj?.asNumber ? widthObj.asNumber() : (typeof widthObj === 'number' ? widthObj : null);
     const height = heightObj?.asNumber ? heightObj.asNumber() : (typeof heightObj === 'number' ? heightObj : null);
@@ -214,133 +714,211 @@ async function extractImageData(xObject) {
       return null;
     }
 
-    // Get raw stream bytes
-    let imageBytes;
-    try {
-      // For stream objects, try to access contents
-      if (xObject.contents && typeof xObject.contents === 'function') {
-        imageBytes = xObject.contents();
-      } else if (xObject.contents) {
-        imageBytes = xObject.contents;
-      } else {
-        // No stream data available
-        return null;
-      }
-    } catch (e) {
-      console.warn('Could not extract image bytes:', e.message);
+    // Stencil masks are painted with the fill color, not recompressible pixels
+    if (objectDict.lookup(PDFName.of('ImageMask'))?.asBoolean?.()) {
       return null;
     }
 
-    if (!imageBytes || imageBytes.length === 0) {
+    const resolvedColorSpace = resolveColorSpace(colorSpace, objectDict.context);
+    if (!resolvedColorSpace) {
       return null;
     }
 
-    // Determine filter type
-    const filterName = filter?.toString();
-    let decodedData = imageBytes;
+    // Only the identity and the inverted /Decode mapping are supported; the
+    // inversion is applied to the samples so the new image needs no /Decode.
+    // Palette indices and Lab values use other ranges, so only the default
+    const decodeMode = ['Indexed', 'Lab'].includes(resolvedColorSpace.family)
+      ? (decode ? null : 'default')
+      : getDecodeMode(decode);
+    if (decodeMode === null) {
+      return null;
+    }
+    const invert = decodeMode === 'inverted';
 
-    // Decode based on filter
-    if (filterName) {
-      if (filterName.includes('FlateDecode') || filterName === '/FlateDecode') {
-        try {
-          decodedData = pako.inflate(imageBytes);
-        } catch (e) {
-          console.warn('FlateDecode failed, using raw data:', e.message);
-        }
-      } else if (filterName.includes('DCTDecode') || filterName === '/DCTDecode') {
-        // JPEG data - can use directly
-        decodedData = imageBytes;
-      }
-      // For other filters, we'll try to use raw data
+    if (!xObject.contents || xObject.contents.length === 0) {
+      return null;
     }
 
-    // Determine color space for Sharp
-    const colorSpaceStr = colorSpace?.toString() || '';
-    let channels = 3; // Default RGB
-    let sharpColorSpace = 'srgb';
+    // Undo the general-purpose filters (and predictors); what may remain is
+    // the JPEG codec, which Sharp reads directly. Raw samples are unpacked
+    // to one byte per component: palettes are expanded and Lab is converted
+    // to sRGB. The color space goes to the codec without its PDF objects
+    const { base } = resolvedColorSpace;
+    let decoded;
+    try {
+      decoded = await runCodec(codecs, 'decodeImage', xObject.contents, getFilterChain(objectDict), {
+        width,
+        height,
+        bitsPerComponent,
+        colorSpace: { ...resolvedColorSpace, pdfObject: null, base: base && { ...base, pdfObject: null } },
+        invert
+      });
+    } catch (e) {
+      console.warn('Could not decode image data:', e.message);
+      return null;
+    }
 
-    if (colorSpaceStr.includes('DeviceGray') || colorSpaceStr === '/DeviceGray') {
-      channels = 1;
-      sharpColorSpace = 'b-w';
-    } else if (colorSpaceStr.includes('DeviceCMYK') || colorSpaceStr === '/DeviceCMYK') {
-      channels = 4;
-      sharpColorSpace = 'cmyk';
-    } else if (colorSpaceStr.includes('DeviceRGB') || colorSpaceStr === '/DeviceRGB') {
-      channels = 3;
-      sharpColorSpace = 'srgb';
+    const remainingFilters = decoded.remaining.map(({ name }) => name);
+    const isJpeg = remainingFilters.length === 1 && remainingFilters[0] === 'DCTDecode';
+    if (remainingFilters.length > 0 && !isJpeg) {
+      return null;
     }
+    const decodedData = decoded.data;
 
     // If this is JPEG data (DCTDecode), return it directly for Sharp
-    if (filterName && (filterName.includes('DCTDecode') || filterName === '/DCTDecode')) {
+    if (isJpeg) {
+      // A JPEG holds the components of the color space itself
+      if (resolvedColorSpace.family === 'Indexed' || resolvedColorSpace.family === 'Lab') {
+        return null;
+      }
+
+      const jpegInfo = readJpegInfo(decodedData);
+      if (!jpegInfo || jpegInfo.components !== resolvedColorSpace.components) {
+        return null;
+      }
+
+      // Without an Adobe marker PDF readers follow /ColorTransform, decoders
+      // guess; skip the images where the two disagree
+      const colorTransform = decoded.remaining[0].parms.ColorTransform;
+      if (!jpegInfo.adobe && colorTransform !== undefined &&
+          (colorTransform !== 0) !== decoderAppliesColorTransform(jpegInfo)) {
+        return null;
+      }
+
+      // Decoders hand out Adobe CMYK JPEGs inverted back to ink amounts,
+      // while PDF readers apply /Decode to the stored samples: a CMYK image
+      // needs negating when exactly one of the two inverts
+      const negate = jpegInfo.components === 4 ? invert !== Boolean(jpegInfo.adobe) : invert;
+
       return {
         buffer: Buffer.from(decodedData),
         width,
         height,
-        channels,
-        colorSpace: sharpColorSpace,
-        isJpeg: true
+        channels: resolvedColorSpace.components,
+        colorSpace: getSharpColorSpace(resolvedColorSpace.components),
+        outputColorSpace: resolvedColorSpace.pdfObject,
+        isJpeg: true,
+        invert: negate
       };
     }
 
-    // For raw pixel data, create a proper buffer for Sharp
-    const expectedSize = width * height * channels;
-    if (decodedData.length >= expectedSize) {
-      return {
-        buffer: Buffer.from(decodedData.slice(0, expectedSize)),
-        width,
-        height,
-        channels,
-        colorSpace: sharpColorSpace,
-        isJpeg: false
-      };
-    }
+    // Raw input is always read as gray or RGB(A); CMYK goes in as a TIFF
+    const { channels, family } = decoded;
+    const isTiff = channels === 4;
 
-    return null;
+    // The pixels are in the image's space, its palette's base, or sRGB
+    let outputColorSpace = null;
+    if (family === resolvedColorSpace.family) outputColorSpace = resolvedColorSpace.pdfObject;
+    else if (family === base?.family) outputColorSpace = base.pdfObject;
+
+    return {
+      buffer: decoded.pixels,
+      width,
+      height,
+      channels,
+      colorSpace: getSharpColorSpace(channels),
+      outputColorSpace,
+      isJpeg: false,
+      isTiff
+    };
   } catch (error) {
     console.warn(`Failed to extract image: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * Map a number of color components to Sharp's color space name
+ */
+function getSharpColorSpace(channels) {
+  if (channels === 1) return 'b-w';
+  if (channels === 4) return 'cmyk';
+  return 'srgb';
+}
+
+/**
+ * Open extracted image data with Sharp, with its /Decode inversion applied
+ *
+ * CMYK stays CMYK through the pipeline (so negation acts on ink amounts) and
+ * is only converted on output. Readers go by the PDF color space, so a
+ * profile embedded in the JPEG is ignored.
+ */
+function loadSharpImage(imageData) {
+  const { buffer, width, height, channels, isJpeg, isTiff, invert } = imageData;
+  const isCmyk = channels === 4;
+  let sharpImage;
+
+  // Create Sharp instance based on image type
+  if (isJpeg || isTiff) {
+    // Already JPEG - can load directly
+    sharpImage = sharp(buffer, isCmyk ? { ignoreIcc: true } : {});
+  } else {
+    // Raw pixel data - need to specify format
+    sharpImage = sharp(buffer, {
+      raw: {
+        width: width,
+        height: height,
+        channels: channels
+      }
+    });
+  }
+
+  if (isCmyk) {
+    sharpImage = sharpImage.pipelineColourspace('cmyk');
+  }
+
+  // Apply an inverted /Decode mapping of JPEG data to the pixels
+  if (isJpeg && invert) {
+    sharpImage = sharpImage.negate({ alpha: false });
+  }
+
+  return sharpImage;
+}
+
 /**
  * Compress image buffer using Sharp
  * Supports JPEG, WebP, and PNG formats
+ * @param {Object} imageData - Image extracted by extractImageData
+ * @param {Object} settings - Compression settings
+ * @param {Object} [targetSize] - Output { width, height }; defaults to
+ *        scaling for the level's DPI assuming a 300 PPI source
+ * @param {Object} [codecs] - Codec pool for the Flate writer
  */
-async function compressImageBuffer(imageData, settings) {
+async function compressImageBuffer(imageData, settings, targetSize, codecs = null) {
   try {
-    const { buffer, width, height, channels, colorSpace, isJpeg } = imageData;
+    const { buffer, width, height, channels } = imageData;
     const targetDPI = settings.imageDPI;
     const quality = settings.imageQuality;
     const format = settings.imageFormat || 'jpeg'; // Default to JPEG
 
     // Calculate target dimensions based on DPI
-    const scaleFactor = Math.min(1, targetDPI / 300);
-    const targetWidth = Math.round(width * scaleFactor);
-    const targetHeight = Math.round(height * scaleFactor);
+    const scaleFactor = Math.min(1, targetDPI / ASSUMED_IMAGE_PPI);
+    const targetWidth = targetSize ? targetSize.width : Math.round(width * scaleFactor);
+    const targetHeight = targetSize ? targetSize.height : Math.round(height * scaleFactor);
 
-    let sharpImage;
+    let sharpImage = loadSharpImage(imageData);
+    const isCmyk = channels === 4;
 
-    // Create Sharp instance based on image type
-    if (isJpeg) {
-      // Already JPEG - can load directly
-      sharpImage = sharp(buffer);
-    } else {
-      // Raw pixel data - need to specify format
-      sharpImage = sharp(buffer, {
-        raw: {
-          width: width,
-          height: height,
-          channels: channels
-        }
-      });
+    // Gray output, or keep CMYK for print, or convert through libvips'
+    // built-in CMYK profile
+    if (settings.grayscale) {
+      sharpImage = sharpImage.toColourspace('b-w');
+    } else if (isCmyk) {
+      sharpImage = sharpImage.toColourspace(settings.cmykOutput === 'cmyk' ? 'cmyk' : 'srgb');
     }
 
     // Resize image
     sharpImage = sharpImage.resize(targetWidth, targetHeight, {
       fit: 'inside',
-      withoutEnlargement: true
+      withoutEnlargement: true,
+      kernel: settings.resizeKernel || 'lanczos3'
     });
 
+    // Downscaling softens edges; an unsharp pass restores some crispness
+    if (settings.postSharpen > 0 && (targetWidth < width || targetHeight < height)) {
+      sharpImage = sharpImage.sharpen({ sigma: settings.postSharpen });
+    }
+
     // Apply format-specific compression
     let compressedBuffer;
     let actualFormat = format;
@@ -358,26 +936,31 @@ async function compressImageBuffer(imageData, settings) {
         break;
 
       case 'png':
-        // Lossless PNG compression
-        compressedBuffer = await sharpImage
-          .png({
-            compressionLevel: 9,
-            adaptiveFiltering: true,
-            palette: quality < 80 // Use palette for lower quality settings
-          })
-          .toBuffer();
-        break;
+      case 'flate': {
+        // Lossless: raw pixels go through our own Flate writer, which picks
+        // the PNG predictor per row and reduces to /Indexed or fewer bits
+        // where no color is lost
+        const { data, info } = await sharpImage
+          .removeAlpha()
+          .raw()
+          .toBuffer({ resolveWithObject: true });
+        const encoded = await runCodec(codecs, 'encodeFlateImage', data, info);
+
+        return {
+          buffer: Buffer.from(encoded.data),
+          width: info.width,
+          height: info.height,
+          format: 'flate',
+          flate: encoded,
+          originalBuffer: buffer
+        };
+      }
 
       case 'jpeg':
       default:
         // JPEG compression (default)
         compressedBuffer = await sharpImage
-          .jpeg({
-            quality: quality,
-            progressive: true,
-            mozjpeg: true,
-            optimizeScans: true
-          })
+          .jpeg(getJpegOptions(settings, quality))
           .toBuffer();
         actualFormat = 'jpeg';
         break;
@@ -396,30 +979,600 @@ async function compressImageBuffer(imageData, settings) {
 }
 
 /**
- * Embed compressed image back into PDF
+ * Sharp JPEG options: mozjpeg with the level's chroma subsampling, trellis
+ * quantization and quantization table (mozjpeg's defaults when unset)
  */
-async function embedCompressedImage(pdfDoc, compressedData) {
+function getJpegOptions(settings, quality) {
+  return {
+    quality,
+    progressive: true,
+    mozjpeg: true,
+    optimizeScans: true,
+    chromaSubsampling: settings.chromaSubsampling || '4:2:0',
+    trellisQuantisation: settings.jpegTrellis !== false,
+    quantisationTable: settings.jpegQuantTable ?? 3
+  };
+}
+
+/**
+ * Binary-search the JPEG quality for the smallest encoding whose SSIM
+ * against the original stays at or above `settings.ssimFloor`, at each
+ * downsample factor in `settings.qualitySearchScales`
+ *
+ * SSIM is measured on luma at the level's target size: candidates encoded
+ * at a smaller scale are upsampled back before comparing. When no quality
+ * reaches the floor, the highest quality at full scale is used.
+ * @param {Object} imageData - Image extracted by extractImageData
+ * @param {Object} settings - Compression settings (imageFormat jpeg)
+ * @param {Object} targetSize - Output { width, height } at full scale
+ * @returns {Object|null} - Compressed image in the shape compressImageBuffer
+ *          returns, with `search` { jpegQuality, scale, ssim, ssimFloor,
+ *          targetMet, attempts }, or null when SSIM could not be measured
+ */
+async function searchJpegQuality(imageData, settings, targetSize) {
   try {
-    const { buffer, width, height } = compressedData;
+    const [minQuality, maxQuality] = settings.qualitySearchRange;
+    const floor = settings.ssimFloor;
 
-    // Try to embed as JPEG first (our compression outputs JPEG)
-    try {
-      const image = await pdfDoc.embedJpg(buffer);
-      return image;
-    } catch (jpgError) {
-      // If JPEG embedding fails, try PNG
-      try {
-        const image = await pdfDoc.embedPng(buffer);
-        return image;
-      } catch (pngError) {
-        throw new Error(`Failed to embed image as JPG or PNG: ${jpgError.message}`);
+    const reference = await toLuma(loadSharpImage(imageData).resize(targetSize.width, targetSize.height, {
+      fit: 'inside',
+      withoutEnlargement: true,
+      kernel: settings.resizeKernel || 'lanczos3'
+    }));
+
+    let attempts = 0;
+    const tryQuality = async (quality, size) => {
+      attempts++;
+      const candidate = await compressImageBuffer(imageData, { ...settings, imageQuality: quality }, size);
+      const luma = await toLuma(sharp(candidate.buffer).resize(reference.width, reference.height, { fit: 'fill' }));
+      return { candidate, quality, ssim: computeSSIM(reference.data, luma.data, reference.width, reference.height) };
+    };
+
+    let best = null;
+    let fallback = null;
+
+    for (const scale of settings.qualitySearchScales || [1]) {
+      const size = {
+        width: Math.max(1, Math.round(targetSize.width * scale)),
+        height: Math.max(1, Math.round(targetSize.height * scale))
+      };
+
+      // SSIM grows with quality: if the top of the range misses the floor,
+      // nothing below it can reach it
+      const top = await tryQuality(maxQuality, size);
+      if (scale === 1) fallback = { ...top, scale };
+      if (top.ssim < floor) continue;
+
+      let found = top;
+      let low = minQuality;
+      let high = maxQuality;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const result = await tryQuality(middle, size);
+        if (result.ssim >= floor) {
+          found = result;
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+
+      if (!best || found.candidate.buffer.length < best.candidate.buffer.length) {
+        best = { ...found, scale };
+      }
+    }
+
+    const chosen = best || fallback;
+    if (!chosen) return null;
+
+    return {
+      ...chosen.candidate,
+      search: {
+        jpegQuality: chosen.quality,
+        scale: chosen.scale,
+        ssim: chosen.ssim,
+        ssimFloor: floor,
+        targetMet: Boolean(best),
+        attempts
+      }
+    };
+  } catch (error) {
+    console.warn(`Quality search skipped: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Render a Sharp pipeline to 8-bit gray pixels
+ */
+async function toLuma(sharpImage) {
+  const { data, info } = await sharpImage
+    .greyscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Encode an image as CCITT Group 4 if it is effectively black and white
+ * @param {Object} imageData - Image extracted by extractImageData
+ * @param {Object} settings - Compression settings
+ * @param {Object} targetSize - Output { width, height }
+ * @param {Object} [codecs] - Codec pool for the G4 encoder
+ * @returns {Object|null} - Compressed image in the shape compressImageBuffer
+ *          returns, or null when the image has gray or color content
+ */
+async function compressBilevelImage(imageData, settings, targetSize, codecs = null) {
+  try {
+    // Judge on a reduced copy: the share of mid-tones barely depends on size
+    const sample = await loadSharpImage(imageData)
+      .toColourspace('srgb')
+      .resize(BILEVEL_SAMPLE_SIZE, BILEVEL_SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    if (measureBilevelRatio(sample.data, sample.info.channels) < settings.bilevelTolerance) {
+      return null;
+    }
+
+    const { data, info } = await loadSharpImage(imageData)
+      .toColourspace('srgb')
+      .resize(targetSize.width, targetSize.height, {
+        fit: 'inside',
+        withoutEnlargement: true,
+        kernel: settings.resizeKernel || 'lanczos3'
+      })
+      .greyscale()
+      .extractChannel(0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const encoded = await runCodec(codecs, 'encodeBilevel', data, info.width, info.height);
+
+    return {
+      buffer: Buffer.from(encoded),
+      width: info.width,
+      height: info.height,
+      format: 'ccitt',
+      originalBuffer: imageData.buffer
+    };
+  } catch (error) {
+    console.warn(`Bilevel compression skipped: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether an image is a scanned page MRC can split: displayed at least half
+ * a page large, at scan resolution, in gray or RGB and without masks
+ */
+function isMrcCandidate(job, imageData) {
+  const { placement, effectivePPI, objectDict } = job;
+  return Boolean(effectivePPI) && effectivePPI >= MRC_MIN_PPI &&
+    placement.width * placement.height >= MRC_MIN_AREA &&
+    imageData.channels <= 3 && !job.smask && !objectDict.has(PDFName.of('Mask'));
+}
+
+/**
+ * Split a scanned page into Mixed Raster Content layers (see utils/mrc):
+ * the text as a CCITT G4 mask at the bilevel resolution, the background
+ * with the text removed as a JPEG at `settings.mrcBackgroundDPI`, and the
+ * text colors as a small Flate image
+ * @param {Object} imageData - Image extracted by extractImageData
+ * @param {Object} settings - Compression settings
+ * @param {number} ppi - Resolution the image is displayed at
+ * @param {Object} [codecs] - Codec pool for the layer split and encoders
+ * @returns {Object|null} - { format: 'mrc', mrc: { background, foreground,
+ *          mask }, size, width, height } with the mask's size, or null when
+ *          the page holds no text, or too much to separate
+ */
+async function compressMrcImage(imageData, settings, ppi, codecs = null) {
+  try {
+    const maskPPI = Math.min(ppi, settings.bilevelDPI);
+    const { data, info } = await loadSharpImage(imageData)
+      .toColourspace(settings.grayscale ? 'b-w' : 'srgb')
+      .resize(
+        Math.max(1, Math.round(imageData.width * maskPPI / ppi)),
+        Math.max(1, Math.round(imageData.height * maskPPI / ppi)),
+        { fit: 'fill', kernel: settings.resizeKernel || 'lanczos3' }
+      )
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const layers = await runCodec(codecs, 'splitMrcLayers', data, width, height, channels);
+    if (layers.maskRatio < MRC_MIN_MASK_RATIO || layers.maskRatio > MRC_MAX_MASK_RATIO) {
+      return null;
+    }
+
+    const backgroundScale = Math.min(1, settings.mrcBackgroundDPI / maskPPI);
+    const background = await sharp(Buffer.from(layers.background), { raw: { width, height, channels } })
+      .resize(
+        Math.max(1, Math.round(width * backgroundScale)),
+        Math.max(1, Math.round(height * backgroundScale)),
+        { fit: 'fill', kernel: settings.resizeKernel || 'lanczos3' }
+      )
+      .jpeg(getJpegOptions(settings, settings.imageQuality))
+      .toBuffer();
+
+    const { foreground } = layers;
+    const foregroundFlate = await runCodec(codecs, 'encodeFlateImage', foreground.pixels, { ...foreground, channels });
+    const mask = Buffer.from(await runCodec(codecs, 'encodeG4', layers.mask, width, height));
+
+    return {
+      width,
+      height,
+      format: 'mrc',
+      mrc: {
+        background,
+        foreground: { width: foreground.width, height: foreground.height, flate: foregroundFlate },
+        mask
+      },
+      size: background.length + foregroundFlate.data.length + mask.length
+    };
+  } catch (error) {
+    console.warn(`MRC compression skipped: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check whether a color image is gray within a tolerance, from a reduced
+ * sRGB copy
+ * @param {Object} imageData - Image extracted by extractImageData
+ * @param {number} tolerance - Largest channel spread (0-255) of a gray pixel
+ * @returns {boolean} - Whether the image can be stored as gray
+ */
+async function isNearGrayImage(imageData, tolerance) {
+  try {
+    const { data, info } = await loadSharpImage(imageData)
+      .toColourspace('srgb')
+      .resize(GRAY_SAMPLE_SIZE, GRAY_SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return measureNeutralRatio(data, info.channels, tolerance) >= GRAY_MIN_NEUTRAL_RATIO;
+  } catch (error) {
+    console.warn(`Grayscale detection skipped: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Classify extracted image data from a reduced sRGB copy
+ * @param {Object} imageData - Image extracted by extractImageData
+ * @param {Object} [codecs] - Codec pool for the classifier
+ * @returns {Object} - See classifyImage (utils/imageClassifier)
+ */
+async function classifyImageData(imageData, codecs = null) {
+  try {
+    const { data, info } = await loadSharpImage(imageData)
+      .toColourspace('srgb')
+      .resize(CLASSIFIER_SAMPLE_SIZE, CLASSIFIER_SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return await runCodec(codecs, 'classifyImage', data, info.width, info.height, info.channels);
+  } catch (error) {
+    console.warn(`Image classification skipped: ${error.message}`);
+    return { imageClass: 'photo' };
+  }
+}
+
+/**
+ * Classify an image /Decode array
+ * @returns {string|null} - 'default', 'inverted', or null when unsupported
+ */
+function getDecodeMode(decode) {
+  if (!(decode instanceof PDFArray)) return 'default';
+
+  const values = decode.asArray().map(value => value.asNumber());
+  if (values.every((value, i) => value === (i % 2 === 0 ? 0 : 1))) return 'default';
+  if (values.every((value, i) => value === (i % 2 === 0 ? 1 : 0))) return 'inverted';
+
+  return null;
+}
+
+/**
+ * Cut the visible part out of an image, as raw pixels (CMYK as a TIFF)
+ * with any /Decode inversion applied
+ */
+async function cropImageData(imageData, crop) {
+  const { left, top, width, height } = crop;
+  const pixels = await loadSharpImage(imageData)
+    .extract({ left, top, width, height })
+    .toColourspace(getSharpColorSpace(imageData.channels))
+    .raw()
+    .toBuffer();
+
+  const isTiff = imageData.channels === 4;
+  return {
+    ...imageData,
+    buffer: isTiff ? encodeCmykTiff(pixels, width, height) : pixels,
+    width,
+    height,
+    isJpeg: false,
+    isTiff,
+    invert: false
+  };
+}
+
+/**
+ * Resample an image's /SMask to the compressed image size, first cropping
+ * it like the image when `crop` is given
+ * @returns {Object} - { pixels, width, height, matte } of the new soft mask
+ */
+async function resampleSoftMask(smask, width, height, crop = null, codecs = null) {
+  const maskData = await extractImageData(smask, codecs);
+  if (!maskData || maskData.channels !== 1) {
+    throw new Error('Unsupported soft mask');
+  }
+
+  let maskImage = maskData.isJpeg
+    ? sharp(maskData.buffer)
+    : sharp(maskData.buffer, {
+      raw: {
+        width: maskData.width,
+        height: maskData.height,
+        channels: 1
       }
+    });
+
+  if (maskData.isJpeg && maskData.invert) {
+    maskImage = maskImage.negate({ alpha: false });
+  }
+
+  // The mask may have another resolution than its image
+  if (crop) {
+    const scaleX = maskData.width / crop.sourceWidth;
+    const scaleY = maskData.height / crop.sourceHeight;
+    const left = Math.min(maskData.width - 1, Math.floor(crop.left * scaleX));
+    const top = Math.min(maskData.height - 1, Math.floor(crop.top * scaleY));
+    maskImage = maskImage.extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(maskData.width, Math.ceil((crop.left + crop.width) * scaleX)) - left),
+      height: Math.max(1, Math.min(maskData.height, Math.ceil((crop.top + crop.height) * scaleY)) - top)
+    });
+  }
+
+  // The mask must cover the new image exactly, so no aspect-ratio fitting
+  const pixels = await maskImage
+    .greyscale()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // Pre-multiplied masks keep their matte color
+  return { pixels, width, height, matte: smask.dict.get(PDFName.of('Matte')) };
+}
+
+/**
+ * Encode a resampled soft mask losslessly as a new object
+ * @returns {Object} - { ref, size } of the new soft mask
+ */
+function registerSoftMask(pdfDoc, softMask) {
+  const maskDict = {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: softMask.width,
+    Height: softMask.height,
+    ColorSpace: 'DeviceGray',
+    BitsPerComponent: 8
+  };
+  if (softMask.matte) maskDict.Matte = softMask.matte;
+
+  const stream = pdfDoc.context.flateStream(softMask.pixels, maskDict);
+
+  // Registered as a new object: the original may be shared with other images
+  return {
+    ref: pdfDoc.context.register(stream),
+    size: stream.contents.length
+  };
+}
+
+/**
+ * Embed compressed image back into PDF
+ *
+ * When `ref` is given the image is written into that indirect object,
+ * replacing whatever it held; otherwise a new object is registered.
+ * @returns {PDFRef} - Reference to the embedded image
+ */
+async function embedCompressedImage(pdfDoc, compressedData, ref) {
+  try {
+    // pdf-lib's embedders read from offset 0 of the underlying ArrayBuffer,
+    // so pooled Buffers must be copied out first
+    const buffer = new Uint8Array(compressedData.buffer);
+
+    // CCITT data has no container pdf-lib could parse: write the stream here
+    if (compressedData.format === 'ccitt') {
+      const { width, height } = compressedData;
+      const stream = pdfDoc.context.stream(buffer, {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: width,
+        Height: height,
+        ColorSpace: 'DeviceGray',
+        BitsPerComponent: 1,
+        Filter: 'CCITTFaxDecode',
+        DecodeParms: { K: -1, Columns: width, Rows: height }
+      });
+
+      return assignImageStream(pdfDoc, stream, ref);
     }
+
+    if (compressedData.format === 'flate') {
+      const { width, height, flate } = compressedData;
+      const stream = pdfDoc.context.stream(buffer, {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: width,
+        Height: height,
+        ColorSpace: getFlateColorSpace(pdfDoc, flate.colorSpace),
+        BitsPerComponent: flate.bitsPerComponent,
+        Filter: 'FlateDecode',
+        DecodeParms: flate.decodeParms
+      });
+
+      return assignImageStream(pdfDoc, stream, ref);
+    }
+
+    const embedder = await JpegEmbedder.for(buffer);
+    return await embedder.embedIntoContext(pdfDoc.context, ref);
   } catch (error) {
     throw new Error(`Failed to embed compressed image: ${error.message}`);
   }
 }
 
+/**
+ * Register MRC layers as a form that draws the background and, over it, the
+ * foreground through the text mask (an explicit stencil mask). The form
+ * covers the unit square like the image it replaces, so the content streams
+ * that draw the image need no change: only the XObject resources naming
+ * `ref` are pointed at the form, while masks, alternates and thumbnails
+ * referring to the image keep the original.
+ * @returns {PDFRef} - Reference to the form
+ */
+async function embedMrcImage(pdfDoc, compressedData, ref, imageData) {
+  const context = pdfDoc.context;
+  const { background, foreground, mask } = compressedData.mrc;
+
+  const backgroundRef = await embedCompressedImage(pdfDoc, { format: 'jpeg', buffer: background });
+  carryOverColorSpace(pdfDoc, context.lookup(backgroundRef).dict, imageData);
+
+  // CCITT writes text (black) as 0, which a mask paints with Decode [0 1]
+  const maskRef = context.register(context.stream(mask, {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: compressedData.width,
+    Height: compressedData.height,
+    ImageMask: true,
+    BitsPerComponent: 1,
+    Filter: 'CCITTFaxDecode',
+    DecodeParms: { K: -1, Columns: compressedData.width, Rows: compressedData.height }
+  }));
+
+  const foregroundRef = await embedCompressedImage(pdfDoc, {
+    format: 'flate',
+    buffer: foreground.flate.data,
+    width: foreground.width,
+    height: foreground.height,
+    flate: foreground.flate
+  });
+  const foregroundDict = context.lookup(foregroundRef).dict;
+  carryOverColorSpace(pdfDoc, foregroundDict, imageData);
+  foregroundDict.set(PDFName.of('Mask'), maskRef);
+
+  const form = context.flateStream('/Bg Do /Fg Do', {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, 1, 1],
+    Resources: { XObject: { Bg: backgroundRef, Fg: foregroundRef } }
+  });
+
+  const formRef = context.register(form);
+  rewriteXObjectReferences(context, target => (target === ref ? formRef : target));
+  return formRef;
+}
+
+/**
+ * Register a form that draws a cropped image (or MRC form) over the part of
+ * the unit square it was cut from, and point the XObject resources naming
+ * `ref` at it, so the content streams drawing the image need no change.
+ * Masks, alternates and thumbnails referring to `ref` keep the image.
+ */
+function wrapCroppedImage(pdfDoc, ref, crop) {
+  const context = pdfDoc.context;
+  const image = context.lookup(ref);
+
+  const { left, top, width, height, sourceWidth, sourceHeight } = crop;
+  const matrix = [width / sourceWidth, 0, 0, height / sourceHeight, left / sourceWidth, 1 - (top + height) / sourceHeight];
+
+  const form = context.flateStream(`${matrix.map(serializeOperand).join(' ')} cm /Im Do`, {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, 1, 1],
+    Resources: { XObject: { Im: ref } }
+  });
+
+  // Attributes describing the use of the image go with what is drawn
+  for (const key of FORM_PRESERVED_KEYS) {
+    const value = image.dict.get(PDFName.of(key));
+    if (value === undefined) continue;
+    form.dict.set(PDFName.of(key), value);
+    image.dict.delete(PDFName.of(key));
+  }
+
+  // Repointed before the form is added, whose own resources name the image
+  const formRef = context.nextRef();
+  rewriteXObjectReferences(context, target => (target === ref ? formRef : target));
+  context.assign(formRef, form);
+}
+
+/**
+ * Put an optimized JPEG in place of the original data: the samples are the
+ * same, so the dictionary (color space, /Decode, soft mask) stays as it is
+ * and only the filters change, to DCTDecode with its original parameters
+ */
+function embedOptimizedJpeg(pdfDoc, compressedData, ref, originalDict) {
+  const chain = getFilterChain(originalDict);
+  const { ColorTransform: colorTransform } = chain[chain.length - 1].parms;
+
+  const dict = originalDict.clone(pdfDoc.context);
+  for (const key of ['Filter', 'DecodeParms', 'Length', 'DL']) dict.delete(PDFName.of(key));
+  dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+  if (colorTransform !== undefined) {
+    dict.set(PDFName.of('DecodeParms'), pdfDoc.context.obj({ ColorTransform: colorTransform }));
+  }
+
+  return assignImageStream(pdfDoc, PDFRawStream.of(dict, compressedData.buffer), ref);
+}
+
+/**
+ * Write an image stream into `ref`, or register it when there is none
+ */
+function assignImageStream(pdfDoc, stream, ref) {
+  if (!ref) return pdfDoc.context.register(stream);
+  pdfDoc.context.assign(ref, stream);
+  return ref;
+}
+
+/**
+ * Color space entry for the Flate writer's output; palettes are stored as a
+ * hex string lookup table
+ */
+function getFlateColorSpace(pdfDoc, colorSpace) {
+  if (colorSpace.family !== 'Indexed') return PDFName.of(colorSpace.family);
+
+  const base = colorSpace.baseComponents === 4 ? 'DeviceCMYK' : 'DeviceRGB';
+  const lookup = PDFHexString.of(Buffer.from(colorSpace.palette).toString('hex'));
+  return pdfDoc.context.obj([PDFName.of('Indexed'), PDFName.of(base), colorSpace.hival, lookup]);
+}
+
+// Image dictionary entries that describe how/where the image is used rather
+// than its pixels, and so must survive re-encoding
+const PRESERVED_IMAGE_KEYS = ['Mask', 'Intent', 'Interpolate', 'OC', 'StructParent', 'Metadata'];
+
+// The subset of these a form XObject (an MRC page) can carry
+const FORM_PRESERVED_KEYS = ['OC', 'StructParent', 'Metadata'];
+
+/**
+ * Copy usage attributes from the original image dictionary to its replacement
+ */
+function preserveImageAttributes(originalDict, newDict, keys = PRESERVED_IMAGE_KEYS) {
+  for (const key of keys) {
+    const value = originalDict.get(PDFName.of(key));
+    if (value !== undefined) {
+      newDict.set(PDFName.of(key), value);
+    }
+  }
+}
+
 module.exports = {
   compressImages,
   compressImageBuffer,
@@ -0,0 +1,145 @@
+const { PDFDict, PDFName, PDFRawStream } = require('pdf-lib');
+const { walkImages } = require('./resourceWalker');
+const { invertMatrix, transformBox, intersectBoxes } = require('../utils/contentStream');
+
+// The unit square an image is painted in, as [x0 y0 x1 y1]
+const UNIT_SQUARE = [0, 0, 1, 1];
+
+/**
+ * Work out how large each image is displayed, by following the graphics
+ * state (q/Q/cm) of every content stream up to each `Do`
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @returns {Map<PDFRef, Object>} - Every reachable image ref, in discovery
+ *          order, with its resource name, largest displayed width and height
+ *          in points, how many times it is drawn (0 if unknown) and
+ *          `visible`, the part of its unit square any drawing can show as
+ *          [x0 y0 x1 y1] (null when no drawing shows any of it), and
+ *          `unknown`, set when a content stream that could not be followed
+ *          may draw it too: the drawings counted are not all there are
+ */
+function collectImagePlacements(pdfDoc) {
+  const context = pdfDoc.context;
+  const placements = new Map();
+  const unknown = new Set();
+
+  walkImages(pdfDoc, (ref, image, ctm, name, clip) => {
+    const placement = placements.get(ref) || { name, width: 0, height: 0, count: 0, visible: null, unknown: false };
+    placements.set(ref, placement);
+
+    if (ctm) recordPlacement(placement, ctm, clip);
+  }, resources => collectReachableImages(context, resources, unknown));
+
+  for (const ref of unknown) {
+    if (placements.has(ref)) placements.get(ref).unknown = true;
+  }
+
+  return placements;
+}
+
+/**
+ * Add to `images` every image ref a content stream with these resources may
+ * draw: its own, and those of the forms, patterns and soft masks it reaches
+ */
+function collectReachableImages(context, resources, images, visited = new Set()) {
+  if (!(resources instanceof PDFDict) || visited.has(resources)) return;
+  visited.add(resources);
+
+  const nested = [];
+
+  for (const category of ['XObject', 'Pattern']) {
+    const entries = resources.lookup(PDFName.of(category));
+    if (!(entries instanceof PDFDict)) continue;
+    for (const value of entries.values()) {
+      const stream = context.lookup(value);
+      if (!(stream instanceof PDFRawStream)) continue;
+
+      if (stream.dict.get(PDFName.of('Subtype'))?.toString() === '/Image') images.add(value);
+      else nested.push(stream.dict.lookup(PDFName.of('Resources')));
+    }
+  }
+
+  const extGStates = resources.lookup(PDFName.of('ExtGState'));
+  if (extGStates instanceof PDFDict) {
+    for (const value of extGStates.values()) {
+      const extGState = context.lookup(value);
+      const softMask = extGState instanceof PDFDict ? extGState.lookup(PDFName.of('SMask')) : null;
+      const group = softMask instanceof PDFDict ? softMask.lookup(PDFName.of('G')) : null;
+      if (group instanceof PDFRawStream) nested.push(group.dict.lookup(PDFName.of('Resources')));
+    }
+  }
+
+  for (const child of nested) collectReachableImages(context, child, images, visited);
+}
+
+/**
+ * Remember the largest size an image is displayed at, and the part of it
+ * shown
+ */
+function recordPlacement(placement, ctm, clip) {
+  // The image occupies the unit square of its user space
+  const width = Math.hypot(ctm[0], ctm[1]);
+  const height = Math.hypot(ctm[2], ctm[3]);
+
+  placement.width = Math.max(placement.width, width);
+  placement.height = Math.max(placement.height, height);
+  placement.count++;
+
+  placement.visible = unionRegions(placement.visible, getVisibleRegion(ctm, clip));
+}
+
+/**
+ * Fold another image's placement into `placement`, for an image that takes
+ * the other's place in every content stream
+ * @param {Object} placement - Placement to update
+ * @param {Object} other - Placement of the image replaced
+ */
+function mergePlacements(placement, other) {
+  placement.width = Math.max(placement.width, other.width);
+  placement.height = Math.max(placement.height, other.height);
+  placement.count += other.count;
+  placement.visible = unionRegions(placement.visible, other.visible);
+  placement.unknown = placement.unknown || other.unknown;
+}
+
+/**
+ * Smallest region holding two regions, either of which may be null (empty)
+ */
+function unionRegions(a, b) {
+  if (!a || !b) return a || b;
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+/**
+ * The part of an image's unit square inside a clip box, or null when none
+ * of it is; all of it when the clip is unknown
+ */
+function getVisibleRegion(ctm, clip) {
+  const inverse = invertMatrix(ctm);
+  if (!clip || !inverse) return UNIT_SQUARE;
+  if (clip[0] >= clip[2] || clip[1] >= clip[3]) return null;
+
+  const region = intersectBoxes(transformBox(clip, inverse), UNIT_SQUARE);
+  return region[0] < region[2] && region[1] < region[3] ? region : null;
+}
+
+/**
+ * Get the effective resolution an image is displayed at
+ * @param {Object} placement - Largest displayed size in points
+ * @param {number} pixelWidth - Image width in pixels
+ * @param {number} pixelHeight - Image height in pixels
+ * @returns {number|null} - Pixels per inch along the less dense axis
+ */
+function getEffectivePPI(placement, pixelWidth, pixelHeight) {
+  if (!placement || placement.width <= 0 || placement.height <= 0) return null;
+
+  const ppiX = pixelWidth / (placement.width / 72);
+  const ppiY = pixelHeight / (placement.height / 72);
+
+  return Math.min(ppiX, ppiY);
+}
+
+module.exports = {
+  collectImagePlacements,
+  mergePlacements,
+  getEffectivePPI
+};
@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const pako = require('pako');
+const { PDFDict, PDFHexString, PDFName, PDFRawStream } = require('pdf-lib');
+const { parseContentStream, serializeOperand } = require('../utils/contentStream');
+const { decodeFilters, decodeStreamData, normalizeFilterName } = require('../utils/streamFilters');
+const { meetsSavingsMargin } = require('../utils/helpers');
+const { rgbToGray, cmykToGray } = require('../utils/grayscale');
+const { getPageContentRefs, isFormOrTilingPattern } = require('./resourceWalker');
+
+// Inline image keys and their full image XObject names
+// (PDF 32000-1:2008, Table 93)
+const KEY_ABBREVIATIONS = {
+  BPC: 'BitsPerComponent',
+  CS: 'ColorSpace',
+  D: 'Decode',
+  DP: 'DecodeParms',
+  F: 'Filter',
+  H: 'Height',
+  IM: 'ImageMask',
+  I: 'Interpolate',
+  W: 'Width',
+  L: 'Length'
+};
+
+// Color space abbreviations (Table 94)
+const COLOR_SPACE_ABBREVIATIONS = {
+  G: 'DeviceGray',
+  RGB: 'DeviceRGB',
+  CMYK: 'DeviceCMYK',
+  I: 'Indexed'
+};
+
+// Dictionary entries describing the old encoding, dropped when rewriting
+const ENCODING_KEYS = ['Filter', 'DecodeParms', 'Length', 'DL'];
+
+// Inline images larger than this (the limit PDF 32000-1:2008, 8.9.7
+// recommends) become XObjects even when drawn once, so the image compressor
+// can downsample and re-encode them
+const INLINE_PROMOTE_SIZE = 4096;
+
+/**
+ * Find the inline images (BI ... ID ... EI) of every content stream and
+ * either move them to image XObjects, shared by every place that draws the
+ * same image, or recompress them in place
+ *
+ * Runs before the image compressor, which then treats promoted images like
+ * any other XObject.
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} settings - Compression settings
+ * @returns {Object} - Inline image statistics
+ */
+async function processInlineImages(pdfDoc, settings) {
+  const stats = {
+    inlineImagesFound: 0,
+    imagesPromoted: 0,
+    xObjectsCreated: 0,
+    imagesRecompressed: 0
+  };
+
+  try {
+    const context = pdfDoc.context;
+    const streams = collectContentStreams(pdfDoc);
+
+    // Pass 1: find every inline image and count how often each one is drawn
+    const occurrences = new Map(); // image key -> count
+    for (const entry of streams) {
+      try {
+        const stream = context.lookup(entry.ref);
+        entry.content = Buffer.from(decodeStreamData(stream)).toString('latin1');
+        entry.operations = parseContentStream(entry.content).filter(operation => operation.operator === 'BI');
+      } catch (error) {
+        console.warn(`Warning: Could not read inline images of ${entry.ref.toString()}: ${error.message}`);
+        entry.operations = [];
+      }
+
+      for (const operation of entry.operations) {
+        operation.key = getImageKey(operation.image, entry.resources);
+        occurrences.set(operation.key, (occurrences.get(operation.key) || 0) + 1);
+        stats.inlineImagesFound++;
+      }
+    }
+
+    // Pass 2: rewrite the streams that hold inline images
+    const xObjects = new Map(); // image key -> ref of its XObject
+    for (const entry of streams) {
+      if (entry.operations.length === 0) continue;
+
+      try {
+        rewriteStream(context, entry, occurrences, xObjects, settings, stats);
+      } catch (error) {
+        console.warn(`Warning: Failed to process inline images of ${entry.ref.toString()}: ${error.message}`);
+      }
+    }
+
+    return stats;
+  } catch (error) {
+    throw new Error(`Inline image processing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Content streams with the resources their names refer to; `ownResources`
+ * is false for forms and patterns without a /Resources entry, which use
+ * their parent's and cannot be given new XObjects
+ */
+function collectContentStreams(pdfDoc) {
+  const context = pdfDoc.context;
+  const streams = [];
+  const seen = new Set();
+
+  for (const page of pdfDoc.getPages()) {
+    for (const ref of getPageContentRefs(page.node)) {
+      if (seen.has(ref)) continue;
+      seen.add(ref);
+      streams.push({ ref, host: page.node, resources: page.node.Resources(), ownResources: true });
+    }
+  }
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (seen.has(ref) || !(object instanceof PDFRawStream) || !isFormOrTilingPattern(object)) continue;
+    const resources = object.dict.lookup(PDFName.of('Resources'));
+    streams.push({ ref, host: object.dict, resources, ownResources: resources instanceof PDFDict });
+  }
+
+  return streams;
+}
+
+/**
+ * Replace or recompress the inline images of one content stream
+ */
+function rewriteStream(context, entry, occurrences, xObjects, settings, stats) {
+  const { content } = entry;
+  let output = '';
+  let last = 0;
+  let changed = false;
+
+  for (const operation of entry.operations) {
+    let replacement = null;
+
+    // The grayscale mode converts JPEG inline images through the image
+    // compressor, which only sees XObjects
+    const repeated = occurrences.get(operation.key) > 1;
+    const large = operation.image.data.length > INLINE_PROMOTE_SIZE;
+    if ((repeated || large || (settings.grayscale && isJpegImage(operation.image))) && entry.ownResources) {
+      replacement = promoteImage(context, entry, operation, xObjects, stats);
+    }
+
+    if (replacement === null) {
+      replacement = recompressInlineImage(operation.image, settings.savingsMargin);
+      if (replacement !== null) stats.imagesRecompressed++;
+    }
+
+    if (replacement !== null) {
+      output += content.slice(last, operation.start) + replacement;
+      last = operation.end;
+      changed = true;
+    }
+  }
+
+  if (!changed) return;
+
+  const stream = context.lookup(entry.ref);
+  const rewritten = context.flateStream(Buffer.from(output + content.slice(last), 'latin1'));
+  for (const [key, value] of stream.dict.entries()) {
+    if (!ENCODING_KEYS.includes(key.decodeText())) rewritten.dict.set(key, value);
+  }
+  context.assign(entry.ref, rewritten);
+}
+
+/**
+ * Move an inline image to an image XObject (created once per distinct
+ * image) and return the `Do` that draws it, or null if it cannot be moved
+ */
+function promoteImage(context, entry, operation, xObjects, stats) {
+  let ref = xObjects.get(operation.key);
+  if (!ref) {
+    const dict = toXObjectDict(operation.image.dict, entry.resources, context);
+    if (!dict) return null;
+
+    // Unfiltered data relied on the content stream's compression
+    const stream = dict.Filter === undefined
+      ? context.flateStream(operation.image.data, dict)
+      : context.stream(operation.image.data, dict);
+    ref = context.register(stream);
+    xObjects.set(operation.key, ref);
+    stats.xObjectsCreated++;
+  }
+
+  const name = addXObjectResource(context, entry, ref);
+  stats.imagesPromoted++;
+  return `${serializeOperand({ name })} Do`;
+}
+
+/**
+ * Name of `ref` in the stream's XObject resources, adding it if needed
+ */
+function addXObjectResource(context, entry, ref) {
+  if (!entry.resources) {
+    entry.resources = context.obj({});
+    entry.host.set(PDFName.of('Resources'), entry.resources);
+  }
+
+  let xObjectDict = entry.resources.lookup(PDFName.of('XObject'));
+  if (!(xObjectDict instanceof PDFDict)) {
+    xObjectDict = context.obj({});
+    entry.resources.set(PDFName.of('XObject'), xObjectDict);
+  }
+
+  for (const [key, value] of xObjectDict.entries()) {
+    if (value === ref) return key.decodeText();
+  }
+
+  let index = 1;
+  while (xObjectDict.has(PDFName.of(`InlIm${index}`))) index++;
+  const name = `InlIm${index}`;
+  xObjectDict.set(PDFName.of(name), ref);
+  return name;
+}
+
+/**
+ * Build the image XObject dictionary for an inline image, or null when its
+ * color space names a resource that does not exist
+ */
+function toXObjectDict(inlineDict, resources, context) {
+  const dict = { Type: 'XObject', Subtype: 'Image' };
+
+  for (const [key, value] of Object.entries(inlineDict)) {
+    const fullKey = KEY_ABBREVIATIONS[key] || key;
+    if (fullKey === 'Length') continue;
+
+    if (fullKey === 'ColorSpace') {
+      const colorSpace = toColorSpaceObject(value, resources, context);
+      if (!colorSpace) return null;
+      dict.ColorSpace = colorSpace;
+    } else if (fullKey === 'Filter') {
+      dict.Filter = toPdfValue(value, name => normalizeFilterName(name));
+    } else {
+      dict[fullKey] = toPdfValue(value);
+    }
+  }
+
+  return dict;
+}
+
+/**
+ * Inline color space (abbreviated name, resource name or Indexed array) as
+ * a PDF object usable outside the content stream
+ */
+function toColorSpaceObject(value, resources, context) {
+  if (Array.isArray(value)) {
+    const [family, base, ...rest] = value;
+    const baseObject = toColorSpaceObject(base, resources, context);
+    if (!baseObject) return null;
+    return context.obj([
+      PDFName.of(COLOR_SPACE_ABBREVIATIONS[family?.name] || family?.name),
+      baseObject,
+      ...rest.map(item => toPdfValue(item))
+    ]);
+  }
+
+  if (value?.name === undefined) return null;
+  if (COLOR_SPACE_ABBREVIATIONS[value.name] || value.name.startsWith('Device')) {
+    return PDFName.of(COLOR_SPACE_ABBREVIATIONS[value.name] || value.name);
+  }
+
+  // Any other name refers to the stream's /ColorSpace resources
+  return resources?.lookup(PDFName.of('ColorSpace'))?.get(PDFName.of(value.name)) || null;
+}
+
+/**
+ * Convert a parsed operand to a pdf-lib object, mapping names through
+ * `mapName`
+ */
+function toPdfValue(value, mapName = name => name) {
+  if (Array.isArray(value)) return value.map(item => toPdfValue(item, mapName));
+  if (value?.name !== undefined) return PDFName.of(mapName(value.name));
+  if (value?.string !== undefined) return PDFHexString.of(Buffer.from(value.string, 'latin1').toString('hex'));
+  if (value?.dict !== undefined) {
+    const dict = {};
+    for (const [key, entry] of Object.entries(value.dict)) dict[key] = toPdfValue(entry, mapName);
+    return dict;
+  }
+  return value;
+}
+
+/**
+ * Re-encode an inline image's data with Flate, returning the new
+ * `BI ... EI` text, or null when that does not save enough or the data
+ * uses a filter that cannot be decoded here (DCT, CCITT)
+ */
+function recompressInlineImage(image, margin) {
+  const dict = {};
+  for (const [key, value] of Object.entries(image.dict)) {
+    dict[KEY_ABBREVIATIONS[key] || key] = value;
+  }
+
+  const { data, remaining } = decodeFilters(image.data, getInlineFilterChain(dict));
+  if (remaining.length > 0) return null;
+
+  const encoded = Buffer.from(pako.deflate(data, { level: 9 }));
+  if (!meetsSavingsMargin(image.data.length, encoded.length, margin)) return null;
+
+  // Readers find the end of the data by looking for EI between whitespace
+  if (/\sEI(?=\s|$)/.test(encoded.toString('latin1'))) return null;
+
+  return formatInlineImage({ ...withoutEncoding(image.dict), F: { name: 'Fl' } }, encoded);
+}
+
+/**
+ * Rewrite a color inline image in DeviceGray, or the palette of an indexed
+ * one as gray, returning the new `BI ... EI` text, or null when its colors
+ * are not converted or its data cannot be decoded here (DCT, CCITT)
+ *
+ * @param {Object} image - Inline image as parsed: { dict, data }
+ * @param {Function} getComponents - Maps a color space name (resource or
+ *        device space) to 3 or 4 when its colors are to be converted, or null
+ * @returns {string|null} - Replacement text
+ */
+function convertInlineImageToGray(image, getComponents) {
+  const dict = {};
+  for (const [key, value] of Object.entries(image.dict)) {
+    dict[KEY_ABBREVIATIONS[key] || key] = value;
+  }
+  if (dict.ImageMask === true) return null;
+
+  const colorSpaceKey = image.dict.CS !== undefined ? 'CS' : 'ColorSpace';
+  const colorSpace = dict.ColorSpace;
+
+  // Indexed images keep their samples: only the palette turns gray
+  if (Array.isArray(colorSpace)) {
+    const [family, base, hival, lookup] = colorSpace;
+    const components = getInlineComponents(base, getComponents);
+    if (!['I', 'Indexed'].includes(family?.name) || !components || lookup?.string === undefined) return null;
+
+    const gray = toGray(Buffer.from(lookup.string, 'latin1'), components);
+    const indexed = [family, { name: 'G' }, hival, { string: Buffer.from(gray).toString('latin1') }];
+    return formatInlineImage({ ...image.dict, [colorSpaceKey]: indexed }, image.data);
+  }
+
+  const components = getInlineComponents(colorSpace, getComponents);
+  if (!components || dict.BitsPerComponent !== 8 || dict.Decode !== undefined) return null;
+
+  const { data, remaining } = decodeFilters(image.data, getInlineFilterChain(dict));
+  if (remaining.length > 0) return null;
+
+  const encoded = Buffer.from(pako.deflate(toGray(data, components), { level: 9 }));
+  const grayDict = { ...withoutEncoding(image.dict), [colorSpaceKey]: { name: 'G' } };
+
+  // Flate data holding an EI between whitespace would end the image early;
+  // hex digits never do
+  if (/\sEI(?=\s|$)/.test(encoded.toString('latin1'))) {
+    return formatInlineImage({ ...grayDict, F: [{ name: 'AHx' }, { name: 'Fl' }] }, `${encoded.toString('hex')}>`);
+  }
+  return formatInlineImage({ ...grayDict, F: { name: 'Fl' } }, encoded);
+}
+
+/**
+ * Components of an inline image's color space name when its colors are to
+ * be converted, or null
+ */
+function getInlineComponents(colorSpace, getComponents) {
+  if (colorSpace?.name === undefined) return null;
+  return getComponents(COLOR_SPACE_ABBREVIATIONS[colorSpace.name] || colorSpace.name);
+}
+
+/**
+ * 8-bit gray levels of 8-bit RGB or CMYK samples
+ */
+function toGray(samples, components) {
+  const gray = new Uint8Array(Math.floor(samples.length / components));
+  for (let i = 0; i < gray.length; i++) {
+    const values = Array.from(samples.subarray(i * components, (i + 1) * components), value => value / 255);
+    const level = components === 3 ? rgbToGray(...values) : cmykToGray(...values);
+    gray[i] = Math.round(Math.min(1, Math.max(0, level)) * 255);
+  }
+  return gray;
+}
+
+/**
+ * Whether an inline image's data is a JPEG
+ */
+function isJpegImage(image) {
+  const filter = image.dict.F ?? image.dict.Filter;
+  const names = Array.isArray(filter) ? filter : [filter];
+  return names.some(name => name?.name !== undefined && normalizeFilterName(name.name) === 'DCTDecode');
+}
+
+/**
+ * Inline image dictionary without its filter entries
+ */
+function withoutEncoding(inlineDict) {
+  return Object.fromEntries(Object.entries(inlineDict)
+    .filter(([key]) => !['Filter', 'DecodeParms', 'Length'].includes(KEY_ABBREVIATIONS[key] || key)));
+}
+
+/**
+ * `BI ... ID ... EI` text of an inline image
+ */
+function formatInlineImage(dict, data) {
+  const entries = Object.entries(dict).map(([key, value]) => `${serializeOperand({ name: key })} ${serializeOperand(value)}`);
+  return `BI ${entries.join(' ')} ID ${Buffer.from(data).toString('latin1')}\nEI`;
+}
+
+/**
+ * Filter chain of an inline image dictionary (keys already expanded), in
+ * the form decodeFilters takes
+ */
+function getInlineFilterChain(dict) {
+  if (dict.Filter === undefined) return [];
+
+  const names = Array.isArray(dict.Filter) ? dict.Filter : [dict.Filter];
+  const parmsList = Array.isArray(dict.DecodeParms) ? dict.DecodeParms : [dict.DecodeParms];
+
+  return names.map((name, index) => {
+    const parms = {};
+    for (const [key, value] of Object.entries(parmsList[index]?.dict || {})) {
+      if (typeof value === 'number' || typeof value === 'boolean') parms[key] = value;
+    }
+    return { name: normalizeFilterName(name.name), parms };
+  });
+}
+
+/**
+ * Identity of an inline image: its dictionary and data, plus the resource
+ * its color space name points to, if any
+ */
+function getImageKey(image, resources) {
+  const hash = crypto.createHash('sha1');
+  hash.update(JSON.stringify(image.dict));
+
+  const colorSpace = image.dict.CS || image.dict.ColorSpace;
+  const names = Array.isArray(colorSpace) ? colorSpace : [colorSpace];
+  for (const name of names) {
+    if (name?.name === undefined) continue;
+    const resource = resources?.lookup(PDFName.of('ColorSpace'))?.get(PDFName.of(name.name));
+    if (resource) hash.update(resource.toString());
+  }
+
+  hash.update(image.data);
+  return hash.digest('hex');
+}
+
+module.exports = {
+  processInlineImages,
+  convertInlineImageToGray
+};
@@ -1,10 +1,13 @@
 const fs = require('fs');
 const { PDFDocument } = require('pdf-lib');
 const { compressImages } = require('./imageCompressor');
-const { optimizeStreams, deduplicateObjects } = require('./streamOptimizer');
+const { optimizeStreams, deduplicateObjects, removeUnreferencedObjects } = require('./streamOptimizer');
 const { subsetFonts } = require('./fontSubsetter');
 const { stripMetadata } = require('./metadataStripper');
+const { convertToGrayscale } = require('./grayscaleConverter');
+const { processInlineImages } = require('./inlineImages');
 const { logger } = require('../output/logger');
+const { meetsSavingsMargin } = require('../utils/helpers');
 
 async function processPDF(inputPath, outputPath, settings) {
   const startTime = Date.now();
@@ -23,15 +26,34 @@ async function processPDF(inputPath, outputPath, settings) {
     console.log(`  Pages: ${pageCount}`);
 
     // Apply compression settings based on level
-    const compressionStats = await applyCompression(pdfDoc, settings);
+    let compressionStats = await applyCompression(pdfDoc, settings);
 
     // Save the compressed PDF
-    const pdfBytes = await pdfDoc.save({
+    let pdfBytes = await pdfDoc.save({
       useObjectStreams: settings.objectCompression !== 'minimal',
       addDefaultPage: false,
       objectsPerTick: settings.objectCompression === 'maximum' ? 50 : 500
     });
 
+    // Never grow the file: fall back to a lossless stream-only pass, and
+    // when even that is not smaller, to a copy of the input. A requested
+    // grayscale conversion is kept whatever its size
+    let fallback = null;
+    if (!settings.grayscale && !meetsSavingsMargin(existingPdfBytes.length, pdfBytes.length, settings.savingsMargin)) {
+      logger.debug('Output is not smaller than the input, trying a lossless pass...');
+      const lossless = await runLosslessPass(existingPdfBytes, settings);
+
+      if (lossless && meetsSavingsMargin(existingPdfBytes.length, lossless.pdfBytes.length, settings.savingsMargin)) {
+        pdfBytes = lossless.pdfBytes;
+        compressionStats = lossless.stats;
+        fallback = 'lossless';
+      } else {
+        pdfBytes = existingPdfBytes;
+        compressionStats = {};
+        fallback = 'original';
+      }
+    }
+
     // Write to output file
     fs.writeFileSync(outputPath, pdfBytes);
 
@@ -42,6 +64,7 @@ async function processPDF(inputPath, outputPath, settings) {
       success: true,
       processingTime,
       pageCount,
+      fallback,
       ...compressionStats
     };
   } catch (error) {
@@ -54,7 +77,10 @@ async function applyCompression(pdfDoc, settings) {
     imageStats: null,
     streamStats: null,
     fontStats: null,
-    metadataStats: null
+    metadataStats: null,
+    inlineImageStats: null,
+    grayscaleStats: null,
+    garbageStats: null
   };
 
   try {
@@ -62,10 +88,23 @@ async function applyCompression(pdfDoc, settings) {
     logger.debug('Stripping metadata...');
     stats.metadataStats = await stripMetadata(pdfDoc, settings);
 
+    // Step 1.5: Move inline images out of content streams, so the image
+    // compressor also sees them
+    if (settings.inlineImages) {
+      logger.debug('Processing inline images...');
+      stats.inlineImageStats = await processInlineImages(pdfDoc, settings);
+    }
+
     // Step 2: Compress images
     logger.debug('Compressing images...');
     stats.imageStats = await compressImages(pdfDoc, settings);
 
+    // Step 2.5: Convert content colors to gray (images were converted above)
+    if (settings.grayscale) {
+      logger.debug('Converting colors to grayscale...');
+      stats.grayscaleStats = await convertToGrayscale(pdfDoc);
+    }
+
     // Step 3: Optimize streams
     logger.debug('Optimizing streams...');
     stats.streamStats = await optimizeStreams(pdfDoc, settings);
@@ -81,10 +120,42 @@ async function applyCompression(pdfDoc, settings) {
       stats.deduplicationStats = dedupeStats;
     }
 
+    // Step 6: Drop objects orphaned by the previous steps
+    logger.debug('Removing unreferenced objects...');
+    stats.garbageStats = await removeUnreferencedObjects(pdfDoc);
+
     return stats;
   } catch (error) {
     throw new Error(`Compression application failed: ${error.message}`);
   }
 }
 
+/**
+ * Re-run only lossless steps (stream recompression and removal of unused
+ * objects) on a fresh copy of the input
+ * @returns {Object|null} - { pdfBytes, stats }, or null if the pass failed
+ */
+async function runLosslessPass(existingPdfBytes, settings) {
+  try {
+    const pdfDoc = await PDFDocument.load(existingPdfBytes, {
+      ignoreEncryption: true
+    });
+
+    const stats = {
+      streamStats: await optimizeStreams(pdfDoc, settings),
+      garbageStats: await removeUnreferencedObjects(pdfDoc)
+    };
+
+    const pdfBytes = await pdfDoc.save({
+      useObjectStreams: true,
+      addDefaultPage: false
+    });
+
+    return { pdfBytes, stats };
+  } catch (error) {
+    console.warn(`Lossless pass failed: ${error.message}`);
+    return null;
+  }
+}
+
 module.exports = { processPDF };
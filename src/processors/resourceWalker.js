@@ -0,0 +1,536 @@
+const { PDFArray, PDFDict, PDFName, PDFNumber, PDFRawStream, PDFRef } = require('pdf-lib');
+const {
+  IDENTITY_MATRIX,
+  parseContentStream,
+  multiplyMatrix,
+  transformBox,
+  intersectBoxes
+} = require('../utils/contentStream');
+const { decodeStreamData } = require('../utils/streamFilters');
+
+// Forms nested deeper than this are not followed
+const MAX_NESTING_DEPTH = 16;
+
+// Path construction operators, whose operands are coordinate pairs
+const PATH_OPERATORS = new Set(['m', 'l', 'c', 'v', 'y']);
+
+// Operators that end a path, applying a pending clip (W/W*)
+const PATH_PAINTING_OPERATORS = new Set(['n', 'f', 'F', 'f*', 'S', 's', 'B', 'B*', 'b', 'b*']);
+
+// Text showing operators
+const TEXT_OPERATORS = new Set(['Tj', 'TJ', "'", '"']);
+
+/**
+ * Visit every image XObject reachable from the document's content streams:
+ * page contents, Form XObjects (nested), annotation appearance streams,
+ * tiling patterns and soft-mask groups, with inherited page resources.
+ *
+ * `onImage(ref, image, ctm, name, clip)` is called for every time an image
+ * is drawn, with the transformation in effect and the bounding box of the
+ * clipping region in the same (page) space: the page's crop box, narrowed by
+ * clipping paths and form bounding boxes. The box holds the real clip but
+ * may be larger (text and curved clips count by their bounding box); it is
+ * null where the area shown is not known (patterns, soft masks,
+ * annotations). Images that sit in a resource dictionary without a `Do` that
+ * could be followed are visited once with `ctm` null.
+ *
+ * `onUnreadable(resources)` is called as for walkText: the images drawn by
+ * such a stream, and by the forms it draws, are not all visited.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Function} onImage - Image visitor
+ * @param {Function} [onUnreadable] - Visitor of unreadable streams' resources
+ */
+function walkImages(pdfDoc, onImage, onUnreadable = null) {
+  walkDocument(pdfDoc, { onImage, onUnreadable });
+}
+
+/**
+ * Visit every string shown by the content streams walkImages follows, and
+ * by the glyph procedures of the Type 3 fonts they use.
+ *
+ * `onText(font, bytes)` is called for each string of a Tj, TJ, ' or "
+ * operator with the font dictionary in effect (set by Tf or an ExtGState
+ * /Font, and inherited by forms) and the string's bytes as a latin1 string.
+ * Strings shown before any font is set are skipped.
+ *
+ * `onUnreadable(resources)` is called with the resources of every content
+ * stream that cannot be decoded or parsed, or is nested too deep to follow:
+ * the text it shows, and that of the forms it draws, is unknown.
+ *
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Function} onText - Text visitor
+ * @param {Function} [onUnreadable] - Visitor of unreadable streams' resources
+ */
+function walkText(pdfDoc, onText, onUnreadable = null) {
+  walkDocument(pdfDoc, { onText, onUnreadable, type3Fonts: new Set() });
+}
+
+/**
+ * Walk every page with the given visitors
+ */
+function walkDocument(pdfDoc, visitors) {
+  const walker = {
+    context: pdfDoc.context,
+    ...visitors,
+    operationsCache: new Map(), // stream ref -> parsed operations
+    enumeratedResources: new Set() // resource dicts already listed
+  };
+
+  const pages = pdfDoc.getPages();
+  for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+    try {
+      walkPage(walker, pages[pageIndex].node);
+    } catch (error) {
+      console.warn(`Warning: Failed to walk resources of page ${pageIndex + 1}: ${error.message}`);
+      if (walker.onUnreadable) walker.onUnreadable(pages[pageIndex].node.Resources());
+    }
+  }
+}
+
+/**
+ * Walk a page's content streams and annotation appearances
+ */
+function walkPage(walker, pageDict) {
+  // Default user space unit is 1/72 inch, unless the page overrides it
+  const userUnit = pageDict.lookup(PDFName.of('UserUnit'));
+  const unit = userUnit instanceof PDFNumber ? userUnit.asNumber() : 1;
+  const pageMatrix = [unit, 0, 0, unit, 0, 0];
+
+  // Resources may be inherited from the page tree
+  const resources = pageDict.Resources();
+
+  let operations = [];
+  try {
+    operations = parseContentStream(getPageContents(pageDict));
+  } catch (error) {
+    console.warn(`Warning: Could not parse page content: ${error.message}`);
+    if (walker.onUnreadable) walker.onUnreadable(resources);
+  }
+  walkContent(walker, operations, resources, pageMatrix, [], getPageClip(pageDict, pageMatrix));
+
+  const annots = pageDict.lookup(PDFName.of('Annots'));
+  if (annots instanceof PDFArray) {
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i);
+      if (annot instanceof PDFDict) {
+        walkAnnotation(walker, annot, pageMatrix);
+      }
+    }
+  }
+}
+
+/**
+ * The part of the page shown: its crop box, within its media box
+ */
+function getPageClip(pageDict, pageMatrix) {
+  const mediaBox = toBox(pageDict.MediaBox());
+  if (!mediaBox) return null;
+
+  const cropBox = toBox(pageDict.CropBox());
+  return transformBox(cropBox ? intersectBoxes(mediaBox, cropBox) : mediaBox, pageMatrix);
+}
+
+/**
+ * Read a rectangle array as a normalized [x0 y0 x1 y1]
+ */
+function toBox(array) {
+  if (!(array instanceof PDFArray) || array.size() !== 4) return null;
+
+  const values = array.asArray().map(value => array.context.lookup(value));
+  if (!values.every(value => value instanceof PDFNumber)) return null;
+
+  const [x0, y0, x1, y1] = values.map(value => value.asNumber());
+  return [Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)];
+}
+
+/**
+ * Walk the operations of one content stream, following the graphics state
+ */
+function walkContent(walker, operations, resources, ctm, stack, clip = null, font = null) {
+  const { context } = walker;
+
+  if (walker.onImage) enumerateResources(walker, resources);
+  walkResourcePatterns(walker, resources, ctm, stack, font);
+
+  const xObjects = resources?.lookup(PDFName.of('XObject'));
+  if (!(xObjects instanceof PDFDict) && !walker.onText) return;
+
+  let current = ctm;
+  let currentClip = clip;
+  let currentFont = font;
+  let path = null; // Bounding box of the path being built, in page space
+  let clipping = false;
+  const stateStack = [];
+
+  for (const { operator, operands } of operations) {
+    if (PATH_OPERATORS.has(operator)) {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        const [x, y] = operands.slice(i, i + 2);
+        if (typeof x === 'number' && typeof y === 'number') {
+          path = extendBox(path, transformBox([x, y, x, y], current));
+        }
+      }
+      continue;
+    }
+
+    if (PATH_PAINTING_OPERATORS.has(operator)) {
+      if (clipping && currentClip && path) currentClip = intersectBoxes(currentClip, path);
+      path = null;
+      clipping = false;
+      continue;
+    }
+
+    if (TEXT_OPERATORS.has(operator)) {
+      if (walker.onText && currentFont) showText(walker, currentFont, operands, stack);
+      continue;
+    }
+
+    switch (operator) {
+      case 'q':
+        stateStack.push({ ctm: current, clip: currentClip, font: currentFont });
+        break;
+      case 'Q':
+        if (stateStack.length > 0) ({ ctm: current, clip: currentClip, font: currentFont } = stateStack.pop());
+        break;
+      case 'Tf':
+        currentFont = lookupResource(resources, 'Font', operands[0]?.name) || null;
+        break;
+      case 'gs': {
+        // A graphics state parameter dict may set the font as [font size]
+        const extGState = lookupResource(resources, 'ExtGState', operands[0]?.name);
+        const fontEntry = extGState?.lookup(PDFName.of('Font'));
+        if (fontEntry instanceof PDFArray && fontEntry.size() > 0) {
+          const gsFont = fontEntry.lookup(0);
+          if (gsFont instanceof PDFDict) currentFont = gsFont;
+        }
+        break;
+      }
+      case 'cm':
+        if (operands.length === 6 && operands.every(value => typeof value === 'number')) {
+          current = multiplyMatrix(operands, current);
+        }
+        break;
+      case 're':
+        if (operands.length === 4 && operands.every(value => typeof value === 'number')) {
+          const [x, y, width, height] = operands;
+          path = extendBox(path, transformBox([x, y, x + width, y + height], current));
+        }
+        break;
+      case 'W':
+      case 'W*':
+        clipping = true;
+        break;
+      case 'Do': {
+        const name = operands[0]?.name;
+        if (name === undefined || !(xObjects instanceof PDFDict)) break;
+
+        const ref = xObjects.get(PDFName.of(name));
+        if (!(ref instanceof PDFRef)) break;
+
+        const xObject = context.lookup(ref);
+        if (!(xObject instanceof PDFRawStream)) break;
+
+        const subtype = xObject.dict.get(PDFName.of('Subtype'))?.toString();
+        if (subtype === '/Image') {
+          if (walker.onImage) walker.onImage(ref, xObject, current, name, currentClip);
+        } else if (subtype === '/Form') {
+          walkForm(walker, ref, xObject, current, resources, stack, currentClip, currentFont);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Report the strings of a text showing operation, and walk the glyph
+ * procedures of a Type 3 font the first time it shows text
+ */
+function showText(walker, font, operands, stack) {
+  for (const operand of operands) {
+    const strings = Array.isArray(operand) ? operand : [operand];
+    for (const item of strings) {
+      if (typeof item?.string === 'string') walker.onText(font, item.string);
+    }
+  }
+
+  if (font.get(PDFName.of('Subtype'))?.toString() !== '/Type3' || walker.type3Fonts.has(font)) return;
+  walker.type3Fonts.add(font);
+
+  const charProcs = font.lookup(PDFName.of('CharProcs'));
+  if (!(charProcs instanceof PDFDict)) return;
+
+  const resources = font.lookup(PDFName.of('Resources'));
+  for (const ref of charProcs.values()) {
+    const charProc = walker.context.lookup(ref);
+    if (!(ref instanceof PDFRef) || !(charProc instanceof PDFRawStream)) continue;
+
+    const procResources = resources instanceof PDFDict ? resources : undefined;
+    const operations = getOperations(walker, ref, charProc, procResources);
+    walkContent(walker, operations, procResources, IDENTITY_MATRIX, [...stack, ref]);
+  }
+}
+
+/**
+ * Look up a named entry of a resource category (Font, ExtGState...) as a dict
+ */
+function lookupResource(resources, category, name) {
+  if (name === undefined || !(resources instanceof PDFDict)) return undefined;
+
+  const entries = resources.lookup(PDFName.of(category));
+  if (!(entries instanceof PDFDict)) return undefined;
+
+  const value = entries.lookup(PDFName.of(name));
+  return value instanceof PDFDict ? value : undefined;
+}
+
+/**
+ * Grow a bounding box (null when empty) to hold another one
+ */
+function extendBox(box, other) {
+  if (!box) return other;
+  return [Math.min(box[0], other[0]), Math.min(box[1], other[1]), Math.max(box[2], other[2]), Math.max(box[3], other[3])];
+}
+
+/**
+ * Walk a Form XObject drawn with the given transformation, clipped to its
+ * /BBox within `clip` (null when unknown)
+ */
+function walkForm(walker, ref, form, ctm, parentResources, stack, clip = null, font = null) {
+  // A form that (indirectly) draws itself would never terminate
+  if (stack.includes(ref)) return;
+
+  // Forms without their own resources use their parent's (PDF 1.1 style)
+  const ownResources = form.dict.lookup(PDFName.of('Resources'));
+  const resources = ownResources instanceof PDFDict ? ownResources : parentResources;
+
+  if (stack.length >= MAX_NESTING_DEPTH) {
+    if (walker.onUnreadable) walker.onUnreadable(resources);
+    return;
+  }
+
+  const formMatrix = multiplyMatrix(getMatrix(form.dict), ctm);
+  const bbox = toBox(form.dict.lookup(PDFName.of('BBox')));
+  const formClip = clip && bbox ? intersectBoxes(clip, transformBox(bbox, formMatrix)) : clip;
+
+  const operations = getOperations(walker, ref, form, resources);
+  walkContent(walker, operations, resources, formMatrix, [...stack, ref], formClip, font);
+}
+
+/**
+ * Walk the tiling patterns and soft-mask groups of a resource dictionary,
+ * whose pattern space is the default space of the content using them
+ */
+function walkResourcePatterns(walker, resources, ctm, stack, font = null) {
+  if (!(resources instanceof PDFDict)) return;
+
+  const patterns = resources.lookup(PDFName.of('Pattern'));
+  if (patterns instanceof PDFDict) {
+    for (const [, ref] of patterns.entries()) {
+      const pattern = walker.context.lookup(ref);
+      // Only tiling patterns (type 1) are streams with content of their own
+      if (ref instanceof PDFRef && pattern instanceof PDFRawStream) {
+        walkForm(walker, ref, pattern, ctm, resources, stack, null, font);
+      }
+    }
+  }
+
+  const extGStates = resources.lookup(PDFName.of('ExtGState'));
+  if (extGStates instanceof PDFDict) {
+    for (const [, value] of extGStates.entries()) {
+      const extGState = walker.context.lookup(value);
+      if (!(extGState instanceof PDFDict)) continue;
+
+      const softMask = extGState.lookup(PDFName.of('SMask'));
+      if (!(softMask instanceof PDFDict)) continue;
+
+      const groupRef = softMask.get(PDFName.of('G'));
+      const group = walker.context.lookup(groupRef);
+      if (groupRef instanceof PDFRef && group instanceof PDFRawStream) {
+        walkForm(walker, groupRef, group, ctm, resources, stack, null, font);
+      }
+    }
+  }
+}
+
+/**
+ * Walk the appearance streams of an annotation, placed on its /Rect
+ */
+function walkAnnotation(walker, annot, pageMatrix) {
+  const appearances = annot.lookup(PDFName.of('AP'));
+  if (!(appearances instanceof PDFDict)) return;
+
+  const rect = annot.lookup(PDFName.of('Rect'));
+
+  for (const key of ['N', 'R', 'D']) {
+    const entry = appearances.get(PDFName.of(key));
+    const resolved = walker.context.lookup(entry);
+
+    // Either a single appearance stream or a dict of appearance states
+    const streams = resolved instanceof PDFRawStream
+      ? [entry]
+      : resolved instanceof PDFDict ? resolved.values() : [];
+
+    for (const ref of streams) {
+      const form = walker.context.lookup(ref);
+      if (!(ref instanceof PDFRef) || !(form instanceof PDFRawStream)) continue;
+
+      const ctm = multiplyMatrix(getAppearanceMatrix(form.dict, rect), pageMatrix);
+
+      // getAppearanceMatrix already includes the form's own /Matrix
+      const resources = form.dict.lookup(PDFName.of('Resources'));
+      const formResources = resources instanceof PDFDict ? resources : undefined;
+      const operations = getOperations(walker, ref, form, formResources);
+      walkContent(walker, operations, formResources, ctm, [ref]);
+    }
+  }
+}
+
+/**
+ * Map an appearance stream's transformed /BBox onto the annotation /Rect
+ * (PDF 32000-1:2008, 12.5.5)
+ */
+function getAppearanceMatrix(formDict, rect) {
+  const matrix = getMatrix(formDict);
+  const bbox = formDict.lookup(PDFName.of('BBox'));
+  if (!(bbox instanceof PDFArray) || !(rect instanceof PDFArray)) return matrix;
+
+  const [bx0, by0, bx1, by1] = bbox.asArray().map(value => value.asNumber());
+  const corners = [[bx0, by0], [bx1, by0], [bx0, by1], [bx1, by1]].map(([x, y]) => [
+    matrix[0] * x + matrix[2] * y + matrix[4],
+    matrix[1] * x + matrix[3] * y + matrix[5]
+  ]);
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+
+  const [rx0, ry0, rx1, ry1] = rect.asArray().map(value => value.asNumber());
+  const scaleX = maxX > minX ? Math.abs(rx1 - rx0) / (maxX - minX) : 1;
+  const scaleY = maxY > minY ? Math.abs(ry1 - ry0) / (maxY - minY) : 1;
+  const toRect = [scaleX, 0, 0, scaleY, Math.min(rx0, rx1) - minX * scaleX, Math.min(ry0, ry1) - minY * scaleY];
+
+  return multiplyMatrix(matrix, toRect);
+}
+
+/**
+ * Visit, without placement, every image listed in a resource dictionary and
+ * in the resources of the forms, patterns and soft masks it holds
+ */
+function enumerateResources(walker, resources) {
+  if (!(resources instanceof PDFDict) || walker.enumeratedResources.has(resources)) return;
+  walker.enumeratedResources.add(resources);
+
+  const { context } = walker;
+  const nested = [];
+
+  const xObjects = resources.lookup(PDFName.of('XObject'));
+  if (xObjects instanceof PDFDict) {
+    for (const [name, ref] of xObjects.entries()) {
+      const xObject = context.lookup(ref);
+      if (!(ref instanceof PDFRef) || !(xObject instanceof PDFRawStream)) continue;
+
+      const subtype = xObject.dict.get(PDFName.of('Subtype'))?.toString();
+      if (subtype === '/Image') {
+        walker.onImage(ref, xObject, null, name.decodeText());
+      } else if (subtype === '/Form') {
+        nested.push(xObject);
+      }
+    }
+  }
+
+  const patterns = resources.lookup(PDFName.of('Pattern'));
+  if (patterns instanceof PDFDict) {
+    for (const [, ref] of patterns.entries()) {
+      const pattern = context.lookup(ref);
+      if (pattern instanceof PDFRawStream) nested.push(pattern);
+    }
+  }
+
+  for (const stream of nested) {
+    enumerateResources(walker, stream.dict.lookup(PDFName.of('Resources')));
+  }
+}
+
+/**
+ * Parse a form/pattern content stream once, however often it is drawn; an
+ * unreadable one has no operations, and its resources (which may differ
+ * per use, for forms inheriting them) are reported each time
+ */
+function getOperations(walker, ref, stream, resources) {
+  if (!walker.operationsCache.has(ref)) {
+    let operations = null;
+    try {
+      operations = parseContentStream(decodeStreamData(stream));
+    } catch (error) {
+      console.warn(`Warning: Could not parse content of ${ref.toString()}: ${error.message}`);
+    }
+    walker.operationsCache.set(ref, operations);
+  }
+
+  const operations = walker.operationsCache.get(ref);
+  if (operations === null && walker.onUnreadable) walker.onUnreadable(resources);
+  return operations || [];
+}
+
+/**
+ * Get a form's /Matrix, defaulting to identity
+ */
+function getMatrix(dict) {
+  const matrix = dict.lookup(PDFName.of('Matrix'));
+  if (matrix instanceof PDFArray && matrix.size() === 6) {
+    return matrix.asArray().map(value => value.asNumber());
+  }
+  return IDENTITY_MATRIX;
+}
+
+/**
+ * Get the decoded, concatenated content streams of a page
+ */
+function getPageContents(pageDict) {
+  const contents = pageDict.lookup(PDFName.of('Contents'));
+  if (!contents) return '';
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => pageDict.context.lookup(ref))
+    : [contents];
+
+  const parts = streams
+    .filter(stream => stream instanceof PDFRawStream)
+    .map(stream => Buffer.from(decodeStreamData(stream)).toString('latin1'));
+
+  // Streams are concatenated as if they were one, operators never span them
+  return parts.join('\n');
+}
+
+/**
+ * References to a page's content streams
+ */
+function getPageContentRefs(pageDict) {
+  const contents = pageDict.get(PDFName.of('Contents'));
+  const resolved = pageDict.context.lookup(contents);
+
+  if (resolved instanceof PDFArray) {
+    return resolved.asArray().filter(entry => entry instanceof PDFRef);
+  }
+  return contents instanceof PDFRef ? [contents] : [];
+}
+
+/**
+ * Check whether a stream holds PDF operators (Form XObject or tiling pattern)
+ */
+function isFormOrTilingPattern(stream) {
+  const subtype = stream.dict.lookup(PDFName.of('Subtype'));
+  const patternType = stream.dict.lookup(PDFName.of('PatternType'));
+  return subtype?.toString() === '/Form' || patternType?.asNumber?.() === 1;
+}
+
+module.exports = {
+  walkImages,
+  walkText,
+  getPageContents,
+  getPageContentRefs,
+  isFormOrTilingPattern
+};
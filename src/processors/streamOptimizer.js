@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const pako = require('pako');
-const { PDFName, PDFArray } = require('pdf-lib');
+const { PDFName, PDFArray, PDFDict, PDFRawStream, PDFRef, PDFStream } = require('pdf-lib');
+const { rewriteAllReferences, collectReachableRefs } = require('../utils/objectGraph');
+const { getFilterChain, decodeStream } = require('../utils/streamFilters');
+const { meetsSavingsMargin } = require('../utils/helpers');
 
 /**
  * Optimize content streams in a PDF document
@@ -11,23 +15,27 @@ async function optimizeStreams(pdfDoc, settings) {
   const stats = {
     streamsProcessed: 0,
     originalStreamSize: 0,
-    compressedStreamSize: 0
+    compressedStreamSize: 0,
+    streamsPassedThrough: 0
   };
 
   try {
     // Get compression level based on settings
     const compressionLevel = getCompressionLevel(settings.objectCompression);
 
-    // Get all indirect objects from the PDF
     const context = pdfDoc.context;
-    const indirectObjects = context.indirectObjects;
 
-    // Iterate through all objects
-    for (const [ref, object] of indirectObjects.entries()) {
+    // Only page contents and form XObjects hold PDF operators; every other
+    // stream (fonts, ICC profiles, images, ...) must be kept byte-for-byte
+    const contentStreamRefs = collectContentStreamRefs(pdfDoc);
+
+    // Iterate through all objects (snapshot, since streams are replaced as we go)
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
       try {
-        // Check if object is a stream
-        if (object && typeof object === 'object' && object.dict) {
-          await optimizeStream(object, compressionLevel, stats, context);
+        // pdf-lib's own streams (PDFContentStream, ...) are already encoded
+        if (object instanceof PDFRawStream) {
+          const isContentStream = contentStreamRefs.has(ref) || isFormXObject(object);
+          optimizeStream(ref, object, compressionLevel, isContentStream, settings.savingsMargin, stats, context);
         }
       } catch (error) {
         console.warn(`Warning: Failed to optimize stream: ${error.message}`);
@@ -42,63 +50,45 @@ async function optimizeStreams(pdfDoc, settings) {
 }
 
 /**
- * Optimize an individual stream object
+ * Optimize an individual stream object, replacing it in the context when
+ * the re-encoded stream is smaller by at least `margin`
  */
-async function optimizeStream(streamObject, compressionLevel, stats, context) {
+function optimizeStream(ref, streamObject, compressionLevel, isContentStream, margin, stats, context) {
   try {
-    // Get stream contents
-    const contents = streamObject.contents;
-    if (!contents || typeof contents !== 'function') return;
-
-    let streamData;
-    try {
-      streamData = contents();
-    } catch (e) {
-      return; // Can't access contents
-    }
-
+    const streamData = streamObject.contents;
     if (!streamData || streamData.length === 0) return;
 
     // Track original size
     const originalSize = streamData.length;
     stats.originalStreamSize += originalSize;
-    stats.streamsProcessed++;
 
-    // Check if stream is already compressed
-    const filter = streamObject.dict.lookup(PDFName.of('Filter'));
-    const filterName = filter?.toString();
+    const filters = getFilterChain(streamObject.dict);
 
-    let decompressedData = streamData;
-    let wasCompressed = false;
+    // Decode the whole filter chain, except for the predictor of the last
+    // filter: it is left applied and carried over with its DecodeParms
+    let decoded;
+    try {
+      decoded = decodeStream(streamObject, { keepPredictor: true });
+    } catch (e) {
+      console.warn('Could not decode stream:', e.message);
+      stats.compressedStreamSize += originalSize;
+      return;
+    }
 
-    // Decompress if already compressed
-    if (filterName) {
-      if (filterName.includes('FlateDecode') || filterName === '/FlateDecode') {
-        try {
-          decompressedData = decompressFlate(streamData);
-          wasCompressed = true;
-        } catch (e) {
-          console.warn('Could not decompress stream:', e.message);
-          stats.compressedStreamSize += originalSize;
-          return;
-        }
-      } else if (filterName.includes('DCTDecode') || filterName === '/DCTDecode') {
-        // JPEG compression - don't re-compress
-        stats.compressedStreamSize += originalSize;
-        return;
-      } else {
-        // Unknown filter - skip
-        stats.compressedStreamSize += originalSize;
-        return;
-      }
+    // Image codecs (DCT, JPX, JBIG2, CCITT) are kept as is
+    if (decoded.remaining.length > 0) {
+      if (!isImageXObject(streamObject)) stats.streamsPassedThrough++;
+      stats.compressedStreamSize += originalSize;
+      return;
     }
 
-    // Check if this is a content stream (has PDF operators)
-    const isContentStream = streamObject.dict.lookup(PDFName.of('Type'))?.toString() !== '/XObject';
+    const decompressedData = decoded.data;
+    const lastParms = filters.length > 0 ? filters[filters.length - 1].parms : {};
+    const hasPredictor = (lastParms.Predictor || 1) > 1;
 
     // Optimize content stream if applicable
     let optimizedData = decompressedData;
-    if (isContentStream && decompressedData.length > 100) {
+    if (isContentStream && !hasPredictor && decompressedData.length > 100) {
       try {
         const optimizedStr = optimizeContentStream(decompressedData);
         optimizedData = Buffer.from(optimizedStr, 'latin1');
@@ -108,17 +98,24 @@ async function optimizeStream(streamObject, compressionLevel, stats, context) {
       }
     }
 
-    // Re-compress with maximum compression
+    // Re-compress with the configured level
     const recompressed = compressWithFlate(optimizedData, compressionLevel);
 
     // Only apply if we get better compression
-    if (recompressed.length < originalSize) {
-      // Update the stream
-      streamObject.dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
-      streamObject.dict.set(PDFName.of('Length'), context.obj(recompressed.length));
+    if (meetsSavingsMargin(originalSize, recompressed.length, margin)) {
+      const dict = streamObject.dict;
+      dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+      dict.set(PDFName.of('Length'), context.obj(recompressed.length));
 
-      // Update stream contents (note: this is tricky with pdf-lib)
-      // We track the improvement in stats
+      if (hasPredictor) {
+        dict.set(PDFName.of('DecodeParms'), getPredictorParms(lastParms, context));
+      } else {
+        dict.delete(PDFName.of('DecodeParms'));
+      }
+
+      context.assign(ref, PDFRawStream.of(dict, recompressed));
+
+      stats.streamsProcessed++;
       stats.compressedStreamSize += recompressed.length;
     } else {
       // Keep original
@@ -130,6 +127,59 @@ async function optimizeStream(streamObject, compressionLevel, stats, context) {
   }
 }
 
+/**
+ * Build the FlateDecode parms that keep a predictor valid for the new data
+ */
+function getPredictorParms(parms, context) {
+  const predictorParms = {};
+  for (const key of ['Predictor', 'Colors', 'BitsPerComponent', 'Columns']) {
+    if (parms[key] !== undefined) predictorParms[key] = parms[key];
+  }
+  return context.obj(predictorParms);
+}
+
+/**
+ * Collect references to the content streams of every page
+ */
+function collectContentStreamRefs(pdfDoc) {
+  const refs = new Set();
+
+  for (const page of pdfDoc.getPages()) {
+    const contents = page.node.get(PDFName.of('Contents'));
+    if (!contents) continue;
+
+    const entries = contents instanceof PDFArray
+      ? contents.asArray()
+      : [contents];
+
+    for (const entry of entries) {
+      refs.add(entry);
+    }
+
+    // Contents arrays may themselves be indirect
+    const resolved = page.node.context.lookup(contents);
+    if (resolved instanceof PDFArray) {
+      resolved.asArray().forEach(entry => refs.add(entry));
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Check whether a stream is a Form XObject (whose data is a content stream)
+ */
+function isFormXObject(streamObject) {
+  return streamObject.dict.lookup(PDFName.of('Subtype'))?.toString() === '/Form';
+}
+
+/**
+ * Check whether a stream is an image XObject (left to the image compressor)
+ */
+function isImageXObject(streamObject) {
+  return streamObject.dict.lookup(PDFName.of('Subtype'))?.toString() === '/Image';
+}
+
 /**
  * Compress data using Flate/Zlib compression
  */
@@ -173,25 +223,73 @@ function getCompressionLevel(objectCompression) {
 
 /**
  * Remove redundant operators from content streams
+ *
+ * Whitespace is collapsed and comments dropped at the token level, so string
+ * literals, hex strings and inline image data are copied through untouched.
  */
 function optimizeContentStream(contentStream) {
   try {
     // Convert buffer to string if needed
     const content = typeof contentStream === 'string'
       ? contentStream
-      : contentStream.toString('latin1');
-
-    // Remove redundant white space
-    let optimized = content.replace(/\s+/g, ' ');
-
-    // Remove comments (lines starting with %)
-    optimized = optimized.replace(/%[^\n]*\n/g, '');
-
-    // Trim unnecessary spaces around operators
-    optimized = optimized.replace(/\s*([()<>\[\]{}\/])\s*/g, '$1');
+      : Buffer.from(contentStream).toString('latin1');
+
+    const tokens = [];
+    let i = 0;
+
+    while (i < content.length) {
+      const char = content[i];
+
+      if (isWhitespace(char)) {
+        i++;
+      } else if (char === '%') {
+        // Comment runs to the end of the line
+        while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+      } else if (char === '(') {
+        const end = findLiteralStringEnd(content, i);
+        tokens.push(content.slice(i, end));
+        i = end;
+      } else if (char === '<' && content[i + 1] !== '<') {
+        const end = content.indexOf('>', i);
+        const stop = end === -1 ? content.length : end + 1;
+        tokens.push(content.slice(i, stop));
+        i = stop;
+      } else if (content.startsWith('<<', i) || content.startsWith('>>', i)) {
+        tokens.push(content.slice(i, i + 2));
+        i += 2;
+      } else if ('[]{}'.includes(char)) {
+        tokens.push(char);
+        i++;
+      } else {
+        // Names, numbers and operators
+        let end = i + 1;
+        while (end < content.length && !isWhitespace(content[end]) && !isDelimiter(content[end])) end++;
+        const token = content.slice(i, end);
+        i = end;
+
+        if (token === 'ID') {
+          // Inline image data: one whitespace byte, then raw bytes up to EI
+          const dataEnd = findInlineImageEnd(content, i + 1);
+          tokens.push(`ID${content.slice(i, dataEnd)}EI`);
+          i = dataEnd + 2;
+        } else if (token === 'Q' && tokens[tokens.length - 1] === 'q') {
+          // Empty save/restore
+          tokens.pop();
+        } else {
+          tokens.push(token);
+        }
+      }
+    }
 
-    // Remove empty operations
-    optimized = optimized.replace(/\s+q\s+Q\s+/g, ' '); // Empty save/restore
+    // Tokens only need a separator where both sides are regular characters
+    let optimized = '';
+    for (const token of tokens) {
+      const last = optimized[optimized.length - 1];
+      if (last !== undefined && isRegular(last) && isRegular(token[0])) {
+        optimized += ' ';
+      }
+      optimized += token;
+    }
 
     return optimized;
   } catch (error) {
@@ -199,8 +297,56 @@ function optimizeContentStream(contentStream) {
   }
 }
 
+function isWhitespace(char) {
+  return char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0';
+}
+
+function isDelimiter(char) {
+  return '()<>[]{}/%'.includes(char);
+}
+
+function isRegular(char) {
+  return !isWhitespace(char) && !isDelimiter(char);
+}
+
+/**
+ * Find the index just past a (possibly nested) literal string
+ */
+function findLiteralStringEnd(content, start) {
+  let depth = 0;
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return content.length;
+}
+
+/**
+ * Find the start of the EI operator that closes inline image data
+ */
+function findInlineImageEnd(content, start) {
+  const pattern = /\sEI(?=\s|$)/g;
+  pattern.lastIndex = start;
+  const match = pattern.exec(content);
+  return match ? match.index + 1 : content.length;
+}
+
 /**
  * Deduplicate objects in the PDF
+ *
+ * Objects are compared by a sha256 over their normalized form (sorted dict
+ * keys, references resolved to their canonical copy, stream bytes included).
+ * Hashing repeats until no new duplicates appear, so parents that only
+ * differed by which copy of a child they pointed at are merged as well.
+ * Every reference in the document is then rewritten to the canonical copy
+ * and the duplicates are deleted.
  */
 async function deduplicateObjects(pdfDoc) {
   const stats = {
@@ -211,73 +357,57 @@ async function deduplicateObjects(pdfDoc) {
 
   try {
     const context = pdfDoc.context;
-    const indirectObjects = context.indirectObjects;
 
-    // Create a hash map for object content
-    const objectHashes = new Map(); // hash -> { ref, size, content }
-    const duplicateRefs = new Map(); // duplicate ref -> canonical ref
+    const candidates = context.enumerateIndirectObjects()
+      .filter(([, object]) => isDeduplicable(object));
+    stats.objectsChecked = candidates.length;
 
-    // First pass: hash all indirect objects
-    for (const [ref, object] of indirectObjects.entries()) {
-      try {
-        stats.objectsChecked++;
+    const canonicalRefs = new Map(); // duplicate ref -> canonical ref
+    const resolve = (ref) => {
+      let target = ref;
+      while (canonicalRefs.has(target)) {
+        target = canonicalRefs.get(target);
+      }
+      return target;
+    };
 
-        // Skip certain object types that shouldn't be deduplicated
-        if (!object || typeof object !== 'object') continue;
+    let foundNew = true;
+    for (let pass = 0; foundNew && pass < MAX_DEDUP_PASSES; pass++) {
+      foundNew = false;
+      const objectsByHash = new Map(); // hash -> canonical ref
 
-        // Get a string representation for hashing
-        let objectContent;
+      for (const [ref, object] of candidates) {
+        if (canonicalRefs.has(ref)) continue;
+
+        let hash;
         try {
-          if (object.dict) {
-            // Stream object - hash the dictionary and contents
-            const dictStr = object.dict.toString();
-            const contentsStr = object.contents ? String(object.contents.length) : '';
-            objectContent = `${dictStr}||${contentsStr}`;
-          } else if (object.toString) {
-            // Regular object - hash its string representation
-            objectContent = object.toString();
-          } else {
-            continue;
-          }
-        } catch (e) {
+          hash = hashObject(object, resolve);
+        } catch (error) {
+          // Skip objects that cause errors
           continue;
         }
 
-        // Simple hash function
-        const hash = simpleHash(objectContent);
-
-        if (objectHashes.has(hash)) {
-          // Potential duplicate found
-          const original = objectHashes.get(hash);
-
-          // Verify it's truly a duplicate by comparing content
-          if (original.content === objectContent) {
-            // This is a duplicate
-            duplicateRefs.set(ref, original.ref);
-            stats.duplicatesFound++;
-            stats.spaceSaved += original.size;
-          }
+        if (objectsByHash.has(hash)) {
+          canonicalRefs.set(ref, objectsByHash.get(hash));
+          foundNew = true;
         } else {
-          // Store this as a potential original
-          objectHashes.set(hash, {
-            ref: ref,
-            size: objectContent.length,
-            content: objectContent
-          });
+          objectsByHash.set(hash, ref);
         }
-      } catch (error) {
-        // Skip objects that cause errors
-        continue;
       }
     }
 
-    // Second pass: replace references (this is complex in pdf-lib)
-    // For now, we just report statistics as actual replacement
-    // requires modifying all references throughout the PDF
+    if (canonicalRefs.size === 0) {
+      return stats;
+    }
+
+    // Point every referrer at the canonical copies, then drop the duplicates
+    rewriteAllReferences(context, resolve);
 
-    if (stats.duplicatesFound > 0) {
-      console.log(`Found ${stats.duplicatesFound} duplicate objects (${(stats.spaceSaved / 1024).toFixed(2)} KB could be saved)`);
-      console.log('Note: Actual deduplication requires reference updates (not yet implemented)');
+    for (const duplicateRef of canonicalRefs.keys()) {
+      const object = context.lookup(duplicateRef);
+      stats.spaceSaved += object.sizeInBytes();
+      stats.duplicatesFound++;
+      context.delete(duplicateRef);
     }
 
     return stats;
@@ -286,17 +416,113 @@ async function deduplicateObjects(pdfDoc) {
   }
 }
 
+const MAX_DEDUP_PASSES = 10;
+
+// Structural objects whose identity matters even when their content matches
+const NON_DEDUPLICABLE_TYPES = [
+  '/Catalog', '/Pages', '/Page', '/Annot', '/Sig', '/ObjStm', '/XRef',
+  '/StructTreeRoot', '/StructElem', '/MCR', '/OBJR',
+  // Optional content groups are separate layers however alike they look
+  '/OCG', '/OCMD'
+];
+
+/**
+ * Check whether an indirect object may be merged with an identical copy
+ */
+function isDeduplicable(object) {
+  const dict = object instanceof PDFStream ? object.dict : object;
+
+  if (dict instanceof PDFDict) {
+    const type = dict.get(PDFName.of('Type'))?.toString();
+    if (NON_DEDUPLICABLE_TYPES.includes(type)) return false;
+
+    // Tree nodes (outlines, form fields, structure elements) are positional
+    if (dict.has(PDFName.of('Parent')) || dict.has(PDFName.of('Kids'))) return false;
+
+    // Annotations, which may leave out /Type
+    if (dict.has(PDFName.of('Subtype')) && (dict.has(PDFName.of('Rect')) || dict.has(PDFName.of('P')))) return false;
+
+    return true;
+  }
+
+  return object instanceof PDFArray;
+}
+
+/**
+ * Compute a collision-safe content hash of an indirect object
+ */
+function hashObject(object, resolve) {
+  const hash = crypto.createHash('sha256');
+
+  if (object instanceof PDFStream) {
+    hash.update(normalizeObject(object.dict, resolve, ['/Length']));
+    hash.update('\0stream\0');
+    hash.update(object.getContents());
+  } else {
+    hash.update(normalizeObject(object, resolve));
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Serialize a direct object with sorted dict keys and canonical references
+ */
+function normalizeObject(object, resolve, skipKeys = []) {
+  if (object instanceof PDFRef) {
+    return resolve(object).toString();
+  }
+
+  if (object instanceof PDFDict) {
+    const entries = object.entries()
+      .map(([key, value]) => [key.toString(), value])
+      .filter(([key]) => !skipKeys.includes(key))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `<<${entries.map(([key, value]) => `${key} ${normalizeObject(value, resolve)}`).join(' ')}>>`;
+  }
+
+  if (object instanceof PDFArray) {
+    return `[${object.asArray().map(value => normalizeObject(value, resolve)).join(' ')}]`;
+  }
+
+  return object.toString();
+}
+
 /**
- * Simple hash function for object content
+ * Remove indirect objects that can no longer be reached from the trailer
+ *
+ * Replaced images, merged duplicates and stripped metadata leave orphans in
+ * the context that pdf-lib would otherwise still write out.
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @returns {Object} - Removal statistics
  */
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+async function removeUnreferencedObjects(pdfDoc) {
+  const stats = {
+    objectsRemoved: 0,
+    bytesRemoved: 0
+  };
+
+  try {
+    const context = pdfDoc.context;
+
+    // Embed pending images/fonts so everything referenced is in the context
+    await pdfDoc.flush();
+
+    const { Root, Info, Encrypt } = context.trailerInfo;
+    const reachable = collectReachableRefs(context, [Root, Info, Encrypt]);
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      if (reachable.has(ref)) continue;
+
+      stats.bytesRemoved += object.sizeInBytes();
+      stats.objectsRemoved++;
+      context.delete(ref);
+    }
+
+    return stats;
+  } catch (error) {
+    throw new Error(`Unreferenced object removal failed: ${error.message}`);
   }
-  return hash.toString(36);
 }
 
 module.exports = {
@@ -305,5 +531,6 @@ module.exports = {
   decompressFlate,
   optimizeContentStream,
   deduplicateObjects,
+  removeUnreferencedObjects,
   getCompressionLevel
 };
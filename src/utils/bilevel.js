@@ -0,0 +1,66 @@
+/**
+ * Detection and thresholding of effectively black-and-white images, such as
+ * scanned text pages stored as grayscale or color
+ */
+
+// Pixels darker/lighter than these count as black/white
+const DARK_LIMIT = 64;
+const LIGHT_LIMIT = 191;
+// Larger channel spreads count as color, even when dark or light
+const MAX_CHROMA = 40;
+
+/**
+ * Measure the share of pixels that are near-black or near-white and neutral
+ *
+ * @param {Uint8Array} pixels - 8-bit pixels, `channels` bytes each (gray,
+ *        or RGB with any further channels ignored)
+ * @param {number} channels - Bytes per pixel
+ * @returns {number} - Share of bilevel pixels, 0 to 1
+ */
+function measureBilevelRatio(pixels, channels) {
+  const count = Math.floor(pixels.length / channels);
+  if (count === 0) return 0;
+
+  let bilevel = 0;
+  for (let i = 0; i < count; i++) {
+    const offset = i * channels;
+    let gray;
+    let chroma = 0;
+
+    if (channels >= 3) {
+      const r = pixels[offset];
+      const g = pixels[offset + 1];
+      const b = pixels[offset + 2];
+      gray = (r * 299 + g * 587 + b * 114) / 1000;
+      chroma = Math.max(r, g, b) - Math.min(r, g, b);
+    } else {
+      gray = pixels[offset];
+    }
+
+    if (chroma <= MAX_CHROMA && (gray <= DARK_LIMIT || gray >= LIGHT_LIMIT)) {
+      bilevel++;
+    }
+  }
+
+  return bilevel / count;
+}
+
+/**
+ * Threshold grayscale pixels to black (1) and white (0)
+ *
+ * @param {Uint8Array} gray - One byte per pixel
+ * @param {number} [threshold=128] - Values below are black
+ * @returns {Uint8Array} - One byte per pixel, 1 for black
+ */
+function thresholdPixels(gray, threshold = 128) {
+  const bits = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    bits[i] = gray[i] < threshold ? 1 : 0;
+  }
+  return bits;
+}
+
+module.exports = {
+  measureBilevelRatio,
+  thresholdPixels
+};
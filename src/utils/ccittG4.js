@@ -0,0 +1,199 @@
+/**
+ * CCITT Group 4 (ITU-T T.6) encoder for bilevel images
+ *
+ * Output matches PDF's CCITTFaxDecode with /K -1, /Columns and /Rows set to
+ * the image size and /BlackIs1 false, /EncodedByteAlign false: rows are coded
+ * two-dimensionally against the previous row and the data ends with EOFB.
+ */
+
+// Run-length codes (ITU-T T.4, Tables 2 and 3) as bit strings
+const WHITE_TERMINATING = [
+  '00110101', '000111', '0111', '1000', '1011', '1100', '1110', '1111',
+  '10011', '10100', '00111', '01000', '001000', '000011', '110100', '110101',
+  '101010', '101011', '0100111', '0001100', '0001000', '0010111', '0000011', '0000100',
+  '0101000', '0101011', '0010011', '0100100', '0011000', '00000010', '00000011', '00011010',
+  '00011011', '00010010', '00010011', '00010100', '00010101', '00010110', '00010111', '00101000',
+  '00101001', '00101010', '00101011', '00101100', '00101101', '00000100', '00000101', '00001010',
+  '00001011', '01010010', '01010011', '01010100', '01010101', '00100100', '00100101', '01011000',
+  '01011001', '01011010', '01011011', '01001010', '01001011', '00110010', '00110011', '00110100'
+];
+
+const BLACK_TERMINATING = [
+  '0000110111', '010', '11', '10', '011', '0011', '0010', '00011',
+  '000101', '000100', '0000100', '0000101', '0000111', '00000100', '00000111', '000011000',
+  '0000010111', '0000011000', '0000001000', '00001100111', '00001101000', '00001101100', '00000110111', '00000101000',
+  '00000010111', '00000011000', '000011001010', '000011001011', '000011001100', '000011001101', '000001101000', '000001101001',
+  '000001101010', '000001101011', '000011010010', '000011010011', '000011010100', '000011010101', '000011010110', '000011010111',
+  '000001101100', '000001101101', '000011011010', '000011011011', '000001010100', '000001010101', '000001010110', '000001010111',
+  '000001100100', '000001100101', '000001010010', '000001010011', '000000100100', '000000110111', '000000111000', '000000100111',
+  '000000101000', '000001011000', '000001011001', '000000101011', '000000101100', '000001011010', '000001100110', '000001100111'
+];
+
+// Make-up codes for 64, 128, ... 1728
+const WHITE_MAKEUP = [
+  '11011', '10010', '010111', '0110111', '00110110', '00110111', '01100100', '01100101',
+  '01101000', '01100111', '011001100', '011001101', '011010010', '011010011', '011010100', '011010101',
+  '011010110', '011010111', '011011000', '011011001', '011011010', '011011011', '010011000', '010011001',
+  '010011010', '011000', '010011011'
+];
+
+const BLACK_MAKEUP = [
+  '0000001111', '000011001000', '000011001001', '000001011011', '000000110011', '000000110100', '000000110101', '0000001101100',
+  '0000001101101', '0000001001010', '0000001001011', '0000001001100', '0000001001101', '0000001110010', '0000001110011', '0000001110100',
+  '0000001110101', '0000001110110', '0000001110111', '0000001010010', '0000001010011', '0000001010100', '0000001010101', '0000001011010',
+  '0000001011011', '0000001100100', '0000001100101'
+];
+
+// Make-up codes for 1792, 1856, ... 2560, shared by both colors
+const EXTENDED_MAKEUP = [
+  '00000001000', '00000001100', '00000001101', '000000010010', '000000010011', '000000010100', '000000010101',
+  '000000010110', '000000010111', '000000011100', '000000011101', '000000011110', '000000011111'
+];
+
+// Two-dimensional mode codes (ITU-T T.4, Table 4)
+const PASS_CODE = '0001';
+const HORIZONTAL_CODE = '001';
+// Indexed by b1 - a1 + 3: VR3, VR2, VR1, V0, VL1, VL2, VL3
+const VERTICAL_CODES = ['0000011', '000011', '011', '1', '010', '000010', '0000010'];
+const EOL = '000000000001';
+
+/**
+ * Bit writer collecting MSB-first bits into bytes
+ */
+class BitWriter {
+  constructor(capacity) {
+    this.bytes = new Uint8Array(Math.max(64, capacity));
+    this.length = 0;
+    this.current = 0;
+    this.bitCount = 0;
+  }
+
+  write(code) {
+    for (let i = 0; i < code.length; i++) {
+      this.current = (this.current << 1) | (code.charCodeAt(i) === 49 ? 1 : 0);
+      if (++this.bitCount === 8) this.flushByte();
+    }
+  }
+
+  flushByte() {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = this.current;
+    this.current = 0;
+    this.bitCount = 0;
+  }
+
+  finish() {
+    if (this.bitCount > 0) {
+      this.current <<= 8 - this.bitCount;
+      this.flushByte();
+    }
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Write a run length as make-up codes followed by a terminating code
+ */
+function writeRun(writer, length, black) {
+  let remaining = length;
+
+  while (remaining >= 2624) {
+    writer.write(EXTENDED_MAKEUP[EXTENDED_MAKEUP.length - 1]);
+    remaining -= 2560;
+  }
+
+  if (remaining >= 64) {
+    const makeup = remaining >> 6; // multiples of 64
+    if (makeup >= 28) {
+      writer.write(EXTENDED_MAKEUP[makeup - 28]);
+    } else {
+      writer.write((black ? BLACK_MAKEUP : WHITE_MAKEUP)[makeup - 1]);
+    }
+    remaining -= makeup << 6;
+  }
+
+  writer.write((black ? BLACK_TERMINATING : WHITE_TERMINATING)[remaining]);
+}
+
+/**
+ * Position of the first pixel at or after `start` whose color is not `color`
+ * (or `width` when there is none)
+ */
+function findChange(line, start, width, color) {
+  let x = start;
+  while (x < width && line[x] === color) x++;
+  return x;
+}
+
+/**
+ * Encode a bilevel image as CCITT Group 4
+ *
+ * @param {Uint8Array} pixels - One byte per pixel, row by row: 1 for black,
+ *        0 for white
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Uint8Array} - Encoded data, ending with EOFB
+ */
+function encodeG4(pixels, width, height) {
+  if (pixels.length < width * height) {
+    throw new Error(`Bilevel data too short (${pixels.length} of ${width * height} pixels)`);
+  }
+
+  const writer = new BitWriter(Math.ceil(width * height / 64));
+  // The line above the first row is imaginary and all white
+  let reference = new Uint8Array(width);
+  const pixel = (line, x) => (x < width ? line[x] : 0);
+
+  for (let row = 0; row < height; row++) {
+    const line = pixels.subarray(row * width, (row + 1) * width);
+
+    // a0 starts on an imaginary white pixel before the row
+    let a0 = 0;
+    let a1 = line[0] ? 0 : findChange(line, 0, width, 0);
+    let b1 = reference[0] ? 0 : findChange(reference, 0, width, 0);
+
+    for (;;) {
+      const b2 = b1 < width ? findChange(reference, b1, width, pixel(reference, b1)) : width;
+
+      if (b2 < a1) {
+        writer.write(PASS_CODE);
+        a0 = b2;
+      } else if (Math.abs(b1 - a1) <= 3) {
+        writer.write(VERTICAL_CODES[b1 - a1 + 3]);
+        a0 = a1;
+      } else {
+        const a2 = a1 < width ? findChange(line, a1, width, pixel(line, a1)) : width;
+        writer.write(HORIZONTAL_CODE);
+
+        // At the start of the row a0 is the imaginary white pixel
+        const a0Black = !(a0 + a1 === 0 || pixel(line, a0) === 0);
+        writeRun(writer, a1 - a0, a0Black);
+        writeRun(writer, a2 - a1, !a0Black);
+        a0 = a2;
+      }
+
+      if (a0 >= width) break;
+
+      const color = pixel(line, a0);
+      a1 = findChange(line, a0, width, color);
+      b1 = findChange(reference, a0, width, color ? 0 : 1);
+      b1 = findChange(reference, b1, width, color);
+    }
+
+    reference = line;
+  }
+
+  // End of facsimile block
+  writer.write(EOL);
+  writer.write(EOL);
+
+  return writer.finish();
+}
+
+module.exports = {
+  encodeG4
+};
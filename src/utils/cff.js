@@ -0,0 +1,802 @@
+/**
+ * Compact Font Format (Adobe Technical Note #5176) reading and subsetting,
+ * for the Type1C, CIDFontType0C and OpenType programs of FontFile3 streams
+ */
+
+const { getEncoding } = require('./pdfEncodings');
+
+// Strings every CFF font shares, SIDs 0-390 (Appendix A)
+const STANDARD_STRINGS = (
+  '.notdef space exclam quotedbl numbersign dollar percent ampersand quoteright parenleft parenright asterisk ' +
+  'plus comma hyphen period slash zero one two three four five six seven eight nine colon semicolon less ' +
+  'equal greater question at A B C D E F G H I J K L M N O P Q R S T U V W X Y Z bracketleft backslash ' +
+  'bracketright asciicircum underscore quoteleft a b c d e f g h i j k l m n o p q r s t u v w x y z ' +
+  'braceleft bar braceright asciitilde exclamdown cent sterling fraction yen florin section currency ' +
+  'quotesingle quotedblleft guillemotleft guilsinglleft guilsinglright fi fl endash dagger daggerdbl ' +
+  'periodcentered paragraph bullet quotesinglbase quotedblbase quotedblright guillemotright ellipsis ' +
+  'perthousand questiondown grave acute circumflex tilde macron breve dotaccent dieresis ring cedilla ' +
+  'hungarumlaut ogonek caron emdash AE ordfeminine Lslash Oslash OE ordmasculine ae dotlessi lslash oslash ' +
+  'oe germandbls onesuperior logicalnot mu trademark Eth onehalf plusminus Thorn onequarter divide ' +
+  'brokenbar degree thorn threequarters twosuperior registered minus eth multiply threesuperior copyright ' +
+  'Aacute Acircumflex Adieresis Agrave Aring Atilde Ccedilla Eacute Ecircumflex Edieresis Egrave Iacute ' +
+  'Icircumflex Idieresis Igrave Ntilde Oacute Ocircumflex Odieresis Ograve Otilde Scaron Uacute Ucircumflex ' +
+  'Udieresis Ugrave Yacute Ydieresis Zcaron aacute acircumflex adieresis agrave aring atilde ccedilla eacute ' +
+  'ecircumflex edieresis egrave iacute icircumflex idieresis igrave ntilde oacute ocircumflex odieresis ' +
+  'ograve otilde scaron uacute ucircumflex udieresis ugrave yacute ydieresis zcaron exclamsmall ' +
+  'Hungarumlautsmall dollaroldstyle dollarsuperior ampersandsmall Acutesmall parenleftsuperior ' +
+  'parenrightsuperior twodotenleader onedotenleader zerooldstyle oneoldstyle twooldstyle threeoldstyle ' +
+  'fouroldstyle fiveoldstyle sixoldstyle sevenoldstyle eightoldstyle nineoldstyle commasuperior ' +
+  'threequartersemdash periodsuperior questionsmall asuperior bsuperior centsuperior dsuperior esuperior ' +
+  'isuperior lsuperior msuperior nsuperior osuperior rsuperior ssuperior tsuperior ff ffi ffl ' +
+  'parenleftinferior parenrightinferior Circumflexsmall hyphensuperior Gravesmall Asmall Bsmall Csmall ' +
+  'Dsmall Esmall Fsmall Gsmall Hsmall Ismall Jsmall Ksmall Lsmall Msmall Nsmall Osmall Psmall Qsmall Rsmall ' +
+  'Ssmall Tsmall Usmall Vsmall Wsmall Xsmall Ysmall Zsmall colonmonetary onefitted rupiah Tildesmall ' +
+  'exclamdownsmall centoldstyle Lslashsmall Scaronsmall Zcaronsmall Dieresissmall Brevesmall Caronsmall ' +
+  'Dotaccentsmall Macronsmall figuredash hypheninferior Ogoneksmall Ringsmall Cedillasmall ' +
+  'questiondownsmall oneeighth threeeighths fiveeighths seveneighths onethird twothirds zerosuperior ' +
+  'foursuperior fivesuperior sixsuperior sevensuperior eightsuperior ninesuperior zeroinferior oneinferior ' +
+  'twoinferior threeinferior fourinferior fiveinferior sixinferior seveninferior eightinferior nineinferior ' +
+  'centinferior dollarinferior periodinferior commainferior Agravesmall Aacutesmall Acircumflexsmall ' +
+  'Atildesmall Adieresissmall Aringsmall AEsmall Ccedillasmall Egravesmall Eacutesmall Ecircumflexsmall ' +
+  'Edieresissmall Igravesmall Iacutesmall Icircumflexsmall Idieresissmall Ethsmall Ntildesmall Ogravesmall ' +
+  'Oacutesmall Ocircumflexsmall Otildesmall Odieresissmall OEsmall Oslashsmall Ugravesmall Uacutesmall ' +
+  'Ucircumflexsmall Udieresissmall Yacutesmall Thornsmall Ydieresissmall 001.000 001.001 001.002 001.003 ' +
+  'Black Bold Book Light Medium Regular Roman Semibold'
+).split(' ');
+
+// DICT operators (two-byte operators as 1200 + second byte)
+const OP_UNIQUE_ID = 13;
+const OP_XUID = 14;
+const OP_CHARSET = 15;
+const OP_ENCODING = 16;
+const OP_CHARSTRINGS = 17;
+const OP_PRIVATE = 18;
+const OP_SUBRS = 19;
+const OP_CHARSTRING_TYPE = 1206;
+const OP_ROS = 1230;
+const OP_FD_ARRAY = 1236;
+const OP_FD_SELECT = 1237;
+
+// Operators whose single operand is a string id
+const SID_OPERATORS = new Set([0, 1, 2, 3, 4, 1200, 1221, 1222, 1238]);
+
+// Entries the writer lays out itself
+const OFFSET_OPERATORS = new Set([OP_CHARSET, OP_ENCODING, OP_CHARSTRINGS, OP_PRIVATE, OP_FD_ARRAY, OP_FD_SELECT]);
+
+// Charstrings standing in for glyphs and subroutines no kept glyph uses
+const ENDCHAR = Uint8Array.of(14);
+const RETURN = Uint8Array.of(11);
+
+// Type 2 subroutine calls nest at most this deep
+const MAX_SUBR_DEPTH = 10;
+
+/**
+ * Parse a bare CFF font program
+ *
+ * @param {Uint8Array} data - CFF data (a Type1C or CIDFontType0C program,
+ *        or the `CFF ` table of an OpenType font)
+ * @returns {Object} - Parsed font, for the functions below
+ */
+function parseCff(data) {
+  if (data.length < 4 || data[0] !== 1) throw new Error(`Unsupported CFF version ${data[0]}`);
+
+  const names = readIndex(data, data[2]);
+  const topDicts = readIndex(data, names.end);
+  const strings = readIndex(data, topDicts.end);
+  const globalSubrs = readIndex(data, strings.end);
+  if (topDicts.items.length !== 1) throw new Error('CFF font sets are not supported');
+
+  const topDict = readDict(topDicts.items[0]);
+  if ((getOperand(topDict, OP_CHARSTRING_TYPE) ?? 2) !== 2) throw new Error('Only Type 2 charstrings are supported');
+
+  const charStringsOffset = getOperand(topDict, OP_CHARSTRINGS);
+  if (charStringsOffset === undefined) throw new Error('No CharStrings INDEX');
+  const charStrings = readIndex(data, charStringsOffset).items;
+
+  const isCidKeyed = topDict.some(entry => entry.op === OP_ROS);
+  const cff = {
+    name: names.items[0],
+    topDict,
+    strings: strings.items,
+    globalSubrs: globalSubrs.items,
+    charStrings,
+    charset: readCharset(data, getOperand(topDict, OP_CHARSET) ?? 0, charStrings.length),
+    isCidKeyed
+  };
+
+  if (isCidKeyed) {
+    const fdArrayOffset = getOperand(topDict, OP_FD_ARRAY);
+    const fdSelectOffset = getOperand(topDict, OP_FD_SELECT);
+    if (fdArrayOffset === undefined || fdSelectOffset === undefined) throw new Error('CID-keyed font without FDArray or FDSelect');
+
+    cff.fdArray = readIndex(data, fdArrayOffset).items.map(bytes => {
+      const dict = readDict(bytes);
+      return { dict, private: readPrivate(data, dict) };
+    });
+    cff.fdSelect = readFdSelect(data, fdSelectOffset, charStrings.length);
+  } else {
+    cff.private = readPrivate(data, topDict);
+    cff.encoding = readEncoding(data, getOperand(topDict, OP_ENCODING) ?? 0, cff.charset);
+  }
+
+  return cff;
+}
+
+/**
+ * Glyph ids of a name-keyed font by glyph name
+ *
+ * @param {Object} cff - Parsed font
+ * @returns {Map<string, number>} - Glyph name -> glyph id
+ */
+function getGlyphIdsByName(cff) {
+  const glyphs = new Map();
+  if (cff.isCidKeyed) return glyphs;
+
+  cff.charset.forEach((sid, gid) => {
+    const name = getString(cff, sid);
+    if (name !== null && !glyphs.has(name)) glyphs.set(name, gid);
+  });
+  return glyphs;
+}
+
+/**
+ * Glyph ids of a CID-keyed font by CID
+ *
+ * @param {Object} cff - Parsed font
+ * @returns {Map<number, number>} - CID -> glyph id
+ */
+function getGlyphIdsByCid(cff) {
+  const glyphs = new Map();
+  if (!cff.isCidKeyed) return glyphs;
+
+  cff.charset.forEach((cid, gid) => {
+    if (!glyphs.has(cid)) glyphs.set(cid, gid);
+  });
+  return glyphs;
+}
+
+/**
+ * The glyph names a name-keyed font's own encoding gives each code
+ *
+ * @param {Object} cff - Parsed font
+ * @returns {Array<string|null>|null} - 256 names, or null when unknown
+ */
+function getBuiltInEncoding(cff) {
+  if (!cff.encoding) return null;
+  if (cff.encoding.predefined === 0) return getEncoding('StandardEncoding');
+  if (cff.encoding.predefined !== undefined) return null;
+
+  const names = new Array(256).fill(null);
+  for (const [code, gid] of cff.encoding.codes) names[code] = getString(cff, cff.charset[gid]);
+  return names;
+}
+
+/**
+ * Write a CFF font holding only the given glyphs, .notdef and the accent
+ * components their charstrings build on. The Subrs INDEXes keep their
+ * numbering (so no charstring needs rewriting) with unused subroutines
+ * emptied.
+ *
+ * With `renumber` the glyphs are packed and the charset, Encoding, FDSelect,
+ * FDArray and String INDEX rebuilt for them; without it every glyph keeps
+ * its id, those left out being emptied, as for a font whose glyph ids are
+ * referenced from outside (an OpenType font's other tables, or a CIDFont
+ * whose CIDs are glyph ids).
+ *
+ * @param {Object} cff - Parsed font
+ * @param {Iterable<number>} gids - Ids of the glyphs to keep
+ * @param {Object} [options] - { renumber: true }
+ * @returns {Object} - { data, glyphs }, glyphs being the (original) ids kept
+ */
+function subsetCff(cff, gids, { renumber = true } = {}) {
+  const { kept, globalSubrs, localSubrs } = collectGlyphs(cff, gids);
+  const glyphOrder = renumber ? orderGlyphs(cff, kept) : cff.charStrings.map((_, gid) => gid);
+
+  // String ids: packed to the ones still used when renumbering
+  let strings = cff.strings;
+  let remapSid = sid => sid;
+  if (renumber) {
+    const used = new Set();
+    const useDict = dict => dict.forEach(entry => {
+      if (SID_OPERATORS.has(entry.op)) used.add(entry.operands[0]);
+      if (entry.op === OP_ROS) used.add(entry.operands[0]).add(entry.operands[1]);
+    });
+    useDict(cff.topDict);
+    if (cff.isCidKeyed) {
+      cff.fdArray.forEach(fd => useDict(fd.dict));
+    } else {
+      glyphOrder.forEach(gid => used.add(cff.charset[gid]));
+    }
+
+    const custom = Array.from(used).filter(sid => sid >= STANDARD_STRINGS.length && sid - STANDARD_STRINGS.length < cff.strings.length)
+      .sort((a, b) => a - b);
+    const sids = new Map(custom.map((sid, i) => [sid, STANDARD_STRINGS.length + i]));
+    strings = custom.map(sid => cff.strings[sid - STANDARD_STRINGS.length]);
+    remapSid = sid => (sids.has(sid) ? sids.get(sid) : sid);
+  }
+
+  const charStrings = glyphOrder.map(gid => (kept.has(gid) ? cff.charStrings[gid] : ENDCHAR));
+  const blankSubrs = (subrs, used) => subrs.map((subr, i) => (used.has(i) ? subr : RETURN));
+
+  // Font DICTs and their Private DICTs: one for a name-keyed font
+  let fds;
+  let fdSelect = null;
+  if (cff.isCidKeyed) {
+    const fdIndexes = renumber
+      ? Array.from(new Set(glyphOrder.map(gid => cff.fdSelect[gid]))).sort((a, b) => a - b)
+      : cff.fdArray.map((_, fd) => fd);
+    const newFd = new Map(fdIndexes.map((fd, i) => [fd, i]));
+    fds = fdIndexes.map(fd => ({ dict: remapDict(cff.fdArray[fd].dict, remapSid), private: cff.fdArray[fd].private, used: localSubrs[fd] }));
+    fdSelect = writeFdSelect(glyphOrder.map(gid => newFd.get(cff.fdSelect[gid])));
+  } else {
+    fds = [{ dict: null, private: cff.private, used: localSubrs[0] }];
+  }
+
+  const privates = fds.map(fd => {
+    if (!fd.private) return null;
+    const subrs = fd.private.subrs.length > 0 ? writeIndex(blankSubrs(fd.private.subrs, fd.used)) : null;
+    const entries = fd.private.dict.filter(entry => entry.op !== OP_SUBRS);
+    const size = entries.reduce((sum, entry) => sum + entry.raw.length, 0) + (subrs ? 6 : 0);
+    if (subrs) entries.push(encodeEntry(OP_SUBRS, [size], true));
+    return { dict: concat(entries.map(entry => entry.raw)), subrs };
+  });
+
+  // Charset and Encoding: kept as they were when the glyph ids are
+  let charset;
+  let charsetOffset = null;
+  let encoding = null;
+  let encodingOffset = null;
+  if (renumber) {
+    charset = writeCharset(glyphOrder.map(gid => (cff.isCidKeyed ? cff.charset[gid] : remapSid(cff.charset[gid]))));
+    if (!cff.isCidKeyed) {
+      if (cff.encoding.predefined !== undefined) {
+        encodingOffset = cff.encoding.predefined;
+      } else {
+        encoding = writeEncoding(cff, glyphOrder, remapSid);
+      }
+    }
+  } else {
+    if (cff.charset.predefined !== undefined) charsetOffset = cff.charset.predefined;
+    charset = cff.charset.predefined !== undefined ? new Uint8Array(0) : cff.charset.raw;
+    if (!cff.isCidKeyed) {
+      if (cff.encoding.predefined !== undefined) {
+        encodingOffset = cff.encoding.predefined;
+      } else {
+        encoding = cff.encoding.raw;
+      }
+    }
+    if (cff.isCidKeyed) fdSelect = cff.fdSelect.raw;
+  }
+
+  const topEntries = remapDict(cff.topDict, remapSid)
+    .filter(entry => !OFFSET_OPERATORS.has(entry.op) && entry.op !== OP_UNIQUE_ID && entry.op !== OP_XUID);
+
+  const buildTop = offsets => {
+    const entries = topEntries.slice();
+    entries.push(encodeEntry(OP_CHARSET, [charsetOffset ?? offsets.charset], true));
+    if (!cff.isCidKeyed) entries.push(encodeEntry(OP_ENCODING, [encodingOffset ?? offsets.encoding], true));
+    entries.push(encodeEntry(OP_CHARSTRINGS, [offsets.charStrings], true));
+    if (cff.isCidKeyed) {
+      entries.push(encodeEntry(OP_FD_ARRAY, [offsets.fdArray], true));
+      entries.push(encodeEntry(OP_FD_SELECT, [offsets.fdSelect], true));
+    } else if (privates[0]) {
+      entries.push(encodeEntry(OP_PRIVATE, [privates[0].dict.length, offsets.privates[0]], true));
+    }
+    return writeIndex([concat(entries.map(entry => entry.raw))]);
+  };
+
+  const buildFdArray = offsets => writeIndex(fds.map((fd, i) => {
+    const entries = fd.dict.filter(entry => entry.op !== OP_PRIVATE);
+    if (privates[i]) entries.push(encodeEntry(OP_PRIVATE, [privates[i].dict.length, offsets.privates[i]], true));
+    return concat(entries.map(entry => entry.raw));
+  }));
+
+  const header = Uint8Array.of(1, 0, 4, 4);
+  const nameIndex = writeIndex([cff.name]);
+  const stringIndex = writeIndex(strings);
+  const globalSubrIndex = writeIndex(blankSubrs(cff.globalSubrs, globalSubrs));
+  const charStringIndex = writeIndex(charStrings);
+
+  // Offsets are written at a fixed width, so sizes are known up front
+  const placeholder = { charset: 0, encoding: 0, charStrings: 0, fdArray: 0, fdSelect: 0, privates: fds.map(() => 0) };
+  const topSize = buildTop(placeholder).length;
+  const fdArraySize = cff.isCidKeyed ? buildFdArray(placeholder).length : 0;
+
+  const offsets = { privates: [] };
+  let position = header.length + nameIndex.length + topSize + stringIndex.length + globalSubrIndex.length;
+  offsets.charset = position;
+  position += charset.length;
+  offsets.encoding = position;
+  position += encoding ? encoding.length : 0;
+  offsets.fdSelect = position;
+  position += fdSelect ? fdSelect.length : 0;
+  offsets.charStrings = position;
+  position += charStringIndex.length;
+  offsets.fdArray = position;
+  position += fdArraySize;
+  for (const entry of privates) {
+    offsets.privates.push(position);
+    if (entry) position += entry.dict.length + (entry.subrs ? entry.subrs.length : 0);
+  }
+
+  const parts = [header, nameIndex, buildTop(offsets), stringIndex, globalSubrIndex, charset];
+  if (encoding) parts.push(encoding);
+  if (fdSelect) parts.push(fdSelect);
+  parts.push(charStringIndex);
+  if (cff.isCidKeyed) parts.push(buildFdArray(offsets));
+  for (const entry of privates) {
+    if (entry) parts.push(entry.dict, ...(entry.subrs ? [entry.subrs] : []));
+  }
+
+  return { data: concat(parts), glyphs: glyphOrder.filter(gid => kept.has(gid)) };
+}
+
+/**
+ * The glyphs to keep, with .notdef and seac accent components added, and
+ * the global and (per Font DICT) local subroutines their charstrings call
+ */
+function collectGlyphs(cff, gids) {
+  const byName = getGlyphIdsByName(cff);
+  const standard = getEncoding('StandardEncoding');
+  const fdCount = cff.isCidKeyed ? cff.fdArray.length : 1;
+  const globalSubrs = new Set();
+  const localSubrs = Array.from({ length: fdCount }, () => new Set());
+
+  const kept = new Set([0, ...gids].filter(gid => gid >= 0 && gid < cff.charStrings.length));
+  const queue = Array.from(kept);
+  while (queue.length > 0) {
+    const gid = queue.pop();
+    const fd = cff.isCidKeyed ? cff.fdSelect[gid] : 0;
+    if (fd === undefined || fd >= fdCount) throw new Error(`Glyph ${gid} has no Font DICT`);
+
+    const local = (cff.isCidKeyed ? cff.fdArray[fd].private : cff.private)?.subrs || [];
+    const state = { stack: [], stems: 0, ended: false, seac: null };
+    runCharString(cff.charStrings[gid], state, { local, usedLocal: localSubrs[fd], global: cff.globalSubrs, usedGlobal: globalSubrs }, 0);
+
+    for (const code of state.seac || []) {
+      const component = byName.get(standard[code]);
+      if (component !== undefined && !kept.has(component)) {
+        kept.add(component);
+        queue.push(component);
+      }
+    }
+  }
+
+  return { kept, globalSubrs, localSubrs };
+}
+
+/**
+ * Walk a Type 2 charstring far enough to follow its subroutine calls (which
+ * needs the stem count, for the hintmask bytes) and spot a seac-style endchar
+ */
+function runCharString(bytes, state, subrs, depth) {
+  if (depth > MAX_SUBR_DEPTH) throw new Error('Subroutines nest too deeply');
+  const stack = state.stack;
+
+  for (let i = 0; i < bytes.length && !state.ended;) {
+    const b0 = bytes[i];
+    if (b0 === 28) {
+      stack.push(((bytes[i + 1] << 24) | (bytes[i + 2] << 16)) >> 16);
+      i += 3;
+    } else if (b0 >= 32 && b0 <= 246) {
+      stack.push(b0 - 139);
+      i++;
+    } else if (b0 >= 247 && b0 <= 250) {
+      stack.push((b0 - 247) * 256 + bytes[i + 1] + 108);
+      i += 2;
+    } else if (b0 >= 251 && b0 <= 254) {
+      stack.push(-(b0 - 251) * 256 - bytes[i + 1] - 108);
+      i += 2;
+    } else if (b0 === 255) {
+      stack.push(((bytes[i + 1] << 24) | (bytes[i + 2] << 16) | (bytes[i + 3] << 8) | bytes[i + 4]) / 65536);
+      i += 5;
+    } else {
+      i++;
+      switch (b0) {
+        case 1: // hstem
+        case 3: // vstem
+        case 18: // hstemhm
+        case 23: // vstemhm
+          state.stems += stack.length >> 1;
+          stack.length = 0;
+          break;
+        case 19: // hintmask
+        case 20: // cntrmask
+          state.stems += stack.length >> 1;
+          stack.length = 0;
+          i += (state.stems + 7) >> 3;
+          break;
+        case 10: // callsubr
+        case 29: { // callgsubr
+          const table = b0 === 10 ? subrs.local : subrs.global;
+          const index = stack.pop() + subrBias(table.length);
+          if (!(index >= 0 && index < table.length)) throw new Error('Charstring calls a missing subroutine');
+          (b0 === 10 ? subrs.usedLocal : subrs.usedGlobal).add(index);
+          runCharString(table[index], state, subrs, depth + 1);
+          break;
+        }
+        case 11: // return
+          return;
+        case 14: // endchar, with `adx ady bchar achar` an accented glyph
+          if (stack.length >= 4) state.seac = stack.slice(-2);
+          state.ended = true;
+          return;
+        case 12:
+          i++;
+          stack.length = 0;
+          break;
+        default:
+          stack.length = 0;
+      }
+    }
+  }
+}
+
+/**
+ * Number added to a subroutine operand for the index
+ */
+function subrBias(count) {
+  if (count < 1240) return 107;
+  return count < 33900 ? 1131 : 32768;
+}
+
+/**
+ * New glyph order: .notdef, then for a font with its own encoding the
+ * glyphs it encodes (the Encoding format stores codes for a leading run of
+ * glyphs), then the rest
+ */
+function orderGlyphs(cff, kept) {
+  const gids = Array.from(kept).sort((a, b) => a - b);
+  if (cff.isCidKeyed || cff.encoding.predefined !== undefined) return gids;
+
+  const encoded = new Set(cff.encoding.codes.values());
+  return [0, ...gids.filter(gid => gid > 0 && encoded.has(gid)), ...gids.filter(gid => gid > 0 && !encoded.has(gid))];
+}
+
+/**
+ * Read an INDEX
+ *
+ * @returns {Object} - { items: Array<Uint8Array>, end }
+ */
+function readIndex(data, offset) {
+  if (offset + 2 > data.length) throw new Error('INDEX runs past the end of the font');
+  const count = (data[offset] << 8) | data[offset + 1];
+  if (count === 0) return { items: [], end: offset + 2 };
+
+  const offSize = data[offset + 2];
+  const readOffset = i => {
+    let value = 0;
+    for (let b = 0; b < offSize; b++) value = value * 256 + data[offset + 3 + i * offSize + b];
+    return value;
+  };
+
+  // Offsets count from 1, at the byte before the data
+  const base = offset + 2 + (count + 1) * offSize;
+  const end = base + readOffset(count);
+  if (end > data.length) throw new Error('INDEX runs past the end of the font');
+
+  const items = [];
+  for (let i = 0; i < count; i++) items.push(data.subarray(base + readOffset(i), base + readOffset(i + 1)));
+  return { items, end };
+}
+
+/**
+ * Write an INDEX
+ */
+function writeIndex(items) {
+  if (items.length === 0) return Uint8Array.of(0, 0);
+
+  const dataSize = items.reduce((sum, item) => sum + item.length, 0);
+  const offSize = dataSize + 1 < 0x100 ? 1 : dataSize + 1 < 0x10000 ? 2 : dataSize + 1 < 0x1000000 ? 3 : 4;
+  const index = new Uint8Array(3 + (items.length + 1) * offSize + dataSize);
+  index[0] = items.length >> 8;
+  index[1] = items.length & 0xff;
+  index[2] = offSize;
+
+  let offset = 1;
+  let position = 3 + (items.length + 1) * offSize;
+  for (let i = 0; i <= items.length; i++) {
+    for (let b = 0; b < offSize; b++) index[3 + i * offSize + b] = (offset >>> (8 * (offSize - 1 - b))) & 0xff;
+    if (i < items.length) {
+      index.set(items[i], position);
+      position += items[i].length;
+      offset += items[i].length;
+    }
+  }
+  return index;
+}
+
+/**
+ * Read a DICT into its entries: { op, operands, raw }, raw being the
+ * entry's bytes, operator included
+ */
+function readDict(bytes) {
+  const entries = [];
+  let operands = [];
+  let start = 0;
+
+  for (let i = 0; i < bytes.length;) {
+    const b0 = bytes[i];
+    if (b0 <= 21) {
+      const op = b0 === 12 ? 1200 + bytes[i + 1] : b0;
+      i += b0 === 12 ? 2 : 1;
+      entries.push({ op, operands, raw: bytes.subarray(start, i) });
+      operands = [];
+      start = i;
+    } else if (b0 === 28) {
+      operands.push(((bytes[i + 1] << 24) | (bytes[i + 2] << 16)) >> 16);
+      i += 3;
+    } else if (b0 === 29) {
+      operands.push((bytes[i + 1] << 24) | (bytes[i + 2] << 16) | (bytes[i + 3] << 8) | bytes[i + 4]);
+      i += 5;
+    } else if (b0 === 30) {
+      let text = '';
+      let done = false;
+      for (i++; i < bytes.length && !done; i++) {
+        for (const nibble of [bytes[i] >> 4, bytes[i] & 0xf]) {
+          if (nibble === 0xf) {
+            done = true;
+            break;
+          }
+          text += nibble < 10 ? nibble : ['.', 'E', 'E-', '', '-'][nibble - 10];
+        }
+      }
+      operands.push(parseFloat(text));
+    } else if (b0 >= 32 && b0 <= 246) {
+      operands.push(b0 - 139);
+      i++;
+    } else if (b0 >= 247 && b0 <= 250) {
+      operands.push((b0 - 247) * 256 + bytes[i + 1] + 108);
+      i += 2;
+    } else if (b0 >= 251 && b0 <= 254) {
+      operands.push(-(b0 - 251) * 256 - bytes[i + 1] - 108);
+      i += 2;
+    } else {
+      throw new Error(`Invalid DICT byte ${b0}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * First operand of a DICT entry, or undefined when absent
+ */
+function getOperand(dict, op) {
+  return dict.find(entry => entry.op === op)?.operands[0];
+}
+
+/**
+ * Encode an entry of integer operands, at the fixed five-byte width when
+ * the value is an offset not known yet
+ */
+function encodeEntry(op, operands, fixed = false) {
+  const bytes = [];
+  for (const value of operands) {
+    if (!fixed && value >= -107 && value <= 107) {
+      bytes.push(value + 139);
+    } else if (!fixed && value >= 108 && value <= 1131) {
+      bytes.push(((value - 108) >> 8) + 247, (value - 108) & 0xff);
+    } else if (!fixed && value >= -1131 && value <= -108) {
+      bytes.push(((-value - 108) >> 8) + 251, (-value - 108) & 0xff);
+    } else if (!fixed && value >= -32768 && value <= 32767) {
+      bytes.push(28, (value >> 8) & 0xff, value & 0xff);
+    } else {
+      bytes.push(29, (value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+    }
+  }
+  bytes.push(...(op >= 1200 ? [12, op - 1200] : [op]));
+  return { op, operands, raw: Uint8Array.from(bytes) };
+}
+
+/**
+ * A DICT with its string ids renumbered
+ */
+function remapDict(dict, remapSid) {
+  return dict.map(entry => {
+    if (SID_OPERATORS.has(entry.op) && remapSid(entry.operands[0]) !== entry.operands[0]) {
+      return encodeEntry(entry.op, [remapSid(entry.operands[0])]);
+    }
+    if (entry.op === OP_ROS) {
+      const [registry, ordering, ...rest] = entry.operands;
+      if (remapSid(registry) !== registry || remapSid(ordering) !== ordering) {
+        return encodeEntry(entry.op, [remapSid(registry), remapSid(ordering), ...rest]);
+      }
+    }
+    return entry;
+  });
+}
+
+/**
+ * Read a Private DICT and its local Subrs
+ */
+function readPrivate(data, dict) {
+  const entry = dict.find(item => item.op === OP_PRIVATE);
+  if (!entry || entry.operands.length < 2) return null;
+
+  const [size, offset] = entry.operands;
+  if (offset + size > data.length) throw new Error('Private DICT runs past the end of the font');
+  const privateDict = readDict(data.subarray(offset, offset + size));
+  const subrsOffset = getOperand(privateDict, OP_SUBRS);
+
+  return {
+    dict: privateDict,
+    subrs: subrsOffset !== undefined ? readIndex(data, offset + subrsOffset).items : []
+  };
+}
+
+/**
+ * Read a charset: glyph id -> SID (CID in a CID-keyed font), with its
+ * bytes, or the id of a predefined charset
+ */
+function readCharset(data, offset, glyphCount) {
+  let charset;
+  if (offset === 0) {
+    // ISOAdobe: glyph ids are SIDs
+    charset = Array.from({ length: glyphCount }, (_, gid) => gid);
+    charset.predefined = 0;
+    return charset;
+  }
+  if (offset <= 2) throw new Error('Expert charsets are not supported');
+
+  charset = [0];
+  const format = data[offset];
+  let position = offset + 1;
+  if (format === 0) {
+    for (; charset.length < glyphCount; position += 2) charset.push((data[position] << 8) | data[position + 1]);
+  } else if (format === 1 || format === 2) {
+    while (charset.length < glyphCount) {
+      if (position >= data.length) throw new Error('Charset runs past the end of the font');
+      const first = (data[position] << 8) | data[position + 1];
+      const left = format === 1 ? data[position + 2] : (data[position + 2] << 8) | data[position + 3];
+      position += format === 1 ? 3 : 4;
+      for (let i = 0; i <= left && charset.length < glyphCount; i++) charset.push(first + i);
+    }
+  } else {
+    throw new Error(`Unknown charset format ${format}`);
+  }
+
+  charset.raw = data.subarray(offset, position);
+  return charset;
+}
+
+/**
+ * Write a charset in format 0
+ */
+function writeCharset(ids) {
+  const charset = new Uint8Array(1 + (ids.length - 1) * 2);
+  ids.slice(1).forEach((id, i) => {
+    charset[1 + i * 2] = id >> 8;
+    charset[2 + i * 2] = id & 0xff;
+  });
+  return charset;
+}
+
+/**
+ * Read a name-keyed font's Encoding: { predefined } for Standard (0) and
+ * Expert (1), else { codes: Map code -> glyph id, raw }
+ */
+function readEncoding(data, offset, charset) {
+  if (offset <= 1) return { predefined: offset };
+
+  const codes = new Map();
+  const format = data[offset] & 0x7f;
+  let position = offset + 2;
+  if (format === 0) {
+    for (let i = 0; i < data[offset + 1]; i++) codes.set(data[position++], i + 1);
+  } else if (format === 1) {
+    let gid = 1;
+    for (let i = 0; i < data[offset + 1]; i++, position += 2) {
+      for (let code = data[position]; code <= data[position] + data[position + 1]; code++) codes.set(code, gid++);
+    }
+  } else {
+    throw new Error(`Unknown Encoding format ${format}`);
+  }
+
+  // Supplements: further codes for glyphs by name
+  if (data[offset] & 0x80) {
+    const count = data[position++];
+    for (let i = 0; i < count; i++, position += 3) {
+      const gid = charset.indexOf((data[position + 1] << 8) | data[position + 2]);
+      if (gid > 0) codes.set(data[position], gid);
+    }
+  }
+
+  return { codes, raw: data.subarray(offset, position) };
+}
+
+/**
+ * Write a name-keyed font's own Encoding for the new glyph order: format 0
+ * for each encoded glyph's first code, supplements for its other codes
+ */
+function writeEncoding(cff, glyphOrder, remapSid) {
+  const newGids = new Map(glyphOrder.map((gid, i) => [gid, i]));
+  const firstCodes = new Map();
+  const supplements = [];
+  for (const [code, gid] of Array.from(cff.encoding.codes).sort(([a], [b]) => a - b)) {
+    if (!newGids.has(gid)) continue;
+    if (!firstCodes.has(gid)) {
+      firstCodes.set(gid, code);
+    } else {
+      supplements.push([code, remapSid(cff.charset[gid])]);
+    }
+  }
+
+  const encodedGids = glyphOrder.slice(1, firstCodes.size + 1);
+  const bytes = [supplements.length > 0 ? 0x80 : 0, encodedGids.length, ...encodedGids.map(gid => firstCodes.get(gid))];
+  if (supplements.length > 0) {
+    bytes.push(supplements.length);
+    for (const [code, sid] of supplements) bytes.push(code, sid >> 8, sid & 0xff);
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Read an FDSelect: glyph id -> Font DICT index, with its bytes
+ */
+function readFdSelect(data, offset, glyphCount) {
+  const fdSelect = [];
+  const format = data[offset];
+  let end;
+  if (format === 0) {
+    end = offset + 1 + glyphCount;
+    fdSelect.push(...data.subarray(offset + 1, end));
+  } else if (format === 3) {
+    const ranges = (data[offset + 1] << 8) | data[offset + 2];
+    end = offset + 3 + ranges * 3 + 2;
+    for (let i = 0; i < ranges; i++) {
+      const record = offset + 3 + i * 3;
+      const first = (data[record] << 8) | data[record + 1];
+      const next = (data[record + 3] << 8) | data[record + 4];
+      for (let gid = first; gid < next && gid < glyphCount; gid++) fdSelect[gid] = data[record + 2];
+    }
+  } else {
+    throw new Error(`Unknown FDSelect format ${format}`);
+  }
+
+  if (end > data.length) throw new Error('FDSelect runs past the end of the font');
+  fdSelect.raw = data.subarray(offset, end);
+  return fdSelect;
+}
+
+/**
+ * Write an FDSelect in format 3: runs of glyphs sharing a Font DICT
+ */
+function writeFdSelect(fds) {
+  const ranges = [];
+  fds.forEach((fd, gid) => {
+    if (ranges.length === 0 || ranges[ranges.length - 1][1] !== fd) ranges.push([gid, fd]);
+  });
+
+  const bytes = [3, ranges.length >> 8, ranges.length & 0xff];
+  for (const [first, fd] of ranges) bytes.push(first >> 8, first & 0xff, fd);
+  bytes.push(fds.length >> 8, fds.length & 0xff);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * A string by SID, or null when out of range
+ */
+function getString(cff, sid) {
+  if (sid < STANDARD_STRINGS.length) return STANDARD_STRINGS[sid];
+  const bytes = cff.strings[sid - STANDARD_STRINGS.length];
+  return bytes ? String.fromCharCode(...bytes) : null;
+}
+
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+module.exports = {
+  parseCff,
+  getGlyphIdsByName,
+  getGlyphIdsByCid,
+  getBuiltInEncoding,
+  subsetCff
+};
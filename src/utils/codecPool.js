@@ -0,0 +1,186 @@
+/**
+ * Worker threads for the image codecs written in JavaScript
+ *
+ * Sharp runs its pipelines on libuv's thread pool, but this project's own
+ * codecs (stream filters and sample unpacking, CCITT G4, the Flate image
+ * writer, the lossless JPEG optimizer, MRC layer splitting and content
+ * classification) would run on the main thread, one image at a time. A pool
+ * runs them on worker threads instead. This file is both the pool and, when
+ * loaded in a worker, the worker.
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { decodeFilters } = require('./streamFilters');
+const { toPixels } = require('./colorSpaces');
+const { encodeCmykTiff } = require('./tiffWriter');
+const { thresholdPixels } = require('./bilevel');
+const { encodeG4 } = require('./ccittG4');
+const { encodeFlateImage } = require('./flateImageWriter');
+const { optimizeJpeg } = require('./jpegOptimizer');
+const { splitMrcLayers } = require('./mrc');
+const { classifyImage } = require('./imageClassifier');
+
+// Codecs run by name; their arguments and results are copied between
+// threads, so they hold only typed arrays, numbers and plain objects
+const CODECS = {
+  decodeImage,
+  encodeBilevel: (pixels, width, height) => encodeG4(thresholdPixels(pixels), width, height),
+  encodeG4,
+  encodeFlateImage,
+  optimizeJpeg,
+  splitMrcLayers,
+  classifyImage
+};
+
+/**
+ * Undo an image stream's filters and, when none is left, unpack its samples
+ * to one byte per component (CMYK as a TIFF, which Sharp reads)
+ *
+ * @param {Uint8Array} contents - Stream data
+ * @param {Array<Object>} filters - Chain as returned by getFilterChain
+ * @param {Object} image - As for toPixels, its color space without PDF objects
+ * @returns {Object} - { data, remaining } when a filter is left (see
+ *          decodeFilters), else { remaining, pixels, channels, family } with
+ *          `family` the color space family the pixels are in
+ */
+function decodeImage(contents, filters, image) {
+  const { data, remaining } = decodeFilters(contents, filters);
+  if (remaining.length > 0) return { data, remaining };
+
+  const { pixels, channels, colorSpace } = toPixels(data, image);
+  return {
+    remaining,
+    pixels: channels === 4 ? encodeCmykTiff(pixels, image.width, image.height) : pixels,
+    channels,
+    family: colorSpace.family
+  };
+}
+
+/**
+ * Start a pool of at most `size` worker threads running the codecs. Workers
+ * start as tasks arrive and stay until the pool is closed.
+ *
+ * @param {number} size - Largest number of workers
+ * @returns {Object} - { run(name, ...args), close() }: `run` resolves with
+ *          the codec's result, its byte arrays as Buffers, or rejects with
+ *          its error; `close` stops the workers
+ */
+function createCodecPool(size) {
+  const limit = Math.max(1, Math.floor(size) || 1);
+  const tasks = new Map(); // worker -> task it runs (null when idle)
+  const queue = [];
+  let closed = false;
+
+  const startWorker = () => {
+    const worker = new Worker(__filename, { workerData: { codecWorker: true } });
+    let failure = null;
+    tasks.set(worker, null);
+
+    worker.on('message', ({ result, error }) => {
+      const task = tasks.get(worker);
+      tasks.set(worker, null);
+      if (error) task.reject(new Error(error));
+      else task.resolve(toBuffers(result));
+      dispatch();
+    });
+
+    // A worker that dies takes its task with it; the others carry on
+    worker.on('error', error => { failure = error; });
+    worker.on('exit', code => {
+      const task = tasks.get(worker);
+      tasks.delete(worker);
+      if (task) task.reject(failure || new Error(`Codec worker stopped with exit code ${code}`));
+      if (!closed) dispatch();
+    });
+
+    return worker;
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      let worker = Array.from(tasks.keys()).find(candidate => tasks.get(candidate) === null);
+      if (!worker) {
+        if (tasks.size >= limit) return;
+        worker = startWorker();
+      }
+
+      const task = queue.shift();
+      tasks.set(worker, task);
+      worker.postMessage({ name: task.name, args: task.args });
+    }
+  };
+
+  return {
+    run(name, ...args) {
+      if (closed) return Promise.reject(new Error('Codec pool is closed'));
+      return new Promise((resolve, reject) => {
+        queue.push({ name, args: args.map(compactBuffers), resolve, reject });
+        dispatch();
+      });
+    },
+
+    async close() {
+      closed = true;
+      for (const task of queue.splice(0)) task.reject(new Error('Codec pool is closed'));
+      await Promise.all(Array.from(tasks.keys()).map(worker => worker.terminate()));
+    }
+  };
+}
+
+/**
+ * Run a codec on a pool, or on this thread when `pool` is null
+ *
+ * @param {Object|null} pool - As returned by createCodecPool
+ * @param {string} name - Codec name
+ * @param {...*} args - Codec arguments
+ * @returns {Promise<*>} - The codec's result
+ */
+async function runCodec(pool, name, ...args) {
+  if (pool) return pool.run(name, ...args);
+  return CODECS[name](...args);
+}
+
+/**
+ * Copy byte arrays that view part of a larger buffer (as stream data parsed
+ * out of the whole file does), as posting a view copies all of its buffer
+ */
+function compactBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return value.byteLength < value.buffer.byteLength ? new Uint8Array(value) : value;
+  }
+  if (Array.isArray(value)) return value.map(compactBuffers);
+  if (value && typeof value === 'object' && !ArrayBuffer.isView(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, compactBuffers(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Turn the byte arrays of a result copied from a worker back into Buffers,
+ * as the codecs return them on this thread
+ */
+function toBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) return value.map(toBuffers);
+  if (value && typeof value === 'object' && !ArrayBuffer.isView(value)) {
+    for (const key of Object.keys(value)) value[key] = toBuffers(value[key]);
+  }
+  return value;
+}
+
+if (!isMainThread && workerData?.codecWorker) {
+  parentPort.on('message', ({ name, args }) => {
+    try {
+      parentPort.postMessage({ result: compactBuffers(CODECS[name](...args)) });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  createCodecPool,
+  runCodec
+};
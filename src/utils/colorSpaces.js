@@ -0,0 +1,269 @@
+const { PDFArray, PDFName, PDFRawStream, PDFString, PDFHexString } = require('pdf-lib');
+const { decodeStreamData } = require('./streamFilters');
+
+/**
+ * Image color spaces and sample unpacking (PDF 32000-1:2008, 8.6 and 8.9)
+ *
+ * Image samples are turned into 8-bit pixels with one byte per component, the
+ * layout Sharp reads as raw input. Indexed images are expanded through their
+ * palette and Lab images are converted to sRGB; calibrated and ICC-based
+ * spaces keep their components and are written back on the new image.
+ */
+
+// Device spaces, with the abbreviations allowed in inline images
+const DEVICE_COMPONENTS = {
+  DeviceGray: 1,
+  G: 1,
+  DeviceRGB: 3,
+  RGB: 3,
+  DeviceCMYK: 4,
+  CMYK: 4
+};
+
+// sRGB (D65) from CIE XYZ
+const XYZ_TO_SRGB = [
+  [3.2406, -1.5372, -0.4986],
+  [-0.9689, 1.8758, 0.0415],
+  [0.0557, -0.2040, 1.0570]
+];
+const D65_WHITE_POINT = [0.9505, 1, 1.089];
+
+/**
+ * Resolve an image's /ColorSpace entry
+ *
+ * @param {PDFObject} colorSpace - The entry as stored (name, array or ref)
+ * @param {PDFContext} context - Document context
+ * @returns {Object|null} - { family, components, pdfObject, ... }, or null for
+ *          spaces that cannot be recompressed (Separation, DeviceN, Pattern)
+ */
+function resolveColorSpace(colorSpace, context) {
+  const resolved = context.lookup(colorSpace);
+
+  if (resolved instanceof PDFName) {
+    const family = resolved.decodeText();
+    if (!DEVICE_COMPONENTS[family]) return null;
+    return { family, components: DEVICE_COMPONENTS[family], pdfObject: null };
+  }
+
+  if (!(resolved instanceof PDFArray) || resolved.size() === 0) return null;
+
+  const family = resolved.lookup(0, PDFName).decodeText();
+
+  switch (family) {
+    case 'DeviceGray':
+    case 'DeviceRGB':
+    case 'DeviceCMYK':
+      return { family, components: DEVICE_COMPONENTS[family], pdfObject: null };
+
+    case 'CalGray':
+      return { family, components: 1, pdfObject: colorSpace };
+
+    case 'CalRGB':
+      return { family, components: 3, pdfObject: colorSpace };
+
+    case 'ICCBased': {
+      const profile = resolved.lookup(1);
+      const n = profile instanceof PDFRawStream ? profile.dict.lookup(PDFName.of('N'))?.asNumber() : undefined;
+      if (![1, 3, 4].includes(n)) return null;
+      return { family, components: n, pdfObject: colorSpace };
+    }
+
+    case 'Lab': {
+      const dict = resolved.lookup(1);
+      const range = dict?.lookup(PDFName.of('Range'));
+      const whitePoint = dict?.lookup(PDFName.of('WhitePoint'));
+      return {
+        family,
+        components: 3,
+        pdfObject: null,
+        range: range instanceof PDFArray ? range.asArray().map(value => value.asNumber()) : [-100, 100, -100, 100],
+        whitePoint: whitePoint instanceof PDFArray ? whitePoint.asArray().map(value => value.asNumber()) : D65_WHITE_POINT
+      };
+    }
+
+    case 'Indexed':
+    case 'I': {
+      const base = resolveColorSpace(resolved.get(1), context);
+      if (!base || base.family === 'Indexed') return null;
+
+      const hival = resolved.lookup(2).asNumber();
+      const palette = getPaletteBytes(resolved.lookup(3));
+      if (!palette || palette.length < (hival + 1) * base.components) return null;
+
+      return { family: 'Indexed', components: 1, pdfObject: null, base, hival, palette };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Family of a color space whose colors are not all gray
+ *
+ * @param {PDFObject} colorSpace - The entry as stored (name, array or ref)
+ * @param {PDFContext} context - Document context
+ * @returns {string|null} - The family, also of spaces resolveColorSpace does
+ *          not handle (Separation, DeviceN, Pattern), or null for gray spaces
+ *          and Indexed ones on a gray base
+ */
+function getColorFamily(colorSpace, context) {
+  const resolved = resolveColorSpace(colorSpace, context);
+  if (resolved) {
+    const components = resolved.family === 'Indexed' ? resolved.base.components : resolved.components;
+    return components === 1 ? null : resolved.family;
+  }
+
+  const object = context.lookup(colorSpace);
+  const family = object instanceof PDFArray ? object.lookup(0) : object;
+  return family instanceof PDFName ? family.decodeText() : null;
+}
+
+/**
+ * Get the lookup table of an Indexed color space (string or stream)
+ */
+function getPaletteBytes(lookup) {
+  if (lookup instanceof PDFString || lookup instanceof PDFHexString) return lookup.asBytes();
+  if (lookup instanceof PDFRawStream) return decodeStreamData(lookup);
+  return null;
+}
+
+/**
+ * Unpack image samples to one byte per component
+ *
+ * Rows start on byte boundaries. 16-bit samples keep their high byte; 1, 2
+ * and 4-bit samples are stretched to 0-255 unless `scale` is false (palette
+ * indices).
+ *
+ * @param {Uint8Array} data - Decoded stream data
+ * @param {Object} layout - { width, height, bitsPerComponent, components }
+ * @param {boolean} [scale=true] - Stretch sub-byte samples to 0-255
+ * @returns {Buffer} - width * height * components bytes
+ */
+function unpackSamples(data, { width, height, bitsPerComponent, components }, scale = true) {
+  const samplesPerRow = width * components;
+  const rowLength = Math.ceil(samplesPerRow * bitsPerComponent / 8);
+  if (data.length < rowLength * height) {
+    throw new Error(`Image data too short (${data.length} of ${rowLength * height} bytes)`);
+  }
+
+  const output = Buffer.alloc(samplesPerRow * height);
+
+  if (bitsPerComponent === 8) {
+    for (let row = 0; row < height; row++) {
+      output.set(data.subarray(row * rowLength, row * rowLength + samplesPerRow), row * samplesPerRow);
+    }
+    return output;
+  }
+
+  if (bitsPerComponent === 16) {
+    for (let row = 0; row < height; row++) {
+      for (let i = 0; i < samplesPerRow; i++) {
+        output[row * samplesPerRow + i] = data[row * rowLength + i * 2];
+      }
+    }
+    return output;
+  }
+
+  if (![1, 2, 4].includes(bitsPerComponent)) {
+    throw new Error(`Unsupported BitsPerComponent ${bitsPerComponent}`);
+  }
+
+  const maxValue = (1 << bitsPerComponent) - 1;
+  const factor = scale ? 255 / maxValue : 1;
+
+  for (let row = 0; row < height; row++) {
+    for (let i = 0; i < samplesPerRow; i++) {
+      const bit = i * bitsPerComponent;
+      const byte = data[row * rowLength + (bit >> 3)];
+      const value = (byte >> (8 - bitsPerComponent - (bit & 7))) & maxValue;
+      output[row * samplesPerRow + i] = Math.round(value * factor);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Turn decoded image samples into 8-bit pixels in a space Sharp can read
+ *
+ * @param {Uint8Array} data - Decoded stream data
+ * @param {Object} image - { width, height, bitsPerComponent, colorSpace, invert }
+ *        with `colorSpace` as returned by resolveColorSpace
+ * @returns {Object} - { pixels, channels, colorSpace } where `colorSpace` is
+ *          the resolved space the pixels are in (after palette expansion)
+ */
+function toPixels(data, { width, height, bitsPerComponent, colorSpace, invert }) {
+  if (colorSpace.family === 'Indexed') {
+    const indices = unpackSamples(data, { width, height, bitsPerComponent, components: 1 }, false);
+    const { base, hival, palette } = colorSpace;
+    const pixels = Buffer.alloc(indices.length * base.components);
+
+    for (let i = 0; i < indices.length; i++) {
+      const entry = Math.min(indices[i], hival) * base.components;
+      for (let c = 0; c < base.components; c++) {
+        pixels[i * base.components + c] = palette[entry + c];
+      }
+    }
+
+    if (base.family === 'Lab') {
+      return { pixels: labToSRGB(pixels, base), channels: 3, colorSpace: { family: 'DeviceRGB', components: 3, pdfObject: null } };
+    }
+    return { pixels, channels: base.components, colorSpace: base };
+  }
+
+  const pixels = unpackSamples(data, { width, height, bitsPerComponent, components: colorSpace.components });
+
+  if (invert) {
+    for (let i = 0; i < pixels.length; i++) pixels[i] = 255 - pixels[i];
+  }
+
+  if (colorSpace.family === 'Lab') {
+    return { pixels: labToSRGB(pixels, colorSpace), channels: 3, colorSpace: { family: 'DeviceRGB', components: 3, pdfObject: null } };
+  }
+
+  return { pixels, channels: colorSpace.components, colorSpace };
+}
+
+/**
+ * Convert 8-bit Lab samples (default /Decode: L* 0-100, a* and b* over
+ * /Range) to sRGB
+ */
+function labToSRGB(samples, { range, whitePoint }) {
+  const [aMin, aMax, bMin, bMax] = range;
+  const output = Buffer.alloc(samples.length);
+
+  const inverse = (t) => (t > 6 / 29 ? t * t * t : 3 * (6 / 29) * (6 / 29) * (t - 4 / 29));
+  const gamma = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+  for (let i = 0; i + 2 < samples.length; i += 3) {
+    const l = samples[i] / 255 * 100;
+    const a = aMin + samples[i + 1] / 255 * (aMax - aMin);
+    const b = bMin + samples[i + 2] / 255 * (bMax - bMin);
+
+    const fy = (l + 16) / 116;
+    const xyz = [
+      whitePoint[0] * inverse(fy + a / 500),
+      whitePoint[1] * inverse(fy),
+      whitePoint[2] * inverse(fy - b / 200)
+    ];
+
+    // Von Kries scaling from the space's white point to D65
+    const adapted = xyz.map((value, c) => value * D65_WHITE_POINT[c] / whitePoint[c]);
+
+    for (let c = 0; c < 3; c++) {
+      const [x, y, z] = XYZ_TO_SRGB[c];
+      const linear = x * adapted[0] + y * adapted[1] + z * adapted[2];
+      output[i + c] = Math.round(Math.min(1, Math.max(0, gamma(linear))) * 255);
+    }
+  }
+
+  return output;
+}
+
+module.exports = {
+  resolveColorSpace,
+  getColorFamily,
+  unpackSamples,
+  toPixels
+};
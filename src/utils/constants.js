@@ -4,9 +4,35 @@ const COMPRESSION_LEVELS = {
     imageQuality: 40,
     imageDPI: 72,
     imageFormat: 'jpeg', // JPEG for maximum compatibility (WebP may not be supported by pdf-lib)
+    resizeKernel: 'lanczos3', // Downsampling kernel, one of RESIZE_KERNELS; others are opt-in through --kernel
+    chromaSubsampling: '4:2:0', // '4:4:4' keeps full color resolution (drawings, colored text)
+    jpegTrellis: true, // mozjpeg trellis quantization
+    jpegQuantTable: 3, // mozjpeg quantization table 0-8 (3: ImageMagick's, tuned for photos)
+    postSharpen: 0, // Unsharp sigma applied after downscaling, 0 for none
+    perceptualTarget: false, // Search the JPEG quality per image instead of using imageQuality, set by --ssim-floor
+    ssimFloor: 0.9, // Lowest SSIM (against the original) the search accepts
+    qualitySearchRange: [20, 75], // JPEG qualities searched
+    qualitySearchScales: [1, 0.75], // Downsample factors tried on top of imageDPI
+    cmykOutput: 'srgb', // Screen target: CMYK images are converted to sRGB
+    imageClassification: true, // Lossless Flate for line art and screenshots, imageFormat for photos
+    bilevelCompression: true, // Black-and-white scans as CCITT Group 4
+    bilevelTolerance: 0.95, // Share of pure black/white pixels to count as bilevel
+    bilevelDPI: 200, // Bilevel images keep more resolution: text must stay legible
+    grayscaleDetection: true, // Color images that look gray are stored as DeviceGray
+    grayscaleTolerance: 12, // Largest channel spread (0-255) of a pixel counted as gray
+    grayscale: false, // Whole-document grayscale (images and content colors), set by --grayscale
+    inlineImages: true, // Move repeated or large inline images to XObjects, recompress the rest
+    imageCropping: true, // Cut images down to the part clipping paths and the crop box leave visible
+    nearDuplicateThreshold: null, // Merge images whose 64-bit perceptual hashes differ in at most this many bits and whose pixels match (null: off), set by --near-duplicates
+    mrc: false, // Split scanned pages into text mask, background and text colors, set by --mrc
+    mrcBackgroundDPI: 72, // Resolution of an MRC page's background layer
+    losslessJpeg: false, // Re-encode JPEGs that need no downsampling without loss: false, 'baseline' or 'progressive'
     removeMetadata: true,
     fontSubsetting: true,
     objectCompression: 'maximum',
+    savingsMargin: 0.01, // Replace an image or stream only if it shrinks by at least this share
+    imageConcurrency: null, // Images encoded at once; null uses one per CPU core
+    imageMemoryLimit: 512 * 1024 * 1024, // Bytes of image data in flight at once (estimated)
     calculateQualityMetrics: false, // Disabled by default for performance
     description: 'Maximum compression - smallest file size'
   },
@@ -15,9 +41,35 @@ const COMPRESSION_LEVELS = {
     imageQuality: 70,
     imageDPI: 150,
     imageFormat: 'jpeg',
+    resizeKernel: 'lanczos3',
+    chromaSubsampling: '4:2:0',
+    jpegTrellis: true,
+    jpegQuantTable: 3,
+    postSharpen: 0,
+    perceptualTarget: false,
+    ssimFloor: 0.95,
+    qualitySearchRange: [30, 85],
+    qualitySearchScales: [1],
+    cmykOutput: 'srgb',
+    imageClassification: true,
+    bilevelCompression: true,
+    bilevelTolerance: 0.98,
+    bilevelDPI: 300,
+    grayscaleDetection: true,
+    grayscaleTolerance: 8,
+    grayscale: false,
+    inlineImages: true,
+    imageCropping: true,
+    nearDuplicateThreshold: null,
+    mrc: false,
+    mrcBackgroundDPI: 100,
+    losslessJpeg: false,
     removeMetadata: 'partial',
     fontSubsetting: true,
     objectCompression: 'moderate',
+    savingsMargin: 0.02,
+    imageConcurrency: null,
+    imageMemoryLimit: 512 * 1024 * 1024,
     calculateQualityMetrics: false,
     description: 'Balanced compression - good size/quality ratio'
   },
@@ -26,14 +78,45 @@ const COMPRESSION_LEVELS = {
     imageQuality: 85,
     imageDPI: 300,
     imageFormat: 'jpeg',
+    resizeKernel: 'lanczos3',
+    chromaSubsampling: '4:4:4',
+    jpegTrellis: true,
+    jpegQuantTable: 3,
+    postSharpen: 0,
+    perceptualTarget: false,
+    ssimFloor: 0.98,
+    qualitySearchRange: [60, 95],
+    qualitySearchScales: [1],
+    cmykOutput: 'cmyk', // Print target: CMYK images stay CMYK
+    imageClassification: true,
+    bilevelCompression: false,
+    bilevelTolerance: 0.99,
+    bilevelDPI: 300,
+    grayscaleDetection: true,
+    grayscaleTolerance: 4,
+    grayscale: false,
+    inlineImages: true,
+    imageCropping: false,
+    nearDuplicateThreshold: null,
+    mrc: false,
+    mrcBackgroundDPI: 150,
+    losslessJpeg: 'progressive',
     removeMetadata: false,
     fontSubsetting: false,
     objectCompression: 'minimal',
+    savingsMargin: 0.05,
+    imageConcurrency: null,
+    imageMemoryLimit: 512 * 1024 * 1024,
     calculateQualityMetrics: false,
     description: 'Minimal compression - preserves quality'
   }
 };
 
+// Sharp's resampling kernels (nearest is fastest, lanczos3 keeps the most detail)
+const RESIZE_KERNELS = ['nearest', 'linear', 'cubic', 'mitchell', 'lanczos2', 'lanczos3'];
+
+const CHROMA_SUBSAMPLING = ['4:2:0', '4:4:4'];
+
 const ERROR_MESSAGES = {
   FILE_NOT_FOUND: 'The specified file was not found',
   INVALID_PDF: 'The file is not a valid PDF',
@@ -45,5 +128,7 @@ const ERROR_MESSAGES = {
 
 module.exports = {
   COMPRESSION_LEVELS,
+  RESIZE_KERNELS,
+  CHROMA_SUBSAMPLING,
   ERROR_MESSAGES
 };
@@ -0,0 +1,391 @@
+/**
+ * Minimal PDF content stream parser
+ *
+ * Operands are returned as plain JavaScript values: numbers, booleans, null,
+ * arrays, `{ name }` for names, `{ string }` for literal and hex strings and
+ * `{ dict }` for dictionaries. Every operation records the byte range it
+ * spans in the (latin1) content, so callers can rewrite streams in place.
+ */
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+/**
+ * Parse a content stream into a list of operations
+ *
+ * @param {Uint8Array|string} data - Decoded content stream
+ * @returns {Array<Object>} Operations as { operator, operands, start, end };
+ *          inline images (BI ... ID ... EI) also carry `image: { dict, data }`
+ */
+function parseContentStream(data) {
+  const content = typeof data === 'string' ? data : Buffer.from(data).toString('latin1');
+  const lexer = { content, pos: 0 };
+  const operations = [];
+  let operands = [];
+  let operandsStart = null;
+
+  for (;;) {
+    skipWhitespace(lexer);
+    if (lexer.pos >= content.length) break;
+
+    const start = lexer.pos;
+    const token = readToken(lexer);
+
+    if (!token.operator) {
+      if (operandsStart === null) operandsStart = start;
+      operands.push(token.value);
+      continue;
+    }
+
+    const operation = {
+      operator: token.operator,
+      operands,
+      start: operandsStart === null ? start : operandsStart,
+      end: lexer.pos
+    };
+
+    if (token.operator === 'BI') {
+      operation.image = readInlineImage(lexer);
+      operation.end = lexer.pos;
+    }
+
+    operations.push(operation);
+    operands = [];
+    operandsStart = null;
+  }
+
+  return operations;
+}
+
+/**
+ * Read the dictionary and data of an inline image, just after `BI`
+ */
+function readInlineImage(lexer) {
+  const { content } = lexer;
+  const dict = {};
+
+  for (;;) {
+    skipWhitespace(lexer);
+    if (lexer.pos >= content.length) throw new Error('Unterminated inline image');
+
+    const token = readToken(lexer);
+    if (token.operator === 'ID') break;
+    if (token.operator || !token.value || token.value.name === undefined) {
+      throw new Error('Malformed inline image dictionary');
+    }
+
+    skipWhitespace(lexer);
+    const value = readToken(lexer);
+    dict[token.value.name] = value.operator ? { name: value.operator } : value.value;
+  }
+
+  // A single whitespace byte separates ID from the data
+  const dataStart = lexer.pos + 1;
+
+  // Unfiltered data has a known length, which binary data that happens to
+  // contain "EI" cannot fool; otherwise look for the first EI on its own
+  const length = getUnfilteredLength(dict);
+  const tail = /\s*EI(?=\s|$)/y;
+  tail.lastIndex = dataStart + (length || 0);
+  const after = length === null ? null : tail.exec(content);
+  if (after) {
+    lexer.pos = dataStart + length + after[0].length;
+    return {
+      dict,
+      data: Buffer.from(content.slice(dataStart, dataStart + length), 'latin1'),
+      dataStart,
+      dataEnd: dataStart + length
+    };
+  }
+
+  const pattern = /\sEI(?=[\s]|$)/g;
+  pattern.lastIndex = dataStart;
+  const match = pattern.exec(content);
+  const dataEnd = match ? match.index : content.length;
+
+  lexer.pos = match ? match.index + 3 : content.length;
+
+  return {
+    dict,
+    data: Buffer.from(content.slice(dataStart, dataEnd), 'latin1'),
+    dataStart,
+    dataEnd
+  };
+}
+
+// Components of the color spaces an inline image can name directly
+const INLINE_COMPONENTS = { G: 1, DeviceGray: 1, RGB: 3, DeviceRGB: 3, CMYK: 4, DeviceCMYK: 4 };
+
+/**
+ * Byte length of an unfiltered inline image, or null when it has filters or
+ * a color space given by resource name
+ */
+function getUnfilteredLength(dict) {
+  if (dict.F !== undefined || dict.Filter !== undefined) return null;
+
+  const width = dict.W ?? dict.Width;
+  const height = dict.H ?? dict.Height;
+  const imageMask = dict.IM ?? dict.ImageMask;
+  const colorSpace = dict.CS ?? dict.ColorSpace;
+  if (typeof width !== 'number' || typeof height !== 'number') return null;
+
+  let components;
+  let bitsPerComponent = dict.BPC ?? dict.BitsPerComponent;
+  if (imageMask === true) {
+    components = 1;
+    bitsPerComponent = 1;
+  } else if (Array.isArray(colorSpace) && ['I', 'Indexed'].includes(colorSpace[0]?.name)) {
+    components = 1;
+  } else {
+    components = INLINE_COMPONENTS[colorSpace?.name];
+  }
+  if (!components || typeof bitsPerComponent !== 'number') return null;
+
+  return Math.ceil(width * components * bitsPerComponent / 8) * height;
+}
+
+/**
+ * Write an operand (as returned by parseContentStream) in content stream
+ * syntax
+ *
+ * @param {*} value - Number, boolean, null, array, { name }, { string } or { dict }
+ * @returns {string} - PDF syntax
+ */
+function serializeOperand(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return formatNumber(value);
+  if (Array.isArray(value)) return `[${value.map(serializeOperand).join(' ')}]`;
+  if (value.name !== undefined) return serializeName(value.name);
+  if (value.string !== undefined) return `<${Buffer.from(value.string, 'latin1').toString('hex')}>`;
+  if (value.dict !== undefined) {
+    const entries = Object.entries(value.dict).map(([key, entry]) => `${serializeName(key)} ${serializeOperand(entry)}`);
+    return `<<${entries.join(' ')}>>`;
+  }
+  throw new Error(`Cannot serialize operand ${JSON.stringify(value)}`);
+}
+
+function serializeName(name) {
+  const escaped = name.replace(/[^!-~]|[#()<>[\]{}/%]/g, char => `#${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+  return `/${escaped}`;
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+function skipWhitespace(lexer) {
+  const { content } = lexer;
+  while (lexer.pos < content.length) {
+    const char = content[lexer.pos];
+    if (WHITESPACE.includes(char)) {
+      lexer.pos++;
+    } else if (char === '%') {
+      while (lexer.pos < content.length && content[lexer.pos] !== '\n' && content[lexer.pos] !== '\r') {
+        lexer.pos++;
+      }
+    } else {
+      break;
+    }
+  }
+}
+
+/**
+ * Read one operand or operator
+ * @returns {Object} - { value } for operands, { operator } for keywords
+ */
+function readToken(lexer) {
+  const { content } = lexer;
+  const char = content[lexer.pos];
+
+  if (char === '(') return { value: { string: readLiteralString(lexer) } };
+
+  if (char === '<' && content[lexer.pos + 1] === '<') {
+    lexer.pos += 2;
+    const dict = {};
+    for (;;) {
+      skipWhitespace(lexer);
+      if (lexer.pos >= content.length) throw new Error('Unterminated dictionary');
+      if (content.startsWith('>>', lexer.pos)) {
+        lexer.pos += 2;
+        return { value: { dict } };
+      }
+      const key = readToken(lexer);
+      skipWhitespace(lexer);
+      const value = readToken(lexer);
+      if (key.value && key.value.name !== undefined) {
+        dict[key.value.name] = value.operator ? { name: value.operator } : value.value;
+      }
+    }
+  }
+
+  if (char === '<') {
+    const end = content.indexOf('>', lexer.pos);
+    const stop = end === -1 ? content.length : end;
+    let hex = content.slice(lexer.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2 === 1) hex += '0';
+    lexer.pos = stop + 1;
+    return { value: { string: Buffer.from(hex, 'hex').toString('latin1') } };
+  }
+
+  if (char === '[') {
+    lexer.pos++;
+    const array = [];
+    for (;;) {
+      skipWhitespace(lexer);
+      if (lexer.pos >= content.length) throw new Error('Unterminated array');
+      if (content[lexer.pos] === ']') {
+        lexer.pos++;
+        return { value: array };
+      }
+      const item = readToken(lexer);
+      array.push(item.operator ? { name: item.operator } : item.value);
+    }
+  }
+
+  if (char === '/') {
+    lexer.pos++;
+    const raw = readRegular(lexer);
+    return { value: { name: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) } };
+  }
+
+  if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+    // Stray delimiter: skip it rather than loop forever
+    lexer.pos++;
+    return { operator: char };
+  }
+
+  const word = readRegular(lexer);
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { value: parseFloat(word) };
+  if (word === 'true') return { value: true };
+  if (word === 'false') return { value: false };
+  if (word === 'null') return { value: null };
+
+  return { operator: word };
+}
+
+function readRegular(lexer) {
+  const { content } = lexer;
+  const start = lexer.pos;
+  while (
+    lexer.pos < content.length &&
+    !WHITESPACE.includes(content[lexer.pos]) &&
+    !DELIMITERS.includes(content[lexer.pos])
+  ) {
+    lexer.pos++;
+  }
+  return content.slice(start, lexer.pos);
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+function readLiteralString(lexer) {
+  const { content } = lexer;
+  let depth = 0;
+  let result = '';
+
+  while (lexer.pos < content.length) {
+    const char = content[lexer.pos++];
+
+    if (char === '\\') {
+      const next = content[lexer.pos++];
+      if (ESCAPES[next]) {
+        result += ESCAPES[next];
+      } else if (next >= '0' && next <= '7') {
+        let octal = next;
+        while (octal.length < 3 && content[lexer.pos] >= '0' && content[lexer.pos] <= '7') {
+          octal += content[lexer.pos++];
+        }
+        result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next === '\r') {
+        if (content[lexer.pos] === '\n') lexer.pos++;
+      } else if (next !== '\n') {
+        result += next;
+      }
+    } else if (char === '(') {
+      if (depth > 0) result += char;
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return result;
+      result += char;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Multiply two transformation matrices ([a b c d e f] form): m1 × m2
+ */
+function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+/**
+ * Invert a transformation matrix
+ *
+ * @param {Array<number>} m - Matrix [a b c d e f]
+ * @returns {Array<number>|null} - The inverse, or null when the matrix is
+ *          degenerate (maps everything onto a line or point)
+ */
+function invertMatrix(m) {
+  const determinant = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(determinant) < 1e-12) return null;
+
+  return [
+    m[3] / determinant,
+    -m[1] / determinant,
+    -m[2] / determinant,
+    m[0] / determinant,
+    (m[2] * m[5] - m[3] * m[4]) / determinant,
+    (m[1] * m[4] - m[0] * m[5]) / determinant
+  ];
+}
+
+/**
+ * Bounding box of a transformed rectangle
+ *
+ * @param {Array<number>} box - Rectangle [x0 y0 x1 y1]
+ * @param {Array<number>} m - Matrix [a b c d e f]
+ * @returns {Array<number>} - Smallest [x0 y0 x1 y1] holding the four
+ *          transformed corners
+ */
+function transformBox(box, m) {
+  const [x0, y0, x1, y1] = box;
+  const xs = [];
+  const ys = [];
+  for (const [x, y] of [[x0, y0], [x1, y0], [x0, y1], [x1, y1]]) {
+    xs.push(m[0] * x + m[2] * y + m[4]);
+    ys.push(m[1] * x + m[3] * y + m[5]);
+  }
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Intersection of two boxes; empty when x0 > x1 or y0 > y1
+ */
+function intersectBoxes(a, b) {
+  return [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.min(a[2], b[2]), Math.min(a[3], b[3])];
+}
+
+module.exports = {
+  IDENTITY_MATRIX,
+  parseContentStream,
+  serializeOperand,
+  multiplyMatrix,
+  invertMatrix,
+  transformBox,
+  intersectBoxes
+};
@@ -0,0 +1,220 @@
+const pako = require('pako');
+
+/**
+ * Lossless image encoder producing FlateDecode image data with PNG
+ * predictors (/Predictor 15: the filter is chosen per row)
+ *
+ * Before encoding, the pixels are reduced as far as that stays lossless:
+ * neutral RGB becomes gray, images with few colors become /Indexed, and gray
+ * levels that fit in 1, 2 or 4 bits are stored at that depth.
+ */
+
+/**
+ * Encode 8-bit pixels as a Flate image
+ *
+ * @param {Uint8Array} pixels - width * height * channels bytes
+ * @param {Object} image - { width, height, channels } with 1, 3 or 4 channels
+ * @param {Object} [options] - { palette: allow /Indexed (default true),
+ *        level: zlib level (default 9) }
+ * @returns {Object} - { data, bitsPerComponent, colorSpace, decodeParms }
+ *          where colorSpace is { family, components } for device spaces or
+ *          { family: 'Indexed', components: 1, baseComponents, hival, palette }
+ */
+function encodeFlateImage(pixels, { width, height, channels }, options = {}) {
+  const pixelCount = width * height;
+  if (pixels.length < pixelCount * channels) {
+    throw new Error(`Image data too short (${pixels.length} of ${pixelCount * channels} bytes)`);
+  }
+
+  let samples = pixels.subarray(0, pixelCount * channels);
+  let components = channels;
+
+  // Neutral RGB loses nothing as gray
+  if (channels === 3 && isNeutral(samples)) {
+    samples = toGray(samples);
+    components = 1;
+  }
+
+  let colorSpace = { family: deviceFamily(components), components };
+  let bitsPerComponent = 8;
+
+  if (components === 1) {
+    bitsPerComponent = getGrayDepth(samples);
+    if (bitsPerComponent < 8) samples = scaleGray(samples, bitsPerComponent);
+  } else if (options.palette !== false) {
+    const indexed = toIndexed(samples, components);
+    if (indexed) {
+      samples = indexed.indices;
+      bitsPerComponent = getIndexDepth(indexed.colorCount);
+      colorSpace = {
+        family: 'Indexed',
+        components: 1,
+        baseComponents: components,
+        hival: indexed.colorCount - 1,
+        palette: indexed.palette
+      };
+    }
+  }
+
+  const packed = packSamples(samples, width, height, colorSpace.components, bitsPerComponent);
+  const filtered = applyPngPredictor(packed, width, height, colorSpace.components, bitsPerComponent);
+
+  return {
+    data: pako.deflate(filtered, { level: options.level === undefined ? 9 : options.level }),
+    bitsPerComponent,
+    colorSpace,
+    decodeParms: {
+      Predictor: 15,
+      Colors: colorSpace.components,
+      BitsPerComponent: bitsPerComponent,
+      Columns: width
+    }
+  };
+}
+
+function deviceFamily(components) {
+  if (components === 1) return 'DeviceGray';
+  if (components === 4) return 'DeviceCMYK';
+  return 'DeviceRGB';
+}
+
+function isNeutral(rgb) {
+  for (let i = 0; i < rgb.length; i += 3) {
+    if (rgb[i] !== rgb[i + 1] || rgb[i] !== rgb[i + 2]) return false;
+  }
+  return true;
+}
+
+function toGray(rgb) {
+  const gray = new Uint8Array(rgb.length / 3);
+  for (let i = 0; i < gray.length; i++) gray[i] = rgb[i * 3];
+  return gray;
+}
+
+/**
+ * Smallest depth whose levels (0, 255 / (2^n - 1), ...) hold every value
+ */
+function getGrayDepth(gray) {
+  for (const depth of [1, 2, 4]) {
+    const step = 255 / ((1 << depth) - 1);
+    if (gray.every(value => value % step === 0)) return depth;
+  }
+  return 8;
+}
+
+function scaleGray(gray, depth) {
+  const step = 255 / ((1 << depth) - 1);
+  return gray.map(value => value / step);
+}
+
+function getIndexDepth(colorCount) {
+  if (colorCount <= 2) return 1;
+  if (colorCount <= 4) return 2;
+  if (colorCount <= 16) return 4;
+  return 8;
+}
+
+/**
+ * Map colors to palette indices, or null when there are more than 256
+ */
+function toIndexed(samples, components) {
+  const pixelCount = samples.length / components;
+  const lookup = new Map();
+  const palette = [];
+  const indices = new Uint8Array(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    let key = 0;
+    for (let c = 0; c < components; c++) key = key * 256 + samples[i * components + c];
+
+    let index = lookup.get(key);
+    if (index === undefined) {
+      if (lookup.size === 256) return null;
+      index = lookup.size;
+      lookup.set(key, index);
+      for (let c = 0; c < components; c++) palette.push(samples[i * components + c]);
+    }
+    indices[i] = index;
+  }
+
+  return { indices, colorCount: lookup.size, palette: Uint8Array.from(palette) };
+}
+
+/**
+ * Pack samples into rows of `bitsPerComponent` bits, each row starting on a
+ * byte boundary
+ */
+function packSamples(samples, width, height, components, bitsPerComponent) {
+  if (bitsPerComponent === 8) return samples;
+
+  const samplesPerRow = width * components;
+  const rowLength = Math.ceil(samplesPerRow * bitsPerComponent / 8);
+  const packed = new Uint8Array(rowLength * height);
+
+  for (let row = 0; row < height; row++) {
+    for (let i = 0; i < samplesPerRow; i++) {
+      const bit = i * bitsPerComponent;
+      packed[row * rowLength + (bit >> 3)] |= samples[row * samplesPerRow + i] << (8 - bitsPerComponent - (bit & 7));
+    }
+  }
+
+  return packed;
+}
+
+/**
+ * Prefix every row with the PNG filter that minimizes the sum of absolute
+ * (signed) residuals, the heuristic used by libpng
+ */
+function applyPngPredictor(packed, width, height, components, bitsPerComponent) {
+  const rowLength = Math.ceil(width * components * bitsPerComponent / 8);
+  const bytesPerPixel = Math.max(1, Math.ceil(components * bitsPerComponent / 8));
+  const output = new Uint8Array((rowLength + 1) * height);
+  const candidate = new Uint8Array(rowLength);
+
+  for (let row = 0; row < height; row++) {
+    const offset = row * rowLength;
+    let bestScore = Infinity;
+
+    for (let type = 0; type <= 4; type++) {
+      let score = 0;
+      for (let i = 0; i < rowLength && score < bestScore; i++) {
+        const left = i >= bytesPerPixel ? packed[offset + i - bytesPerPixel] : 0;
+        const up = row > 0 ? packed[offset - rowLength + i] : 0;
+        const upLeft = row > 0 && i >= bytesPerPixel ? packed[offset - rowLength + i - bytesPerPixel] : 0;
+        const residual = (packed[offset + i] - predict(type, left, up, upLeft)) & 0xff;
+        candidate[i] = residual;
+        score += residual < 128 ? residual : 256 - residual;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        output[row * (rowLength + 1)] = type;
+        output.set(candidate, row * (rowLength + 1) + 1);
+      }
+    }
+  }
+
+  return output;
+}
+
+function predict(type, left, up, upLeft) {
+  switch (type) {
+    case 1: return left;
+    case 2: return up;
+    case 3: return (left + up) >> 1;
+    case 4: {
+      const estimate = left + up - upLeft;
+      const distLeft = Math.abs(estimate - left);
+      const distUp = Math.abs(estimate - up);
+      const distUpLeft = Math.abs(estimate - upLeft);
+      if (distLeft <= distUp && distLeft <= distUpLeft) return left;
+      if (distUp <= distUpLeft) return up;
+      return upLeft;
+    }
+    default: return 0;
+  }
+}
+
+module.exports = {
+  encodeFlateImage
+};
@@ -0,0 +1,50 @@
+/**
+ * Detection of visually gray color images and the color-to-gray formulas
+ * used when converting a document to grayscale
+ */
+
+/**
+ * Measure the share of pixels whose channels lie within `tolerance` of each
+ * other (a neutral gray)
+ *
+ * @param {Uint8Array} pixels - 8-bit RGB pixels, `channels` bytes each (any
+ *        further channels are ignored)
+ * @param {number} channels - Bytes per pixel, at least 3
+ * @param {number} tolerance - Largest channel spread still counted as gray
+ * @returns {number} - Share of neutral pixels, 0 to 1
+ */
+function measureNeutralRatio(pixels, channels, tolerance) {
+  const count = Math.floor(pixels.length / channels);
+  if (count === 0) return 0;
+
+  let neutral = 0;
+  for (let i = 0; i < count; i++) {
+    const offset = i * channels;
+    const r = pixels[offset];
+    const g = pixels[offset + 1];
+    const b = pixels[offset + 2];
+    if (Math.max(r, g, b) - Math.min(r, g, b) <= tolerance) neutral++;
+  }
+
+  return neutral / count;
+}
+
+/**
+ * Gray level of an RGB color (PDF 32000-1:2008, 10.3.2), components 0 to 1
+ */
+function rgbToGray(r, g, b) {
+  return 0.3 * r + 0.59 * g + 0.11 * b;
+}
+
+/**
+ * Gray level of a CMYK color (PDF 32000-1:2008, 10.3.4), components 0 to 1
+ */
+function cmykToGray(c, m, y, k) {
+  return 1 - Math.min(1, 0.3 * c + 0.59 * m + 0.11 * y + k);
+}
+
+module.exports = {
+  measureNeutralRatio,
+  rgbToGray,
+  cmykToGray
+};
@@ -70,6 +70,14 @@ function getFileSize(filePath) {
   }
 }
 
+/**
+ * Check whether a re-encoded object (or file) saves at least `margin` of
+ * its original size, and so is worth replacing the original with
+ */
+function meetsSavingsMargin(originalSize, newSize, margin = 0) {
+  return newSize <= originalSize * (1 - margin) && newSize < originalSize;
+}
+
 /**
  * Create temporary directory
  */
@@ -190,6 +198,7 @@ module.exports = {
   generateOutputFilename,
   isPDF,
   getFileSize,
+  meetsSavingsMargin,
   createTempDir,
   cleanupTempDir,
   sanitizePath,
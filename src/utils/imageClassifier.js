@@ -0,0 +1,94 @@
+/**
+ * Classification of image content, deciding between the lossy encoder
+ * (photos) and lossless Flate (line art and screenshots)
+ */
+
+// Images with at most this many distinct colors are line art (palette)
+const LINE_ART_MAX_COLORS = 256;
+// Beyond this many distinct colors (in the sample) an image is a photo...
+const PHOTO_MIN_COLORS = 4096;
+// ...as is one with a rich tonal range and few hard edges
+const PHOTO_MIN_ENTROPY = 6;
+const PHOTO_MAX_EDGE_DENSITY = 0.08;
+// Neighbouring pixels further apart than this in luma form a hard edge
+const EDGE_CONTRAST = 64;
+// Gray images have at most 256 colors, so the count says nothing about them:
+// they are line art when their histogram is this sparse (entropy in bits)
+const GRAY_LINE_ART_MAX_ENTROPY = 3;
+
+/**
+ * Classify an image's content from its color count, edge density and entropy.
+ * Gray images, and color ones whose pixels are all gray, are classified from
+ * their entropy and edge density alone
+ * @param {Uint8Array} pixels - 8-bit gray or RGB pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} channels - Bytes per pixel (1 or 3)
+ * @returns {Object} - { imageClass, colorCount, edgeDensity, entropy } where
+ *          imageClass is 'photo', 'line-art' or 'screenshot'
+ */
+function classifyImage(pixels, width, height, channels) {
+  const colors = new Set();
+  const histogram = new Array(256).fill(0);
+  const luma = new Uint8Array(width * height);
+  let gray = true;
+
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * channels;
+    if (channels >= 3) {
+      const [r, g, b] = [pixels[offset], pixels[offset + 1], pixels[offset + 2]];
+      if (colors.size <= PHOTO_MIN_COLORS) colors.add((r << 16) | (g << 8) | b);
+      if (r !== g || g !== b) gray = false;
+      luma[i] = Math.round((r * 299 + g * 587 + b * 114) / 1000);
+    } else {
+      colors.add(pixels[offset]);
+      luma[i] = pixels[offset];
+    }
+    histogram[luma[i]]++;
+  }
+
+  // Share of horizontally and vertically adjacent pairs with a hard edge
+  let edges = 0;
+  let pairs = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = luma[y * width + x];
+      if (x + 1 < width) {
+        pairs++;
+        if (Math.abs(value - luma[y * width + x + 1]) > EDGE_CONTRAST) edges++;
+      }
+      if (y + 1 < height) {
+        pairs++;
+        if (Math.abs(value - luma[(y + 1) * width + x]) > EDGE_CONTRAST) edges++;
+      }
+    }
+  }
+  const edgeDensity = pairs > 0 ? edges / pairs : 0;
+
+  // Shannon entropy of the luma histogram, in bits
+  let entropy = 0;
+  for (const count of histogram) {
+    if (count === 0) continue;
+    const p = count / (width * height);
+    entropy -= p * Math.log2(p);
+  }
+
+  const colorCount = colors.size;
+  let imageClass;
+  if (gray) {
+    if (entropy <= GRAY_LINE_ART_MAX_ENTROPY) imageClass = 'line-art';
+    else imageClass = edgeDensity <= PHOTO_MAX_EDGE_DENSITY ? 'photo' : 'screenshot';
+  } else if (colorCount <= LINE_ART_MAX_COLORS) {
+    imageClass = 'line-art';
+  } else if (colorCount > PHOTO_MIN_COLORS || (entropy >= PHOTO_MIN_ENTROPY && edgeDensity <= PHOTO_MAX_EDGE_DENSITY)) {
+    imageClass = 'photo';
+  } else {
+    imageClass = 'screenshot';
+  }
+
+  return { imageClass, colorCount, edgeDensity, entropy };
+}
+
+module.exports = {
+  classifyImage
+};
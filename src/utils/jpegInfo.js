@@ -0,0 +1,83 @@
+/**
+ * JPEG header parsing (ITU T.81 and Adobe Technical Note #5116)
+ *
+ * Only the markers up to the first frame header are read: enough to know the
+ * image size, the number of components and how a decoder will transform and
+ * invert them.
+ */
+
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+/**
+ * Read the frame header and Adobe/JFIF markers of a JPEG
+ *
+ * @param {Uint8Array} data - JPEG data
+ * @returns {Object|null} - { width, height, components, bitsPerComponent,
+ *          progressive, jfif, adobe } where `adobe` is `{ transform }` when
+ *          an APP14 Adobe marker is present (null otherwise); null when the
+ *          data is not a JPEG
+ */
+function readJpegInfo(data) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) return null;
+
+  const info = { jfif: false, adobe: null };
+  let pos = 2;
+
+  while (pos + 4 <= data.length) {
+    if (data[pos] !== 0xff) return null;
+
+    const marker = data[pos + 1];
+    // Fill bytes may precede a marker
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+
+    const length = (data[pos + 2] << 8) | data[pos + 3];
+    const segment = pos + 4;
+
+    if (marker === 0xe0 && matchesAscii(data, segment, 'JFIF\0')) {
+      info.jfif = true;
+    } else if (marker === 0xee && matchesAscii(data, segment, 'Adobe') && length >= 14) {
+      info.adobe = { transform: data[segment + 11] };
+    } else if (SOF_MARKERS.has(marker)) {
+      info.bitsPerComponent = data[segment];
+      info.height = (data[segment + 1] << 8) | data[segment + 2];
+      info.width = (data[segment + 3] << 8) | data[segment + 4];
+      info.components = data[segment + 5];
+      info.progressive = marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce;
+      return info;
+    } else if (marker === 0xda || marker === 0xd9) {
+      // Scan data or end of image before any frame header
+      return null;
+    }
+
+    pos += 2 + length;
+  }
+
+  return null;
+}
+
+function matchesAscii(data, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    if (data[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a decoder (libjpeg and everything built on it) converts the
+ * components from YCbCr/YCCK, following the rules of the Adobe marker
+ *
+ * @param {Object} info - As returned by readJpegInfo
+ * @returns {boolean}
+ */
+function decoderAppliesColorTransform(info) {
+  if (info.adobe) return info.adobe.transform !== 0;
+  return info.components === 3;
+}
+
+module.exports = {
+  readJpegInfo,
+  decoderAppliesColorTransform
+};
@@ -0,0 +1,866 @@
+/**
+ * Lossless JPEG optimization (ITU T.81): the quantized DCT coefficients are
+ * decoded and entropy-coded again, unchanged, with Huffman tables built for
+ * the image, without the application segments and comments a PDF reader
+ * ignores, and optionally as a progressive JPEG. This is what
+ * `jpegtran -optimize -copy none [-progressive]` does; no pixel changes.
+ *
+ * Huffman-coded 8-bit JPEGs are handled: baseline, extended sequential and
+ * progressive without successive approximation. Anything else (arithmetic
+ * coding, 12-bit, lossless and hierarchical processes, successive
+ * approximation) is left alone.
+ */
+
+const MARKERS = {
+  SOI: 0xd8,
+  EOI: 0xd9,
+  SOS: 0xda,
+  DQT: 0xdb,
+  DNL: 0xdc,
+  DRI: 0xdd,
+  DHT: 0xc4,
+  SOF0: 0xc0,
+  SOF1: 0xc1,
+  SOF2: 0xc2,
+  APP0: 0xe0,
+  APP14: 0xee,
+  COM: 0xfe
+};
+
+// Coefficients in the first AC scan of the first component when writing
+// progressive JPEGs: the low frequencies go first, so a viewer can show a
+// usable preview early, as libjpeg's default script does
+const FIRST_AC_BAND_END = 5;
+
+/**
+ * Decode-and-rewrite a JPEG without touching its coefficients
+ *
+ * The result is decoded again and compared with the input before it is
+ * returned, so a JPEG this module misreads comes back as null rather than
+ * as a different image.
+ *
+ * @param {Uint8Array} data - JPEG data
+ * @param {Object} [options] - Optimizer options
+ * @param {boolean} [options.progressive=false] - Write a progressive JPEG
+ * @returns {Uint8Array|null} - The optimized JPEG, or null when the JPEG is
+ *          of a kind this module does not handle or is damaged
+ */
+function optimizeJpeg(data, options = {}) {
+  let jpeg;
+  let output;
+  try {
+    jpeg = readJpeg(data);
+    if (!jpeg) return null;
+
+    output = writeJpeg(jpeg, options.progressive === true);
+
+    const check = readJpeg(output);
+    if (!check || !sameCoefficients(jpeg.frame, check.frame)) return null;
+  } catch (error) {
+    return null;
+  }
+  return output;
+}
+
+/**
+ * Parse a JPEG and decode its scans to quantized coefficients, or return
+ * null when it is not a JPEG this module handles
+ */
+function readJpeg(data) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== MARKERS.SOI) return null;
+
+  const jpeg = {
+    segments: [],
+    quantTables: [],
+    frame: null,
+    dcTables: [],
+    acTables: [],
+    restartInterval: 0
+  };
+  let pos = 2;
+
+  while (pos + 2 <= data.length) {
+    if (data[pos] !== 0xff) return null;
+
+    const marker = data[pos + 1];
+    // Fill bytes may precede a marker
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === MARKERS.EOI) break;
+    if (pos + 4 > data.length) return null;
+
+    const length = (data[pos + 2] << 8) | data[pos + 3];
+    const end = pos + 2 + length;
+    if (length < 2 || end > data.length) return null;
+    const segment = data.subarray(pos + 4, end);
+
+    if (marker === MARKERS.SOF0 || marker === MARKERS.SOF1 || marker === MARKERS.SOF2) {
+      if (jpeg.frame) return null;
+      jpeg.frame = readFrame(segment, marker === MARKERS.SOF2);
+      if (!jpeg.frame) return null;
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== MARKERS.DHT && marker !== 0xc8) {
+      // Lossless, hierarchical or arithmetic-coded
+      return null;
+    } else if (marker === MARKERS.DHT) {
+      if (!readHuffmanTables(segment, jpeg)) return null;
+    } else if (marker === MARKERS.DQT) {
+      jpeg.quantTables.push(data.subarray(pos, end));
+    } else if (marker === MARKERS.DRI) {
+      jpeg.restartInterval = (segment[0] << 8) | segment[1];
+    } else if (marker === MARKERS.SOS) {
+      if (!jpeg.frame) return null;
+      const scan = readScanHeader(segment, jpeg);
+      if (!scan) return null;
+      pos = decodeScan(data, end, jpeg, scan);
+      continue;
+    } else if (isKeptApplicationSegment(marker, segment)) {
+      jpeg.segments.push(data.subarray(pos, end));
+    } else if (marker === MARKERS.DNL || !(marker >= 0xe0 && marker <= MARKERS.COM)) {
+      // DNL, or a marker no decoder would skip either
+      return null;
+    }
+
+    pos = end;
+  }
+
+  if (!jpeg.frame || !jpeg.frame.scanned) return null;
+  return jpeg;
+}
+
+/**
+ * JFIF and Adobe segments change how the components are converted to
+ * colors, so they stay; the other APPn and COM segments are dropped
+ */
+function isKeptApplicationSegment(marker, segment) {
+  if (marker === MARKERS.APP0) return matchesAscii(segment, 'JFIF\0');
+  if (marker === MARKERS.APP14) return matchesAscii(segment, 'Adobe');
+  return false;
+}
+
+function matchesAscii(data, text) {
+  if (data.length < text.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (data[i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Frame header, with a coefficient buffer per component covering whole MCUs
+ */
+function readFrame(segment, progressive) {
+  const precision = segment[0];
+  const height = (segment[1] << 8) | segment[2];
+  const width = (segment[3] << 8) | segment[4];
+  const count = segment[5];
+  if (precision !== 8 || height === 0 || width === 0 || count < 1 || count > 4) return null;
+  if (segment.length < 6 + count * 3) return null;
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const offset = 6 + i * 3;
+    const h = segment[offset + 1] >> 4;
+    const v = segment[offset + 1] & 15;
+    if (h < 1 || h > 4 || v < 1 || v > 4) return null;
+    components.push({ id: segment[offset], h, v, quantTable: segment[offset + 2] });
+  }
+
+  const maxH = Math.max(...components.map(component => component.h));
+  const maxV = Math.max(...components.map(component => component.v));
+  const mcusPerLine = Math.ceil(width / (8 * maxH));
+  const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+  for (const component of components) {
+    // Blocks holding image samples; the rest only pad interleaved MCUs
+    component.blocksPerLine = Math.ceil(Math.ceil(width * component.h / maxH) / 8);
+    component.blocksPerColumn = Math.ceil(Math.ceil(height * component.v / maxV) / 8);
+    component.stride = mcusPerLine * component.h;
+    component.coefficients = new Int16Array(component.stride * mcusPerColumn * component.v * 64);
+  }
+
+  return { progressive, width, height, components, mcusPerLine, mcusPerColumn, scanned: false };
+}
+
+function readHuffmanTables(segment, jpeg) {
+  let pos = 0;
+  while (pos < segment.length) {
+    const tableClass = segment[pos] >> 4;
+    const id = segment[pos] & 15;
+    if (tableClass > 1 || id > 3 || pos + 17 > segment.length) return false;
+
+    const counts = Array.from(segment.subarray(pos + 1, pos + 17));
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (pos + 17 + total > segment.length) return false;
+
+    const symbols = Array.from(segment.subarray(pos + 17, pos + 17 + total));
+    (tableClass === 0 ? jpeg.dcTables : jpeg.acTables)[id] = buildDecodingTable(counts, symbols);
+    pos += 17 + total;
+  }
+  return true;
+}
+
+/**
+ * Largest code of each length and the offset from a code to its symbol
+ * (T.81 Annex F.2.2.3)
+ */
+function buildDecodingTable(counts, symbols) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    valueOffset[length] = index - code;
+    if (count > 0) maxCode[length] = code + count - 1;
+    code = (code + count) << 1;
+    index += count;
+  }
+
+  return { maxCode, valueOffset, symbols };
+}
+
+function readScanHeader(segment, jpeg) {
+  const count = segment[0];
+  if (count < 1 || count > 4 || segment.length < 4 + count * 2) return null;
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const id = segment[1 + i * 2];
+    const component = jpeg.frame.components.find(candidate => candidate.id === id);
+    if (!component) return null;
+    components.push({
+      component,
+      dcTable: jpeg.dcTables[segment[2 + i * 2] >> 4],
+      acTable: jpeg.acTables[segment[2 + i * 2] & 15]
+    });
+  }
+
+  const offset = 1 + count * 2;
+  const scan = {
+    components,
+    start: segment[offset],
+    end: segment[offset + 1],
+    high: segment[offset + 2] >> 4,
+    low: segment[offset + 2] & 15
+  };
+
+  if (jpeg.frame.progressive) {
+    // Successive approximation is not supported
+    if (scan.high !== 0 || scan.low !== 0) return null;
+    if (scan.start === 0 && scan.end !== 0) return null;
+    if (scan.start > 0 && (count !== 1 || scan.end > 63 || scan.start > scan.end)) return null;
+  } else {
+    scan.start = 0;
+    scan.end = 63;
+  }
+
+  const needsDc = scan.start === 0;
+  const needsAc = scan.end > 0;
+  for (const { dcTable, acTable } of components) {
+    if ((needsDc && !dcTable) || (needsAc && !acTable)) return null;
+  }
+
+  return scan;
+}
+
+/**
+ * Decode one scan's entropy-coded data into the frame's coefficients,
+ * returning the position of the marker that follows it
+ */
+function decodeScan(data, pos, jpeg, scan) {
+  const frame = jpeg.frame;
+  const reader = createBitReader(data, pos);
+  const single = scan.components.length === 1;
+  const mcuCount = single
+    ? scan.components[0].component.blocksPerLine * scan.components[0].component.blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  const decodeBlock = scan.start === 0
+    ? (scan.end === 0 ? decodeDcOnly : decodeSequential)
+    : decodeAcFirst;
+  const state = { predictions: new Int32Array(scan.components.length), eobRun: 0 };
+
+  for (let mcu = 0; mcu < mcuCount; mcu++) {
+    if (jpeg.restartInterval > 0 && mcu > 0 && mcu % jpeg.restartInterval === 0) {
+      reader.restart();
+      state.predictions.fill(0);
+      state.eobRun = 0;
+    }
+
+    if (single) {
+      const { component } = scan.components[0];
+      const row = Math.floor(mcu / component.blocksPerLine);
+      const column = mcu % component.blocksPerLine;
+      decodeBlock(reader, scan, 0, blockOffset(component, row, column), state);
+      continue;
+    }
+
+    const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+    const mcuColumn = mcu % frame.mcusPerLine;
+    scan.components.forEach(({ component }, index) => {
+      for (let v = 0; v < component.v; v++) {
+        for (let h = 0; h < component.h; h++) {
+          const offset = blockOffset(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+          decodeBlock(reader, scan, index, offset, state);
+        }
+      }
+    });
+  }
+
+  frame.scanned = true;
+  return reader.nextMarker();
+}
+
+function blockOffset(component, row, column) {
+  return (row * component.stride + column) * 64;
+}
+
+/**
+ * Baseline/extended sequential block; coefficients stay in zigzag order
+ */
+function decodeSequential(reader, scan, index, offset, state) {
+  decodeDcOnly(reader, scan, index, offset, state);
+
+  const { component, acTable } = scan.components[index];
+  const coefficients = component.coefficients;
+  for (let k = 1; k < 64;) {
+    const symbol = reader.decode(acTable);
+    const size = symbol & 15;
+    const run = symbol >> 4;
+    if (size === 0) {
+      if (run < 15) break;
+      k += 16;
+      continue;
+    }
+    k += run;
+    if (k > 63) throw new Error('Coefficient out of range');
+    coefficients[offset + k] = reader.receiveExtend(size);
+    k++;
+  }
+}
+
+function decodeDcOnly(reader, scan, index, offset, state) {
+  const { component, dcTable } = scan.components[index];
+  const size = reader.decode(dcTable);
+  state.predictions[index] += size === 0 ? 0 : reader.receiveExtend(size);
+  component.coefficients[offset] = state.predictions[index];
+}
+
+/**
+ * First (and, without successive approximation, only) AC scan of a band
+ * in a progressive JPEG
+ */
+function decodeAcFirst(reader, scan, index, offset, state) {
+  if (state.eobRun > 0) {
+    state.eobRun--;
+    return;
+  }
+
+  const { component, acTable } = scan.components[index];
+  const coefficients = component.coefficients;
+  for (let k = scan.start; k <= scan.end;) {
+    const symbol = reader.decode(acTable);
+    const size = symbol & 15;
+    const run = symbol >> 4;
+    if (size === 0) {
+      if (run < 15) {
+        // This block is the first of an EOB run
+        state.eobRun = (1 << run) - 1 + (run > 0 ? reader.readBits(run) : 0);
+        break;
+      }
+      k += 16;
+      continue;
+    }
+    k += run;
+    if (k > scan.end) throw new Error('Coefficient out of range');
+    coefficients[offset + k] = reader.receiveExtend(size);
+    k++;
+  }
+}
+
+function createBitReader(data, start) {
+  let pos = start;
+  let byte = 0;
+  let bitsLeft = 0;
+
+  const readBit = () => {
+    if (bitsLeft === 0) {
+      if (pos >= data.length) throw new Error('Unexpected end of data');
+      byte = data[pos++];
+      if (byte === 0xff) {
+        if (data[pos] !== 0) throw new Error('Unexpected marker in scan data');
+        pos++;
+      }
+      bitsLeft = 8;
+    }
+    bitsLeft--;
+    return (byte >> bitsLeft) & 1;
+  };
+
+  const readBits = length => {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+    return value;
+  };
+
+  return {
+    readBits,
+
+    decode(table) {
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | readBit();
+        if (code <= table.maxCode[length]) return table.symbols[code + table.valueOffset[length]];
+      }
+      throw new Error('Invalid Huffman code');
+    },
+
+    // T.81 Figure F.12
+    receiveExtend(size) {
+      const value = readBits(size);
+      return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+    },
+
+    restart() {
+      bitsLeft = 0;
+      while (data[pos] === 0xff && data[pos + 1] === 0xff) pos++;
+      if (data[pos] !== 0xff || data[pos + 1] < 0xd0 || data[pos + 1] > 0xd7) {
+        throw new Error('Missing restart marker');
+      }
+      pos += 2;
+    },
+
+    nextMarker() {
+      // Skip any padding up to the next marker that is not a restart marker
+      while (pos + 1 < data.length) {
+        if (data[pos] === 0xff && data[pos + 1] !== 0 && data[pos + 1] !== 0xff &&
+            (data[pos + 1] < 0xd0 || data[pos + 1] > 0xd7)) {
+          return pos;
+        }
+        pos++;
+      }
+      return data.length;
+    }
+  };
+}
+
+/**
+ * Write the parsed JPEG back with optimal Huffman tables and no restart
+ * intervals
+ */
+function writeJpeg(jpeg, progressive) {
+  const { frame } = jpeg;
+  const out = createByteWriter();
+
+  out.writeMarker(MARKERS.SOI);
+  for (const segment of jpeg.segments) out.writeBytes(segment);
+  for (const table of jpeg.quantTables) out.writeBytes(table);
+
+  // Baseline requires 8-bit quantization tables
+  const baseline = jpeg.quantTables.every(table => hasOnly8BitTables(table));
+  const sofMarker = progressive ? MARKERS.SOF2 : (baseline ? MARKERS.SOF0 : MARKERS.SOF1);
+  const frameHeader = [8, frame.height >> 8, frame.height & 255, frame.width >> 8, frame.width & 255,
+    frame.components.length];
+  for (const component of frame.components) {
+    frameHeader.push(component.id, (component.h << 4) | component.v, component.quantTable);
+  }
+  out.writeSegment(sofMarker, frameHeader);
+
+  // Luminance (or the only component) uses tables 0, the others share 1
+  const tableIds = frame.components.map((component, index) => (index === 0 ? 0 : 1));
+
+  if (!progressive) {
+    writeScan(out, frame, {
+      components: frame.components, start: 0, end: 63, dcTableIds: tableIds, acTableIds: tableIds
+    });
+  } else {
+    writeScan(out, frame, {
+      components: frame.components, start: 0, end: 0, dcTableIds: tableIds, acTableIds: null
+    });
+    frame.components.forEach((component, index) => {
+      const bands = index === 0 ? [[1, FIRST_AC_BAND_END], [FIRST_AC_BAND_END + 1, 63]] : [[1, 63]];
+      for (const [start, end] of bands) {
+        writeScan(out, frame, { components: [component], start, end, dcTableIds: null, acTableIds: [0] });
+      }
+    });
+  }
+
+  out.writeMarker(MARKERS.EOI);
+  return out.toUint8Array();
+}
+
+function hasOnly8BitTables(segment) {
+  let pos = 4;
+  while (pos < segment.length) {
+    const precision = segment[pos] >> 4;
+    if (precision !== 0) return false;
+    pos += 65;
+  }
+  return true;
+}
+
+/**
+ * Write the Huffman tables and header of one scan, then its data: a first
+ * pass collects symbol frequencies, a second one writes the codes
+ */
+function writeScan(out, frame, scan) {
+  const frequencies = { dc: [], ac: [] };
+  const count = (kind, id) => {
+    if (!frequencies[kind][id]) frequencies[kind][id] = new Uint32Array(257);
+    return frequencies[kind][id];
+  };
+
+  encodeScan(frame, scan, {
+    dc: (index, symbol) => count('dc', scan.dcTableIds[index])[symbol]++,
+    ac: (index, symbol) => count('ac', scan.acTableIds[index])[symbol]++,
+    bits: () => {}
+  });
+
+  const codes = { dc: [], ac: [] };
+  const tables = [];
+  for (const kind of ['dc', 'ac']) {
+    frequencies[kind].forEach((frequency, id) => {
+      if (!frequency) return;
+      const table = buildOptimalTable(frequency);
+      codes[kind][id] = buildEncodingTable(table);
+      tables.push((kind === 'dc' ? 0 : 0x10) | id, ...table.counts, ...table.symbols);
+    });
+  }
+  out.writeSegment(MARKERS.DHT, tables);
+
+  const header = [scan.components.length];
+  scan.components.forEach((component, index) => {
+    const dc = scan.dcTableIds ? scan.dcTableIds[index] : 0;
+    const ac = scan.acTableIds ? scan.acTableIds[index] : 0;
+    header.push(component.id, (dc << 4) | ac);
+  });
+  header.push(scan.start, scan.end, 0);
+  out.writeSegment(MARKERS.SOS, header);
+
+  const writer = createBitWriter(out);
+  const writeCode = ({ codes: values, lengths }, symbol) => writer.write(values[symbol], lengths[symbol]);
+  encodeScan(frame, scan, {
+    dc: (index, symbol) => writeCode(codes.dc[scan.dcTableIds[index]], symbol),
+    ac: (index, symbol) => writeCode(codes.ac[scan.acTableIds[index]], symbol),
+    bits: (value, length) => writer.write(value, length)
+  });
+  writer.flush();
+}
+
+/**
+ * Walk a scan's blocks in order, reporting each symbol and its extra bits
+ * to `emit` ({ dc, ac, bits })
+ */
+function encodeScan(frame, scan, emit) {
+  const single = scan.components.length === 1;
+  const predictions = new Int32Array(scan.components.length);
+  const state = { eobRun: 0 };
+  const encodeBlock = scan.start === 0 ? encodeSequentialBlock : encodeAcFirstBlock;
+
+  if (single) {
+    const component = scan.components[0];
+    for (let row = 0; row < component.blocksPerColumn; row++) {
+      for (let column = 0; column < component.blocksPerLine; column++) {
+        encodeBlock(scan, 0, component.coefficients, blockOffset(component, row, column), predictions, state, emit);
+      }
+    }
+  } else {
+    for (let mcuRow = 0; mcuRow < frame.mcusPerColumn; mcuRow++) {
+      for (let mcuColumn = 0; mcuColumn < frame.mcusPerLine; mcuColumn++) {
+        scan.components.forEach((component, index) => {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const offset = blockOffset(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+              encodeBlock(scan, index, component.coefficients, offset, predictions, state, emit);
+            }
+          }
+        });
+      }
+    }
+  }
+
+  flushEobRun(state, emit, 0);
+}
+
+/**
+ * DC difference, then (unless this is a DC-only scan) the AC coefficients
+ * as run/size symbols ending with EOB
+ */
+function encodeSequentialBlock(scan, index, coefficients, offset, predictions, state, emit) {
+  const difference = coefficients[offset] - predictions[index];
+  predictions[index] = coefficients[offset];
+  const size = bitLength(difference);
+  emit.dc(index, size);
+  if (size > 0) emit.bits(extraBits(difference, size), size);
+
+  if (scan.end === 0) return;
+
+  let run = 0;
+  for (let k = 1; k < 64; k++) {
+    const value = coefficients[offset + k];
+    if (value === 0) {
+      run++;
+      continue;
+    }
+    emitAcCoefficient(index, run, value, emit);
+    run = 0;
+  }
+  if (run > 0) emit.ac(index, 0x00);
+}
+
+/**
+ * One block of a progressive AC band; blocks whose band is empty or ends
+ * in zeros join an EOB run
+ */
+function encodeAcFirstBlock(scan, index, coefficients, offset, predictions, state, emit) {
+  let last = scan.end;
+  while (last >= scan.start && coefficients[offset + last] === 0) last--;
+
+  if (last >= scan.start) {
+    flushEobRun(state, emit, index);
+
+    let run = 0;
+    for (let k = scan.start; k <= last; k++) {
+      const value = coefficients[offset + k];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      emitAcCoefficient(index, run, value, emit);
+      run = 0;
+    }
+    if (last === scan.end) return;
+  }
+
+  state.eobRun++;
+  // EOB14 is the longest run a symbol can hold
+  if (state.eobRun === 0x7fff) flushEobRun(state, emit, index);
+}
+
+/**
+ * A nonzero AC coefficient after `run` zeros, with a ZRL symbol for every
+ * 16 zeros that do not fit in its own symbol
+ */
+function emitAcCoefficient(index, run, value, emit) {
+  for (; run > 15; run -= 16) emit.ac(index, 0xf0);
+  const size = bitLength(value);
+  emit.ac(index, (run << 4) | size);
+  emit.bits(extraBits(value, size), size);
+}
+
+function flushEobRun(state, emit, index) {
+  if (state.eobRun === 0) return;
+  const size = bitLength(state.eobRun) - 1;
+  emit.ac(index, size << 4);
+  if (size > 0) emit.bits(state.eobRun - (1 << size), size);
+  state.eobRun = 0;
+}
+
+function bitLength(value) {
+  let magnitude = Math.abs(value);
+  let length = 0;
+  while (magnitude > 0) {
+    length++;
+    magnitude >>= 1;
+  }
+  return length;
+}
+
+/**
+ * Low `size` bits of a value, with negative values one less (T.81 F.1.2.1)
+ */
+function extraBits(value, size) {
+  return (value < 0 ? value - 1 : value) & ((1 << size) - 1);
+}
+
+/**
+ * Optimal code lengths limited to 16 bits (T.81 Annex K.2), as DHT counts
+ * and symbols. One code point is reserved so no code is all ones.
+ */
+function buildOptimalTable(frequencies) {
+  const frequency = Array.from(frequencies);
+  frequency[256] = 1;
+
+  const codeSize = new Array(257).fill(0);
+  const others = new Array(257).fill(-1);
+
+  for (;;) {
+    // The two least frequent entries, preferring later ones on ties
+    let first = -1;
+    let second = -1;
+    for (let i = 0; i <= 256; i++) {
+      if (frequency[i] === 0) continue;
+      if (first < 0 || frequency[i] <= frequency[first]) {
+        second = first;
+        first = i;
+      } else if (second < 0 || frequency[i] <= frequency[second]) {
+        second = i;
+      }
+    }
+    if (second < 0) break;
+
+    frequency[first] += frequency[second];
+    frequency[second] = 0;
+
+    codeSize[first]++;
+    while (others[first] >= 0) {
+      first = others[first];
+      codeSize[first]++;
+    }
+    others[first] = second;
+
+    codeSize[second]++;
+    while (others[second] >= 0) {
+      second = others[second];
+      codeSize[second]++;
+    }
+  }
+
+  const bits = new Array(33).fill(0);
+  for (let i = 0; i <= 256; i++) {
+    if (codeSize[i] > 0) bits[codeSize[i]]++;
+  }
+
+  for (let length = 32; length > 16; length--) {
+    while (bits[length] > 0) {
+      let shorter = length - 2;
+      while (bits[shorter] === 0) shorter--;
+      bits[length] -= 2;
+      bits[length - 1]++;
+      bits[shorter + 1] += 2;
+      bits[shorter]--;
+    }
+  }
+
+  // Drop the reserved code point, which has the longest code
+  let longest = 16;
+  while (bits[longest] === 0) longest--;
+  bits[longest]--;
+
+  const symbols = [];
+  for (let length = 1; length <= 32; length++) {
+    for (let symbol = 0; symbol < 256; symbol++) {
+      if (codeSize[symbol] === length) symbols.push(symbol);
+    }
+  }
+
+  return { counts: bits.slice(1, 17), symbols };
+}
+
+/**
+ * Code and code length of every symbol of a table (T.81 Annex C)
+ */
+function buildEncodingTable({ counts, symbols }) {
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let index = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes[symbols[index]] = code++;
+      lengths[symbols[index]] = length;
+      index++;
+    }
+    code <<= 1;
+  }
+
+  return { codes, lengths };
+}
+
+function createByteWriter() {
+  let buffer = new Uint8Array(64 * 1024);
+  let length = 0;
+
+  const reserve = size => {
+    if (length + size <= buffer.length) return;
+    const grown = new Uint8Array(Math.max(buffer.length * 2, length + size));
+    grown.set(buffer.subarray(0, length));
+    buffer = grown;
+  };
+
+  const writer = {
+    writeByte(byte) {
+      reserve(1);
+      buffer[length++] = byte;
+    },
+
+    writeBytes(bytes) {
+      reserve(bytes.length);
+      buffer.set(bytes, length);
+      length += bytes.length;
+    },
+
+    writeMarker(marker) {
+      writer.writeBytes([0xff, marker]);
+    },
+
+    writeSegment(marker, payload) {
+      const size = payload.length + 2;
+      writer.writeBytes([0xff, marker, size >> 8, size & 255]);
+      writer.writeBytes(payload);
+    },
+
+    toUint8Array() {
+      return buffer.slice(0, length);
+    }
+  };
+
+  return writer;
+}
+
+/**
+ * Entropy-coded data writer: stuffs a zero after every 0xFF byte and pads
+ * the last byte with ones
+ */
+function createBitWriter(out) {
+  let accumulator = 0;
+  let count = 0;
+
+  const write = (value, length) => {
+    accumulator = (accumulator << length) | (value & ((1 << length) - 1));
+    count += length;
+    while (count >= 8) {
+      const byte = (accumulator >> (count - 8)) & 255;
+      out.writeByte(byte);
+      if (byte === 0xff) out.writeByte(0);
+      count -= 8;
+    }
+    accumulator &= (1 << count) - 1;
+  };
+
+  return {
+    write,
+    flush() {
+      if (count > 0) write((1 << (8 - count)) - 1, 8 - count);
+    }
+  };
+}
+
+/**
+ * Whether two decoded frames hold the same coefficients in every block
+ * that carries image samples
+ */
+function sameCoefficients(a, b) {
+  if (a.width !== b.width || a.height !== b.height || a.components.length !== b.components.length) return false;
+
+  return a.components.every((component, index) => {
+    const other = b.components[index];
+    if (component.id !== other.id || component.h !== other.h || component.v !== other.v) return false;
+
+    for (let row = 0; row < component.blocksPerColumn; row++) {
+      const start = blockOffset(component, row, 0);
+      const end = start + component.blocksPerLine * 64;
+      for (let i = start; i < end; i++) {
+        if (component.coefficients[i] !== other.coefficients[i]) return false;
+      }
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  optimizeJpeg
+};
@@ -0,0 +1,197 @@
+/**
+ * Mixed Raster Content (ITU-T T.44) segmentation of scanned pages: a page
+ * is split into a bilevel mask of the text, a background with the text
+ * removed and a low-resolution foreground holding the text colors
+ */
+
+// Side of the square blocks the page is analyzed in, in mask pixels
+const BLOCK_SIZE = 32;
+
+// Side of one foreground pixel, in mask pixels
+const FOREGROUND_CELL = 8;
+
+// Smallest luma difference between ink and paper for a block to hold text
+const MIN_INK_CONTRAST = 64;
+
+// Blocks with more pixels than this between ink and paper are pictures:
+// text is ink on paper with only a thin anti-aliased edge between the two
+const MAX_MIDTONE_RATIO = 0.2;
+
+/**
+ * Split a scanned page into MRC layers
+ *
+ * Each block's ink and paper levels are its 10th and 90th luma percentiles;
+ * blocks with enough contrast and few mid-tones are text, and their pixels
+ * darker than the midpoint go to the mask. Picture blocks stay entirely in
+ * the background.
+ *
+ * @param {Uint8Array} pixels - 8-bit gray or RGB pixels, row by row
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} channels - 1 or 3
+ * @returns {Object} - { mask, maskRatio, background, foreground }: the mask
+ *          has one byte per pixel, 1 for text; the background has the
+ *          input's size and channels with text pixels painted over in their
+ *          block's paper color; the foreground is { pixels, width, height }
+ *          with one pixel per FOREGROUND_CELL square
+ */
+function splitMrcLayers(pixels, width, height, channels) {
+  const luma = toLuma(pixels, width * height, channels);
+  const mask = new Uint8Array(width * height);
+  const background = Uint8Array.from(pixels);
+  let maskCount = 0;
+
+  for (let blockY = 0; blockY < height; blockY += BLOCK_SIZE) {
+    for (let blockX = 0; blockX < width; blockX += BLOCK_SIZE) {
+      const block = {
+        x0: blockX,
+        y0: blockY,
+        x1: Math.min(width, blockX + BLOCK_SIZE),
+        y1: Math.min(height, blockY + BLOCK_SIZE)
+      };
+
+      const threshold = getTextThreshold(luma, width, block);
+      if (threshold === null) continue;
+
+      maskCount += maskBlock(luma, mask, width, block, threshold);
+      fillWithPaper(background, mask, width, channels, block);
+    }
+  }
+
+  return {
+    mask,
+    maskRatio: maskCount / (width * height),
+    background,
+    foreground: buildForeground(pixels, mask, width, height, channels)
+  };
+}
+
+/**
+ * Luma threshold separating ink from paper in a text block, or null when
+ * the block holds no text (flat, or a picture)
+ */
+function getTextThreshold(luma, width, block) {
+  const histogram = new Uint32Array(256);
+  for (let y = block.y0; y < block.y1; y++) {
+    for (let x = block.x0; x < block.x1; x++) histogram[luma[y * width + x]]++;
+  }
+
+  const total = (block.x1 - block.x0) * (block.y1 - block.y0);
+  const ink = getPercentile(histogram, total, 0.1);
+  const paper = getPercentile(histogram, total, 0.9);
+  if (paper - ink < MIN_INK_CONTRAST) return null;
+
+  // Mid-tones: the middle half of the range between ink and paper
+  const quarter = (paper - ink) / 4;
+  let midtones = 0;
+  for (let value = Math.ceil(ink + quarter); value <= paper - quarter; value++) midtones += histogram[value];
+  if (midtones / total > MAX_MIDTONE_RATIO) return null;
+
+  return (ink + paper) / 2;
+}
+
+function getPercentile(histogram, total, share) {
+  const target = total * share;
+  let count = 0;
+  for (let value = 0; value < 256; value++) {
+    count += histogram[value];
+    if (count > target) return value;
+  }
+  return 255;
+}
+
+/**
+ * Mark a text block's pixels darker than `threshold`, returning how many
+ */
+function maskBlock(luma, mask, width, block, threshold) {
+  let count = 0;
+  for (let y = block.y0; y < block.y1; y++) {
+    for (let x = block.x0; x < block.x1; x++) {
+      const index = y * width + x;
+      if (luma[index] < threshold) {
+        mask[index] = 1;
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Paint a block's text pixels in the mean color of its other pixels, so the
+ * background compresses without the text's edges
+ */
+function fillWithPaper(background, mask, width, channels, block) {
+  const sums = new Array(channels).fill(0);
+  let count = 0;
+  for (let y = block.y0; y < block.y1; y++) {
+    for (let x = block.x0; x < block.x1; x++) {
+      const index = y * width + x;
+      if (mask[index]) continue;
+      for (let c = 0; c < channels; c++) sums[c] += background[index * channels + c];
+      count++;
+    }
+  }
+  if (count === 0) return;
+
+  const paper = sums.map(sum => Math.round(sum / count));
+  for (let y = block.y0; y < block.y1; y++) {
+    for (let x = block.x0; x < block.x1; x++) {
+      const index = y * width + x;
+      if (!mask[index]) continue;
+      for (let c = 0; c < channels; c++) background[index * channels + c] = paper[c];
+    }
+  }
+}
+
+/**
+ * Foreground layer: each cell takes the mean color of its text pixels;
+ * cells without text repeat the previous color, which only the mask could
+ * show and which keeps rows in long runs
+ */
+function buildForeground(pixels, mask, width, height, channels) {
+  const foregroundWidth = Math.ceil(width / FOREGROUND_CELL);
+  const foregroundHeight = Math.ceil(height / FOREGROUND_CELL);
+  const foreground = new Uint8Array(foregroundWidth * foregroundHeight * channels);
+  const last = new Array(channels).fill(0);
+
+  for (let cellY = 0; cellY < foregroundHeight; cellY++) {
+    for (let cellX = 0; cellX < foregroundWidth; cellX++) {
+      const sums = new Array(channels).fill(0);
+      let count = 0;
+
+      const yEnd = Math.min(height, (cellY + 1) * FOREGROUND_CELL);
+      const xEnd = Math.min(width, (cellX + 1) * FOREGROUND_CELL);
+      for (let y = cellY * FOREGROUND_CELL; y < yEnd; y++) {
+        for (let x = cellX * FOREGROUND_CELL; x < xEnd; x++) {
+          const index = y * width + x;
+          if (!mask[index]) continue;
+          for (let c = 0; c < channels; c++) sums[c] += pixels[index * channels + c];
+          count++;
+        }
+      }
+
+      if (count > 0) {
+        for (let c = 0; c < channels; c++) last[c] = Math.round(sums[c] / count);
+      }
+      foreground.set(last, (cellY * foregroundWidth + cellX) * channels);
+    }
+  }
+
+  return { pixels: foreground, width: foregroundWidth, height: foregroundHeight };
+}
+
+function toLuma(pixels, count, channels) {
+  if (channels === 1) return pixels;
+
+  const luma = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    const offset = i * channels;
+    luma[i] = (299 * pixels[offset] + 587 * pixels[offset + 1] + 114 * pixels[offset + 2] + 500) / 1000;
+  }
+  return luma;
+}
+
+module.exports = {
+  splitMrcLayers
+};
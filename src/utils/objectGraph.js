@@ -0,0 +1,178 @@
+const { PDFArray, PDFDict, PDFRef, PDFStream } = require('pdf-lib');
+
+/**
+ * Helpers for walking and rewriting the indirect-reference graph of a PDF
+ */
+
+/**
+ * Call `callback` for every PDFRef held directly inside an object
+ * (nested direct dictionaries and arrays included, referenced objects not)
+ *
+ * @param {PDFObject} object - Dictionary, array, stream or simple object
+ * @param {Function} callback - Receives each PDFRef
+ */
+function forEachReference(object, callback) {
+  if (object instanceof PDFRef) {
+    callback(object);
+  } else if (object instanceof PDFStream) {
+    forEachReference(object.dict, callback);
+  } else if (object instanceof PDFDict) {
+    for (const [, value] of object.entries()) {
+      forEachReference(value, callback);
+    }
+  } else if (object instanceof PDFArray) {
+    for (const value of object.asArray()) {
+      forEachReference(value, callback);
+    }
+  }
+}
+
+/**
+ * Replace, in place, every PDFRef held inside an object with `resolve(ref)`
+ *
+ * @param {PDFObject} object - Dictionary, array or stream to rewrite
+ * @param {Function} resolve - Maps a PDFRef to the PDFRef that should replace it
+ * @returns {number} Number of references that were changed
+ */
+function rewriteReferences(object, resolve) {
+  let rewritten = 0;
+
+  if (object instanceof PDFStream) {
+    return rewriteReferences(object.dict, resolve);
+  }
+
+  if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      if (value instanceof PDFRef) {
+        const target = resolve(value);
+        if (target !== value) {
+          object.set(key, target);
+          rewritten++;
+        }
+      } else {
+        rewritten += rewriteReferences(value, resolve);
+      }
+    }
+  } else if (object instanceof PDFArray) {
+    const values = object.asArray();
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] instanceof PDFRef) {
+        const target = resolve(values[i]);
+        if (target !== values[i]) {
+          object.set(i, target);
+          rewritten++;
+        }
+      } else {
+        rewritten += rewriteReferences(values[i], resolve);
+      }
+    }
+  }
+
+  return rewritten;
+}
+
+/**
+ * Rewrite references across every indirect object and the trailer
+ *
+ * @param {PDFContext} context - Document context
+ * @param {Function} resolve - Maps a PDFRef to the PDFRef that should replace it
+ * @returns {number} Number of references that were changed
+ */
+function rewriteAllReferences(context, resolve) {
+  let rewritten = 0;
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    rewritten += rewriteReferences(object, resolve);
+  }
+
+  for (const key of ['Root', 'Info', 'Encrypt']) {
+    const value = context.trailerInfo[key];
+    if (value instanceof PDFRef && resolve(value) !== value) {
+      context.trailerInfo[key] = resolve(value);
+      rewritten++;
+    }
+  }
+
+  return rewritten;
+}
+
+/**
+ * Rewrite only the references held in XObject resource dictionaries (what
+ * content streams draw with `Do`); masks, alternates, thumbnails and every
+ * other entry keep pointing where they did
+ *
+ * @param {PDFContext} context - Document context
+ * @param {Function} resolve - Maps a PDFRef to the PDFRef that should replace it
+ * @returns {number} Number of references that were changed
+ */
+function rewriteXObjectReferences(context, resolve) {
+  const xObjectDicts = new Set();
+
+  const collect = (object) => {
+    if (object instanceof PDFStream) {
+      collect(object.dict);
+    } else if (object instanceof PDFArray) {
+      for (const value of object.asArray()) collect(value);
+    } else if (object instanceof PDFDict) {
+      for (const [key, value] of object.entries()) {
+        const resolved = key.decodeText() === 'XObject' ? context.lookup(value) : null;
+        if (resolved instanceof PDFDict) {
+          xObjectDicts.add(resolved);
+        } else if (!(value instanceof PDFRef)) {
+          collect(value);
+        }
+      }
+    }
+  };
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    collect(object);
+  }
+
+  let rewritten = 0;
+  for (const dict of xObjectDicts) {
+    for (const [key, value] of dict.entries()) {
+      if (value instanceof PDFRef && resolve(value) !== value) {
+        dict.set(key, resolve(value));
+        rewritten++;
+      }
+    }
+  }
+
+  return rewritten;
+}
+
+/**
+ * Collect every reference reachable from the given roots
+ *
+ * @param {PDFContext} context - Document context
+ * @param {PDFRef[]} roots - References to start from
+ * @returns {Set<PDFRef>} Reachable references (roots included)
+ */
+function collectReachableRefs(context, roots) {
+  const reachable = new Set();
+  const pending = roots.filter(ref => ref instanceof PDFRef);
+
+  while (pending.length > 0) {
+    const ref = pending.pop();
+    if (reachable.has(ref)) continue;
+    reachable.add(ref);
+
+    const object = context.lookup(ref);
+    if (!object) continue;
+
+    forEachReference(object, (child) => {
+      if (!reachable.has(child)) pending.push(child);
+    });
+  }
+
+  return reachable;
+}
+
+module.exports = {
+  forEachReference,
+  collectReachableRefs,
+  rewriteReferences,
+  rewriteAllReferences,
+  rewriteXObjectReferences
+};
@@ -0,0 +1,126 @@
+/**
+ * Simple font encodings (PDF 32000-1:2008, Annex D) and the Unicode values
+ * of their glyph names, for reading the character codes of simple fonts
+ */
+
+const ASCII_NAMES = (
+  'space exclam quotedbl numbersign dollar percent ampersand quotesingle parenleft parenright asterisk plus ' +
+  'comma hyphen period slash zero one two three four five six seven eight nine colon semicolon less equal ' +
+  'greater question at A B C D E F G H I J K L M N O P Q R S T U V W X Y Z bracketleft backslash ' +
+  'bracketright asciicircum underscore grave a b c d e f g h i j k l m n o p q r s t u v w x y z braceleft ' +
+  'bar braceright asciitilde'
+).split(' ');
+
+const LATIN1_NAMES = (
+  'space exclamdown cent sterling currency yen brokenbar section dieresis copyright ordfeminine ' +
+  'guillemotleft logicalnot hyphen registered macron degree plusminus twosuperior threesuperior acute mu ' +
+  'paragraph periodcentered cedilla onesuperior ordmasculine guillemotright onequarter onehalf ' +
+  'threequarters questiondown Agrave Aacute Acircumflex Atilde Adieresis Aring AE Ccedilla Egrave Eacute ' +
+  'Ecircumflex Edieresis Igrave Iacute Icircumflex Idieresis Eth Ntilde Ograve Oacute Ocircumflex Otilde ' +
+  'Odieresis multiply Oslash Ugrave Uacute Ucircumflex Udieresis Yacute Thorn germandbls agrave aacute ' +
+  'acircumflex atilde adieresis aring ae ccedilla egrave eacute ecircumflex edieresis igrave iacute ' +
+  'icircumflex idieresis eth ntilde ograve oacute ocircumflex otilde odieresis divide oslash ugrave uacute ' +
+  'ucircumflex udieresis yacute thorn ydieresis'
+).split(' ');
+
+// Glyph names outside ASCII and Latin-1 used by the encodings below
+const OTHER_UNICODES = {
+  Euro: 0x20ac, bullet: 0x2022, quotesinglbase: 0x201a, florin: 0x0192, quotedblbase: 0x201e,
+  ellipsis: 0x2026, dagger: 0x2020, daggerdbl: 0x2021, circumflex: 0x02c6, perthousand: 0x2030,
+  Scaron: 0x0160, guilsinglleft: 0x2039, OE: 0x0152, Zcaron: 0x017d, quoteleft: 0x2018,
+  quoteright: 0x2019, quotedblleft: 0x201c, quotedblright: 0x201d, endash: 0x2013, emdash: 0x2014,
+  tilde: 0x02dc, trademark: 0x2122, scaron: 0x0161, guilsinglright: 0x203a, oe: 0x0153, zcaron: 0x017e,
+  Ydieresis: 0x0178, fraction: 0x2044, fi: 0xfb01, fl: 0xfb02, dotaccent: 0x02d9, ring: 0x02da,
+  hungarumlaut: 0x02dd, ogonek: 0x02db, caron: 0x02c7, breve: 0x02d8, Lslash: 0x0141, lslash: 0x0142,
+  dotlessi: 0x0131, notequal: 0x2260, infinity: 0x221e, lessequal: 0x2264, greaterequal: 0x2265,
+  partialdiff: 0x2202, summation: 0x2211, product: 0x220f, pi: 0x03c0, integral: 0x222b, Omega: 0x2126,
+  radical: 0x221a, approxequal: 0x2248, Delta: 0x2206, lozenge: 0x25ca
+};
+
+/**
+ * 256 glyph names from `first` on, gaps as null
+ */
+function buildEncoding(entries) {
+  const encoding = new Array(256).fill(null);
+  for (const [first, names] of entries) {
+    names.forEach((name, i) => {
+      if (name) encoding[first + i] = name;
+    });
+  }
+  return encoding;
+}
+
+const WIN_ANSI_ENCODING = buildEncoding([
+  [32, ASCII_NAMES],
+  [127, ('bullet Euro bullet quotesinglbase florin quotedblbase ellipsis dagger daggerdbl circumflex perthousand ' +
+    'Scaron guilsinglleft OE bullet Zcaron bullet bullet quoteleft quoteright quotedblleft quotedblright bullet ' +
+    'endash emdash tilde trademark scaron guilsinglright oe bullet zcaron Ydieresis').split(' ')],
+  [160, LATIN1_NAMES]
+]);
+
+const MAC_ROMAN_ENCODING = buildEncoding([
+  [32, ASCII_NAMES],
+  [128, ('Adieresis Aring Ccedilla Eacute Ntilde Odieresis Udieresis aacute agrave acircumflex adieresis atilde ' +
+    'aring ccedilla eacute egrave ecircumflex edieresis iacute igrave icircumflex idieresis ntilde oacute ograve ' +
+    'ocircumflex odieresis otilde uacute ugrave ucircumflex udieresis dagger degree cent sterling section bullet ' +
+    'paragraph germandbls registered copyright trademark acute dieresis notequal AE Oslash infinity plusminus ' +
+    'lessequal greaterequal yen mu partialdiff summation product pi integral ordfeminine ordmasculine Omega ae ' +
+    'oslash questiondown exclamdown logicalnot radical florin approxequal Delta guillemotleft guillemotright ' +
+    'ellipsis space Agrave Atilde Otilde OE oe endash emdash quotedblleft quotedblright quoteleft quoteright ' +
+    'divide lozenge ydieresis Ydieresis fraction currency guilsinglleft guilsinglright fi fl daggerdbl ' +
+    'periodcentered quotesinglbase quotedblbase perthousand Acircumflex Ecircumflex Aacute Edieresis Egrave ' +
+    'Iacute Icircumflex Idieresis Igrave Oacute Ocircumflex - Ograve Uacute Ucircumflex Ugrave dotlessi ' +
+    'circumflex tilde macron breve dotaccent ring cedilla hungarumlaut ogonek caron').split(' ').map(name => (name === '-' ? null : name))]
+]);
+
+const STANDARD_ENCODING = buildEncoding([
+  [32, ASCII_NAMES.map(name => ({ quotesingle: 'quoteright', grave: 'quoteleft' }[name] || name))],
+  [161, ('exclamdown cent sterling fraction yen florin section currency quotesingle quotedblleft guillemotleft ' +
+    'guilsinglleft guilsinglright fi fl - endash dagger daggerdbl periodcentered - paragraph bullet ' +
+    'quotesinglbase quotedblbase quotedblright guillemotright ellipsis perthousand - questiondown - grave acute ' +
+    'circumflex tilde macron breve dotaccent dieresis - ring cedilla - hungarumlaut ogonek caron emdash').split(' ')
+    .map(name => (name === '-' ? null : name))],
+  [225, ['AE', null, 'ordfeminine', null, null, null, null, 'Lslash', 'Oslash', 'OE', 'ordmasculine']],
+  [241, ['ae', null, null, null, 'dotlessi', null, null, 'lslash', 'oslash', 'oe', 'germandbls']]
+]);
+
+const ENCODINGS = {
+  WinAnsiEncoding: WIN_ANSI_ENCODING,
+  MacRomanEncoding: MAC_ROMAN_ENCODING,
+  StandardEncoding: STANDARD_ENCODING
+};
+
+const GLYPH_UNICODES = new Map([
+  ...ASCII_NAMES.map((name, i) => [name, 32 + i]),
+  ...LATIN1_NAMES.slice(1).map((name, i) => [name, 161 + i]).filter(([name]) => name !== 'hyphen'),
+  ...Object.entries(OTHER_UNICODES)
+]);
+
+/**
+ * Glyph names of a named encoding
+ *
+ * @param {string} name - WinAnsiEncoding, MacRomanEncoding or StandardEncoding
+ * @returns {Array<string|null>|null} - 256 names, or null for other encodings
+ */
+function getEncoding(name) {
+  return ENCODINGS[name] ? ENCODINGS[name].slice() : null;
+}
+
+/**
+ * Unicode value of a glyph name: a name of the encodings above, `uniXXXX`
+ * or `uXXXX[XX]`
+ *
+ * @param {string} name - Glyph name
+ * @returns {number|null} - Code point, or null when unknown
+ */
+function glyphNameToUnicode(name) {
+  if (GLYPH_UNICODES.has(name)) return GLYPH_UNICODES.get(name);
+
+  const match = /^uni([0-9A-F]{4})$/.exec(name) || /^u([0-9A-F]{4,6})$/.exec(name);
+  return match ? parseInt(match[1], 16) : null;
+}
+
+module.exports = {
+  getEncoding,
+  glyphNameToUnicode
+};
@@ -0,0 +1,183 @@
+/**
+ * Perceptual fingerprints for finding near-duplicate images: the same logo
+ * or signature stored at several resolutions or encodings
+ *
+ * An image is reduced to a tiny thumbnail; the difference hash (dHash) of its
+ * luma captures the shapes and survives resampling and recompression, while
+ * the thumbnail's colors tell apart images with the same shapes in other
+ * colors. A thumbnail cannot tell apart pages differing in a word, so a
+ * match only makes two images candidates: their pixels are compared before
+ * one takes the other's place.
+ */
+
+// Thumbnail size: dHash compares each pixel with its right neighbour, giving
+// 8 x 8 = 64 bits
+const THUMBNAIL_WIDTH = 9;
+const THUMBNAIL_HEIGHT = 8;
+
+// Largest relative difference in aspect ratio between near-duplicates
+const MAX_ASPECT_DIFFERENCE = 0.02;
+
+// Largest mean difference between the thumbnails' samples (0-255)
+const MAX_COLOR_DISTANCE = 12;
+
+// Pixels are compared in blocks this many pixels wide and high, so a
+// difference confined to a small area is not averaged away
+const PIXEL_BLOCK_SIZE = 8;
+// Largest mean difference between two images' samples (0-255) in any block;
+// resampling and recompression stay well below it
+const MAX_BLOCK_DIFFERENCE = 24;
+
+/**
+ * Fingerprint an image from its thumbnail
+ *
+ * @param {Uint8Array} thumbnail - THUMBNAIL_WIDTH x THUMBNAIL_HEIGHT pixels,
+ *        row by row, `channels` bytes each
+ * @param {number} channels - 1 (gray), 3 (RGB) or 4 (CMYK)
+ * @param {number} width - Width of the image in pixels
+ * @param {number} height - Height of the image in pixels
+ * @returns {Object} - { hash, thumbnail, channels, aspect }, `hash` being the
+ *          64-bit dHash as a BigInt
+ */
+function fingerprintImage(thumbnail, channels, width, height) {
+  const luma = toLuma(thumbnail, channels);
+
+  let hash = 0n;
+  for (let y = 0; y < THUMBNAIL_HEIGHT; y++) {
+    for (let x = 0; x < THUMBNAIL_WIDTH - 1; x++) {
+      const index = y * THUMBNAIL_WIDTH + x;
+      hash = (hash << 1n) | (luma[index] < luma[index + 1] ? 1n : 0n);
+    }
+  }
+
+  return { hash, thumbnail: Uint8Array.from(thumbnail), channels, aspect: width / height };
+}
+
+/**
+ * Number of bits two hashes differ in
+ *
+ * @param {bigint} a - Hash
+ * @param {bigint} b - Hash
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let difference = a ^ b;
+  let count = 0;
+  while (difference > 0n) {
+    count += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Group fingerprints of candidate near-duplicate images
+ *
+ * Each fingerprint joins the first group all of whose members it matches:
+ * same number of channels, aspect ratio within MAX_ASPECT_DIFFERENCE,
+ * hashes at most `threshold` bits apart and thumbnail colors within
+ * MAX_COLOR_DISTANCE. Matching every member keeps a chain of small steps
+ * from grouping images that differ a lot.
+ *
+ * @param {Array<Object>} fingerprints - As returned by fingerprintImage
+ * @param {number} threshold - Largest Hamming distance between hashes
+ * @returns {Array<Object>} - Groups of two or more, in input order, as
+ *          { members, distance }: the indices of the fingerprints and the
+ *          largest distance between two members
+ */
+function groupNearDuplicates(fingerprints, threshold) {
+  const groups = [];
+
+  fingerprints.forEach((fingerprint, index) => {
+    for (const group of groups) {
+      const distances = group.members.map(member => getDistance(fingerprints[member], fingerprint, threshold));
+      if (distances.every(distance => distance !== null)) {
+        group.members.push(index);
+        group.distance = Math.max(group.distance, ...distances);
+        return;
+      }
+    }
+    groups.push({ members: [index], distance: 0 });
+  });
+
+  return groups.filter(group => group.members.length > 1);
+}
+
+/**
+ * Tell whether two images of the same size show the same thing, comparing
+ * their samples block by block
+ *
+ * @param {Uint8Array} a - Samples of one image, row by row
+ * @param {Uint8Array} b - Samples of the other, in the same layout
+ * @param {number} width - Width of both in pixels
+ * @param {number} height - Height of both in pixels
+ * @param {number} channels - Samples per pixel
+ * @returns {boolean} - True when no block differs by more than
+ *          MAX_BLOCK_DIFFERENCE on average
+ */
+function isPixelMatch(a, b, width, height, channels) {
+  for (let blockY = 0; blockY < height; blockY += PIXEL_BLOCK_SIZE) {
+    for (let blockX = 0; blockX < width; blockX += PIXEL_BLOCK_SIZE) {
+      const right = Math.min(width, blockX + PIXEL_BLOCK_SIZE);
+      const bottom = Math.min(height, blockY + PIXEL_BLOCK_SIZE);
+
+      let sum = 0;
+      for (let y = blockY; y < bottom; y++) {
+        for (let i = (y * width + blockX) * channels; i < (y * width + right) * channels; i++) {
+          sum += Math.abs(a[i] - b[i]);
+        }
+      }
+      if (sum / ((right - blockX) * (bottom - blockY) * channels) > MAX_BLOCK_DIFFERENCE) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Hamming distance between two matching fingerprints, or null when they do
+ * not match
+ */
+function getDistance(a, b, threshold) {
+  if (a.channels !== b.channels) return null;
+  if (Math.abs(a.aspect - b.aspect) > MAX_ASPECT_DIFFERENCE * Math.max(a.aspect, b.aspect)) return null;
+
+  const distance = hammingDistance(a.hash, b.hash);
+  if (distance > threshold) return null;
+
+  let sum = 0;
+  for (let i = 0; i < a.thumbnail.length; i++) sum += Math.abs(a.thumbnail[i] - b.thumbnail[i]);
+  if (sum / a.thumbnail.length > MAX_COLOR_DISTANCE) return null;
+
+  return distance;
+}
+
+/**
+ * Luma of each pixel; CMYK is taken as ink coverage, darker with more ink
+ */
+function toLuma(pixels, channels) {
+  const count = pixels.length / channels;
+  const luma = new Float64Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const offset = i * channels;
+    if (channels === 1) {
+      luma[i] = pixels[offset];
+    } else if (channels === 3) {
+      luma[i] = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+    } else {
+      const ink = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2] + pixels[offset + 3];
+      luma[i] = Math.max(0, 255 - ink);
+    }
+  }
+
+  return luma;
+}
+
+module.exports = {
+  THUMBNAIL_WIDTH,
+  THUMBNAIL_HEIGHT,
+  fingerprintImage,
+  hammingDistance,
+  groupNearDuplicates,
+  isPixelMatch
+};
@@ -6,6 +6,10 @@ const sharp = require('sharp');
  * Based on research: M. Nair (2023) "Review of Image Quality Assessment Methods for Compressed Images"
  */
 
+// Window size and step of the windowed SSIM used to guard compression
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+
 /**
  * Calculate Peak Signal-to-Noise Ratio (PSNR)
  * Higher PSNR indicates better quality (typically 30-50 dB is good)
@@ -109,6 +113,64 @@ async function calculateSSIM(originalImage, compressedImage) {
   }
 }
 
+/**
+ * Mean SSIM over 8x8 windows (step 4) of two grayscale images of the same
+ * size, as in Wang et al. (2004) with a uniform window
+ *
+ * @param {Uint8Array} original - 8-bit gray pixels
+ * @param {Uint8Array} compressed - 8-bit gray pixels
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {number} SSIM value (-1 to 1)
+ */
+function computeSSIM(original, compressed, width, height) {
+  const C1 = (0.01 * 255) ** 2;
+  const C2 = (0.03 * 255) ** 2;
+
+  // Images smaller than a window are compared as one window
+  const windowWidth = Math.min(SSIM_WINDOW, width);
+  const windowHeight = Math.min(SSIM_WINDOW, height);
+  const n = windowWidth * windowHeight;
+
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y + windowHeight <= height; y += SSIM_STEP) {
+    for (let x = 0; x + windowWidth <= width; x += SSIM_STEP) {
+      let sum1 = 0;
+      let sum2 = 0;
+      let sumSq1 = 0;
+      let sumSq2 = 0;
+      let sumProduct = 0;
+
+      for (let wy = 0; wy < windowHeight; wy++) {
+        const row = (y + wy) * width + x;
+        for (let wx = 0; wx < windowWidth; wx++) {
+          const a = original[row + wx];
+          const b = compressed[row + wx];
+          sum1 += a;
+          sum2 += b;
+          sumSq1 += a * a;
+          sumSq2 += b * b;
+          sumProduct += a * b;
+        }
+      }
+
+      const mean1 = sum1 / n;
+      const mean2 = sum2 / n;
+      const variance1 = sumSq1 / n - mean1 * mean1;
+      const variance2 = sumSq2 / n - mean2 * mean2;
+      const covariance = sumProduct / n - mean1 * mean2;
+
+      total += ((2 * mean1 * mean2 + C1) * (2 * covariance + C2)) /
+        ((mean1 * mean1 + mean2 * mean2 + C1) * (variance1 + variance2 + C2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? total / windows : 1;
+}
+
 /**
  * Calculate mean and variance for an image
  */
@@ -303,6 +365,7 @@ async function calculateBatchQualityMetrics(imagePairs) {
 module.exports = {
   calculatePSNR,
   calculateSSIM,
+  computeSSIM,
   calculateQualityMetrics,
   calculateBatchQualityMetrics,
   determineQualityRating,
@@ -0,0 +1,252 @@
+/**
+ * Minimal sfnt (TrueType/OpenType) container support: reading the table
+ * directory and `cmap` subtables, writing a `cmap` for a simple PDF font and
+ * reassembling a font from its tables
+ */
+
+/**
+ * Read a font's table directory
+ *
+ * @param {Uint8Array} data - Font program
+ * @returns {Map<string, Uint8Array>} - Table tag -> table bytes
+ */
+function readTables(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const numTables = view.getUint16(4);
+  const tables = new Map();
+
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    if (record + 16 > data.length) throw new Error('Truncated table directory');
+
+    const tag = String.fromCharCode(...data.subarray(record, record + 4));
+    const offset = view.getUint32(record + 8);
+    const length = view.getUint32(record + 12);
+    if (offset + length > data.length) throw new Error(`Table ${tag} runs past the end of the font`);
+
+    tables.set(tag, data.subarray(offset, offset + length));
+  }
+
+  return tables;
+}
+
+/**
+ * Read the subtables of a `cmap` table (formats 0, 4, 6 and 12)
+ *
+ * @param {Uint8Array} cmap - `cmap` table bytes
+ * @returns {Array<Object>} - { platformID, encodingID, lookup(code) }, lookup
+ *          returning the glyph id or 0
+ */
+function readCmapSubtables(cmap) {
+  const view = new DataView(cmap.buffer, cmap.byteOffset, cmap.byteLength);
+  const count = view.getUint16(2);
+  const subtables = [];
+
+  for (let i = 0; i < count; i++) {
+    const record = 4 + i * 8;
+    const offset = view.getUint32(record + 4);
+    const lookup = readCmapFormat(view, offset);
+    if (lookup) {
+      subtables.push({ platformID: view.getUint16(record), encodingID: view.getUint16(record + 2), lookup });
+    }
+  }
+
+  return subtables;
+}
+
+/**
+ * Lookup function for one cmap subtable, or null for unsupported formats
+ */
+function readCmapFormat(view, offset) {
+  const format = view.getUint16(offset);
+
+  if (format === 0) {
+    return code => (code >= 0 && code < 256 ? view.getUint8(offset + 6 + code) : 0);
+  }
+
+  if (format === 4) {
+    const segCount = view.getUint16(offset + 6) / 2;
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+
+    return code => {
+      for (let segment = 0; segment < segCount; segment++) {
+        if (code > view.getUint16(endCodes + segment * 2)) continue;
+
+        const start = view.getUint16(startCodes + segment * 2);
+        if (code < start) return 0;
+
+        const delta = view.getUint16(idDeltas + segment * 2);
+        const rangeOffset = view.getUint16(idRangeOffsets + segment * 2);
+        if (rangeOffset === 0) return (code + delta) & 0xffff;
+
+        const position = idRangeOffsets + segment * 2 + rangeOffset + (code - start) * 2;
+        if (position + 2 > view.byteLength) return 0;
+        const glyph = view.getUint16(position);
+        return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+      }
+      return 0;
+    };
+  }
+
+  if (format === 6) {
+    const firstCode = view.getUint16(offset + 6);
+    const entryCount = view.getUint16(offset + 8);
+    return code => (code >= firstCode && code < firstCode + entryCount ? view.getUint16(offset + 10 + (code - firstCode) * 2) : 0);
+  }
+
+  if (format === 12) {
+    const groupCount = view.getUint32(offset + 12);
+    return code => {
+      for (let group = 0; group < groupCount; group++) {
+        const record = offset + 16 + group * 12;
+        const startCode = view.getUint32(record);
+        if (code >= startCode && code <= view.getUint32(record + 4)) {
+          return view.getUint32(record + 8) + code - startCode;
+        }
+      }
+      return 0;
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build a `cmap` table mapping single-byte codes straight to glyphs, as a
+ * symbolic simple TrueType font is read: a (3,0) subtable at 0xF000 + code
+ * and a (1,0) subtable at the code itself
+ *
+ * @param {Map<number, number>} glyphs - Code (0-255) -> glyph id
+ * @returns {Uint8Array} - `cmap` table bytes
+ */
+function buildSymbolicCmap(glyphs) {
+  const codes = Array.from(glyphs.keys()).sort((a, b) => a - b);
+
+  // Format 0 (1,0): a glyph id byte per code, for glyphs that fit one
+  const format0 = new Uint8Array(262);
+  new DataView(format0.buffer).setUint16(2, format0.length);
+  for (const code of codes) {
+    if (glyphs.get(code) < 256) format0[6 + code] = glyphs.get(code);
+  }
+
+  // Format 4 (3,0): runs of codes whose glyphs follow on, then the 0xFFFF end
+  const segments = [];
+  for (const code of codes) {
+    const last = segments[segments.length - 1];
+    if (last && code === last.end + 1 && glyphs.get(code) === glyphs.get(last.end) + 1) {
+      last.end = code;
+    } else {
+      segments.push({ start: code, end: code });
+    }
+  }
+  segments.push({ start: 0xffff - 0xf000, end: 0xffff - 0xf000, delta: 1 });
+
+  const segCount = segments.length;
+  const format4 = new Uint8Array(16 + segCount * 8);
+  const view4 = new DataView(format4.buffer);
+  const entrySelector = Math.floor(Math.log2(segCount));
+  view4.setUint16(0, 4);
+  view4.setUint16(2, format4.length);
+  view4.setUint16(6, segCount * 2);
+  view4.setUint16(8, 2 << entrySelector);
+  view4.setUint16(10, entrySelector);
+  view4.setUint16(12, segCount * 2 - (2 << entrySelector));
+  segments.forEach((segment, i) => {
+    const start = 0xf000 + segment.start;
+    const delta = segment.delta !== undefined ? segment.delta : glyphs.get(segment.start) - start;
+    view4.setUint16(14 + i * 2, 0xf000 + segment.end);
+    view4.setUint16(16 + segCount * 2 + i * 2, start);
+    view4.setUint16(16 + segCount * 4 + i * 2, delta & 0xffff);
+    // idRangeOffset stays 0
+  });
+
+  const cmap = new Uint8Array(4 + 2 * 8 + format0.length + format4.length);
+  const view = new DataView(cmap.buffer);
+  view.setUint16(2, 2);
+  view.setUint16(4, 1); // (1,0)
+  view.setUint32(8, 20);
+  view.setUint16(12, 3); // (3,0)
+  view.setUint32(16, 20 + format0.length);
+  cmap.set(format0, 20);
+  cmap.set(format4, 20 + format0.length);
+
+  return cmap;
+}
+
+/**
+ * Assemble a font from its tables, with table checksums and the `head`
+ * checksum adjustment computed
+ *
+ * @param {Map<string, Uint8Array>} tables - Table tag -> table bytes
+ * @param {number} [version] - sfnt version: 0x00010000 for TrueType outlines,
+ *        0x4F54544F ('OTTO') for CFF
+ * @returns {Uint8Array} - Font program
+ */
+function writeFont(tables, version = 0x00010000) {
+  const tags = Array.from(tables.keys()).sort();
+  const numTables = tags.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = 16 << entrySelector;
+
+  let size = 12 + numTables * 16;
+  const offsets = tags.map(tag => {
+    const offset = size;
+    size += (tables.get(tag).length + 3) & ~3;
+    return offset;
+  });
+
+  const font = new Uint8Array(size);
+  const view = new DataView(font.buffer);
+  view.setUint32(0, version);
+  view.setUint16(4, numTables);
+  view.setUint16(6, searchRange);
+  view.setUint16(8, entrySelector);
+  view.setUint16(10, numTables * 16 - searchRange);
+
+  let headOffset = null;
+  tags.forEach((tag, i) => {
+    const table = tables.get(tag);
+    font.set(table, offsets[i]);
+    if (tag === 'head' && table.length >= 12) {
+      headOffset = offsets[i];
+      view.setUint32(headOffset + 8, 0);
+    }
+
+    const record = 12 + i * 16;
+    for (let c = 0; c < 4; c++) font[record + c] = tag.charCodeAt(c);
+    view.setUint32(record + 4, checksum(view, offsets[i], table.length));
+    view.setUint32(record + 8, offsets[i]);
+    view.setUint32(record + 12, table.length);
+  });
+
+  if (headOffset !== null) {
+    view.setUint32(headOffset + 8, (0xb1b0afba - checksum(view, 0, size)) >>> 0);
+  }
+
+  return font;
+}
+
+/**
+ * Sum of a table's big-endian 32-bit words, zero-padded
+ */
+function checksum(view, offset, length) {
+  let sum = 0;
+  for (let i = 0; i < length; i += 4) {
+    let word = 0;
+    for (let b = 0; b < 4; b++) {
+      word = word * 256 + (i + b < length ? view.getUint8(offset + i + b) : 0);
+    }
+    sum = (sum + word) >>> 0;
+  }
+  return sum;
+}
+
+module.exports = {
+  readTables,
+  readCmapSubtables,
+  buildSymbolicCmap,
+  writeFont
+};
@@ -0,0 +1,473 @@
+const pako = require('pako');
+const { PDFArray, PDFDict, PDFName, PDFNumber, PDFBool } = require('pdf-lib');
+
+/**
+ * Decoder for PDF stream filter chains (PDF 32000-1:2008, 7.4)
+ *
+ * The general-purpose filters are decoded here, predictors included. Image
+ * codecs (DCT, JPX, JBIG2, CCITT) are never decoded: decoding stops at the
+ * first of them and the caller gets the data still encoded with the filters
+ * that remain, so it can pass the data through or hand it to an image codec.
+ */
+
+// Abbreviations allowed for inline images (PDF 32000-1:2008, Table 94)
+const FILTER_ABBREVIATIONS = {
+  AHx: 'ASCIIHexDecode',
+  A85: 'ASCII85Decode',
+  LZW: 'LZWDecode',
+  Fl: 'FlateDecode',
+  RL: 'RunLengthDecode',
+  CCF: 'CCITTFaxDecode',
+  DCT: 'DCTDecode'
+};
+
+const DECODERS = {
+  ASCIIHexDecode: decodeASCIIHex,
+  ASCII85Decode: decodeASCII85,
+  LZWDecode: (data, parms) => applyPredictor(decodeLZW(data, parms), parms),
+  FlateDecode: (data, parms) => applyPredictor(pako.inflate(data), parms),
+  RunLengthDecode: decodeRunLength
+};
+
+/**
+ * Get the filters applied to a stream, in decoding order
+ *
+ * @param {PDFDict} dict - Stream dictionary
+ * @returns {Array<Object>} - { name, parms } per filter; `name` without the
+ *          leading slash and with abbreviations expanded, `parms` a plain
+ *          object of the filter's /DecodeParms (empty when it has none)
+ */
+function getFilterChain(dict) {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (!filter) return [];
+
+  const names = filter instanceof PDFArray
+    ? filter.asArray().map(name => dict.context.lookup(name))
+    : [filter];
+
+  const decodeParms = dict.lookup(PDFName.of('DecodeParms'));
+  const parmsList = decodeParms instanceof PDFArray
+    ? decodeParms.asArray().map(parms => dict.context.lookup(parms))
+    : [decodeParms];
+
+  return names.map((name, index) => ({
+    name: normalizeFilterName(name.decodeText ? name.decodeText() : String(name)),
+    parms: toPlainParms(parmsList[index])
+  }));
+}
+
+/**
+ * Expand an inline-image filter abbreviation to its full name
+ */
+function normalizeFilterName(name) {
+  const bare = name.replace(/^\//, '');
+  return FILTER_ABBREVIATIONS[bare] || bare;
+}
+
+/**
+ * Check whether a filter can be decoded by this module
+ */
+function isDecodableFilter(name) {
+  return Object.prototype.hasOwnProperty.call(DECODERS, normalizeFilterName(name));
+}
+
+/**
+ * Decode data through a filter chain, stopping at the first filter that
+ * cannot be decoded here
+ *
+ * @param {Uint8Array} data - Encoded data
+ * @param {Array<Object>} filters - Chain as returned by getFilterChain
+ * @param {Object} [options] - `keepPredictor`: leave the predictor of the
+ *        last filter applied, so the data can be re-encoded with the same parms
+ * @returns {Object} - { data, remaining }: the decoded data and the filters
+ *          (with parms) still applied to it
+ */
+function decodeFilters(data, filters, options = {}) {
+  let decoded = data;
+
+  for (let i = 0; i < filters.length; i++) {
+    const { name, parms } = filters[i];
+    if (!isDecodableFilter(name)) {
+      return { data: decoded, remaining: filters.slice(i) };
+    }
+
+    const isLast = i === filters.length - 1;
+    const effectiveParms = options.keepPredictor && isLast ? { ...parms, Predictor: 1 } : parms;
+
+    try {
+      decoded = DECODERS[name](decoded, effectiveParms);
+    } catch (error) {
+      throw new Error(`${name} failed: ${error.message}`);
+    }
+  }
+
+  return { data: decoded, remaining: [] };
+}
+
+/**
+ * Decode a stream through its filter chain
+ *
+ * @param {PDFRawStream} stream - Stream to decode
+ * @param {Object} [options] - See decodeFilters
+ * @returns {Object} - { data, remaining }, see decodeFilters
+ */
+function decodeStream(stream, options) {
+  return decodeFilters(stream.contents, getFilterChain(stream.dict), options);
+}
+
+/**
+ * Fully decode a stream, failing if it uses a filter this module cannot decode
+ *
+ * @param {PDFRawStream} stream - Stream to decode
+ * @returns {Uint8Array} - Decoded data
+ */
+function decodeStreamData(stream) {
+  const { data, remaining } = decodeStream(stream);
+  if (remaining.length > 0) {
+    throw new Error(`Unsupported stream filter ${remaining[0].name}`);
+  }
+  return data;
+}
+
+/**
+ * Convert a /DecodeParms dictionary to a plain object of numbers and booleans
+ */
+function toPlainParms(parms) {
+  const plain = {};
+  if (!(parms instanceof PDFDict)) return plain;
+
+  for (const [key, value] of parms.entries()) {
+    const resolved = parms.context.lookup(value);
+    if (resolved instanceof PDFNumber) {
+      plain[key.decodeText()] = resolved.asNumber();
+    } else if (resolved instanceof PDFBool) {
+      plain[key.decodeText()] = resolved.asBoolean();
+    }
+  }
+
+  return plain;
+}
+
+function isPDFWhitespace(byte) {
+  return byte === 0x00 || byte === 0x09 || byte === 0x0a || byte === 0x0c || byte === 0x0d || byte === 0x20;
+}
+
+/**
+ * ASCIIHexDecode: pairs of hex digits up to `>`, whitespace ignored
+ */
+function decodeASCIIHex(data) {
+  const output = new Uint8Array(Math.ceil(data.length / 2));
+  let length = 0;
+  let high = -1;
+
+  for (const byte of data) {
+    if (byte === 0x3e) break; // '>'
+    if (isPDFWhitespace(byte)) continue;
+
+    const digit = parseInt(String.fromCharCode(byte), 16);
+    if (Number.isNaN(digit)) throw new Error('Invalid hex digit');
+
+    if (high < 0) {
+      high = digit;
+    } else {
+      output[length++] = (high << 4) | digit;
+      high = -1;
+    }
+  }
+
+  // An odd final digit is padded with 0
+  if (high >= 0) output[length++] = high << 4;
+
+  return output.subarray(0, length);
+}
+
+/**
+ * ASCII85Decode: base-85 groups of five characters, `z` for four zero
+ * bytes, terminated by `~>`
+ */
+function decodeASCII85(data) {
+  const output = new Uint8Array(data.length * 4 + 4);
+  let length = 0;
+  const group = [];
+
+  const flush = (count) => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      value = value * 85 + (i < group.length ? group[i] : 84);
+    }
+    for (let i = 0; i < count; i++) {
+      output[length++] = (value >>> (24 - 8 * i)) & 0xff;
+    }
+    group.length = 0;
+  };
+
+  let start = 0;
+  // Some writers keep the PostScript `<~` prefix
+  while (start < data.length && isPDFWhitespace(data[start])) start++;
+  if (data[start] === 0x3c && data[start + 1] === 0x7e) start += 2;
+
+  for (let i = start; i < data.length; i++) {
+    const byte = data[i];
+    if (byte === 0x7e) break; // '~'
+    if (isPDFWhitespace(byte)) continue;
+
+    if (byte === 0x7a && group.length === 0) { // 'z'
+      output.fill(0, length, length + 4);
+      length += 4;
+      continue;
+    }
+
+    if (byte < 0x21 || byte > 0x75) throw new Error('Invalid ASCII85 character');
+
+    group.push(byte - 0x21);
+    if (group.length === 5) flush(4);
+  }
+
+  // A final partial group of n characters holds n - 1 bytes
+  if (group.length === 1) throw new Error('Truncated ASCII85 group');
+  if (group.length > 1) flush(group.length - 1);
+
+  return output.subarray(0, length);
+}
+
+/**
+ * LZWDecode: variable-width codes from 9 to 12 bits, 256 clears the table,
+ * 257 ends the data; EarlyChange (default 1) widens codes one entry early
+ */
+function decodeLZW(data, parms = {}) {
+  const earlyChange = parms.EarlyChange === undefined ? 1 : parms.EarlyChange;
+  const chunks = [];
+  let chunkLength = 0;
+  let output = new Uint8Array(Math.max(4096, data.length * 3));
+  let length = 0;
+
+  const write = (bytes) => {
+    if (length + bytes.length > output.length) {
+      chunks.push(output.subarray(0, length));
+      chunkLength += length;
+      output = new Uint8Array(Math.max(output.length, bytes.length));
+      length = 0;
+    }
+    output.set(bytes, length);
+    length += bytes.length;
+  };
+
+  let table = [];
+  const resetTable = () => {
+    table = [];
+    for (let i = 0; i < 256; i++) table.push(Uint8Array.of(i));
+    table.push(null, null); // 256 clear, 257 end of data
+  };
+  resetTable();
+
+  let codeLength = 9;
+  let previous = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    bitBuffer = ((bitBuffer << 8) | data[i]) & 0xffffff;
+    bitCount += 8;
+
+    while (bitCount >= codeLength) {
+      const code = (bitBuffer >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+      bitCount -= codeLength;
+
+      if (code === 256) {
+        resetTable();
+        codeLength = 9;
+        previous = null;
+        continue;
+      }
+      if (code === 257) {
+        return concatChunks(chunks, chunkLength, output.subarray(0, length));
+      }
+
+      let entry;
+      if (code < table.length) {
+        entry = table[code];
+      } else if (code === table.length && previous) {
+        // The code being defined right now: previous + its own first byte
+        entry = new Uint8Array(previous.length + 1);
+        entry.set(previous);
+        entry[previous.length] = previous[0];
+      } else {
+        throw new Error('Invalid LZW code');
+      }
+
+      write(entry);
+
+      if (previous && table.length < 4096) {
+        const added = new Uint8Array(previous.length + 1);
+        added.set(previous);
+        added[previous.length] = entry[0];
+        table.push(added);
+      }
+      previous = entry;
+
+      if (table.length + earlyChange >= (1 << codeLength) && codeLength < 12) {
+        codeLength++;
+      }
+    }
+  }
+
+  // Data without an end-of-data code is accepted as is
+  return concatChunks(chunks, chunkLength, output.subarray(0, length));
+}
+
+function concatChunks(chunks, chunkLength, last) {
+  if (chunks.length === 0) return last;
+
+  const result = new Uint8Array(chunkLength + last.length);
+  let offset = 0;
+  for (const chunk of [...chunks, last]) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * RunLengthDecode: length byte n, then n + 1 literal bytes (n < 128) or one
+ * byte repeated 257 - n times (n > 128); 128 ends the data
+ */
+function decodeRunLength(data) {
+  const chunks = [];
+  let total = 0;
+  let i = 0;
+
+  while (i < data.length) {
+    const n = data[i++];
+    if (n === 128) break;
+
+    if (n < 128) {
+      const literal = data.subarray(i, i + n + 1);
+      chunks.push(literal);
+      total += literal.length;
+      i += n + 1;
+    } else {
+      if (i >= data.length) break;
+      const run = new Uint8Array(257 - n).fill(data[i++]);
+      chunks.push(run);
+      total += run.length;
+    }
+  }
+
+  return concatChunks(chunks, total, new Uint8Array(0));
+}
+
+/**
+ * Undo a TIFF (2) or PNG (10-15) predictor (PDF 32000-1:2008, Table 8)
+ */
+function applyPredictor(data, parms = {}) {
+  const predictor = parms.Predictor || 1;
+  if (predictor === 1) return data;
+
+  const colors = parms.Colors || 1;
+  const bitsPerComponent = parms.BitsPerComponent || 8;
+  const columns = parms.Columns || 1;
+  const bytesPerPixel = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+  const rowLength = Math.ceil(colors * bitsPerComponent * columns / 8);
+
+  if (predictor === 2) return undoTiffPredictor(data, colors, bitsPerComponent, rowLength);
+  if (predictor >= 10) return undoPngPredictor(data, bytesPerPixel, rowLength);
+
+  throw new Error(`Unsupported predictor ${predictor}`);
+}
+
+function undoTiffPredictor(data, colors, bitsPerComponent, rowLength) {
+  const output = Uint8Array.from(data);
+  const rows = Math.floor(output.length / rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const offset = row * rowLength;
+
+    if (bitsPerComponent === 8) {
+      for (let i = colors; i < rowLength; i++) {
+        output[offset + i] = (output[offset + i] + output[offset + i - colors]) & 0xff;
+      }
+    } else if (bitsPerComponent === 16) {
+      for (let i = colors * 2; i + 1 < rowLength; i += 2) {
+        const value = ((output[offset + i] << 8) | output[offset + i + 1]) +
+          ((output[offset + i - colors * 2] << 8) | output[offset + i - colors * 2 + 1]);
+        output[offset + i] = (value >> 8) & 0xff;
+        output[offset + i + 1] = value & 0xff;
+      }
+    } else {
+      // Sub-byte components: accumulate each component along the row
+      const samplesPerRow = Math.floor(rowLength * 8 / bitsPerComponent);
+      const mask = (1 << bitsPerComponent) - 1;
+      const read = (index) => {
+        const bit = index * bitsPerComponent;
+        const shift = 8 - bitsPerComponent - (bit % 8);
+        return (output[offset + (bit >> 3)] >> shift) & mask;
+      };
+      const write = (index, value) => {
+        const bit = index * bitsPerComponent;
+        const shift = 8 - bitsPerComponent - (bit % 8);
+        const byte = offset + (bit >> 3);
+        output[byte] = (output[byte] & ~(mask << shift)) | ((value & mask) << shift);
+      };
+      for (let i = colors; i < samplesPerRow; i++) {
+        write(i, read(i) + read(i - colors));
+      }
+    }
+  }
+
+  return output;
+}
+
+function undoPngPredictor(data, bytesPerPixel, rowLength) {
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = new Uint8Array(rows * rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    // Each row carries its own PNG filter type byte
+    const type = data[row * (rowLength + 1)];
+    const input = row * (rowLength + 1) + 1;
+    const offset = row * rowLength;
+    const previous = offset - rowLength;
+
+    for (let i = 0; i < rowLength; i++) {
+      const raw = data[input + i];
+      const left = i >= bytesPerPixel ? output[offset + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[previous + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[previous + i - bytesPerPixel] : 0;
+
+      let value;
+      switch (type) {
+        case 0: value = raw; break;
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: value = raw + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${type}`);
+      }
+      output[offset + i] = value & 0xff;
+    }
+  }
+
+  return output;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distLeft = Math.abs(estimate - left);
+  const distUp = Math.abs(estimate - up);
+  const distUpLeft = Math.abs(estimate - upLeft);
+
+  if (distLeft <= distUp && distLeft <= distUpLeft) return left;
+  if (distUp <= distUpLeft) return up;
+  return upLeft;
+}
+
+module.exports = {
+  FILTER_ABBREVIATIONS,
+  getFilterChain,
+  normalizeFilterName,
+  isDecodableFilter,
+  decodeFilters,
+  decodeStream,
+  decodeStreamData,
+  applyPredictor
+};
@@ -0,0 +1,81 @@
+/**
+ * Bounded pool for running async tasks side by side while handing their
+ * results back one at a time, in input order
+ */
+
+/**
+ * Run `task` on every item with at most `concurrency` tasks in flight and
+ * at most `memoryLimit` bytes (as estimated by `estimateMemory`) reserved
+ *
+ * `onResult` is called for each item in input order, never concurrently,
+ * whatever order the tasks finish in, so a caller that only changes shared
+ * state from `onResult` gets the same outcome as a serial loop. An item's
+ * memory stays reserved until its result has been handed over. A single
+ * item larger than the limit still runs, on its own.
+ *
+ * @param {Array} items - Work items
+ * @param {Function} task - async (item, index) => result
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency=1] - Tasks in flight at once
+ * @param {number} [options.memoryLimit=Infinity] - Bytes reserved at once
+ * @param {Function} [options.estimateMemory] - item => bytes its task needs
+ * @param {Function} [options.onResult] - async (item, result, index), in order
+ * @returns {Promise<void>} - Rejects with the first error a task or
+ *          `onResult` throws, once the tasks in flight have settled
+ */
+async function runTaskPool(items, task, options = {}) {
+  const {
+    concurrency = 1,
+    memoryLimit = Infinity,
+    estimateMemory = () => 0,
+    onResult = () => {}
+  } = options;
+
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const costs = items.map(item => estimateMemory(item));
+  const pending = new Array(items.length);
+  let next = 0;
+  let running = 0;
+  let reserved = 0;
+
+  const launch = () => {
+    while (next < items.length && running < limit) {
+      if (reserved > 0 && reserved + costs[next] > memoryLimit) break;
+
+      const index = next++;
+      running++;
+      reserved += costs[index];
+      pending[index] = Promise.resolve()
+        .then(() => task(items[index], index))
+        .then(value => ({ value }), error => ({ error }))
+        .finally(() => {
+          running--;
+          launch();
+        });
+    }
+  };
+
+  launch();
+
+  for (let index = 0; index < items.length; index++) {
+    // Every earlier item has been handed over and released its memory, so
+    // this one has been launched
+    const outcome = await pending[index];
+
+    try {
+      if (outcome.error) throw outcome.error;
+      await onResult(items[index], outcome.value, index);
+    } catch (error) {
+      next = items.length;
+      await Promise.all(pending.filter(Boolean));
+      throw error;
+    }
+
+    reserved -= costs[index];
+    launch();
+  }
+}
+
+module.exports = {
+  runTaskPool
+};
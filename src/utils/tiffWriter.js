@@ -0,0 +1,74 @@
+/**
+ * Minimal TIFF writer, used to hand raw CMYK pixels to Sharp: raw input is
+ * always read as gray or RGB(A), while a separated TIFF is read as CMYK
+ */
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+/**
+ * Wrap 8-bit CMYK pixels in an uncompressed, single-strip TIFF
+ *
+ * @param {Uint8Array} pixels - width * height * 4 bytes, C M Y K order
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Buffer} - TIFF file
+ */
+function encodeCmykTiff(pixels, width, height) {
+  const dataLength = width * height * 4;
+  if (pixels.length < dataLength) {
+    throw new Error(`CMYK data too short (${pixels.length} of ${dataLength} bytes)`);
+  }
+
+  const entries = [
+    [256, TYPE_LONG, 1, width], // ImageWidth
+    [257, TYPE_LONG, 1, height], // ImageLength
+    [258, TYPE_SHORT, 4, null], // BitsPerSample, 8 8 8 8 (stored after the IFD)
+    [259, TYPE_SHORT, 1, 1], // Compression: none
+    [262, TYPE_SHORT, 1, 5], // PhotometricInterpretation: separated
+    [273, TYPE_LONG, 1, null], // StripOffsets (the pixel data)
+    [277, TYPE_SHORT, 1, 4], // SamplesPerPixel
+    [278, TYPE_LONG, 1, height], // RowsPerStrip
+    [279, TYPE_LONG, 1, dataLength], // StripByteCounts
+    [284, TYPE_SHORT, 1, 1], // PlanarConfiguration: chunky
+    [332, TYPE_SHORT, 1, 1] // InkSet: CMYK
+  ];
+
+  const ifdOffset = 8;
+  const ifdLength = 2 + entries.length * 12 + 4;
+  const bitsOffset = ifdOffset + ifdLength;
+  const pixelsOffset = bitsOffset + 8;
+
+  const tiff = Buffer.alloc(pixelsOffset + dataLength);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(ifdOffset, 4);
+
+  tiff.writeUInt16LE(entries.length, ifdOffset);
+  entries.forEach(([tag, type, count, value], index) => {
+    const offset = ifdOffset + 2 + index * 12;
+    tiff.writeUInt16LE(tag, offset);
+    tiff.writeUInt16LE(type, offset + 2);
+    tiff.writeUInt32LE(count, offset + 4);
+
+    if (tag === 258) {
+      tiff.writeUInt32LE(bitsOffset, offset + 8);
+    } else if (tag === 273) {
+      tiff.writeUInt32LE(pixelsOffset, offset + 8);
+    } else if (type === TYPE_SHORT) {
+      tiff.writeUInt16LE(value, offset + 8);
+    } else {
+      tiff.writeUInt32LE(value, offset + 8);
+    }
+  });
+  // Offset of the next IFD: none (already zero)
+
+  for (let i = 0; i < 4; i++) tiff.writeUInt16LE(8, bitsOffset + i * 2);
+  tiff.set(pixels.subarray(0, dataLength), pixelsOffset);
+
+  return tiff;
+}
+
+module.exports = {
+  encodeCmykTiff
+};
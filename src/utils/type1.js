@@ -0,0 +1,221 @@
+/**
+ * Type 1 font programs (Adobe Type 1 Font Format) as embedded in FontFile
+ * streams: the built-in encoding of the clear-text part, and subsetting the
+ * CharStrings of the eexec-encrypted part
+ */
+
+const { getEncoding } = require('./pdfEncodings');
+
+// Encryption keys of the eexec part and of each charstring
+const EEXEC_KEY = 55665;
+const CHARSTRING_KEY = 4330;
+
+// A PostScript name token
+const NAME = '[^\\s/\\[\\]{}()<>%]+';
+
+/**
+ * Split a Type 1 program into its clear-text, encrypted and trailer parts,
+ * and read the CharStrings of the decrypted one
+ *
+ * @param {Uint8Array} data - Font program
+ * @param {Object} [lengths] - { length1, length2 } of the stream, used
+ *        where they agree with the program
+ * @returns {Object} - Parsed font, for the functions below
+ */
+function parseType1(data, lengths = {}) {
+  const text = Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('latin1');
+  const eexec = text.indexOf('eexec');
+  if (eexec < 0) throw new Error('No eexec section');
+
+  // The encrypted part starts after `eexec` and one white-space character
+  // (or CR LF), unless /Length1 says where
+  let clearEnd = eexec + 5 + (text.startsWith('\r\n', eexec + 5) ? 2 : 1);
+  if (lengths.length1 >= eexec + 6 && lengths.length1 <= eexec + 7 && !text.slice(eexec + 5, lengths.length1).trim()) {
+    clearEnd = lengths.length1;
+  }
+
+  // ...and ends at the trailer of zeros and `cleartomark`, if there is one
+  let encryptedEnd = data.length;
+  if (lengths.length2 > 0 && clearEnd + lengths.length2 <= data.length) {
+    encryptedEnd = clearEnd + lengths.length2;
+  } else {
+    const cleartomark = text.lastIndexOf('cleartomark');
+    if (cleartomark > clearEnd) {
+      encryptedEnd = cleartomark;
+      while (encryptedEnd > clearEnd && /[0\s]/.test(text[encryptedEnd - 1])) encryptedEnd--;
+    }
+  }
+
+  let encrypted = data.subarray(clearEnd, encryptedEnd);
+  if (/^[0-9A-Fa-f]{4}$/.test(text.slice(clearEnd, clearEnd + 4))) encrypted = decodeHex(text.slice(clearEnd, encryptedEnd));
+
+  const decrypted = decrypt(encrypted, EEXEC_KEY);
+  const privateText = Buffer.from(decrypted.subarray(4)).toString('latin1');
+  const lenIV = Number(/\/lenIV\s+(-?\d+)/.exec(privateText)?.[1] ?? 4);
+
+  const header = /\/CharStrings\s+\d+\s+dict\s+dup\s+begin/.exec(privateText);
+  if (!header) throw new Error('No CharStrings dictionary');
+
+  // Entries: /name length RD <binary> ND, with any name for RD and ND
+  const glyphs = new Map();
+  const entry = new RegExp(`\\s*/(${NAME})\\s+(\\d+)\\s+\\S+ `, 'y');
+  const terminator = /\s*(?:noaccess\s+def|\S+)/y;
+  let position = header.index + header[0].length;
+  for (;;) {
+    entry.lastIndex = position;
+    const match = entry.exec(privateText);
+    if (!match) break;
+
+    const start = entry.lastIndex;
+    terminator.lastIndex = start + Number(match[2]);
+    if (!terminator.exec(privateText)) throw new Error(`Unreadable charstring for ${match[1]}`);
+    glyphs.set(match[1], { text: privateText.slice(position, terminator.lastIndex), start, end: start + Number(match[2]) });
+    position = terminator.lastIndex;
+  }
+  if (!/^\s*end/.test(privateText.slice(position))) throw new Error('Unreadable CharStrings dictionary');
+
+  return {
+    clearText: data.subarray(0, clearEnd),
+    trailer: data.subarray(encryptedEnd),
+    seed: decrypted.subarray(0, 4),
+    privateText,
+    lenIV,
+    glyphs,
+    charStringsStart: header.index,
+    charStringsEnd: position,
+    builtInEncoding: readBuiltInEncoding(text.slice(0, clearEnd))
+  };
+}
+
+/**
+ * Write a Type 1 program holding only the named glyphs, .notdef and the
+ * accent components their charstrings build on (Subrs are kept whole)
+ *
+ * @param {Object} font - Parsed font
+ * @param {Iterable<string>} names - Names of the glyphs to keep
+ * @returns {Object} - { data, length1, length2, length3, glyphs }, glyphs
+ *          being the names kept
+ */
+function subsetType1(font, names) {
+  const standard = getEncoding('StandardEncoding');
+  const kept = new Set(['.notdef', ...names].filter(name => font.glyphs.has(name)));
+  const queue = Array.from(kept);
+  while (queue.length > 0) {
+    const glyph = font.glyphs.get(queue.pop());
+    for (const code of findSeac(font, glyph) || []) {
+      const component = standard[code];
+      if (component && font.glyphs.has(component) && !kept.has(component)) {
+        kept.add(component);
+        queue.push(component);
+      }
+    }
+  }
+
+  const glyphs = Array.from(font.glyphs.keys()).filter(name => kept.has(name));
+  const entries = glyphs.map(name => font.glyphs.get(name).text);
+  const privateText = font.privateText.slice(0, font.charStringsStart) +
+    `/CharStrings ${kept.size} dict dup begin` + entries.join('') + font.privateText.slice(font.charStringsEnd);
+
+  const plain = new Uint8Array(4 + privateText.length);
+  plain.set(font.seed);
+  plain.set(Buffer.from(privateText, 'latin1'), 4);
+  const encrypted = encrypt(plain, EEXEC_KEY);
+
+  const data = new Uint8Array(font.clearText.length + encrypted.length + font.trailer.length);
+  data.set(font.clearText);
+  data.set(encrypted, font.clearText.length);
+  data.set(font.trailer, font.clearText.length + encrypted.length);
+
+  return {
+    data,
+    length1: font.clearText.length,
+    length2: encrypted.length,
+    length3: font.trailer.length,
+    glyphs
+  };
+}
+
+/**
+ * The `bchar achar` codes of a glyph's seac, or null
+ */
+function findSeac(font, glyph) {
+  // A /lenIV of -1 marks charstrings that are not encrypted
+  let bytes = Buffer.from(font.privateText.slice(glyph.start, glyph.end), 'latin1');
+  if (font.lenIV >= 0) bytes = decrypt(bytes, CHARSTRING_KEY).subarray(font.lenIV);
+
+  const stack = [];
+  for (let i = 0; i < bytes.length;) {
+    const b0 = bytes[i];
+    if (b0 >= 32 && b0 <= 246) {
+      stack.push(b0 - 139);
+      i++;
+    } else if (b0 >= 247 && b0 <= 250) {
+      stack.push((b0 - 247) * 256 + bytes[i + 1] + 108);
+      i += 2;
+    } else if (b0 >= 251 && b0 <= 254) {
+      stack.push(-(b0 - 251) * 256 - bytes[i + 1] - 108);
+      i += 2;
+    } else if (b0 === 255) {
+      stack.push((bytes[i + 1] << 24) | (bytes[i + 2] << 16) | (bytes[i + 3] << 8) | bytes[i + 4]);
+      i += 5;
+    } else if (b0 === 12) {
+      if (bytes[i + 1] === 6) return stack.slice(-2);
+      stack.length = 0;
+      i += 2;
+    } else {
+      stack.length = 0;
+      i++;
+    }
+  }
+  return null;
+}
+
+/**
+ * The glyph names of the clear-text /Encoding
+ */
+function readBuiltInEncoding(clearText) {
+  if (/\/Encoding\s+StandardEncoding\s+def/.test(clearText)) return getEncoding('StandardEncoding');
+
+  const start = clearText.indexOf('/Encoding');
+  if (start < 0) return null;
+
+  const names = new Array(256).fill(null);
+  const entry = new RegExp(`dup\\s+(\\d+)\\s*/(${NAME})\\s+put`, 'g');
+  entry.lastIndex = start;
+  for (let match; (match = entry.exec(clearText));) {
+    if (Number(match[1]) < 256) names[Number(match[1])] = match[2];
+  }
+  return names;
+}
+
+function decrypt(bytes, key) {
+  const plain = new Uint8Array(bytes.length);
+  let r = key;
+  for (let i = 0; i < bytes.length; i++) {
+    plain[i] = bytes[i] ^ (r >> 8);
+    r = ((bytes[i] + r) * 52845 + 22719) & 0xffff;
+  }
+  return plain;
+}
+
+function encrypt(bytes, key) {
+  const cipher = new Uint8Array(bytes.length);
+  let r = key;
+  for (let i = 0; i < bytes.length; i++) {
+    cipher[i] = bytes[i] ^ (r >> 8);
+    r = ((cipher[i] + r) * 52845 + 22719) & 0xffff;
+  }
+  return cipher;
+}
+
+function decodeHex(text) {
+  const digits = text.replace(/[^0-9A-Fa-f]/g, '');
+  const bytes = new Uint8Array(digits.length >> 1);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+module.exports = {
+  parseType1,
+  subsetType1
+};
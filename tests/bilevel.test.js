@@ -0,0 +1,187 @@
+const { measureBilevelRatio, thresholdPixels } = require('../src/utils/bilevel');
+const { encodeG4 } = require('../src/utils/ccittG4');
+
+describe('Bilevel Images', () => {
+  // A T.6 decoder of its own, so the encoder is checked against the tables
+  // and modes of the standard rather than against itself
+
+  // Run-length codes (ITU-T T.4, Tables 2 and 3) as bit strings
+  const WHITE_TERMINATING = [
+    '00110101', '000111', '0111', '1000', '1011', '1100', '1110', '1111',
+    '10011', '10100', '00111', '01000', '001000', '000011', '110100', '110101',
+    '101010', '101011', '0100111', '0001100', '0001000', '0010111', '0000011', '0000100',
+    '0101000', '0101011', '0010011', '0100100', '0011000', '00000010', '00000011', '00011010',
+    '00011011', '00010010', '00010011', '00010100', '00010101', '00010110', '00010111', '00101000',
+    '00101001', '00101010', '00101011', '00101100', '00101101', '00000100', '00000101', '00001010',
+    '00001011', '01010010', '01010011', '01010100', '01010101', '00100100', '00100101', '01011000',
+    '01011001', '01011010', '01011011', '01001010', '01001011', '00110010', '00110011', '00110100'
+  ];
+
+  const BLACK_TERMINATING = [
+    '0000110111', '010', '11', '10', '011', '0011', '0010', '00011',
+    '000101', '000100', '0000100', '0000101', '0000111', '00000100', '00000111', '000011000',
+    '0000010111', '0000011000', '0000001000', '00001100111', '00001101000', '00001101100', '00000110111', '00000101000',
+    '00000010111', '00000011000', '000011001010', '000011001011', '000011001100', '000011001101', '000001101000', '000001101001',
+    '000001101010', '000001101011', '000011010010', '000011010011', '000011010100', '000011010101', '000011010110', '000011010111',
+    '000001101100', '000001101101', '000011011010', '000011011011', '000001010100', '000001010101', '000001010110', '000001010111',
+    '000001100100', '000001100101', '000001010010', '000001010011', '000000100100', '000000110111', '000000111000', '000000100111',
+    '000000101000', '000001011000', '000001011001', '000000101011', '000000101100', '000001011010', '000001100110', '000001100111'
+  ];
+
+  // Make-up codes for 64, 128, ... 1728
+  const WHITE_MAKEUP = [
+    '11011', '10010', '010111', '0110111', '00110110', '00110111', '01100100', '01100101',
+    '01101000', '01100111', '011001100', '011001101', '011010010', '011010011', '011010100', '011010101',
+    '011010110', '011010111', '011011000', '011011001', '011011010', '011011011', '010011000', '010011001',
+    '010011010', '011000', '010011011'
+  ];
+
+  const BLACK_MAKEUP = [
+    '0000001111', '000011001000', '000011001001', '000001011011', '000000110011', '000000110100', '000000110101', '0000001101100',
+    '0000001101101', '0000001001010', '0000001001011', '0000001001100', '0000001001101', '0000001110010', '0000001110011', '0000001110100',
+    '0000001110101', '0000001110110', '0000001110111', '0000001010010', '0000001010011', '0000001010100', '0000001010101', '0000001011010',
+    '0000001011011', '0000001100100', '0000001100101'
+  ];
+
+  // Make-up codes for 1792, 1856, ... 2560, shared by both colors
+  const EXTENDED_MAKEUP = [
+    '00000001000', '00000001100', '00000001101', '000000010010', '000000010011', '000000010100', '000000010101',
+    '000000010110', '000000010111', '000000011100', '000000011101', '000000011110', '000000011111'
+  ];
+
+  function buildRunCodes(terminating, makeup) {
+    const codes = new Map();
+    terminating.forEach((code, run) => codes.set(code, run));
+    makeup.forEach((code, i) => codes.set(code, (i + 1) * 64));
+    EXTENDED_MAKEUP.forEach((code, i) => codes.set(code, 1792 + i * 64));
+    return codes;
+  }
+
+  const RUN_CODES = [buildRunCodes(WHITE_TERMINATING, WHITE_MAKEUP), buildRunCodes(BLACK_TERMINATING, BLACK_MAKEUP)];
+  const MODE_CODES = new Map([
+    ['1', 0], ['011', 1], ['000011', 2], ['0000011', 3], ['010', -1], ['000010', -2], ['0000010', -3],
+    ['0001', 'pass'], ['001', 'horizontal'], ['000000000001', 'eol']
+  ]);
+
+  function decodeG4(data, width, height) {
+    let position = 0;
+    const readCode = codes => {
+      let code = '';
+      while (code.length < 13) {
+        code += (data[position >> 3] >> (7 - (position & 7))) & 1;
+        position++;
+        if (codes.has(code)) return codes.get(code);
+      }
+      throw new Error(`Invalid code at bit ${position}`);
+    };
+    const readRun = color => {
+      let run = 0;
+      let part;
+      do {
+        part = readCode(RUN_CODES[color]);
+        run += part;
+      } while (part >= 64);
+      return run;
+    };
+
+    const pixels = new Uint8Array(width * height);
+    let reference = []; // Changing elements of the previous row
+    for (let y = 0; y < height; y++) {
+      const changes = [];
+      let a0 = -1;
+      let color = 0;
+
+      while (a0 < width) {
+        // b1: first change on the reference row right of a0 to the other
+        // color; changes alternate white-to-black, black-to-white
+        let i = 0;
+        while (i < reference.length && (reference[i] <= a0 || i % 2 !== color)) i++;
+        const b1 = i < reference.length ? reference[i] : width;
+        const b2 = i + 1 < reference.length ? reference[i + 1] : width;
+
+        const mode = readCode(MODE_CODES);
+        if (mode === 'eol') throw new Error(`EOFB in row ${y}`);
+        if (mode === 'pass') {
+          a0 = b2;
+        } else if (mode === 'horizontal') {
+          const a1 = Math.max(a0, 0) + readRun(color);
+          const a2 = a1 + readRun(1 - color);
+          changes.push(a1, a2);
+          a0 = a2;
+        } else {
+          a0 = b1 + mode;
+          changes.push(a0);
+          color = 1 - color;
+        }
+      }
+
+      for (let c = 0; c < changes.length; c += 2) {
+        pixels.fill(1, y * width + changes[c], y * width + Math.min(changes[c + 1] ?? width, width));
+      }
+      reference = changes;
+    }
+
+    expect(readCode(MODE_CODES)).toBe('eol');
+    expect(readCode(MODE_CODES)).toBe('eol');
+    return pixels;
+  }
+
+  function createPixels(width, height, getPixel) {
+    const pixels = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) pixels[y * width + x] = getPixel(x, y);
+    }
+    return pixels;
+  }
+
+  test('should tell scanned text from photos and colored images', () => {
+    const text = Uint8Array.from([0, 255, 250, 12, 255, 128, 255, 0, 255, 255]);
+    expect(measureBilevelRatio(text, 1)).toBe(0.9);
+
+    // Saturated red is dark in gray but is not black
+    const red = Uint8Array.from([255, 0, 0, 0, 0, 0]);
+    expect(measureBilevelRatio(red, 3)).toBe(0.5);
+  });
+
+  test('should threshold gray pixels to black (1) and white (0)', () => {
+    expect(Array.from(thresholdPixels(Uint8Array.from([0, 127, 128, 255])))).toEqual([1, 1, 0, 0]);
+  });
+
+  test('should encode white rows as vertical codes followed by EOFB', () => {
+    // V0 V0 EOL EOL: 11 000000000001 000000000001, padded to bytes
+    expect(Array.from(encodeG4(new Uint8Array(16), 8, 2))).toEqual([0xc0, 0x04, 0x00, 0x40]);
+  });
+
+  test('should code runs in horizontal mode', () => {
+    // One black pixel then white: H, white 0, black 1, then V0 and EOFB
+    // 001 00110101 010 1 000000000001 000000000001
+    const pixels = new Uint8Array(8);
+    pixels[0] = 1;
+    expect(Array.from(encodeG4(pixels, 8, 1))).toEqual([0x26, 0xaa, 0x00, 0x20, 0x02]);
+  });
+
+  test('should decode G4 data back to random noise', () => {
+    let seed = 7;
+    const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+    const pixels = createPixels(97, 40, () => (random() < 0.5 ? 1 : 0));
+
+    expect(decodeG4(encodeG4(pixels, 97, 40), 97, 40)).toEqual(pixels);
+  });
+
+  test('should decode G4 data back to solid blocks', () => {
+    const pixels = createPixels(300, 50, (x, y) => (Math.floor(x / 37) + Math.floor(y / 9)) % 2);
+
+    expect(decodeG4(encodeG4(pixels, 300, 50), 300, 50)).toEqual(pixels);
+  });
+
+  test('should decode G4 data back to runs longer than 2560 pixels', () => {
+    // Rows of long black runs, white rows, and a long white run before black
+    const pixels = createPixels(6000, 6, (x, y) => {
+      if (y % 3 === 0) return x > 10 && x < 5990 ? 1 : 0;
+      if (y % 3 === 1) return 0;
+      return x < 2700 ? 0 : 1;
+    });
+
+    expect(decodeG4(encodeG4(pixels, 6000, 6), 6000, 6)).toEqual(pixels);
+  });
+});
@@ -0,0 +1,76 @@
+const { parseCff, getGlyphIdsByName, getBuiltInEncoding, subsetCff } = require('../src/utils/cff');
+
+describe('CFF', () => {
+  // INDEX with one-byte offsets
+  function index(items) {
+    const offsets = [1];
+    for (const item of items) offsets.push(offsets[offsets.length - 1] + item.length);
+    return [items.length >> 8, items.length & 0xff, 1, ...offsets, ...items.flat()];
+  }
+
+  // Five-byte integer operand
+  function int(value) {
+    return [29, (value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  }
+
+  // Name-keyed font: A calls subr 0, C calls subr 1, Aacute is A plus acute
+  // (endchar with seac operands), and a custom encoding for A, C and Aacute
+  function createFont() {
+    const charStrings = [
+      [14], // .notdef
+      [32, 10, 14], // A: -107 callsubr (subr 0)
+      [33, 10, 14], // C: -106 callsubr (subr 1)
+      [139, 139, 139 + 65, 247, 86, 14], // Aacute: 0 0 65 194 endchar
+      [139, 139, 21, 14] // acute
+    ];
+    const charset = [0, 0, 34, 0, 36, 0, 171, 0, 125];
+    const encoding = [0, 3, 65, 67, 193];
+    const subrs = index([[139, 139, 21, 11], [139, 150, 21, 11]]);
+    const privateDict = [...int(2), 19];
+
+    const build = offsets => [
+      1, 0, 4, 1,
+      ...index([[84]]),
+      ...index([[...int(offsets.charset), 15, ...int(offsets.encoding), 16, ...int(offsets.charStrings), 17,
+        ...int(privateDict.length), ...int(offsets.private), 18]]),
+      ...index([]),
+      ...index([])
+    ];
+    const headerSize = build({}).length;
+    const offsets = { charset: headerSize };
+    offsets.encoding = offsets.charset + charset.length;
+    offsets.charStrings = offsets.encoding + encoding.length;
+    offsets.private = offsets.charStrings + index(charStrings).length;
+
+    privateDict.splice(0, 5, ...int(privateDict.length));
+    return Uint8Array.from([...build(offsets), ...charset, ...encoding, ...index(charStrings), ...privateDict, ...subrs]);
+  }
+
+  test('should keep the used glyphs with their accents and subroutines', () => {
+    const cff = parseCff(createFont());
+    const byName = getGlyphIdsByName(cff);
+    expect(getBuiltInEncoding(cff)[193]).toBe('Aacute');
+
+    const subset = subsetCff(cff, [byName.get('Aacute')]);
+    const result = parseCff(subset.data);
+
+    expect(Array.from(getGlyphIdsByName(result).keys())).toEqual(['.notdef', 'A', 'Aacute', 'acute']);
+    expect(subset.glyphs).toEqual([0, 1, 3, 4]);
+    expect(getBuiltInEncoding(result)[65]).toBe('A');
+    expect(getBuiltInEncoding(result)[193]).toBe('Aacute');
+    expect(getBuiltInEncoding(result)[67]).toBeNull();
+
+    // Subr 1 only served C
+    expect(Array.from(result.private.subrs[0])).toEqual([139, 139, 21, 11]);
+    expect(Array.from(result.private.subrs[1])).toEqual([11]);
+  });
+
+  test('should empty left-out glyphs in place when glyph ids must not change', () => {
+    const cff = parseCff(createFont());
+    const result = parseCff(subsetCff(cff, [2], { renumber: false }).data);
+
+    expect(result.charStrings.map(charString => Array.from(charString))).toEqual([[14], [14], [33, 10, 14], [14], [14]]);
+    expect(Array.from(getGlyphIdsByName(result).keys())).toEqual(['.notdef', 'A', 'C', 'Aacute', 'acute']);
+    expect(Array.from(result.private.subrs[0])).toEqual([11]);
+  });
+});
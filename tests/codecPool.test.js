@@ -0,0 +1,71 @@
+const zlib = require('zlib');
+const { createCodecPool, runCodec } = require('../src/utils/codecPool');
+
+describe('Codec Pool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = createCodecPool(2);
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  // A Flate-compressed 4x2 image of palette indices 0 to 3, 2 bits each
+  const palette = Uint8Array.from([0, 0, 0, 255, 0, 0, 0, 255, 0, 255, 255, 255]);
+  const image = {
+    width: 4,
+    height: 2,
+    bitsPerComponent: 2,
+    colorSpace: {
+      family: 'Indexed',
+      components: 1,
+      pdfObject: null,
+      base: { family: 'DeviceRGB', components: 3, pdfObject: null },
+      hival: 3,
+      palette
+    },
+    invert: false
+  };
+  const contents = zlib.deflateSync(Uint8Array.from([0x1b, 0xe4]));
+  const filters = [{ name: 'FlateDecode', parms: {} }];
+
+  test('should give the same results on workers as on this thread', async () => {
+    const [pooled, inline] = await Promise.all([
+      pool.run('decodeImage', contents, filters, image),
+      runCodec(null, 'decodeImage', contents, filters, image)
+    ]);
+
+    expect(pooled).toEqual(inline);
+    expect(pooled.family).toBe('DeviceRGB');
+    expect(Buffer.isBuffer(pooled.pixels)).toBe(true);
+    expect(Array.from(pooled.pixels.subarray(0, 6))).toEqual([0, 0, 0, 255, 0, 0]);
+  });
+
+  test('should run more tasks than workers', async () => {
+    const rows = [0, 1, 2, 3, 4].map(black => {
+      const pixels = new Uint8Array(64).fill(255);
+      pixels.fill(0, 0, black * 8);
+      return pixels;
+    });
+
+    const pooled = await Promise.all(rows.map(pixels => pool.run('encodeBilevel', pixels, 64, 1)));
+    const inline = await Promise.all(rows.map(pixels => runCodec(null, 'encodeBilevel', pixels, 64, 1)));
+
+    expect(pooled.map(data => Array.from(data))).toEqual(inline.map(data => Array.from(data)));
+  });
+
+  test('should reject with the error a codec throws', async () => {
+    await expect(pool.run('decodeImage', contents, filters, { ...image, height: 20 })).rejects.toThrow('Image data too short');
+
+    // The worker is still there for the next task
+    await expect(pool.run('decodeImage', contents, filters, image)).resolves.toHaveProperty('channels', 3);
+  });
+
+  test('should refuse work once closed', async () => {
+    await pool.close();
+
+    await expect(pool.run('encodeG4', new Uint8Array(8), 8, 1)).rejects.toThrow('closed');
+  });
+});
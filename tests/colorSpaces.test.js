@@ -0,0 +1,54 @@
+const { PDFDocument, PDFHexString } = require('pdf-lib');
+const { resolveColorSpace, getColorFamily, unpackSamples, toPixels } = require('../src/utils/colorSpaces');
+
+describe('Color Spaces', () => {
+  let context;
+
+  beforeEach(async () => {
+    context = (await PDFDocument.create()).context;
+  });
+
+  test('should resolve device, ICC-based and indexed spaces', () => {
+    expect(resolveColorSpace(context.obj('DeviceCMYK'), context).components).toBe(4);
+
+    const profile = context.register(context.stream('icc', { N: 3 }));
+    const iccSpace = context.obj(['ICCBased', profile]);
+    expect(resolveColorSpace(iccSpace, context)).toEqual({ family: 'ICCBased', components: 3, pdfObject: iccSpace });
+
+    const indexed = context.obj(['Indexed', 'DeviceRGB', 1, PDFHexString.of('ff000000ff00')]);
+    const resolved = resolveColorSpace(indexed, context);
+    expect(resolved.family).toBe('Indexed');
+    expect(resolved.base.family).toBe('DeviceRGB');
+    expect(Array.from(resolved.palette)).toEqual([255, 0, 0, 0, 255, 0]);
+
+    expect(resolveColorSpace(context.obj(['Separation', 'Spot', 'DeviceCMYK', 0]), context)).toBeNull();
+  });
+
+  test('should name the family of color spaces that are not gray', () => {
+    expect(getColorFamily(context.obj('DeviceGray'), context)).toBeNull();
+    expect(getColorFamily(context.obj(['Indexed', 'DeviceGray', 1, PDFHexString.of('00ff')]), context)).toBeNull();
+    expect(getColorFamily(context.obj(['Indexed', 'DeviceRGB', 0, PDFHexString.of('ff0000')]), context)).toBe('Indexed');
+    expect(getColorFamily(context.obj(['DeviceN', ['Cyan', 'Spot'], 'DeviceCMYK', 0]), context)).toBe('DeviceN');
+  });
+
+  test('should unpack 1-bit rows padded to whole bytes and 16-bit samples', () => {
+    // Two rows of 3 pixels: 101, 010
+    const bilevel = unpackSamples(Uint8Array.from([0xa0, 0x40]), { width: 3, height: 2, bitsPerComponent: 1, components: 1 });
+    expect(Array.from(bilevel)).toEqual([255, 0, 255, 0, 255, 0]);
+
+    const deep = unpackSamples(Uint8Array.from([0x12, 0x34, 0xff, 0x00]), { width: 2, height: 1, bitsPerComponent: 16, components: 1 });
+    expect(Array.from(deep)).toEqual([0x12, 0xff]);
+  });
+
+  test('should expand palettes and convert Lab to sRGB', () => {
+    const indexed = resolveColorSpace(context.obj(['Indexed', 'DeviceRGB', 1, PDFHexString.of('ff000000ff00')]), context);
+    const expanded = toPixels(Uint8Array.from([0x40]), { width: 2, height: 1, bitsPerComponent: 1, colorSpace: indexed });
+    expect(expanded.channels).toBe(3);
+    expect(Array.from(expanded.pixels)).toEqual([255, 0, 0, 0, 255, 0]);
+
+    const lab = resolveColorSpace(context.obj(['Lab', { WhitePoint: [0.9505, 1, 1.089], Range: [-128, 127, -128, 127] }]), context);
+    const white = toPixels(Uint8Array.from([255, 128, 128]), { width: 1, height: 1, bitsPerComponent: 8, colorSpace: lab });
+    expect(white.colorSpace.family).toBe('DeviceRGB');
+    white.pixels.forEach(value => expect(value).toBeGreaterThan(250));
+  });
+});
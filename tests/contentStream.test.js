@@ -0,0 +1,62 @@
+const { parseContentStream, serializeOperand, multiplyMatrix } = require('../src/utils/contentStream');
+
+describe('Content Stream Parser', () => {
+  describe('parseContentStream', () => {
+    test('should split operators and operands', () => {
+      const operations = parseContentStream('q 200 0 0 100 50 50 cm /Im1 Do Q');
+
+      expect(operations.map(op => op.operator)).toEqual(['q', 'cm', 'Do', 'Q']);
+      expect(operations[1].operands).toEqual([200, 0, 0, 100, 50, 50]);
+      expect(operations[2].operands).toEqual([{ name: 'Im1' }]);
+    });
+
+    test('should parse strings, arrays and dictionaries', () => {
+      const operations = parseContentStream('[(a\\)b) -20 <4142>] TJ /P <</MCID 3>> BDC');
+
+      expect(operations[0].operands).toEqual([[{ string: 'a)b' }, -20, { string: 'AB' }]]);
+      expect(operations[1].operands).toEqual([{ name: 'P' }, { dict: { MCID: 3 } }]);
+    });
+
+    test('should record inline image dictionary, data and byte ranges', () => {
+      const content = 'q BI /W 2 /H 1 /CS /G /BPC 8 ID \x01\x02 EI Q';
+      const operations = parseContentStream(content);
+      const inline = operations[1];
+
+      expect(inline.operator).toBe('BI');
+      expect(inline.image.dict).toEqual({ W: 2, H: 1, CS: { name: 'G' }, BPC: 8 });
+      expect([...inline.image.data]).toEqual([1, 2]);
+      expect(content.slice(inline.start, inline.end)).toBe('BI /W 2 /H 1 /CS /G /BPC 8 ID \x01\x02 EI');
+      expect(operations[2].operator).toBe('Q');
+    });
+
+    test('should read unfiltered inline image data by its length, even when it contains EI', () => {
+      const operations = parseContentStream('BI /W 4 /H 1 /CS /G /BPC 8 ID \x20EI\x20 EI Q');
+
+      expect([...operations[0].image.data]).toEqual([0x20, 0x45, 0x49, 0x20]);
+      expect(operations[1].operator).toBe('Q');
+    });
+
+    test('should skip comments', () => {
+      const operations = parseContentStream('% comment\n1 0 0 1 .5 -3. cm');
+      expect(operations).toHaveLength(1);
+      expect(operations[0].operands).toEqual([1, 0, 0, 1, 0.5, -3]);
+    });
+  });
+
+  describe('serializeOperand', () => {
+    test('should write operands back in content stream syntax', () => {
+      expect(serializeOperand([{ name: 'A B' }, 0.25, true, { string: 'x' }])).toBe('[/A#20B 0.25 true <78>]');
+      expect(serializeOperand({ dict: { K: -1, Columns: 8 } })).toBe('<</K -1 /Columns 8>>');
+    });
+  });
+
+  describe('multiplyMatrix', () => {
+    test('should concatenate transformations', () => {
+      const scale = [2, 0, 0, 3, 0, 0];
+      const translate = [1, 0, 0, 1, 10, 20];
+
+      expect(multiplyMatrix(scale, translate)).toEqual([2, 0, 0, 3, 10, 20]);
+      expect(multiplyMatrix(translate, scale)).toEqual([2, 0, 0, 3, 20, 60]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { PDFDocument } = require('pdf-lib');
+const { encodeFlateImage } = require('../src/utils/flateImageWriter');
+const { decodeStreamData } = require('../src/utils/streamFilters');
+const { toPixels } = require('../src/utils/colorSpaces');
+
+// Decode the writer's output the way a reader would, back to 8-bit pixels
+async function decode(encoded, width, height) {
+  const pdfDoc = await PDFDocument.create();
+  const stream = pdfDoc.context.stream(encoded.data, {
+    Filter: 'FlateDecode',
+    DecodeParms: encoded.decodeParms
+  });
+  const { colorSpace } = encoded;
+  const resolved = colorSpace.family === 'Indexed'
+    ? {
+      family: 'Indexed',
+      components: 1,
+      base: { family: 'DeviceRGB', components: colorSpace.baseComponents },
+      hival: colorSpace.hival,
+      palette: colorSpace.palette
+    }
+    : colorSpace;
+
+  return toPixels(decodeStreamData(stream), {
+    width,
+    height,
+    bitsPerComponent: encoded.bitsPerComponent,
+    colorSpace: resolved
+  }).pixels;
+}
+
+describe('Flate Image Writer', () => {
+  test('should round-trip a photo-like RGB image at 8 bits', async () => {
+    const width = 40;
+    const height = 30;
+    const pixels = new Uint8Array(width * height * 3);
+    for (let i = 0; i < pixels.length; i++) pixels[i] = (i * 37 + (i >> 5) * 11) & 0xff;
+
+    const encoded = encodeFlateImage(pixels, { width, height, channels: 3 });
+
+    expect(encoded.colorSpace.family).toBe('DeviceRGB');
+    expect(encoded.bitsPerComponent).toBe(8);
+    expect(encoded.decodeParms).toEqual({ Predictor: 15, Colors: 3, BitsPerComponent: 8, Columns: width });
+    expect(Array.from(await decode(encoded, width, height))).toEqual(Array.from(pixels));
+  });
+
+  test('should store few colors as a packed /Indexed palette', async () => {
+    const width = 7;
+    const height = 5;
+    const colors = [[255, 0, 0], [0, 0, 255], [255, 255, 255]];
+    const pixels = new Uint8Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) pixels.set(colors[i % 3], i * 3);
+
+    const encoded = encodeFlateImage(pixels, { width, height, channels: 3 });
+
+    expect(encoded.colorSpace.family).toBe('Indexed');
+    expect(encoded.colorSpace.hival).toBe(2);
+    expect(encoded.bitsPerComponent).toBe(2);
+    expect(Array.from(await decode(encoded, width, height))).toEqual(Array.from(pixels));
+  });
+
+  test('should reduce neutral RGB to gray at the smallest exact depth', async () => {
+    const width = 9;
+    const height = 3;
+    const levels = [0, 85, 170, 255];
+    const pixels = new Uint8Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) pixels.fill(levels[i % 4], i * 3, i * 3 + 3);
+
+    const encoded = encodeFlateImage(pixels, { width, height, channels: 3 });
+    const decoded = await decode(encoded, width, height);
+
+    expect(encoded.colorSpace.family).toBe('DeviceGray');
+    expect(encoded.bitsPerComponent).toBe(2);
+    expect(Array.from(decoded)).toEqual(Array.from({ length: width * height }, (_, i) => levels[i % 4]));
+  });
+
+  test('should keep full color when palettes are disabled', () => {
+    const pixels = Uint8Array.from([255, 0, 0, 0, 255, 0]);
+    const encoded = encodeFlateImage(pixels, { width: 2, height: 1, channels: 3 }, { palette: false });
+
+    expect(encoded.colorSpace.family).toBe('DeviceRGB');
+    expect(encoded.bitsPerComponent).toBe(8);
+  });
+});
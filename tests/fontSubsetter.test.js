@@ -0,0 +1,84 @@
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { subsetFonts } = require('../src/processors/fontSubsetter');
+
+describe('Font Subsetter', () => {
+  function eexec(bytes) {
+    const result = new Uint8Array(bytes.length);
+    let r = 55665;
+    for (let i = 0; i < bytes.length; i++) {
+      result[i] = bytes[i] ^ (r >> 8);
+      r = ((result[i] + r) * 52845 + 22719) & 0xffff;
+    }
+    return result;
+  }
+
+  // Type 1 program with unencrypted charstrings (lenIV -1) for A to Z
+  function createType1Font() {
+    const names = ['.notdef', ...Array.from({ length: 26 }, (_, i) => String.fromCharCode(65 + i))];
+    const charString = String.fromCharCode(...new Array(200).fill(139), 13, 14);
+
+    const clear = '%!FontType1-1.0: Test\n/Encoding StandardEncoding def\ncurrentdict end\ncurrentfile eexec\r\n';
+    let privateText = `dup /Private 8 dict dup begin\n/lenIV -1 def\n2 index /CharStrings ${names.length} dict dup begin\n`;
+    for (const name of names) privateText += `/${name} ${charString.length} -| ${charString} |-\n`;
+    privateText += 'end\nend\n';
+
+    const encrypted = eexec(Buffer.from('abcd' + privateText, 'latin1'));
+    const trailer = Buffer.from('0'.repeat(64) + '\ncleartomark\n', 'latin1');
+    return {
+      data: Buffer.concat([Buffer.from(clear, 'latin1'), encrypted, trailer]),
+      lengths: { Length1: clear.length, Length2: encrypted.length, Length3: trailer.length }
+    };
+  }
+
+  // A page showing "A" with the font, and a form listing it whose content
+  // is `formContent`
+  async function createDocument(formContent) {
+    const pdfDoc = await PDFDocument.create();
+    const { context } = pdfDoc;
+    const page = pdfDoc.addPage([100, 100]);
+
+    const { data, lengths } = createType1Font();
+    const programRef = context.register(context.stream(data, lengths));
+    const font = context.register(context.obj({
+      Type: 'Font',
+      Subtype: 'Type1',
+      BaseFont: 'Test',
+      Encoding: 'WinAnsiEncoding',
+      FirstChar: 65,
+      LastChar: 90,
+      Widths: new Array(26).fill(500),
+      FontDescriptor: { Type: 'FontDescriptor', FontName: 'Test', Flags: 32, FontFile: programRef }
+    }));
+
+    const form = context.register(context.stream(formContent, {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 100],
+      Resources: { Font: { F1: font } }
+    }));
+    page.node.set(PDFName.of('Resources'), context.obj({ Font: { F1: font }, XObject: { Fm0: form } }));
+    page.node.set(PDFName.of('Contents'), context.register(context.stream('BT /F1 12 Tf (A) Tj ET /Fm0 Do')));
+
+    return { pdfDoc, programRef, data };
+  }
+
+  test('should cut a Type 1 program down to the glyphs shown', async () => {
+    const { pdfDoc, programRef, data } = await createDocument('BT /F1 12 Tf (B) Tj ET');
+
+    const stats = await subsetFonts(pdfDoc, { fontSubsetting: true });
+
+    expect(stats.fontsSubset).toBe(1);
+    expect(stats.glyphsRemoved).toBe(24);
+    expect(pdfDoc.context.lookup(programRef).contents.length).toBeLessThan(data.length);
+  });
+
+  test('should keep the whole program when a stream that may use the font cannot be read', async () => {
+    // An unterminated inline image: the text before it is never seen
+    const { pdfDoc, programRef, data } = await createDocument('BT /F1 12 Tf (B) Tj ET BI /W 1');
+
+    const stats = await subsetFonts(pdfDoc, { fontSubsetting: true });
+
+    expect(stats.fontsSubset).toBe(0);
+    expect(Buffer.from(pdfDoc.context.lookup(programRef).contents).equals(data)).toBe(true);
+  });
+});
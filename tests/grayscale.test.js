@@ -0,0 +1,107 @@
+const { PDFDocument, PDFName } = require('pdf-lib');
+const pako = require('pako');
+const { measureNeutralRatio } = require('../src/utils/grayscale');
+const { convertToGrayscale, convertContentColors } = require('../src/processors/grayscaleConverter');
+const { parseContentStream } = require('../src/utils/contentStream');
+
+describe('Grayscale', () => {
+  test('should measure the share of near-neutral pixels', () => {
+    const pixels = Uint8Array.from([
+      10, 10, 10,
+      200, 204, 198,
+      255, 0, 0,
+      90, 100, 90
+    ]);
+
+    expect(measureNeutralRatio(pixels, 3, 8)).toBe(0.5);
+    expect(measureNeutralRatio(pixels, 3, 10)).toBe(0.75);
+  });
+
+  test('should convert device color operators to gray', () => {
+    const result = convertContentColors('1 0 0 rg 0 0 1 RG 0 0 0 1 k 0.5 g', () => null);
+
+    expect(result.content).toBe('0.3 g 0.11 G 0 g 0.5 g');
+    expect(result.converted).toBe(3);
+  });
+
+  test('should convert colors set in RGB color spaces and restore state on Q', () => {
+    const components = { DeviceRGB: 3, CS0: 3 };
+    const content = '/CS0 cs 0 1 0 sc q /Pattern cs /P1 scn Q 1 1 1 scn';
+    const result = convertContentColors(content, name => components[name] || null);
+
+    expect(result.content).toBe('/DeviceGray cs 0.59 sc q /Pattern cs /P1 scn Q 1 scn');
+    expect(result.converted).toBe(3);
+  });
+
+  test('should rewrite page content streams in the document', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([100, 100]);
+    const ref = pdfDoc.context.register(pdfDoc.context.flateStream('1 0 0 rg 0 0 10 10 re f'));
+    page.node.set(PDFName.of('Contents'), ref);
+
+    const stats = await convertToGrayscale(pdfDoc);
+    const stream = pdfDoc.context.lookup(ref);
+
+    expect(stats.streamsConverted).toBe(1);
+    expect(Buffer.from(pako.inflate(stream.contents)).toString('latin1')).toBe('0.3 g 0 0 10 10 re f');
+  });
+
+  test('should convert colors a form sets in its caller\'s color space', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([100, 100]);
+    const { context } = pdfDoc;
+
+    const formRef = context.register(context.flateStream('0 1 0 sc 0 0 10 10 re f', {
+      Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 10, 10]
+    }));
+    page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Fm0: formRef } }));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream('/DeviceRGB cs /Fm0 Do')));
+
+    await convertToGrayscale(pdfDoc);
+    const form = context.lookup(formRef);
+
+    expect(Buffer.from(pako.inflate(form.contents)).toString('latin1')).toBe('0.59 sc 0 0 10 10 re f');
+  });
+
+  test('should count the colors, shadings and inline images left in color', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([100, 100]);
+    const { context } = pdfDoc;
+
+    const rgbShading = context.obj({ ShadingType: 2, ColorSpace: 'DeviceRGB', Coords: [0, 0, 1, 0], Function: 0 });
+    const grayShading = context.obj({ ShadingType: 2, ColorSpace: 'DeviceGray', Coords: [0, 0, 1, 0], Function: 0 });
+    page.node.set(PDFName.of('Resources'), context.obj({
+      ColorSpace: { CS0: ['Separation', 'Spot', 'DeviceCMYK', 0], CS1: ['CalGray', { WhitePoint: [1, 1, 1] }] },
+      Shading: { Sh0: rgbShading, Sh1: grayShading },
+      Pattern: { P0: context.obj({ PatternType: 2, Shading: rgbShading }) }
+    }));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream(
+      '/CS0 cs 1 scn /CS1 cs 0.5 scn /CS0 CS 1 SCN /Sh0 sh /Sh1 sh /Pattern cs /P0 scn ' +
+      'BI /W 1 /H 1 /CS /RGB /BPC 8 /F /DCT ID \xff\xd8 EI'
+    )));
+
+    const stats = await convertToGrayscale(pdfDoc);
+
+    expect(stats.keptInColor).toEqual({ 'Separation colors': 2, shadings: 2, 'inline images': 1 });
+  });
+
+  test('should store RGB inline images as gray', () => {
+    const pixels = String.fromCharCode(255, 0, 0, 0, 0, 255);
+    const result = convertContentColors(`BI /W 2 /H 1 /CS /RGB /BPC 8 ID ${pixels} EI`, name => (name === 'DeviceRGB' ? 3 : null));
+    const [operation] = parseContentStream(result.content);
+
+    expect(result.converted).toBe(1);
+    expect(operation.image.dict).toMatchObject({ CS: { name: 'G' }, F: { name: 'Fl' } });
+    expect(Array.from(pako.inflate(operation.image.data))).toEqual([77, 28]);
+  });
+
+  test('should turn the palette of indexed inline images gray', () => {
+    const palette = Buffer.from([255, 255, 255, 0, 0, 255]).toString('hex');
+    const result = convertContentColors(`BI /W 2 /H 1 /CS [/I /RGB 1 <${palette}>] /BPC 8 ID \x00\x01 EI`, name => (name === 'DeviceRGB' ? 3 : null));
+    const [operation] = parseContentStream(result.content);
+
+    expect(operation.image.dict.CS[1]).toEqual({ name: 'G' });
+    expect(Array.from(Buffer.from(operation.image.dict.CS[3].string, 'latin1'))).toEqual([255, 28]);
+    expect(Array.from(operation.image.data)).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,56 @@
+const { classifyImage } = require('../src/utils/imageClassifier');
+
+/** Build an RGB image from a function of the pixel position */
+function makeImage(width, height, color) {
+  const pixels = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set(color(x, y), (y * width + x) * 3);
+    }
+  }
+  return pixels;
+}
+
+describe('Image Classifier', () => {
+  test('should treat images with few colors as line art', () => {
+    const chart = makeImage(64, 64, (x, y) => (x > 20 && x < 30 && y > 10 ? [200, 30, 30] : [255, 255, 255]));
+
+    expect(classifyImage(chart, 64, 64, 3).imageClass).toBe('line-art');
+  });
+
+  test('should treat smooth, richly colored images as photos', () => {
+    const photo = makeImage(128, 128, (x, y) => [x * 2, y * 2, (x * y) % 256]);
+
+    expect(classifyImage(photo, 128, 128, 3).imageClass).toBe('photo');
+  });
+
+  test('should treat continuous-tone gray images as photos', () => {
+    // At most 256 levels, yet a smooth photo rather than line art
+    const tone = (x, y) => Math.round(128 + 60 * Math.sin(x / 9) + 60 * Math.cos(y / 13));
+    const gray = Uint8Array.from({ length: 128 * 128 }, (_, i) => tone(i % 128, Math.floor(i / 128)));
+    const grayRgb = makeImage(128, 128, (x, y) => new Array(3).fill(tone(x, y)));
+
+    expect(classifyImage(gray, 128, 128, 1).imageClass).toBe('photo');
+    expect(classifyImage(grayRgb, 128, 128, 3).imageClass).toBe('photo');
+  });
+
+  test('should treat sparse gray histograms as line art', () => {
+    // Black strokes on white, with a few anti-aliased grays
+    const drawing = Uint8Array.from({ length: 64 * 64 }, (_, i) => [255, 255, 255, 255, 255, 0, 128, 255][i % 8]);
+
+    expect(classifyImage(drawing, 64, 64, 1).imageClass).toBe('line-art');
+  });
+
+  test('should treat flat areas with hard edges and some gradients as screenshots', () => {
+    // A window with a gradient title bar and lines of "text"
+    const screenshot = makeImage(128, 128, (x, y) => {
+      if (y < 16) return [40 + x, 80 + (y * 4), 160];
+      if (y % 8 < 2 && x % 6 < 4) return [20, 20, 20];
+      return [250, 250, 250];
+    });
+
+    const result = classifyImage(screenshot, 128, 128, 3);
+    expect(result.colorCount).toBeGreaterThan(256);
+    expect(result.imageClass).toBe('screenshot');
+  });
+});
@@ -0,0 +1,124 @@
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { compressImageBuffer, compressImages } = require('../src/processors/imageCompressor');
+
+// 20x12 RGB, 4:2:0, with EXIF, a comment and restart markers every MCU
+const BASELINE_JPEG = Buffer.from(
+  '/9j/4AAQSkZJRgABAQAAAQABAAD/4QAYRXhpZgAAAAAAAAAAAAAAAAAAAAAAAP/+AAlzY2FubmVy/9sAQwANCQoLCggNCwoL' +
+  'Dg4NDxMgFRMSEhMnHB4XIC4pMTAuKS0sMzpKPjM2RjcsLUBXQUZMTlJTUjI+WmFaUGBKUVJP/9sAQwEODg4TERMmFRUmTzUt' +
+  'NU9PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09P/8AAEQgADAAUAwEiAAIRAQMRAf/E' +
+  'AB8AAAEFAQEBAQEBAAAAAAAAAAABAgMEBQYHCAkKC//EALUQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQy' +
+  'gZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SF' +
+  'hoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+v/E' +
+  'AB8BAAMBAQEBAQEBAQEAAAAAAAABAgMEBQYHCAkKC//EALURAAIBAgQEAwQHBQQEAAECdwABAgMRBAUhMQYSQVEHYXETIjKB' +
+  'CBRCkaGxwQkjM1LwFWJy0QoWJDThJfEXGBkaJicoKSo1Njc4OTpDREVGR0hJSlNUVVZXWFlaY2RlZmdoaWpzdHV2d3h5eoKD' +
+  'hIWGh4iJipKTlJWWl5iZmqKjpKWmp6ipqrKztLW2t7i5usLDxMXGx8jJytLT1NXW19jZ2uLj5OXm5+jp6vLz9PX29/j5+v/d' +
+  'AAQAAf/aAAwDAQACEQMRAD8A5yLSf9n9Kuw6V/s10kVvFj7vr+lXYraLP3e9PMMbLU48uzGeh//QqLpXH3aK7FLaLb92ivmp' +
+  'Y2Vz3o5jOx//2Q==',
+  'base64'
+);
+
+/** Build an RGB image from a function of the pixel position */
+function makeImage(width, height, color) {
+  const pixels = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set(color(x, y), (y * width + x) * 3);
+    }
+  }
+  return pixels;
+}
+
+/** Luma sampling factors (H << 4 | V) from a JPEG's frame header */
+function getLumaSampling(jpeg) {
+  let offset = 2;
+  while (offset < jpeg.length) {
+    const marker = jpeg[offset + 1];
+    if (marker >= 0xc0 && marker <= 0xc2) return jpeg[offset + 11];
+    offset += 2 + jpeg.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+describe('Image Compressor', () => {
+  describe('compressImageBuffer', () => {
+    test('should follow the chroma subsampling setting', async () => {
+      const imageData = {
+        buffer: Buffer.from(makeImage(64, 64, (x, y) => [x * 4, y * 4, 128])),
+        width: 64,
+        height: 64,
+        channels: 3
+      };
+      const settings = { imageQuality: 80, imageDPI: 300, imageFormat: 'jpeg' };
+      const size = { width: 64, height: 64 };
+
+      const full = await compressImageBuffer(imageData, { ...settings, chromaSubsampling: '4:4:4' }, size);
+      const subsampled = await compressImageBuffer(imageData, { ...settings, chromaSubsampling: '4:2:0' }, size);
+
+      expect(getLumaSampling(full.buffer)).toBe(0x11);
+      expect(getLumaSampling(subsampled.buffer)).toBe(0x22);
+    });
+  });
+
+  describe('compressImages', () => {
+    test('should keep the original image when the new encoding saves less than the margin', async () => {
+      // A long comment, which the lossless JPEG pass drops: most of the
+      // image, but not the 99% asked for
+      const comment = Buffer.alloc(12000, 0x20);
+      const jpeg = Buffer.concat([
+        BASELINE_JPEG.subarray(0, 2),
+        Buffer.from([0xff, 0xfe, (comment.length + 2) >> 8, (comment.length + 2) & 0xff]),
+        comment,
+        BASELINE_JPEG.subarray(2)
+      ]);
+
+      const pdfDoc = await PDFDocument.create();
+      const page = pdfDoc.addPage([20, 12]);
+      const imageRef = pdfDoc.context.register(pdfDoc.context.stream(jpeg, {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 20,
+        Height: 12,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+        Filter: 'DCTDecode'
+      }));
+      page.node.set(PDFName.of('Resources'), pdfDoc.context.obj({ XObject: { Im0: imageRef } }));
+      page.node.set(PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.stream('q 20 0 0 12 0 0 cm /Im0 Do Q')));
+
+      const stats = await compressImages(pdfDoc, { imageDPI: 72, losslessJpeg: true, savingsMargin: 0.99, imageConcurrency: 1 });
+
+      expect(stats.imagesKeptOriginal).toBe(1);
+      expect(Buffer.from(pdfDoc.context.lookup(imageRef).contents).equals(jpeg)).toBe(true);
+    });
+
+    test('should count the images grayscale mode leaves in color', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const page = pdfDoc.addPage([30, 10]);
+      const context = pdfDoc.context;
+      const image = (colorSpace, extra) => context.register(context.stream('samples', {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 10,
+        Height: 10,
+        ColorSpace: colorSpace,
+        BitsPerComponent: 8,
+        ...extra
+      }));
+
+      page.node.set(PDFName.of('Resources'), context.obj({
+        XObject: {
+          Im0: image('DeviceRGB', { Filter: 'JPXDecode' }),
+          Im1: image('DeviceGray', { Filter: 'JBIG2Decode', BitsPerComponent: 1 }),
+          Im2: image(['Separation', 'Spot', 'DeviceCMYK', 0])
+        }
+      }));
+      page.node.set(PDFName.of('Contents'), context.register(context.stream(
+        'q 10 0 0 10 0 0 cm /Im0 Do Q q 10 0 0 10 10 0 cm /Im1 Do Q q 10 0 0 10 20 0 cm /Im2 Do Q'
+      )));
+
+      const stats = await compressImages(pdfDoc, { imageDPI: 72, grayscale: true, imageConcurrency: 1 });
+
+      expect(stats.keptInColor).toEqual({ 'JPXDecode images': 1, 'Separation images': 1 });
+    });
+  });
+});
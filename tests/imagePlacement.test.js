@@ -0,0 +1,102 @@
+const { collectImagePlacements, getEffectivePPI } = require('../src/processors/imagePlacement');
+const { PDFDocument, PDFName } = require('pdf-lib');
+
+describe('Image Placement', () => {
+  test('should measure displayed image size through the graphics state', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const context = pdfDoc.context;
+    const page = pdfDoc.addPage([612, 792]);
+
+    const imageRef = context.register(context.stream('pixels', {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: 4000,
+      Height: 2000
+    }));
+    const contentRef = context.register(context.flateStream(
+      'q 2 0 0 2 0 0 cm q 72 0 0 36 10 10 cm /Im1 Do Q Q q 144 0 0 72 0 0 cm /Im1 Do Q'
+    ));
+    page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Im1: imageRef } }));
+    page.node.set(PDFName.of('Contents'), contentRef);
+
+    const placement = collectImagePlacements(pdfDoc).get(imageRef);
+
+    expect(placement).toEqual({ name: 'Im1', width: 144, height: 72, count: 2, visible: [0, 0, 1, 1], unknown: false });
+    expect(getEffectivePPI(placement, 4000, 2000)).toBe(2000);
+  });
+
+  test('should find the part of an image clipping paths, form boxes and the crop box show', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const context = pdfDoc.context;
+    const page = pdfDoc.addPage([612, 792]);
+    page.node.set(PDFName.of('CropBox'), context.obj([0, 0, 306, 792]));
+
+    const [clipped, inForm, hidden] = [1, 2, 3].map(() => context.register(context.stream('pixels', {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: 100,
+      Height: 100
+    })));
+    const formRef = context.register(context.flateStream('100 0 0 100 0 0 cm /Im2 Do', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [50, 50, 100, 100],
+      Resources: { XObject: { Im2: inForm } }
+    }));
+    page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Im1: clipped, Fm1: formRef, Im3: hidden } }));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream(
+      'q 0 0 400 100 re W n 612 0 0 200 0 0 cm /Im1 Do Q ' +
+      'q 1 0 0 1 0 600 cm /Fm1 Do Q ' +
+      'q 0 0 10 10 re W n 100 0 0 100 400 400 cm /Im3 Do Q'
+    )));
+
+    const placements = collectImagePlacements(pdfDoc);
+
+    expect(placements.get(clipped).visible).toEqual([0, 0, 0.5, 0.5]);
+    expect(placements.get(inForm).visible).toEqual([0.5, 0.5, 1, 1]);
+    expect(placements.get(hidden).visible).toBeNull();
+  });
+
+  test('should mark images a stream that cannot be followed may draw', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const context = pdfDoc.context;
+    const page = pdfDoc.addPage([612, 792]);
+
+    const [shared, nested, other] = [1, 2, 3].map(() => context.register(context.stream('pixels', {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: 100,
+      Height: 100
+    })));
+
+    // An unterminated inline image: the form's drawings are never seen
+    const innerRef = context.register(context.flateStream('/Im2 Do', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 1, 1],
+      Resources: { XObject: { Im2: nested } }
+    }));
+    const unreadableRef = context.register(context.flateStream('612 0 0 792 0 0 cm /Im1 Do BI /W 1', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 612, 792],
+      Resources: { XObject: { Im1: shared, Fm2: innerRef } }
+    }));
+    page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Im1: shared, Im3: other, Fm1: unreadableRef } }));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream(
+      'q 0 0 10 10 re W n 100 0 0 100 0 0 cm /Im1 Do /Im3 Do Q /Fm1 Do'
+    )));
+
+    const placements = collectImagePlacements(pdfDoc);
+
+    // Only the clipped drawing is known, but the form may show all of it
+    expect(placements.get(shared).visible).toEqual([0, 0, 0.1, 0.1]);
+    expect(placements.get(shared).unknown).toBe(true);
+    expect(placements.get(nested).unknown).toBe(true);
+    expect(placements.get(other).unknown).toBe(false);
+  });
+
+  test('should return null when the placement is unknown', () => {
+    expect(getEffectivePPI(undefined, 100, 100)).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+const { PDFDocument, PDFName, PDFRawStream } = require('pdf-lib');
+const pako = require('pako');
+const { processInlineImages } = require('../src/processors/inlineImages');
+const { parseContentStream } = require('../src/utils/contentStream');
+
+function addContent(pdfDoc, page, content) {
+  const ref = pdfDoc.context.register(pdfDoc.context.flateStream(Buffer.from(content, 'latin1')));
+  page.node.set(PDFName.of('Contents'), ref);
+  return ref;
+}
+
+function readContent(pdfDoc, ref) {
+  return Buffer.from(pako.inflate(pdfDoc.context.lookup(ref).contents)).toString('latin1');
+}
+
+describe('Inline images', () => {
+  test('should move a repeated inline image to one shared XObject', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const image = 'BI /W 2 /H 2 /CS /G /BPC 8 ID \x00\xff\xff\x00 EI';
+    const refs = [0, 1].map(() => addContent(pdfDoc, pdfDoc.addPage([100, 100]), `q 10 0 0 10 0 0 cm ${image} Q`));
+
+    const stats = await processInlineImages(pdfDoc, { savingsMargin: 0 });
+
+    expect(stats).toEqual({ inlineImagesFound: 2, imagesPromoted: 2, xObjectsCreated: 1, imagesRecompressed: 0 });
+    expect(readContent(pdfDoc, refs[0])).toBe('q 10 0 0 10 0 0 cm /InlIm1 Do Q');
+
+    const [first, second] = pdfDoc.getPages().map(page =>
+      page.node.Resources().lookup(PDFName.of('XObject')).get(PDFName.of('InlIm1'))
+    );
+    expect(first).toBe(second);
+
+    const xObject = pdfDoc.context.lookup(first);
+    expect(xObject).toBeInstanceOf(PDFRawStream);
+    expect(xObject.dict.get(PDFName.of('Subtype'))).toBe(PDFName.of('Image'));
+    expect(xObject.dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceGray'));
+    expect(xObject.dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(8);
+    expect(xObject.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+    expect(Array.from(pako.inflate(xObject.contents))).toEqual([0, 255, 255, 0]);
+  });
+
+  test('should recompress a single small inline image in place', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const pixels = Buffer.alloc(300, 0x80).toString('hex');
+    const ref = addContent(pdfDoc, pdfDoc.addPage([100, 100]), `BI /W 10 /H 10 /CS /RGB /BPC 8 /F /AHx ID ${pixels}> EI`);
+
+    const stats = await processInlineImages(pdfDoc, { savingsMargin: 0.01 });
+    const [operation] = parseContentStream(readContent(pdfDoc, ref));
+
+    expect(stats.imagesRecompressed).toBe(1);
+    expect(operation.image.dict).toEqual({ W: 10, H: 10, CS: { name: 'RGB' }, BPC: 8, F: { name: 'Fl' } });
+    expect(Buffer.from(pako.inflate(operation.image.data))).toEqual(Buffer.alloc(300, 0x80));
+  });
+
+  test('should keep DCT inline images as they are', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const content = 'BI /W 1 /H 1 /CS /G /BPC 8 /F /DCT ID \xff\xd8\xff\xd9 EI';
+    const ref = addContent(pdfDoc, pdfDoc.addPage([100, 100]), content);
+
+    const stats = await processInlineImages(pdfDoc, { savingsMargin: 0 });
+
+    expect(stats).toEqual({ inlineImagesFound: 1, imagesPromoted: 0, xObjectsCreated: 0, imagesRecompressed: 0 });
+    expect(readContent(pdfDoc, ref)).toBe(content);
+  });
+});
@@ -0,0 +1,57 @@
+const { readJpegInfo, decoderAppliesColorTransform } = require('../src/utils/jpegInfo');
+const { encodeCmykTiff } = require('../src/utils/tiffWriter');
+
+/** Build the header of a JPEG: SOI, the given segments, then a frame header */
+function jpegHeader(segments, components) {
+  const frame = [0xff, 0xc0, 0x00, 8 + 3 * components, 8, 0x00, 0x20, 0x00, 0x40, components];
+  for (let i = 0; i < components; i++) frame.push(i + 1, 0x11, 0);
+  return Uint8Array.from([0xff, 0xd8, ...segments.flat(), ...frame, 0xff, 0xda]);
+}
+
+const adobeSegment = (transform) => [
+  0xff, 0xee, 0x00, 14, ...Buffer.from('Adobe'), 0, 100, 0, 0, 0, 0, transform
+];
+
+describe('JPEG Info', () => {
+  test('should read the frame header and the Adobe transform flag', () => {
+    const info = readJpegInfo(jpegHeader([adobeSegment(2)], 4));
+
+    expect(info).toMatchObject({ width: 64, height: 32, components: 4, bitsPerComponent: 8, progressive: false });
+    expect(info.adobe).toEqual({ transform: 2 });
+    expect(decoderAppliesColorTransform(info)).toBe(true);
+  });
+
+  test('should follow decoder defaults without an Adobe marker', () => {
+    const cmyk = readJpegInfo(jpegHeader([], 4));
+    const rgb = readJpegInfo(jpegHeader([], 3));
+
+    expect(cmyk.adobe).toBeNull();
+    expect(decoderAppliesColorTransform(cmyk)).toBe(false);
+    expect(decoderAppliesColorTransform(rgb)).toBe(true);
+  });
+
+  test('should reject data that is not a JPEG', () => {
+    expect(readJpegInfo(Uint8Array.from([0x89, 0x50, 0x4e, 0x47]))).toBeNull();
+  });
+});
+
+describe('TIFF Writer', () => {
+  test('should wrap CMYK pixels in a separated TIFF', () => {
+    const pixels = Uint8Array.from([0, 64, 128, 255, 10, 20, 30, 40]);
+    const tiff = encodeCmykTiff(pixels, 2, 1);
+
+    expect(tiff.toString('latin1', 0, 2)).toBe('II');
+    expect(tiff.readUInt16LE(2)).toBe(42);
+
+    const ifd = tiff.readUInt32LE(4);
+    const tags = {};
+    for (let i = 0; i < tiff.readUInt16LE(ifd); i++) {
+      const entry = ifd + 2 + i * 12;
+      tags[tiff.readUInt16LE(entry)] = tiff.readUInt32LE(entry + 8);
+    }
+
+    expect(tags[262] & 0xffff).toBe(5);
+    expect(tags[277] & 0xffff).toBe(4);
+    expect(Array.from(tiff.subarray(tags[273], tags[273] + tags[279]))).toEqual(Array.from(pixels));
+  });
+});
@@ -0,0 +1,64 @@
+const { optimizeJpeg } = require('../src/utils/jpegOptimizer');
+const { readJpegInfo } = require('../src/utils/jpegInfo');
+
+// 20x12 RGB, 4:2:0, with EXIF, a comment and restart markers every MCU
+const BASELINE_JPEG = Buffer.from(
+  '/9j/4AAQSkZJRgABAQAAAQABAAD/4QAYRXhpZgAAAAAAAAAAAAAAAAAAAAAAAP/+AAlzY2FubmVy/9sAQwANCQoLCggNCwoL' +
+  'Dg4NDxMgFRMSEhMnHB4XIC4pMTAuKS0sMzpKPjM2RjcsLUBXQUZMTlJTUjI+WmFaUGBKUVJP/9sAQwEODg4TERMmFRUmTzUt' +
+  'NU9PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09P/8AAEQgADAAUAwEiAAIRAQMRAf/E' +
+  'AB8AAAEFAQEBAQEBAAAAAAAAAAABAgMEBQYHCAkKC//EALUQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQy' +
+  'gZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SF' +
+  'hoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+v/E' +
+  'AB8BAAMBAQEBAQEBAQEAAAAAAAABAgMEBQYHCAkKC//EALURAAIBAgQEAwQHBQQEAAECdwABAgMRBAUhMQYSQVEHYXETIjKB' +
+  'CBRCkaGxwQkjM1LwFWJy0QoWJDThJfEXGBkaJicoKSo1Njc4OTpDREVGR0hJSlNUVVZXWFlaY2RlZmdoaWpzdHV2d3h5eoKD' +
+  'hIWGh4iJipKTlJWWl5iZmqKjpKWmp6ipqrKztLW2t7i5usLDxMXGx8jJytLT1NXW19jZ2uLj5OXm5+jp6vLz9PX29/j5+v/d' +
+  'AAQAAf/aAAwDAQACEQMRAD8A5yLSf9n9Kuw6V/s10kVvFj7vr+lXYraLP3e9PMMbLU48uzGeh//QqLpXH3aK7FLaLb92ivmp' +
+  'Y2Vz3o5jOx//2Q==',
+  'base64'
+);
+
+// 20x12 gray, progressive with successive approximation
+const PROGRESSIVE_JPEG = Buffer.from(
+  '/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAA0JCgsKCA0LCgsODg0PEyAVExISEyccHhcgLikxMC4pLSwzOko+MzZGNywtQFdB' +
+  'RkxOUlNSMj5aYVpQYEpRUk//wgALCAAMABQBAREA/8QAFgABAQEAAAAAAAAAAAAAAAAAAwQF/9oACAEBAAAAAc11tZv/xAAZ' +
+  'EAEBAAMBAAAAAAAAAAAAAAABAAIDEhP/2gAIAQEAAQUCNUaryjEjEuS//8QAFBABAAAAAAAAAAAAAAAAAAAAIP/aAAgBAQAG' +
+  'PwJf/8QAGRABAAMBAQAAAAAAAAAAAAAAAAFRYREx/9oACAEBAAE/IcWSMKCgjh4//9oACAEBAAAAEKv/xAAcEAABAwUAAAAA' +
+  'AAAAAAAAAAAAARARIXGBofD/2gAIAQEAAT8Q6IyoiLlon3Nz/9k=',
+  'base64'
+);
+
+function getMarkers(data) {
+  const markers = [];
+  for (let pos = 2; pos < data.length;) {
+    const marker = data[pos + 1];
+    markers.push(marker);
+    if (marker === 0xda || marker === 0xd9) break;
+    pos += 2 + ((data[pos + 2] << 8) | data[pos + 3]);
+  }
+  return markers;
+}
+
+describe('JPEG Optimizer', () => {
+  test('should drop EXIF and comments and shrink the entropy-coded data', () => {
+    const optimized = optimizeJpeg(BASELINE_JPEG);
+
+    expect(optimized).not.toBeNull();
+    expect(optimized.length).toBeLessThan(BASELINE_JPEG.length);
+    expect(getMarkers(optimized)).toEqual([0xe0, 0xdb, 0xdb, 0xc0, 0xc4, 0xda]);
+    expect(readJpegInfo(optimized)).toMatchObject({ width: 20, height: 12, components: 3, jfif: true });
+  });
+
+  test('should write progressive JPEGs holding the same coefficients', () => {
+    const progressive = optimizeJpeg(BASELINE_JPEG, { progressive: true });
+
+    expect(readJpegInfo(progressive).progressive).toBe(true);
+    // Back to baseline, both paths give the same tables and data
+    expect(Buffer.from(optimizeJpeg(progressive))).toEqual(Buffer.from(optimizeJpeg(BASELINE_JPEG)));
+  });
+
+  test('should leave JPEGs it does not handle alone', () => {
+    expect(optimizeJpeg(PROGRESSIVE_JPEG)).toBeNull();
+    expect(optimizeJpeg(BASELINE_JPEG.subarray(0, 400))).toBeNull();
+    expect(optimizeJpeg(Buffer.from('not a jpeg'))).toBeNull();
+  });
+});
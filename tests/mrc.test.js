@@ -0,0 +1,50 @@
+const { splitMrcLayers } = require('../src/utils/mrc');
+
+describe('MRC', () => {
+  // 64x64 RGB page: the left half is paper with dark blue strokes (text),
+  // the right half a smooth gradient (a picture)
+  function createPage() {
+    const width = 64;
+    const height = 64;
+    const pixels = new Uint8Array(width * height * 3);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let color;
+        if (x >= 32) {
+          const level = Math.round((x - 32) * 8 + y * 2) & 255;
+          color = [level, level, level];
+        } else if (y % 8 < 2) {
+          color = [20, 20, 120];
+        } else {
+          color = [240, 235, 225];
+        }
+        pixels.set(color, (y * width + x) * 3);
+      }
+    }
+
+    return { pixels, width, height };
+  }
+
+  test('should mask the text but not the picture', () => {
+    const { pixels, width, height } = createPage();
+    const { mask, maskRatio } = splitMrcLayers(pixels, width, height, 3);
+
+    expect(mask[0]).toBe(1); // Stroke
+    expect(mask[2 * width]).toBe(0); // Paper
+    expect(mask[40]).toBe(0); // Picture, even where dark
+    expect(maskRatio).toBe(0.125);
+  });
+
+  test('should paint text out of the background and keep its color in the foreground', () => {
+    const { pixels, width, height } = createPage();
+    const { background, foreground } = splitMrcLayers(pixels, width, height, 3);
+
+    expect(Array.from(background.slice(0, 3))).toEqual([240, 235, 225]);
+    expect(Array.from(background.slice(40 * 3, 41 * 3))).toEqual(Array.from(pixels.slice(40 * 3, 41 * 3)));
+
+    expect(foreground.width).toBe(8);
+    expect(foreground.height).toBe(8);
+    expect(Array.from(foreground.pixels.slice(0, 3))).toEqual([20, 20, 120]);
+  });
+});
@@ -0,0 +1,34 @@
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { rewriteXObjectReferences } = require('../src/utils/objectGraph');
+
+describe('Object Graph', () => {
+  describe('rewriteXObjectReferences', () => {
+    test('should repoint XObject resources and leave masks alone', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const { context } = pdfDoc;
+      const page = pdfDoc.addPage([100, 100]);
+
+      const imageRef = context.register(context.stream('', { Type: 'XObject', Subtype: 'Image' }));
+      const replacementRef = context.register(context.stream('', { Type: 'XObject', Subtype: 'Form' }));
+
+      // Drawn from the page and from a form's indirect XObject dictionary,
+      // and used as another image's soft mask
+      const formXObjects = context.register(context.obj({ Im0: imageRef }));
+      const formRef = context.register(context.stream('/Im0 Do', {
+        Type: 'XObject',
+        Subtype: 'Form',
+        Resources: { XObject: formXObjects }
+      }));
+      const maskedRef = context.register(context.stream('', { Type: 'XObject', Subtype: 'Image', SMask: imageRef }));
+      page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Im0: imageRef, Fm0: formRef, Im1: maskedRef } }));
+
+      const rewritten = rewriteXObjectReferences(context, ref => (ref === imageRef ? replacementRef : ref));
+      const pageXObjects = page.node.Resources().lookup(PDFName.of('XObject'));
+
+      expect(rewritten).toBe(2);
+      expect(pageXObjects.get(PDFName.of('Im0'))).toBe(replacementRef);
+      expect(context.lookup(formXObjects).get(PDFName.of('Im0'))).toBe(replacementRef);
+      expect(context.lookup(maskedRef).dict.get(PDFName.of('SMask'))).toBe(imageRef);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { COMPRESSION_LEVELS } = require('../src/utils/constants');
+
+// The image step is replaced so a test can make the full pass grow the file
+jest.mock('../src/processors/imageCompressor', () => ({
+  compressImages: jest.fn(async () => ({}))
+}));
+
+const { compressImages } = require('../src/processors/imageCompressor');
+const { processPDF } = require('../src/processors/pdfProcessor');
+
+describe('PDF Processor', () => {
+  let tempDir, inputPath, outputPath;
+  let inputBytes;
+
+  beforeAll(async () => {
+    // An uncompressed content stream: the lossless pass saves most of it
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([600, 400]);
+    const content = 'q 1 0 0 1 10 10 cm 0 0 100 100 re f Q\n'.repeat(200);
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.stream(content)));
+
+    inputBytes = Buffer.from(await pdfDoc.save());
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-processor-test-'));
+    inputPath = path.join(tempDir, 'input.pdf');
+    outputPath = path.join(tempDir, 'output.pdf');
+    fs.writeFileSync(inputPath, inputBytes);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should fall back to the lossless pass when the full pass grows the file', async () => {
+    // Random data cannot be compressed: the full pass ends up larger
+    compressImages.mockImplementationOnce(async pdfDoc => {
+      const junk = pdfDoc.context.register(pdfDoc.context.stream(crypto.randomBytes(inputBytes.length * 2)));
+      pdfDoc.catalog.set(PDFName.of('Junk'), junk);
+      return {};
+    });
+
+    const result = await processPDF(inputPath, outputPath, { ...COMPRESSION_LEVELS.medium });
+    const outputBytes = fs.readFileSync(outputPath);
+
+    expect(result.fallback).toBe('lossless');
+    expect(outputBytes.length).toBeLessThan(inputBytes.length);
+    expect((await PDFDocument.load(outputBytes)).catalog.has(PDFName.of('Junk'))).toBe(false);
+  });
+
+  test('should keep the input when neither pass saves the savings margin', async () => {
+    const result = await processPDF(inputPath, outputPath, { ...COMPRESSION_LEVELS.medium, savingsMargin: 0.99 });
+
+    expect(result.fallback).toBe('original');
+    expect(fs.readFileSync(outputPath).equals(inputBytes)).toBe(true);
+  });
+
+  test('should keep the compressed output when it saves the margin', async () => {
+    const result = await processPDF(inputPath, outputPath, { ...COMPRESSION_LEVELS.medium });
+
+    expect(result.fallback).toBeNull();
+    expect(fs.readFileSync(outputPath).length).toBeLessThan(inputBytes.length);
+  });
+});
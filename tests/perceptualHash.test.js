@@ -0,0 +1,62 @@
+const {
+  THUMBNAIL_WIDTH,
+  THUMBNAIL_HEIGHT,
+  fingerprintImage,
+  hammingDistance,
+  groupNearDuplicates,
+  isPixelMatch
+} = require('../src/utils/perceptualHash');
+
+describe('Perceptual hash', () => {
+  // Gray thumbnail of a diagonal gradient, brightened by `offset`
+  function createThumbnail(offset = 0, flip = false) {
+    const thumbnail = new Uint8Array(THUMBNAIL_WIDTH * THUMBNAIL_HEIGHT);
+    for (let y = 0; y < THUMBNAIL_HEIGHT; y++) {
+      for (let x = 0; x < THUMBNAIL_WIDTH; x++) {
+        const column = flip ? THUMBNAIL_WIDTH - 1 - x : x;
+        thumbnail[y * THUMBNAIL_WIDTH + x] = column * 20 + y * 5 + offset;
+      }
+    }
+    return thumbnail;
+  }
+
+  test('should hash each pixel against its right neighbour', () => {
+    const rising = fingerprintImage(createThumbnail(), 1, 100, 50);
+    const falling = fingerprintImage(createThumbnail(0, true), 1, 100, 50);
+
+    expect(rising.hash).toBe((1n << 64n) - 1n);
+    expect(falling.hash).toBe(0n);
+    expect(hammingDistance(rising.hash, falling.hash)).toBe(64);
+    expect(rising.aspect).toBe(2);
+  });
+
+  test('should group images with the same shapes, colors and aspect ratio', () => {
+    const fingerprints = [
+      fingerprintImage(createThumbnail(), 1, 400, 200),
+      fingerprintImage(createThumbnail(0, true), 1, 400, 200), // Other shapes
+      fingerprintImage(createThumbnail(4), 1, 100, 50), // Smaller copy
+      fingerprintImage(createThumbnail(60), 1, 400, 200), // Much brighter
+      fingerprintImage(createThumbnail(), 1, 400, 300) // Other aspect ratio
+    ];
+
+    expect(groupNearDuplicates(fingerprints, 6)).toEqual([{ members: [0, 2], distance: 0 }]);
+  });
+
+  test('should only group images that match every member of the group', () => {
+    // The last matches the first but not the second, 16 darker
+    const fingerprints = [8, 0, 16].map(offset => fingerprintImage(createThumbnail(offset), 1, 100, 50));
+
+    expect(groupNearDuplicates(fingerprints, 6)).toEqual([{ members: [0, 1], distance: 0 }]);
+  });
+
+  test('should tell apart images differing in a small area', () => {
+    // A white 64x64 page, its copy with slight noise, and one with a word
+    const page = new Uint8Array(64 * 64).fill(255);
+    const noisy = page.map((value, i) => value - (i % 7) * 3);
+    const edited = Uint8Array.from(page);
+    for (let y = 20; y < 26; y++) edited.fill(0, y * 64 + 30, y * 64 + 36);
+
+    expect(isPixelMatch(page, noisy, 64, 64, 1)).toBe(true);
+    expect(isPixelMatch(page, edited, 64, 64, 1)).toBe(false);
+  });
+});
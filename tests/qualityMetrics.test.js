@@ -1,4 +1,4 @@
-const { calculatePSNR, calculateSSIM, calculateQualityMetrics } = require('../src/utils/qualityMetrics');
+const { calculatePSNR, calculateSSIM, computeSSIM, calculateQualityMetrics } = require('../src/utils/qualityMetrics');
 const sharp = require('sharp');
 
 describe('Quality Metrics', () => {
@@ -79,6 +79,31 @@ describe('Quality Metrics', () => {
     });
   });
 
+  describe('Windowed SSIM', () => {
+    // Vertical stripes, 4 pixels wide
+    const width = 32;
+    const height = 32;
+    const stripes = Uint8Array.from({ length: width * height }, (_, i) => ((i % width) >> 2) % 2 ? 220 : 30);
+
+    test('should return 1 for identical images', () => {
+      expect(computeSSIM(stripes, stripes, width, height)).toBeCloseTo(1, 10);
+    });
+
+    test('should drop as structure is lost', () => {
+      const blurred = stripes.map((value, i) => {
+        const x = i % width;
+        const left = stripes[i - (x > 0 ? 1 : 0)];
+        const right = stripes[i + (x < width - 1 ? 1 : 0)];
+        return Math.round((left + value + right) / 3);
+      });
+      const flat = new Uint8Array(width * height).fill(125);
+
+      const ssimBlurred = computeSSIM(stripes, blurred, width, height);
+      expect(ssimBlurred).toBeLessThan(1);
+      expect(computeSSIM(stripes, flat, width, height)).toBeLessThan(ssimBlurred);
+    });
+  });
+
   describe('Comprehensive Quality Metrics', () => {
     test('should calculate both PSNR and SSIM', async () => {
       const metrics = await calculateQualityMetrics(testImage1, testImage2);
@@ -0,0 +1,171 @@
+const { walkImages, walkText } = require('../src/processors/resourceWalker');
+const { PDFDocument, PDFName } = require('pdf-lib');
+
+describe('Resource Walker', () => {
+  let pdfDoc, context;
+
+  const makeImage = () => context.register(context.stream('pixels', {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: 10,
+    Height: 10
+  }));
+
+  const collect = () => {
+    const visits = [];
+    walkImages(pdfDoc, (ref, image, ctm, name) => visits.push({ ref, ctm, name }));
+    return visits;
+  };
+
+  beforeEach(async () => {
+    pdfDoc = await PDFDocument.create();
+    context = pdfDoc.context;
+  });
+
+  test('should follow nested Form XObjects with their matrices', () => {
+    const page = pdfDoc.addPage([600, 800]);
+    const image = makeImage();
+    const inner = context.register(context.flateStream('q 50 0 0 50 0 0 cm /Im0 Do Q', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 100],
+      Resources: { XObject: { Im0: image } }
+    }));
+    const outer = context.register(context.flateStream('/Fm1 Do', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 100],
+      Matrix: [2, 0, 0, 2, 0, 0],
+      Resources: { XObject: { Fm1: inner } }
+    }));
+    page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Fm0: outer } }));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream('/Fm0 Do')));
+
+    const drawn = collect().filter(visit => visit.ctm);
+
+    expect(drawn).toHaveLength(1);
+    expect(drawn[0].ref).toBe(image);
+    expect(drawn[0].ctm).toEqual([100, 0, 0, 100, 0, 0]);
+  });
+
+  test('should visit images in annotation appearances placed on their rect', () => {
+    const page = pdfDoc.addPage([600, 800]);
+    const image = makeImage();
+    const appearance = context.register(context.flateStream('q 10 0 0 10 0 0 cm /Im0 Do Q', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 10, 10],
+      Resources: { XObject: { Im0: image } }
+    }));
+    const annot = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Stamp',
+      Rect: [100, 100, 300, 200],
+      AP: { N: appearance }
+    }));
+    page.node.set(PDFName.of('Annots'), context.obj([annot]));
+
+    const drawn = collect().filter(visit => visit.ctm);
+
+    expect(drawn).toHaveLength(1);
+    expect(drawn[0].ctm).toEqual([200, 0, 0, 100, 100, 100]);
+  });
+
+  test('should visit images from inherited resources and stop on cycles', () => {
+    const page = pdfDoc.addPage([600, 800]);
+    const image = makeImage();
+    const loop = context.nextRef();
+    context.assign(loop, context.flateStream('/Fm0 Do /Im0 Do', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 1, 1],
+      Resources: { XObject: { Fm0: loop, Im0: image } }
+    }));
+
+    // Resources live on the page tree node, not on the page itself
+    pdfDoc.catalog.Pages().set(PDFName.of('Resources'), context.obj({ XObject: { Fm0: loop } }));
+    page.node.delete(PDFName.of('Resources'));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream('/Fm0 Do')));
+
+    const visits = collect();
+
+    expect(visits.some(visit => visit.ref === image && visit.ctm)).toBe(true);
+    expect(visits.length).toBeLessThan(5);
+  });
+
+  test('should report shown strings with the font in effect, through q/Q and forms', () => {
+    const page = pdfDoc.addPage([600, 800]);
+    const helvetica = context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: 'Helvetica' });
+    const courier = context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: 'Courier' });
+    const form = context.register(context.flateStream('(inherited) Tj', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 100]
+    }));
+    page.node.set(PDFName.of('Resources'), context.obj({
+      Font: { F1: helvetica, F2: courier },
+      XObject: { Fm0: form }
+    }));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream(
+      'BT /F1 12 Tf (a) Tj q /F2 10 Tf [(b) -20 <63>] TJ Q (d) Tj ET /Fm0 Do'
+    )));
+
+    const shown = [];
+    walkText(pdfDoc, (font, bytes) => shown.push([font.get(PDFName.of('BaseFont')).decodeText(), bytes]));
+
+    expect(shown).toEqual([
+      ['Helvetica', 'a'],
+      ['Courier', 'b'],
+      ['Courier', 'c'],
+      ['Helvetica', 'd'],
+      ['Helvetica', 'inherited']
+    ]);
+  });
+
+  test('should report the resources of content streams that cannot be parsed', () => {
+    const page = pdfDoc.addPage([600, 800]);
+    const courier = context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: 'Courier' });
+    const formResources = context.obj({ Font: { F2: courier } });
+    const form = context.register(context.stream('BT /F2 10 Tf (lost) Tj ET BI /W 1', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 100],
+      Resources: formResources
+    }));
+    page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Fm0: form } }));
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream('/Fm0 Do /Fm0 Do')));
+
+    const shown = [];
+    const unreadable = [];
+    walkText(pdfDoc, (font, bytes) => shown.push(bytes), resources => unreadable.push(resources));
+
+    expect(shown).toEqual([]);
+    expect(unreadable).toEqual([formResources, formResources]);
+  });
+
+  test('should report the resources of forms nested too deep to follow', () => {
+    const page = pdfDoc.addPage([600, 800]);
+
+    // Twenty forms, each drawing the next
+    let resources = context.obj({});
+    const allResources = [resources];
+    for (let i = 0; i < 20; i++) {
+      const form = context.register(context.stream('/Fm0 Do', {
+        Type: 'XObject',
+        Subtype: 'Form',
+        BBox: [0, 0, 100, 100],
+        Resources: resources
+      }));
+      resources = context.obj({ XObject: { Fm0: form } });
+      allResources.unshift(resources);
+    }
+    page.node.set(PDFName.of('Resources'), resources);
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream('/Fm0 Do')));
+
+    const unreadable = [];
+    walkImages(pdfDoc, () => {}, unreadableResources => unreadable.push(unreadableResources));
+
+    // The page and 16 forms are walked: the next form is not
+    expect(unreadable).toEqual([allResources[17]]);
+  });
+});
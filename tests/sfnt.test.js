@@ -0,0 +1,36 @@
+const { readTables, readCmapSubtables, buildSymbolicCmap, writeFont } = require('../src/utils/sfnt');
+
+describe('sfnt', () => {
+  test('should build a symbolic cmap that reads back through both subtables', () => {
+    const glyphs = new Map([[32, 1], [65, 2], [66, 3], [67, 4], [200, 300]]);
+    const subtables = readCmapSubtables(buildSymbolicCmap(glyphs));
+
+    const mac = subtables.find(table => table.platformID === 1 && table.encodingID === 0);
+    const symbol = subtables.find(table => table.platformID === 3 && table.encodingID === 0);
+
+    for (const [code, glyph] of glyphs) {
+      expect(symbol.lookup(0xf000 + code)).toBe(glyph);
+    }
+    expect(mac.lookup(66)).toBe(3);
+    expect(mac.lookup(200)).toBe(0); // Does not fit a byte
+    expect(symbol.lookup(0xf000 + 33)).toBe(0);
+  });
+
+  test('should write a font whose tables read back with valid checksums', () => {
+    const head = new Uint8Array(54);
+    head.set([0x5f, 0x0f, 0x3c, 0xf5], 12); // Magic number
+    const tables = new Map([['head', head], ['maxp', new Uint8Array([0, 0, 0x50, 0, 0, 7])]]);
+
+    const font = writeFont(tables);
+    const view = new DataView(font.buffer);
+    const read = readTables(font);
+
+    expect(Array.from(read.keys())).toEqual(['head', 'maxp']);
+    expect(Array.from(read.get('maxp'))).toEqual([0, 0, 0x50, 0, 0, 7]);
+
+    // The whole font sums to the magic constant once the adjustment is in
+    let sum = 0;
+    for (let i = 0; i < font.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+    expect(sum).toBe(0xb1b0afba);
+  });
+});
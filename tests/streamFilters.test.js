@@ -0,0 +1,65 @@
+const pako = require('pako');
+const { PDFDocument } = require('pdf-lib');
+const {
+  getFilterChain,
+  decodeFilters,
+  decodeStream,
+  decodeStreamData,
+  applyPredictor
+} = require('../src/utils/streamFilters');
+
+const bytes = (text) => Uint8Array.from(Buffer.from(text, 'latin1'));
+const decode = (data, name, parms = {}) => Buffer.from(decodeFilters(data, [{ name, parms }]).data);
+
+describe('Stream Filters', () => {
+  test('should decode ASCIIHex with whitespace and an odd final digit', () => {
+    expect(decode(bytes('48 65 6c\n6C 6f7>'), 'ASCIIHexDecode')).toEqual(Buffer.from([0x48, 0x65, 0x6c, 0x6c, 0x6f, 0x70]));
+  });
+
+  test('should decode ASCII85 including z groups and partial groups', () => {
+    expect(decode(bytes('87cURD]i,"Ebo80~>'), 'ASCII85Decode').toString('latin1')).toBe('Hello World!');
+    expect(decode(bytes('z!!~>'), 'ASCII85Decode')).toEqual(Buffer.alloc(5));
+  });
+
+  test('should decode LZW with early change', () => {
+    // Example from PDF 32000-1:2008, 7.4.4.2
+    const data = Uint8Array.from([0x80, 0x0b, 0x60, 0x50, 0x22, 0x0c, 0x0c, 0x85, 0x01]);
+    expect(decode(data, 'LZWDecode')).toEqual(Buffer.from([0x2d, 0x2d, 0x2d, 0x2d, 0x2d, 0x41, 0x2d, 0x2d, 0x2d, 0x42]));
+  });
+
+  test('should decode RunLength literal and repeated runs', () => {
+    const data = Uint8Array.from([2, 1, 2, 3, 254, 9, 128, 7]);
+    expect(decode(data, 'RunLengthDecode')).toEqual(Buffer.from([1, 2, 3, 9, 9, 9]));
+  });
+
+  test('should undo PNG and TIFF predictors', () => {
+    // Two rows of 2 RGB pixels: Sub on the first, Up on the second
+    const png = Uint8Array.from([1, 10, 20, 30, 1, 1, 1, 2, 5, 5, 5, 5, 5, 5]);
+    expect(Array.from(applyPredictor(png, { Predictor: 12, Colors: 3, Columns: 2 })))
+      .toEqual([10, 20, 30, 11, 21, 31, 15, 25, 35, 16, 26, 36]);
+
+    const tiff = Uint8Array.from([10, 1, 1, 1]);
+    expect(Array.from(applyPredictor(tiff, { Predictor: 2, Columns: 4 }))).toEqual([10, 11, 12, 13]);
+  });
+
+  test('should decode a filter chain and stop at image codecs', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const deflated = pako.deflate(bytes('BT /F1 12 Tf (Hi) Tj ET'));
+    const hex = Buffer.from(deflated).toString('hex') + '>';
+
+    const stream = pdfDoc.context.stream(hex, {
+      Filter: ['ASCIIHexDecode', 'FlateDecode']
+    });
+    expect(Buffer.from(decodeStreamData(stream)).toString('latin1')).toBe('BT /F1 12 Tf (Hi) Tj ET');
+
+    const jpeg = pdfDoc.context.stream('ffd8ffd9>', {
+      Filter: ['AHx', 'DCTDecode'],
+      DecodeParms: [null, { ColorTransform: 0 }]
+    });
+    const { data, remaining } = decodeStream(jpeg);
+    expect(Array.from(data)).toEqual([0xff, 0xd8, 0xff, 0xd9]);
+    expect(remaining).toEqual([{ name: 'DCTDecode', parms: { ColorTransform: 0 } }]);
+    expect(getFilterChain(jpeg.dict)[0].name).toBe('ASCIIHexDecode');
+    expect(() => decodeStreamData(jpeg)).toThrow('DCTDecode');
+  });
+});
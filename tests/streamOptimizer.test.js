@@ -0,0 +1,174 @@
+const {
+  optimizeStreams,
+  optimizeContentStream,
+  deduplicateObjects,
+  removeUnreferencedObjects
+} = require('../src/processors/streamOptimizer');
+const { PDFDocument, PDFName, PDFRawStream } = require('pdf-lib');
+const pako = require('pako');
+
+describe('Stream Optimizer', () => {
+  describe('optimizeContentStream', () => {
+    test('should collapse whitespace and drop comments', () => {
+      const optimized = optimizeContentStream('q\n  1 0 0 1 0 0 cm % move\n/Im1 Do\nQ');
+      expect(optimized).toBe('q 1 0 0 1 0 0 cm/Im1 Do Q');
+    });
+
+    test('should keep string literals and inline image data intact', () => {
+      const content = 'BT ( two  spaces \\) ) Tj ET BI /W 1 /H 1 ID \n  \nEI';
+      const optimized = optimizeContentStream(content);
+
+      expect(optimized).toContain('( two  spaces \\) )Tj');
+      expect(optimized).toContain('ID \n  \nEI');
+    });
+
+    test('should remove empty save/restore pairs', () => {
+      expect(optimizeContentStream('q Q q 0 g Q')).toBe('q 0 g Q');
+    });
+  });
+
+  describe('optimizeStreams', () => {
+    test('should write recompressed bytes back into the document', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const page = pdfDoc.addPage([600, 400]);
+      const content = 'q\n  BT  /F1   12 Tf  (Hello) Tj  ET\nQ\n'.repeat(50);
+      const ref = pdfDoc.context.register(pdfDoc.context.stream(content));
+      page.node.set(PDFName.of('Contents'), ref);
+
+      const stats = await optimizeStreams(pdfDoc, { objectCompression: 'maximum' });
+      const stream = pdfDoc.context.lookup(ref);
+
+      expect(stats.streamsProcessed).toBe(1);
+      expect(stream).toBeInstanceOf(PDFRawStream);
+      expect(stream.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+      expect(stream.contents.length).toBe(stats.compressedStreamSize);
+
+      const decoded = Buffer.from(pako.inflate(stream.contents)).toString('latin1');
+      expect(decoded.startsWith('q BT/F1 12 Tf(Hello)Tj ET Q')).toBe(true);
+    });
+
+    test('should leave non-content streams byte-for-byte', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const data = 'binary  data   that  looks like text '.repeat(20);
+      const ref = pdfDoc.context.register(pdfDoc.context.stream(data));
+
+      await optimizeStreams(pdfDoc, { objectCompression: 'maximum' });
+      const stream = pdfDoc.context.lookup(ref);
+
+      expect(Buffer.from(pako.inflate(stream.contents)).toString('latin1')).toBe(data);
+    });
+
+    test('should re-encode filter chains as Flate and pass image codecs through', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const data = 'some data '.repeat(100);
+      const hex = Buffer.from(pako.deflate(data, { level: 1 })).toString('hex') + '>';
+      const chainRef = pdfDoc.context.register(pdfDoc.context.stream(hex, {
+        Filter: ['ASCIIHexDecode', 'FlateDecode']
+      }));
+      const jbig2Ref = pdfDoc.context.register(pdfDoc.context.stream('jbig2 bytes', {
+        Filter: 'JBIG2Decode'
+      }));
+
+      const stats = await optimizeStreams(pdfDoc, { objectCompression: 'maximum' });
+      const stream = pdfDoc.context.lookup(chainRef);
+
+      expect(stream.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+      expect(Buffer.from(pako.inflate(stream.contents)).toString('latin1')).toBe(data);
+      expect(Buffer.from(pdfDoc.context.lookup(jbig2Ref).contents).toString('latin1')).toBe('jbig2 bytes');
+      expect(stats.streamsPassedThrough).toBe(1);
+    });
+
+    test('should keep streams that do not shrink by the savings margin', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const data = 'some data '.repeat(100);
+      const ref = pdfDoc.context.register(pdfDoc.context.stream(pako.deflate(data, { level: 1 }), {
+        Filter: 'FlateDecode'
+      }));
+      const original = pdfDoc.context.lookup(ref);
+
+      const stats = await optimizeStreams(pdfDoc, { objectCompression: 'maximum', savingsMargin: 0.5 });
+
+      expect(pdfDoc.context.lookup(ref)).toBe(original);
+      expect(stats.streamsProcessed).toBe(0);
+      expect(stats.compressedStreamSize).toBe(stats.originalStreamSize);
+    });
+  });
+
+  describe('deduplicateObjects', () => {
+    test('should merge identical objects and rewrite references', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const context = pdfDoc.context;
+      const page = pdfDoc.addPage([600, 400]);
+
+      // Two copies of the same image, each with its own copy of the same mask
+      const makeImage = () => {
+        const mask = context.register(context.stream('mask-bytes', { Width: 1, Height: 1 }));
+        return context.register(context.stream('image-bytes', {
+          Type: 'XObject',
+          Subtype: 'Image',
+          Width: 1,
+          Height: 1,
+          SMask: mask
+        }));
+      };
+      const first = makeImage();
+      const second = makeImage();
+      page.node.set(PDFName.of('Resources'), context.obj({
+        XObject: { Im1: first, Im2: second }
+      }));
+
+      const stats = await deduplicateObjects(pdfDoc);
+      const xObjects = page.node.lookup(PDFName.of('Resources')).lookup(PDFName.of('XObject'));
+
+      expect(stats.duplicatesFound).toBe(2);
+      expect(xObjects.get(PDFName.of('Im1'))).toBe(first);
+      expect(xObjects.get(PDFName.of('Im2'))).toBe(first);
+      expect(context.lookup(second)).toBeUndefined();
+    });
+
+    test('should keep objects that only differ in stream bytes', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const context = pdfDoc.context;
+      const a = context.register(context.stream('aaaa', { Subtype: 'Image' }));
+      const b = context.register(context.stream('bbbb', { Subtype: 'Image' }));
+
+      const stats = await deduplicateObjects(pdfDoc);
+
+      expect(stats.duplicatesFound).toBe(0);
+      expect(context.lookup(a)).toBeDefined();
+      expect(context.lookup(b)).toBeDefined();
+    });
+
+    test('should keep optional content groups and untyped annotations apart', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const context = pdfDoc.context;
+      const layers = [0, 1].map(() => context.register(context.obj({ Type: 'OCG', Name: 'Layer' })));
+      const annotations = [0, 1].map(() => context.register(context.obj({ Subtype: 'Link', Rect: [0, 0, 10, 10] })));
+
+      const stats = await deduplicateObjects(pdfDoc);
+
+      expect(stats.duplicatesFound).toBe(0);
+      for (const ref of [...layers, ...annotations]) expect(context.lookup(ref)).toBeDefined();
+    });
+  });
+
+  describe('removeUnreferencedObjects', () => {
+    test('should drop orphaned objects and keep reachable ones', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const context = pdfDoc.context;
+      const page = pdfDoc.addPage([600, 400]);
+
+      const used = context.register(context.stream('used-image', { Subtype: 'Image' }));
+      const orphan = context.register(context.stream('replaced-image', { Subtype: 'Image' }));
+      page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Im1: used } }));
+
+      const stats = await removeUnreferencedObjects(pdfDoc);
+
+      expect(stats.objectsRemoved).toBe(1);
+      expect(stats.bytesRemoved).toBeGreaterThan(0);
+      expect(context.lookup(used)).toBeDefined();
+      expect(context.lookup(orphan)).toBeUndefined();
+      expect(pdfDoc.getPageCount()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { runTaskPool } = require('../src/utils/taskPool');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Task Pool', () => {
+  test('should hand results over in input order whatever order tasks finish in', async () => {
+    const order = [];
+
+    await runTaskPool([30, 5, 20, 1], async ms => {
+      await delay(ms);
+      return ms * 2;
+    }, {
+      concurrency: 4,
+      onResult: (item, result, index) => order.push([index, result])
+    });
+
+    expect(order).toEqual([[0, 60], [1, 10], [2, 40], [3, 2]]);
+  });
+
+  test('should respect the concurrency and memory limits', async () => {
+    let running = 0;
+    let peak = 0;
+    let peakMemory = 0;
+    let reserved = 0;
+
+    const items = [40, 40, 40, 40, 40, 40];
+    await runTaskPool(items, async cost => {
+      running++;
+      reserved += cost;
+      peak = Math.max(peak, running);
+      peakMemory = Math.max(peakMemory, reserved);
+      await delay(5);
+      running--;
+      return cost;
+    }, {
+      concurrency: 3,
+      memoryLimit: 100,
+      estimateMemory: cost => cost,
+      onResult: cost => { reserved -= cost; }
+    });
+
+    expect(peak).toBe(2);
+    expect(peakMemory).toBeLessThanOrEqual(100);
+  });
+
+  test('should run an item larger than the memory limit on its own', async () => {
+    const results = [];
+
+    await runTaskPool([500, 10], async cost => cost, {
+      memoryLimit: 100,
+      estimateMemory: cost => cost,
+      onResult: (item, result) => results.push(result)
+    });
+
+    expect(results).toEqual([500, 10]);
+  });
+
+  test('should reject with a task error after the tasks in flight settle', async () => {
+    const finished = [];
+
+    await expect(runTaskPool([1, 2, 3], async item => {
+      await delay(item * 5);
+      if (item === 1) throw new Error('boom');
+      finished.push(item);
+    }, { concurrency: 3 })).rejects.toThrow('boom');
+
+    expect(finished).toEqual([2, 3]);
+  });
+});
@@ -0,0 +1,55 @@
+const { parseType1, subsetType1 } = require('../src/utils/type1');
+
+describe('Type 1', () => {
+  function eexec(bytes, decrypt = false) {
+    const result = new Uint8Array(bytes.length);
+    let r = 55665;
+    for (let i = 0; i < bytes.length; i++) {
+      result[i] = bytes[i] ^ (r >> 8);
+      r = (((decrypt ? bytes[i] : result[i]) + r) * 52845 + 22719) & 0xffff;
+    }
+    return result;
+  }
+
+  // Unencrypted charstrings (lenIV -1): Aacute is a seac of A and acute
+  const glyphs = {
+    '.notdef': [139, 139 + 250, 13, 14],
+    A: [139, 139 + 100, 13, 14],
+    B: [139, 139 + 100, 13, 14],
+    acute: [139, 139 + 50, 13, 14],
+    Aacute: [139, 139, 139, 139 + 65, 247, 86, 12, 6]
+  };
+
+  function createFont() {
+    const clear = '%!FontType1-1.0: Test\n/Encoding 256 array\ndup 65 /A put\ndup 193 /Aacute put\nreadonly def\n' +
+      'currentdict end\ncurrentfile eexec\r\n';
+    let privateText = 'dup /Private 8 dict dup begin\n/lenIV -1 def\n2 index /CharStrings 5 dict dup begin\n';
+    for (const [name, charString] of Object.entries(glyphs)) {
+      privateText += `/${name} ${charString.length} -| ${String.fromCharCode(...charString)} |-\n`;
+    }
+    privateText += 'end\nend\n';
+
+    const encrypted = eexec(Buffer.from('abcd' + privateText, 'latin1'));
+    const trailer = '0'.repeat(64) + '\ncleartomark\n';
+    return Uint8Array.from([...Buffer.from(clear, 'latin1'), ...encrypted, ...Buffer.from(trailer, 'latin1')]);
+  }
+
+  test('should keep the named glyphs with their accent components', () => {
+    const font = parseType1(createFont());
+    expect(Array.from(font.glyphs.keys())).toEqual(Object.keys(glyphs));
+    expect(font.builtInEncoding[193]).toBe('Aacute');
+
+    const subset = subsetType1(font, ['Aacute']);
+    expect(subset.glyphs).toEqual(['.notdef', 'A', 'acute', 'Aacute']);
+
+    const encrypted = subset.data.subarray(subset.length1, subset.length1 + subset.length2);
+    const text = Buffer.from(eexec(encrypted, true).subarray(4)).toString('latin1');
+    expect(text).toContain('/CharStrings 4 dict dup begin');
+    expect(text).not.toContain('/B ');
+
+    // The result parses the same way, its lengths splitting it correctly
+    const reparsed = parseType1(subset.data, { length1: subset.length1, length2: subset.length2 });
+    expect(Array.from(reparsed.glyphs.keys())).toEqual(subset.glyphs);
+    expect(Buffer.from(subset.data.subarray(subset.data.length - subset.length3)).toString()).toContain('cleartomark');
+  });
+});